@@ -0,0 +1,137 @@
+const { readDateBound } = require('./list-query');
+
+// 操作记录：谁在什么时候上传、修改、删除、恢复、导入了什么
+// 记录只追加不修改（数据库触发器禁止修改和删除），修改操作保存改动前后的值
+
+const AUDIT_ACTIONS = {
+    'painting.upload': '上传画作',
+    'painting.update': '修改画作',
+    'painting.edit-image': '编辑图片',
+    'painting.enhance': '更改图片处理方式',
+    'painting.delete': '移到回收站',
+    'painting.restore': '从回收站恢复',
+    'painting.purge': '彻底删除画作',
+    'painting.merge': '合并重复画作',
+    'duplicate.dismiss': '标记为不重复',
+    'album.create': '新建相册',
+    'album.update': '修改相册',
+    'album.delete': '删除相册',
+    'album.add-paintings': '加入相册',
+    'album.remove-painting': '移出相册',
+    'share.create': '创建分享链接',
+    'share.revoke': '撤销分享链接',
+    'user.create': '添加账号',
+    'user.delete': '删除账号',
+    'gallery.export': '导出备份',
+    'gallery.import': '导入备份',
+    'gallery.restore': '从快照恢复'
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function isEqual(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// 比较修改前后的对象，返回 { 字段: { from, to } }，只包含 fields 中有变化的字段
+function diffFields(before, after, fields) {
+    const changes = {};
+    fields.forEach(field => {
+        if (!isEqual(before[field], after[field])) {
+            changes[field] = {
+                from: before[field] === undefined ? null : before[field],
+                to: after[field] === undefined ? null : after[field]
+            };
+        }
+    });
+    return changes;
+}
+
+// 追加一条记录；写入失败不影响已经完成的操作，只打印错误
+function recordAudit(storage, { actor = null, action, paintingId = null, albumId = null, details = null }) {
+    try {
+        return storage.appendAudit({ actor, action, paintingId, albumId, details });
+    } catch (error) {
+        console.error(`写入操作记录出错 (${action}):`, error.message);
+        return null;
+    }
+}
+
+function readString(query, name) {
+    const value = query[name];
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// 解析 GET /api/audit 的查询参数，返回 { value, errors }
+//   action       操作类型（见 AUDIT_ACTIONS）
+//   actor        操作的账号
+//   paintingId   画作 id
+//   from / to    时间范围（YYYY-MM-DD，包含当天；也可以是完整的 ISO 时间）
+//   limit        每页数量，默认 50，最多 200
+//   before       上一页返回的 nextCursor（记录 id）
+function parseAuditQuery(query) {
+    const data = query || {};
+    const value = { filters: {}, limit: DEFAULT_PAGE_SIZE, before: null };
+    const errors = [];
+
+    const action = readString(data, 'action');
+    if (action) {
+        if (Object.prototype.hasOwnProperty.call(AUDIT_ACTIONS, action)) {
+            value.filters.action = action;
+        } else {
+            errors.push('不支持的操作类型');
+        }
+    }
+
+    ['actor', 'paintingId'].forEach(name => {
+        const text = readString(data, name);
+        if (text) {
+            value.filters[name] = text;
+        }
+    });
+
+    const from = readString(data, 'from');
+    const to = readString(data, 'to');
+    if (from) {
+        value.filters.from = readDateBound(from, false);
+        if (!value.filters.from) {
+            errors.push('开始日期格式无效');
+        }
+    }
+    if (to) {
+        value.filters.to = readDateBound(to, true);
+        if (!value.filters.to) {
+            errors.push('结束日期格式无效');
+        }
+    }
+
+    const limit = readString(data, 'limit');
+    if (limit) {
+        const size = Number(limit);
+        if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+            errors.push(`每页数量必须是 1 到 ${MAX_PAGE_SIZE} 之间的整数`);
+        } else {
+            value.limit = size;
+        }
+    }
+
+    const before = readString(data, 'before');
+    if (before) {
+        const id = Number(before);
+        if (!Number.isInteger(id) || id < 1) {
+            errors.push('分页游标无效');
+        } else {
+            value.before = id;
+        }
+    }
+
+    return { value, errors };
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    diffFields,
+    recordAudit,
+    parseAuditQuery
+};
@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// 账号和会话密钥的存储路径
+const USERS_DATA_FILE = './data/users.json';
+const SESSION_SECRET_FILE = './data/.session-secret';
+
+const SESSION_COOKIE = 'yueyue_session';
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 天
+
+// 令牌类型：会话、分享链接和分享解锁用同一个密钥签名，载荷中的 typ 区分用途，一种令牌不能当作另一种使用
+const TOKEN_TYPES = {
+    SESSION: 'session',
+    SHARE: 'share',
+    SHARE_UNLOCK: 'share-unlock'
+};
+
+// 私密画廊：GALLERY_PRIVATE=1 时画作、相册、统计和图片文件都需要登录才能查看，
+// 没有登录的人只能通过分享链接看到分享的内容
+const GALLERY_PRIVATE = process.env.GALLERY_PRIVATE === '1';
+
+// 角色：家长（管理员）可以上传和修改，观众只能浏览
+const ROLES = {
+    ADMIN: 'admin',
+    VIEWER: 'viewer'
+};
+
+// 账号数据缓存：每个请求都要识别账号，只在第一次读取文件，写入时更新
+let usersCache = null;
+
+// 读取账号数据（返回副本，修改后需要调用 writeUsersData 保存）
+function readUsersData() {
+    if (!usersCache) {
+        try {
+            usersCache = fs.existsSync(USERS_DATA_FILE)
+                ? JSON.parse(fs.readFileSync(USERS_DATA_FILE, 'utf8'))
+                : [];
+        } catch (error) {
+            console.error('读取账号数据出错:', error);
+            return [];
+        }
+    }
+    return usersCache.slice();
+}
+
+// 写入账号数据
+function writeUsersData(users) {
+    try {
+        fs.writeFileSync(USERS_DATA_FILE, JSON.stringify(users, null, 2));
+        usersCache = users.slice();
+        return true;
+    } catch (error) {
+        console.error('写入账号数据出错:', error);
+        return false;
+    }
+}
+
+// 会话签名密钥：优先使用环境变量，否则生成一次并保存在 data/ 下
+function loadSessionSecret() {
+    if (process.env.SESSION_SECRET) {
+        return process.env.SESSION_SECRET;
+    }
+    if (fs.existsSync(SESSION_SECRET_FILE)) {
+        return fs.readFileSync(SESSION_SECRET_FILE, 'utf8').trim();
+    }
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(SESSION_SECRET_FILE, secret, { mode: 0o600 });
+    return secret;
+}
+
+let sessionSecret = null;
+function getSessionSecret() {
+    if (!sessionSecret) {
+        sessionSecret = loadSessionSecret();
+    }
+    return sessionSecret;
+}
+
+// 密码哈希（scrypt，格式：scrypt$盐$哈希）
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// 对外返回的账号信息（不含密码哈希）
+function publicUser(user) {
+    return {
+        username: user.username,
+        role: user.role,
+        createdAt: user.createdAt
+    };
+}
+
+function findUser(username) {
+    return readUsersData().find(u => u.username === username) || null;
+}
+
+// 校验账号参数，返回错误信息或 null
+function validateUserInput({ username, password, role }) {
+    if (typeof username !== 'string' || !/^[\w一-龥.-]{2,32}$/.test(username)) {
+        return '用户名需为 2-32 位字母、数字、汉字或 ._-';
+    }
+    if (typeof password !== 'string' || password.length < 6) {
+        return '密码至少需要 6 位';
+    }
+    if (role !== undefined && !Object.values(ROLES).includes(role)) {
+        return '无效的角色';
+    }
+    return null;
+}
+
+// 创建账号，用户名重复时返回 null
+function createUser({ username, password, role = ROLES.VIEWER }) {
+    const users = readUsersData();
+    if (users.some(u => u.username === username)) {
+        return null;
+    }
+    const user = {
+        username,
+        role,
+        passwordHash: hashPassword(password),
+        createdAt: new Date().toISOString()
+    };
+    users.push(user);
+    return writeUsersData(users) ? user : null;
+}
+
+// 删除账号
+function deleteUser(username) {
+    const users = readUsersData();
+    const index = users.findIndex(u => u.username === username);
+    if (index === -1) {
+        return false;
+    }
+    users.splice(index, 1);
+    return writeUsersData(users);
+}
+
+// 校验用户名和密码，成功时返回账号
+function authenticate(username, password) {
+    const user = findUser(username);
+    if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+        return null;
+    }
+    return user;
+}
+
+// 签名令牌：base64url(载荷).签名，type 为 TOKEN_TYPES 之一
+function signToken(type, payload) {
+    const body = Buffer.from(JSON.stringify({ typ: type, ...payload })).toString('base64url');
+    const signature = crypto.createHmac('sha256', getSessionSecret()).update(body).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+// 验证签名、类型和有效期，返回载荷；无效时返回 null
+function verifyToken(token, type) {
+    if (typeof token !== 'string' || !token.includes('.')) {
+        return null;
+    }
+    const [body, signature] = token.split('.');
+    const expected = Buffer.from(crypto.createHmac('sha256', getSessionSecret()).update(body).digest('base64url'));
+    // 按字节长度比较，签名中有多字节字符时 timingSafeEqual 不会因长度不同而抛出异常
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (!payload || payload.typ !== type || (payload.exp && payload.exp < Date.now())) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+// 解析 Cookie 请求头
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            const name = part.slice(0, index).trim();
+            const value = part.slice(index + 1).trim();
+            // 格式错误的编码（例如 %E0%A4%A）保留原值，不能让整个请求出错
+            try {
+                cookies[name] = decodeURIComponent(value);
+            } catch (error) {
+                cookies[name] = value;
+            }
+        }
+    });
+    return cookies;
+}
+
+// 登录成功后写入会话 Cookie
+function setSessionCookie(req, res, user) {
+    const token = signToken(TOKEN_TYPES.SESSION, { sub: user.username, exp: Date.now() + SESSION_MAX_AGE });
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        maxAge: SESSION_MAX_AGE,
+        path: '/'
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// 中间件：从会话 Cookie 中识别当前账号，挂到 req.user
+function attachUser(req, res, next) {
+    req.user = null;
+    const payload = verifyToken(parseCookies(req.headers.cookie)[SESSION_COOKIE], TOKEN_TYPES.SESSION);
+    if (payload) {
+        const user = findUser(payload.sub);
+        if (user) {
+            req.user = publicUser(user);
+        }
+    }
+    next();
+}
+
+// 中间件：要求已登录且角色符合
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: '请先登录' });
+        }
+        if (roles.length > 0 && !roles.includes(req.user.role)) {
+            return res.status(403).json({ error: '没有权限执行此操作' });
+        }
+        next();
+    };
+}
+
+const requireAdmin = requireRole(ROLES.ADMIN);
+
+// 中间件：私密画廊要求已登录（任何角色），公开画廊直接放行
+function requireGalleryAccess(req, res, next) {
+    if (GALLERY_PRIVATE && !req.user) {
+        return res.status(401).json({ error: '请先登录' });
+    }
+    next();
+}
+
+// 登录失败限流：同一 IP 15 分钟内最多失败 5 次
+const LOGIN_WINDOW = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+// 记录数上限：很多不同的地址登录失败时，先清理过期的记录，仍然超过时丢弃最早的记录，内存不会无限增长
+const LOGIN_MAX_RECORDS = 10000;
+const loginFailures = new Map();
+
+// 新记录总是插在最后，Map 按插入顺序遍历，从前往后就是从早到晚，遇到没有过期的记录就可以停下
+function pruneLoginFailures(now) {
+    for (const [key, record] of loginFailures) {
+        if (loginFailures.size < LOGIN_MAX_RECORDS && now - record.since <= LOGIN_WINDOW) {
+            break;
+        }
+        loginFailures.delete(key);
+    }
+}
+
+function isLoginBlocked(ip) {
+    const record = loginFailures.get(ip);
+    if (!record) {
+        return false;
+    }
+    if (Date.now() - record.since > LOGIN_WINDOW) {
+        loginFailures.delete(ip);
+        return false;
+    }
+    return record.count >= LOGIN_MAX_FAILURES;
+}
+
+function recordLoginFailure(ip) {
+    const now = Date.now();
+    const record = loginFailures.get(ip);
+    if (!record || now - record.since > LOGIN_WINDOW) {
+        // 先删除再插入，重新开始计数的记录排到最后
+        loginFailures.delete(ip);
+        pruneLoginFailures(now);
+        loginFailures.set(ip, { count: 1, since: now });
+    } else {
+        record.count++;
+    }
+}
+
+function clearLoginFailures(ip) {
+    loginFailures.delete(ip);
+}
+
+// 启动时如果还没有任何账号，可通过环境变量创建第一个管理员
+function ensureInitialAdmin() {
+    if (readUsersData().length > 0 || !process.env.ADMIN_PASSWORD) {
+        return;
+    }
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    if (createUser({ username, password: process.env.ADMIN_PASSWORD, role: ROLES.ADMIN })) {
+        console.log(`👤 已创建管理员账号: ${username}`);
+    }
+}
+
+module.exports = {
+    ROLES,
+    TOKEN_TYPES,
+    GALLERY_PRIVATE,
+    USERS_DATA_FILE,
+    readUsersData,
+    publicUser,
+    validateUserInput,
+    hashPassword,
+    verifyPassword,
+    signToken,
+    verifyToken,
+    parseCookies,
+    createUser,
+    deleteUser,
+    authenticate,
+    setSessionCookie,
+    clearSessionCookie,
+    attachUser,
+    requireRole,
+    requireAdmin,
+    requireGalleryAccess,
+    isLoginBlocked,
+    recordLoginFailure,
+    clearLoginFailures,
+    ensureInitialAdmin
+};
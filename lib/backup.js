@@ -0,0 +1,619 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const tar = require('tar-stream');
+const { v4: uuidv4 } = require('uuid');
+const { DERIVATIVES_DIR, DERIVATIVE_SIZES, DERIVATIVE_FORMATS } = require('./derivatives');
+const { validatePaintingMetadata, validateAlbumInput } = require('./metadata');
+const { validateEdits } = require('./image-edits');
+const scan = require('./scan');
+const originals = require('./originals');
+const { moveFile } = require('./files');
+
+// 整个画廊的备份和恢复：画作信息、相册和全部图片打包成一个 .tar.gz
+// 压缩包中的文件：
+//   data/paintings.json              画作信息（含标签）
+//   data/albums.json                 相册（含其中画作的 id）
+//   uploads/<文件名>                  画廊展示的 JPEG
+//   uploads/variants/<画作id>/<文件>  衍生图
+//   originals/<文件名>                原图库
+//   manifest.json                    最后写入：格式版本、数量，以及上面每个文件的大小和 SHA-256
+// 回收站中的画作也在备份中（保留删除时间）；账号（data/users.json）不在备份中
+
+const ARCHIVE_FORMAT = 'yueyue-gallery-backup';
+const ARCHIVE_VERSION = 1;
+
+const UPLOADS_DIR = './uploads';
+const TEMP_DIR = './uploads/temp';
+
+// 解压后的总大小上限，防止压缩炸弹占满磁盘
+const MAX_IMPORT_SIZE = parseInt(process.env.MAX_IMPORT_SIZE, 10) || 4 * 1024 * 1024 * 1024;
+
+const IMPORT_MODES = ['merge', 'replace'];
+
+// 压缩包中允许出现的文件路径
+const ENTRY_PATTERNS = [
+    /^manifest\.json$/,
+    /^data\/(paintings|albums)\.json$/,
+    /^uploads\/[\w.-]+$/,
+    /^uploads\/variants\/[\w-]+\/[\w.-]+$/,
+    /^originals\/[\w.-]+$/
+];
+
+// 画作 id 会用作衍生图的目录名，画作和相册的 id 也会出现在页面中
+const ID_PATTERN = /^[\w-]+$/;
+
+// 导入时保留的技术字段的格式，不符合时丢弃（衍生图、主色调等之后会重新生成）
+const DATE_SOURCES = ['upload', 'manual', 'exif'];
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const HEX_PATTERN = /^[0-9a-f]+$/i;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+const MAX_TEXT_FIELD = 255;
+
+// 导入、快照和恢复都要读写整个画廊（数据库和 uploads/），同一时间只能进行一个，否则图片文件和数据库可能对不上
+// 当前进行中的操作：import（导入备份）、snapshot（快照）、restore（从快照恢复），没有时为 null
+const GALLERY_OPERATION_NAMES = {
+    import: '正在导入备份',
+    snapshot: '正在备份',
+    restore: '正在从快照恢复'
+};
+let galleryOperation = null;
+
+// 开始一个操作：已经有操作在进行时返回 false
+function beginGalleryOperation(name) {
+    if (galleryOperation) {
+        return false;
+    }
+    galleryOperation = name;
+    return true;
+}
+
+function endGalleryOperation(name) {
+    if (galleryOperation === name) {
+        galleryOperation = null;
+    }
+}
+
+// 有操作在进行时返回提示（例如 "正在备份，请稍后再试"），否则返回 null
+function galleryBusyMessage() {
+    return galleryOperation ? `${GALLERY_OPERATION_NAMES[galleryOperation]}，请稍后再试` : null;
+}
+
+// 压缩包内容有问题时的错误（返回 400）
+function createBackupError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// 压缩包中的路径是否安全（不能跳出解压目录，也不能覆盖 uploads 下的子目录）
+function isSafeEntryName(name) {
+    if (name.split('/').some(segment => segment === '.' || segment === '..')) {
+        return false;
+    }
+    if (name === 'uploads/variants' || name === 'uploads/temp') {
+        return false;
+    }
+    return ENTRY_PATTERNS.some(pattern => pattern.test(name));
+}
+
+// 压缩包路径与磁盘路径的对应关系
+function diskPath(name) {
+    if (name.startsWith('originals/')) {
+        return path.join(originals.ORIGINALS_DIR, name.slice('originals/'.length));
+    }
+    if (name.startsWith('uploads/variants/')) {
+        return path.join(DERIVATIVES_DIR, name.slice('uploads/variants/'.length));
+    }
+    return path.join(UPLOADS_DIR, name.slice('uploads/'.length));
+}
+
+// 一幅画在压缩包中的全部文件（只列出磁盘上存在的）
+function paintingEntries(painting) {
+    const names = [`uploads/${painting.filename}`];
+    const variantsDir = path.join(DERIVATIVES_DIR, painting.id);
+    if (fs.existsSync(variantsDir)) {
+        fs.readdirSync(variantsDir).sort().forEach(file => names.push(`uploads/variants/${painting.id}/${file}`));
+    }
+    if (painting.originalFile) {
+        names.push(`originals/${path.basename(painting.originalFile)}`);
+    }
+    return names.filter(name => fs.existsSync(diskPath(name)));
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// 往压缩包写入一段内容
+function packBuffer(pack, name, buffer) {
+    return new Promise((resolve, reject) => {
+        pack.entry({ name, size: buffer.length, mtime: new Date() }, buffer, error => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+// 往压缩包写入一个文件，返回文件的大小和 SHA-256
+function packFile(pack, name, filePath) {
+    return new Promise((resolve, reject) => {
+        const { size, mtime } = fs.statSync(filePath);
+        const hash = crypto.createHash('sha256');
+        const entry = pack.entry({ name, size, mtime }, error => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve({ path: name, size, sha256: hash.digest('hex') });
+            }
+        });
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .pipe(entry);
+    });
+}
+
+// 相册导出为普通对象，paintingIds 为相册中的画作
+function albumRecord(storage, album) {
+    return {
+        id: album.id,
+        title: album.title,
+        description: album.description,
+        coverPaintingId: album.coverPaintingId,
+        createdAt: album.createdAt,
+        updatedAt: album.updatedAt,
+        paintingIds: storage.listPaintings({ album: album.id, order: 'asc', trash: 'include' }).map(painting => painting.id)
+    };
+}
+
+// 画廊当前的内容：dataFiles 为 [路径, 内容] 形式的画作信息和相册，fileNames 为全部图片文件在备份中的路径
+function galleryContents(storage) {
+    const paintings = storage.listPaintings({ order: 'asc', trash: 'include' }).map(({ albumIds, ...painting }) => painting);
+    const albums = storage.listAlbums().map(album => albumRecord(storage, album));
+    return {
+        paintings,
+        albums,
+        dataFiles: [
+            ['data/paintings.json', Buffer.from(JSON.stringify(paintings, null, 2))],
+            ['data/albums.json', Buffer.from(JSON.stringify(albums, null, 2))]
+        ],
+        fileNames: paintings.flatMap(paintingEntries)
+    };
+}
+
+// 备份清单，files 为 [{ path, size, sha256 }]
+function createManifest(contents, files) {
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        createdAt: new Date().toISOString(),
+        counts: {
+            paintings: contents.paintings.length,
+            albums: contents.albums.length,
+            files: files.length
+        },
+        files
+    };
+}
+
+// 把整个画廊写成 .tar.gz 到 output（例如 HTTP 响应），边读文件边压缩，不在磁盘上生成临时文件
+async function exportGallery(storage, output) {
+    const pack = tar.pack();
+    const finished = pipeline(pack, zlib.createGzip(), output);
+    // 下载中断时停止读取后面的文件
+    let aborted = false;
+    finished.catch(() => {
+        aborted = true;
+    });
+
+    const contents = galleryContents(storage);
+    const files = [];
+
+    for (const [name, buffer] of contents.dataFiles) {
+        await packBuffer(pack, name, buffer);
+        files.push({ path: name, size: buffer.length, sha256: sha256(buffer) });
+    }
+
+    for (const name of contents.fileNames) {
+        if (aborted) {
+            return finished;
+        }
+        // 打包过程中被删除的文件跳过
+        if (fs.existsSync(diskPath(name))) {
+            files.push(await packFile(pack, name, diskPath(name)));
+        }
+    }
+
+    const manifest = createManifest(contents, files);
+    await packBuffer(pack, 'manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+    pack.finalize();
+    return finished;
+}
+
+// 把上传的压缩包解压到临时目录，返回目录路径
+// 只接受普通文件和目录，路径不在白名单内或解压后超过大小限制时报错
+async function extractArchive(input) {
+    const dir = path.join(TEMP_DIR, `import-${uuidv4()}`);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const extract = tar.extract();
+    let totalSize = 0;
+    extract.on('entry', (header, stream, next) => {
+        const name = header.name.replace(/^\.\//, '');
+        if (header.type === 'directory') {
+            stream.resume();
+            return next();
+        }
+        if (header.type !== 'file' || !isSafeEntryName(name)) {
+            stream.resume();
+            return next(createBackupError(`压缩包中包含无法识别的文件: ${name}`));
+        }
+        totalSize += header.size;
+        if (totalSize > MAX_IMPORT_SIZE) {
+            stream.resume();
+            return next(createBackupError(`压缩包解压后超过 ${Math.round(MAX_IMPORT_SIZE / 1024 / 1024)}MB`));
+        }
+        const target = path.join(dir, name);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        pipeline(stream, fs.createWriteStream(target)).then(() => next(), next);
+    });
+
+    try {
+        await pipeline(input, zlib.createGunzip(), extract);
+    } catch (error) {
+        removeArchiveDir(dir);
+        if (error.status) {
+            throw error;
+        }
+        throw createBackupError('无法解压备份文件，请确认是从画廊导出的 .tar.gz 文件');
+    }
+    return dir;
+}
+
+function readJsonFile(filePath, label) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw createBackupError(`${label} 无法读取`);
+    }
+}
+
+// 解压目录中的全部文件（相对路径）
+function listExtractedFiles(dir, prefix = '') {
+    return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true }).flatMap(entry => {
+        const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+        return entry.isDirectory() ? listExtractedFiles(dir, name) : [name];
+    });
+}
+
+function optionalText(value) {
+    return typeof value === 'string' && value.length <= MAX_TEXT_FIELD ? value : null;
+}
+
+function optionalDate(value) {
+    return typeof value === 'string' && !isNaN(Date.parse(value)) ? new Date(value).toISOString() : null;
+}
+
+function optionalCount(value) {
+    return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+function matches(value, pattern) {
+    return typeof value === 'string' && pattern.test(value) ? value : null;
+}
+
+// 按备份中的衍生图文件重建 variants，地址由画作 id 和文件名生成，不使用备份中记录的地址
+// 缺少文件或尺寸时返回 null，之后会重新生成衍生图
+function rebuildVariants(painting, fileSet) {
+    const recorded = painting.variants && typeof painting.variants === 'object' ? painting.variants : {};
+    const variants = {};
+    for (const sizeName of Object.keys(DERIVATIVE_SIZES)) {
+        const { width, height } = recorded[sizeName] || {};
+        if (!optionalCount(width) || !optionalCount(height)) {
+            return null;
+        }
+        variants[sizeName] = { width, height };
+        for (const [format, { ext }] of Object.entries(DERIVATIVE_FORMATS)) {
+            const name = `uploads/variants/${painting.id}/${sizeName}.${ext}`;
+            if (!fileSet.has(name)) {
+                return null;
+            }
+            variants[sizeName][format] = `/${name}`;
+        }
+    }
+    return variants;
+}
+
+// 校验备份中的一条画作记录，返回 { value } 或 { error }
+// 标题、描述、标签等与上传时一样校验；只保留已知字段，图片地址按 id 和文件名重新生成
+function readPaintingRecord(painting, fileSet) {
+    if (!painting || typeof painting !== 'object' || Array.isArray(painting)) {
+        return { error: '画作信息格式不正确' };
+    }
+    if (typeof painting.id !== 'string' || !ID_PATTERN.test(painting.id)) {
+        return { error: `画作 id 无效: ${painting.id}` };
+    }
+    if (typeof painting.filename !== 'string' || path.basename(painting.filename) !== painting.filename
+        || !fileSet.has(`uploads/${painting.filename}`)) {
+        return { error: `画作 ${painting.id} 缺少图片文件` };
+    }
+    if (painting.originalFile && (typeof painting.originalFile !== 'string'
+        || !fileSet.has(`originals/${painting.originalFile}`))) {
+        return { error: `画作 ${painting.id} 缺少原始文件` };
+    }
+    if (typeof painting.date !== 'string' || isNaN(Date.parse(painting.date))) {
+        return { error: `画作 ${painting.id} 的日期无效` };
+    }
+
+    const { value: metadata, errors } = validatePaintingMetadata({
+        title: painting.title,
+        description: painting.description,
+        tags: painting.tags,
+        medium: painting.medium,
+        ageMonths: painting.ageMonths,
+        date: painting.date
+    });
+    if (errors.length > 0) {
+        return { error: `画作 ${painting.id} 的信息无效：${errors.join('；')}` };
+    }
+
+    const edits = validateEdits(painting.edits);
+    const enhancement = scan.parseEnhancement(painting.enhancement);
+    return {
+        value: {
+            ...metadata,
+            id: painting.id,
+            filename: painting.filename,
+            imageUrl: `/uploads/${painting.filename}`,
+            variants: rebuildVariants(painting, fileSet),
+            originalName: optionalText(painting.originalName),
+            dateSource: DATE_SOURCES.includes(painting.dateSource) ? painting.dateSource : null,
+            capturedAt: optionalDate(painting.capturedAt),
+            cameraModel: optionalText(painting.cameraModel),
+            dominantColor: matches(painting.dominantColor, COLOR_PATTERN),
+            perceptualHash: matches(painting.perceptualHash, HEX_PATTERN),
+            edits: edits.errors.length === 0 ? edits.value : null,
+            enhancement: enhancement.error ? null : enhancement.value,
+            size: optionalCount(painting.size) || 0,
+            width: optionalCount(painting.width),
+            height: optionalCount(painting.height),
+            originalFile: painting.originalFile || null,
+            originalChecksum: matches(painting.originalChecksum, SHA256_PATTERN),
+            originalSize: optionalCount(painting.originalSize),
+            originalMimeType: optionalText(painting.originalMimeType),
+            createdAt: optionalDate(painting.createdAt),
+            deletedAt: optionalDate(painting.deletedAt)
+        }
+    };
+}
+
+// 校验备份中的一条相册记录，返回 { value } 或 { error }
+function readAlbumRecord(album) {
+    if (!album || typeof album !== 'object' || typeof album.id !== 'string' || !ID_PATTERN.test(album.id)
+        || !Array.isArray(album.paintingIds)) {
+        return { error: '相册信息格式不正确' };
+    }
+    const { value, errors } = validateAlbumInput({ title: album.title, description: album.description });
+    if (errors.length > 0) {
+        return { error: `相册 ${album.id} 的信息无效：${errors.join('；')}` };
+    }
+    return {
+        value: {
+            ...value,
+            id: album.id,
+            coverPaintingId: typeof album.coverPaintingId === 'string' ? album.coverPaintingId : null,
+            createdAt: optionalDate(album.createdAt),
+            updatedAt: optionalDate(album.updatedAt),
+            paintingIds: album.paintingIds.filter(id => typeof id === 'string')
+        }
+    };
+}
+
+// 读取并校验解压后的备份：清单格式、每个文件的大小和 SHA-256、画作和相册数据
+// 返回 { dir, manifest, paintings, albums }
+async function readArchive(dir) {
+    const manifestPath = path.join(dir, 'manifest.json');
+    if (!fs.existsSync(manifestPath)) {
+        throw createBackupError('备份文件中缺少 manifest.json');
+    }
+    const manifest = readJsonFile(manifestPath, 'manifest.json');
+    if (manifest.format !== ARCHIVE_FORMAT) {
+        throw createBackupError('不是悦悦画廊的备份文件');
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version > ARCHIVE_VERSION) {
+        throw createBackupError(`不支持的备份版本: ${manifest.version}，请升级画廊后再导入`);
+    }
+    if (!Array.isArray(manifest.files)) {
+        throw createBackupError('manifest.json 格式不正确');
+    }
+
+    // 清单中的文件和压缩包中的文件必须一一对应
+    const listed = new Map(manifest.files.map(file => [file.path, file]));
+    const extracted = listExtractedFiles(dir).filter(name => name !== 'manifest.json');
+    const unlisted = extracted.find(name => !listed.has(name));
+    if (unlisted) {
+        throw createBackupError(`文件不在清单中: ${unlisted}`);
+    }
+    const extractedSet = new Set(extracted);
+    for (const file of listed.values()) {
+        if (!extractedSet.has(file.path)) {
+            throw createBackupError(`备份文件不完整，缺少: ${file.path}`);
+        }
+        const filePath = path.join(dir, file.path);
+        if (fs.statSync(filePath).size !== file.size || await originals.hashFile(filePath) !== file.sha256) {
+            throw createBackupError(`文件校验失败: ${file.path}`);
+        }
+    }
+
+    const paintings = extractedSet.has('data/paintings.json')
+        ? readJsonFile(path.join(dir, 'data/paintings.json'), 'data/paintings.json')
+        : null;
+    const albums = extractedSet.has('data/albums.json')
+        ? readJsonFile(path.join(dir, 'data/albums.json'), 'data/albums.json')
+        : [];
+    if (!Array.isArray(paintings) || !Array.isArray(albums)) {
+        throw createBackupError('备份文件中缺少画作信息');
+    }
+
+    const ids = new Set();
+    const filenames = new Set();
+    const paintingRecords = paintings.map(painting => {
+        const { value, error } = readPaintingRecord(painting, extractedSet);
+        if (error) {
+            throw createBackupError(error);
+        }
+        if (ids.has(value.id) || filenames.has(value.filename)) {
+            throw createBackupError(`画作重复: ${value.id}`);
+        }
+        ids.add(value.id);
+        filenames.add(value.filename);
+        return value;
+    });
+    const albumRecords = albums.map(album => {
+        const { value, error } = readAlbumRecord(album);
+        if (error) {
+            throw createBackupError(error);
+        }
+        return value;
+    });
+
+    return { dir, manifest, paintings: paintingRecords, albums: albumRecords };
+}
+
+// 一幅画在解压目录中的全部文件
+function archiveEntries(dir, painting) {
+    const names = [`uploads/${painting.filename}`];
+    const variantsDir = path.join(dir, 'uploads/variants', painting.id);
+    if (fs.existsSync(variantsDir)) {
+        fs.readdirSync(variantsDir).forEach(file => names.push(`uploads/variants/${painting.id}/${file}`));
+    }
+    if (painting.originalFile) {
+        names.push(`originals/${painting.originalFile}`);
+    }
+    return names;
+}
+
+// 把校验过的备份写入画廊
+// merge：保留现有画作，id 相同、原图校验值相同或图片文件名冲突的画作跳过；同 id 的相册合并其中的画作
+// replace：删除现有的画作（包括回收站中的）和相册，换成备份中的内容
+// 文件先移动到位再写数据库，写入失败时把文件移回原处
+// 返回 { mode, imported, skipped: [{ id, reason, existingId }], albums: { imported, merged } }
+function applyArchive(storage, archive, { mode = 'merge' } = {}) {
+    const { dir, paintings, albums } = archive;
+    const existingPaintings = mode === 'replace' ? storage.listPaintings({ trash: 'include' }) : [];
+    const existingAlbums = mode === 'replace' ? storage.listAlbums() : [];
+
+    // 备份中的画作 id → 导入后画廊中对应的画作 id（文件名冲突而跳过的画作没有对应）
+    const idMap = new Map();
+    const toImport = [];
+    const skipped = [];
+    paintings.forEach(painting => {
+        if (mode === 'merge') {
+            if (storage.getPainting(painting.id)) {
+                idMap.set(painting.id, painting.id);
+                skipped.push({ id: painting.id, reason: 'id', existingId: painting.id });
+                return;
+            }
+            const duplicate = painting.originalChecksum && storage.findPaintingByChecksum(painting.originalChecksum);
+            if (duplicate) {
+                idMap.set(painting.id, duplicate.id);
+                skipped.push({ id: painting.id, reason: 'checksum', existingId: duplicate.id });
+                return;
+            }
+            // 图片文件名已被其他画作占用（旧版数据的文件名与 id 无关）
+            if (fs.existsSync(path.join(UPLOADS_DIR, painting.filename))) {
+                skipped.push({ id: painting.id, reason: 'filename', existingId: null });
+                return;
+            }
+        }
+        idMap.set(painting.id, painting.id);
+        toImport.push(painting);
+    });
+
+    // 已完成的移动 [from, to]，失败时倒序移回
+    const moves = [];
+    const move = (from, to) => {
+        moveFile(from, to);
+        moves.push([from, to]);
+    };
+
+    try {
+        // 替换时先把现有文件挪进临时目录，成功后随临时目录一起删除
+        existingPaintings.forEach(painting => {
+            paintingEntries(painting).forEach(name => move(diskPath(name), path.join(dir, 'replaced', name)));
+        });
+        toImport.forEach(painting => {
+            archiveEntries(dir, painting).forEach(name => move(path.join(dir, name), diskPath(name)));
+        });
+
+        let mergedAlbums = 0;
+        storage.transaction(() => {
+            existingAlbums.forEach(album => storage.deleteAlbum(album.id));
+            existingPaintings.forEach(painting => storage.deletePainting(painting.id));
+
+            toImport.forEach(painting => storage.insertPainting(painting));
+
+            albums.forEach(album => {
+                const paintingIds = [...new Set(album.paintingIds.map(id => idMap.get(id)).filter(Boolean))];
+                if (storage.getAlbum(album.id)) {
+                    storage.addPaintingsToAlbum(album.id, paintingIds);
+                    mergedAlbums++;
+                    return;
+                }
+                const coverPaintingId = idMap.get(album.coverPaintingId);
+                storage.insertAlbum({
+                    ...album,
+                    coverPaintingId: paintingIds.includes(coverPaintingId) ? coverPaintingId : null
+                });
+                storage.addPaintingsToAlbum(album.id, paintingIds);
+            });
+        });
+
+        return {
+            mode,
+            imported: toImport.length,
+            skipped,
+            albums: {
+                imported: albums.length - mergedAlbums,
+                merged: mergedAlbums
+            }
+        };
+    } catch (error) {
+        moves.reverse().forEach(([from, to]) => {
+            try {
+                moveFile(to, from);
+            } catch (rollbackError) {
+                console.error(`恢复文件失败 (${to}):`, rollbackError.message);
+            }
+        });
+        throw error;
+    }
+}
+
+function removeArchiveDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = {
+    ARCHIVE_FORMAT,
+    IMPORT_MODES,
+    beginGalleryOperation,
+    endGalleryOperation,
+    galleryBusyMessage,
+    createBackupError,
+    diskPath,
+    galleryContents,
+    createManifest,
+    exportGallery,
+    extractArchive,
+    readPaintingRecord,
+    readArchive,
+    applyArchive,
+    removeArchiveDir
+};
@@ -0,0 +1,143 @@
+// BMP 解码（sharp 不支持 BMP）
+// 支持未压缩的 1/4/8 位调色板、24 位和 32 位（含 BI_BITFIELDS），不支持 RLE 压缩
+
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+
+// 读取 BMP 头信息，不是可以解码的 BMP 时返回 null
+function readBmpHeader(buffer) {
+    if (buffer.length < 26 || buffer.toString('ascii', 0, 2) !== 'BM') {
+        return null;
+    }
+    const dibSize = buffer.readUInt32LE(14);
+
+    // OS/2 BITMAPCOREHEADER
+    if (dibSize === 12) {
+        return {
+            dibSize,
+            pixelOffset: buffer.readUInt32LE(10),
+            width: buffer.readUInt16LE(18),
+            height: buffer.readInt16LE(20),
+            bitsPerPixel: buffer.readUInt16LE(24),
+            compression: BI_RGB,
+            colorsUsed: 0
+        };
+    }
+    if (dibSize < 40 || buffer.length < 50) {
+        return null;
+    }
+    return {
+        dibSize,
+        pixelOffset: buffer.readUInt32LE(10),
+        width: buffer.readInt32LE(18),
+        height: buffer.readInt32LE(22),
+        bitsPerPixel: buffer.readUInt16LE(28),
+        compression: buffer.readUInt32LE(30),
+        colorsUsed: buffer.readUInt32LE(46)
+    };
+}
+
+// 按掩码取出一个颜色分量并缩放到 0-255
+function maskReader(mask) {
+    if (!mask) {
+        return null;
+    }
+    let shift = 0;
+    while (!((mask >>> shift) & 1)) {
+        shift++;
+    }
+    const max = mask >>> shift;
+    return value => Math.round(((value & mask) >>> shift) * 255 / max);
+}
+
+// 解码为 RGBA 像素，返回 { data, width, height }，格式不支持时抛出错误
+function decodeBmp(buffer) {
+    const header = readBmpHeader(buffer);
+    if (!header) {
+        throw new Error('无效的 BMP 文件');
+    }
+    const { dibSize, pixelOffset, bitsPerPixel, compression } = header;
+    const width = header.width;
+    const height = Math.abs(header.height);
+    const topDown = header.height < 0;
+
+    if (width <= 0 || height <= 0) {
+        throw new Error('无效的 BMP 尺寸');
+    }
+    const paletted = [1, 4, 8].includes(bitsPerPixel) && compression === BI_RGB;
+    const trueColor = (bitsPerPixel === 24 && compression === BI_RGB) ||
+        (bitsPerPixel === 32 && (compression === BI_RGB || compression === BI_BITFIELDS));
+    if (!paletted && !trueColor) {
+        throw new Error(`不支持的 BMP 格式（${bitsPerPixel} 位，压缩方式 ${compression}）`);
+    }
+
+    const stride = Math.floor((bitsPerPixel * width + 31) / 32) * 4;
+    if (pixelOffset + stride * height > buffer.length) {
+        throw new Error('BMP 文件不完整');
+    }
+
+    // 调色板紧跟在信息头后面，OS/2 格式每项 3 字节，其余 4 字节（BGR0）
+    let palette = null;
+    if (paletted) {
+        const entrySize = dibSize === 12 ? 3 : 4;
+        const count = header.colorsUsed || (1 << bitsPerPixel);
+        const start = 14 + dibSize;
+        palette = [];
+        for (let i = 0; i < count && start + i * entrySize + 3 <= buffer.length; i++) {
+            const offset = start + i * entrySize;
+            palette.push([buffer[offset + 2], buffer[offset + 1], buffer[offset]]);
+        }
+    }
+
+    // BI_BITFIELDS 的颜色掩码在信息头之后（V4/V5 信息头里也有同样位置的掩码）
+    // 透明通道不少软件写成全 0，这里统一按不透明处理
+    let masks = null;
+    if (bitsPerPixel === 32 && compression === BI_BITFIELDS) {
+        const readMask = offset => (offset + 4 <= buffer.length ? buffer.readUInt32LE(offset) : 0);
+        masks = {
+            red: maskReader(readMask(54)),
+            green: maskReader(readMask(58)),
+            blue: maskReader(readMask(62))
+        };
+    }
+
+    const data = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const row = pixelOffset + (topDown ? y : height - 1 - y) * stride;
+        for (let x = 0; x < width; x++) {
+            const target = (y * width + x) * 4;
+            let r;
+            let g;
+            let b;
+
+            if (paletted) {
+                const bitOffset = x * bitsPerPixel;
+                const byte = buffer[row + (bitOffset >> 3)];
+                const index = (byte >> (8 - bitsPerPixel - (bitOffset & 7))) & ((1 << bitsPerPixel) - 1);
+                [r, g, b] = palette[index] || [0, 0, 0];
+            } else if (masks) {
+                const value = buffer.readUInt32LE(row + x * 4);
+                r = masks.red ? masks.red(value) : 0;
+                g = masks.green ? masks.green(value) : 0;
+                b = masks.blue ? masks.blue(value) : 0;
+            } else {
+                const offset = row + x * (bitsPerPixel / 8);
+                b = buffer[offset];
+                g = buffer[offset + 1];
+                r = buffer[offset + 2];
+            }
+
+            data[target] = r;
+            data[target + 1] = g;
+            data[target + 2] = b;
+            data[target + 3] = 255;
+        }
+    }
+
+    return { data, width, height };
+}
+
+module.exports = {
+    readBmpHeader,
+    decodeBmp
+};
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// 分块上传：先创建上传会话，再逐块上传，最后合并校验
+// 浏览器创建会话时提供整个文件的 SHA-256，每个分块也带上自己的 SHA-256，服务器逐一核对
+// 会话和分块保存在 uploads/temp/<会话id>/ 下，服务器重启后也可以继续上传
+const TEMP_DIR = './uploads/temp';
+const CHUNK_SIZE = 2 * 1024 * 1024;
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_CHUNKED_UPLOAD_SIZE, 10) || 200 * 1024 * 1024;
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+// 正在合并的会话 id，同一个会话同时只能合并一次
+const completingSessions = new Set();
+
+function sessionDir(id) {
+    return path.join(TEMP_DIR, id);
+}
+
+function sessionFile(id) {
+    return path.join(sessionDir(id), 'session.json');
+}
+
+function chunkFile(id, index) {
+    return path.join(sessionDir(id), `chunk-${index}`);
+}
+
+function saveSession(session) {
+    fs.writeFileSync(sessionFile(session.id), JSON.stringify(session, null, 2));
+}
+
+// 已收到的分块序号
+function listReceivedChunks(session) {
+    return fs.readdirSync(sessionDir(session.id))
+        .map(name => /^chunk-(\d+)$/.exec(name))
+        .filter(Boolean)
+        .map(match => parseInt(match[1], 10))
+        .sort((a, b) => a - b);
+}
+
+// 第 index 块应有的字节数（最后一块可能不满）
+function expectedChunkSize(session, index) {
+    return Math.min(session.chunkSize, session.size - index * session.chunkSize);
+}
+
+// 校验创建会话的参数，返回错误信息或 null
+function validateSessionInput({ filename, size, sha256 }) {
+    if (typeof filename !== 'string' || filename.trim() === '' || filename.length > 255) {
+        return '文件名无效';
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+        return '文件大小无效';
+    }
+    if (size > MAX_UPLOAD_SIZE) {
+        return `文件不能超过 ${Math.round(MAX_UPLOAD_SIZE / 1024 / 1024)}MB`;
+    }
+    if (typeof sha256 !== 'string' || !SHA256_PATTERN.test(sha256)) {
+        return '缺少文件的 SHA-256 校验值或格式无效';
+    }
+    return null;
+}
+
+// 创建上传会话
+function createSession({ filename, size, mimeType, sha256, metadata, allowDuplicate = false, enhancement = null, createdBy }) {
+    const now = new Date().toISOString();
+    const session = {
+        id: uuidv4(),
+        filename: path.basename(filename),
+        size,
+        mimeType: mimeType || 'application/octet-stream',
+        sha256,
+        chunkSize: CHUNK_SIZE,
+        totalChunks: Math.ceil(size / CHUNK_SIZE),
+        metadata,
+        allowDuplicate,
+        enhancement,
+        createdBy,
+        createdAt: now,
+        updatedAt: now
+    };
+    fs.mkdirSync(sessionDir(session.id), { recursive: true });
+    saveSession(session);
+    return session;
+}
+
+// 读取上传会话（附带已收到的分块），不存在时返回 null
+function getSession(id) {
+    if (!SESSION_ID_PATTERN.test(String(id)) || !fs.existsSync(sessionFile(id))) {
+        return null;
+    }
+    const session = JSON.parse(fs.readFileSync(sessionFile(id), 'utf8'));
+    session.receivedChunks = listReceivedChunks(session);
+    return session;
+}
+
+// 检查分块内容与浏览器算出的 SHA-256 是否一致（传输中损坏时不一致，可以重传）
+function verifyChunk(buffer, sha256) {
+    return typeof sha256 === 'string' && SHA256_PATTERN.test(sha256) && Buffer.isBuffer(buffer) &&
+        crypto.createHash('sha256').update(buffer).digest('hex') === sha256;
+}
+
+// 写入一个分块，返回错误信息或 null
+// 先写临时文件再重命名，连接中断时不会留下不完整的分块
+function writeChunk(session, index, buffer) {
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+        return '分块序号无效';
+    }
+    if (!Buffer.isBuffer(buffer) || buffer.length !== expectedChunkSize(session, index)) {
+        return '分块大小不正确';
+    }
+    const target = chunkFile(session.id, index);
+    fs.writeFileSync(target + '.part', buffer);
+    fs.renameSync(target + '.part', target);
+
+    const { receivedChunks, ...stored } = session;
+    saveSession({ ...stored, updatedAt: new Date().toISOString() });
+    return null;
+}
+
+// 按顺序合并全部分块到目标文件，返回合并后文件的 SHA-256
+async function assembleSession(session, targetPath) {
+    const hash = crypto.createHash('sha256');
+    const output = fs.createWriteStream(targetPath);
+
+    try {
+        for (let index = 0; index < session.totalChunks; index++) {
+            const data = fs.readFileSync(chunkFile(session.id, index));
+            hash.update(data);
+            if (!output.write(data)) {
+                await new Promise(resolve => output.once('drain', resolve));
+            }
+        }
+    } finally {
+        await new Promise((resolve, reject) => {
+            output.on('error', reject);
+            output.end(resolve);
+        });
+    }
+
+    return hash.digest('hex');
+}
+
+// 开始合并：已经有请求在合并这个会话时返回 false
+function beginCompletion(id) {
+    if (completingSessions.has(id)) {
+        return false;
+    }
+    completingSessions.add(id);
+    return true;
+}
+
+function endCompletion(id) {
+    completingSessions.delete(id);
+}
+
+function isCompleting(id) {
+    return completingSessions.has(id);
+}
+
+function removeSession(id) {
+    if (SESSION_ID_PATTERN.test(String(id))) {
+        fs.rmSync(sessionDir(id), { recursive: true, force: true });
+    }
+}
+
+// 清理超过一天没有更新的上传会话
+function pruneSessions() {
+    if (!fs.existsSync(TEMP_DIR)) {
+        return;
+    }
+    const now = Date.now();
+    fs.readdirSync(TEMP_DIR).forEach(id => {
+        if (!SESSION_ID_PATTERN.test(id) || isCompleting(id)) {
+            return;
+        }
+        try {
+            const session = JSON.parse(fs.readFileSync(sessionFile(id), 'utf8'));
+            if (now - new Date(session.updatedAt).getTime() > SESSION_TTL) {
+                removeSession(id);
+                console.log(`已清理过期的分块上传: ${session.filename}`);
+            }
+        } catch (error) {
+            // 会话文件损坏，直接清理
+            removeSession(id);
+        }
+    });
+}
+
+module.exports = {
+    CHUNK_SIZE,
+    MAX_UPLOAD_SIZE,
+    validateSessionInput,
+    createSession,
+    getSession,
+    verifyChunk,
+    writeChunk,
+    assembleSession,
+    beginCompletion,
+    endCompletion,
+    isCompleting,
+    removeSession,
+    pruneSessions
+};
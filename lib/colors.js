@@ -0,0 +1,127 @@
+const sharp = require('sharp');
+
+// 画作的主色调：把图片缩小后统计像素的色相，忽略白纸和阴影，取数量最多的色系
+// 结果保存为 #rrggbb（该色系像素的平均颜色），统计页按色系汇总每个月的变化
+
+// 色系（hue 为色相范围的起止角度），neutral 为黑白灰（铅笔、水墨画）
+const COLOR_FAMILIES = [
+    { key: 'red', label: '红', color: '#E53935', hue: [345, 15] },
+    { key: 'orange', label: '橙', color: '#FB8C00', hue: [15, 45] },
+    { key: 'yellow', label: '黄', color: '#FDD835', hue: [45, 70] },
+    { key: 'green', label: '绿', color: '#43A047', hue: [70, 165] },
+    { key: 'cyan', label: '青', color: '#00ACC1', hue: [165, 200] },
+    { key: 'blue', label: '蓝', color: '#1E88E5', hue: [200, 255] },
+    { key: 'purple', label: '紫', color: '#8E24AA', hue: [255, 290] },
+    { key: 'pink', label: '粉', color: '#EC407A', hue: [290, 345] },
+    { key: 'neutral', label: '黑白灰', color: '#9E9E9E', hue: null }
+];
+
+// 统计用的缩略图边长
+const SAMPLE_SIZE = 64;
+
+// 饱和度低于 MIN_SATURATION 的像素算作黑白灰；亮度高于 PAPER_LIGHTNESS 的像素当作白纸忽略
+const MIN_SATURATION = 0.25;
+const PAPER_LIGHTNESS = 0.88;
+const SHADOW_LIGHTNESS = 0.08;
+
+// 彩色像素少于这个比例时认为是黑白画
+const MIN_COLORFUL_RATIO = 0.03;
+
+function rgbToHsl(r, g, b) {
+    const max = Math.max(r, g, b) / 255;
+    const min = Math.min(r, g, b) / 255;
+    const lightness = (max + min) / 2;
+    if (max === min) {
+        return { hue: 0, saturation: 0, lightness };
+    }
+    const delta = max - min;
+    const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+    let hue;
+    if (max === r / 255) {
+        hue = ((g - b) / 255 / delta) % 6;
+    } else if (max === g / 255) {
+        hue = (b - r) / 255 / delta + 2;
+    } else {
+        hue = (r - g) / 255 / delta + 4;
+    }
+    hue = (hue * 60 + 360) % 360;
+    return { hue, saturation, lightness };
+}
+
+function familyOfHue(hue) {
+    return COLOR_FAMILIES.find(family => {
+        if (!family.hue) {
+            return false;
+        }
+        const [start, end] = family.hue;
+        return start < end ? hue >= start && hue < end : hue >= start || hue < end;
+    });
+}
+
+// 颜色（#rrggbb）所属的色系 key
+function colorFamily(hex) {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    if (!match) {
+        return null;
+    }
+    const [r, g, b] = match.slice(1).map(value => parseInt(value, 16));
+    const { hue, saturation } = rgbToHsl(r, g, b);
+    return saturation < MIN_SATURATION ? 'neutral' : familyOfHue(hue).key;
+}
+
+function toHex({ r, g, b, count }) {
+    return '#' + [r, g, b].map(sum => Math.round(sum / count).toString(16).padStart(2, '0')).join('');
+}
+
+// 计算图片的主色调，返回 #rrggbb；整张都是白纸或读取失败时返回 null
+async function extractDominantColor(imagePath) {
+    let data;
+    let info;
+    try {
+        ({ data, info } = await sharp(imagePath)
+            .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside' })
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true }));
+    } catch (error) {
+        console.error('计算主色调出错:', error.message);
+        return null;
+    }
+
+    const totals = {};
+    let colorful = 0;
+    let pixels = 0;
+    for (let offset = 0; offset < data.length; offset += info.channels) {
+        const r = data[offset];
+        const g = data[offset + 1];
+        const b = data[offset + 2];
+        const { hue, saturation, lightness } = rgbToHsl(r, g, b);
+        pixels++;
+        if (lightness > PAPER_LIGHTNESS || lightness < SHADOW_LIGHTNESS) {
+            continue;
+        }
+        const key = saturation < MIN_SATURATION ? 'neutral' : familyOfHue(hue).key;
+        if (key !== 'neutral') {
+            colorful++;
+        }
+        const total = totals[key] || (totals[key] = { r: 0, g: 0, b: 0, count: 0 });
+        total.r += r;
+        total.g += g;
+        total.b += b;
+        total.count++;
+    }
+
+    if (colorful < pixels * MIN_COLORFUL_RATIO) {
+        return totals.neutral ? toHex(totals.neutral) : null;
+    }
+    const winner = Object.entries(totals)
+        .filter(([key]) => key !== 'neutral')
+        .sort((a, b) => b[1].count - a[1].count)[0][1];
+    return toHex(winner);
+}
+
+module.exports = {
+    COLOR_FAMILIES,
+    colorFamily,
+    extractDominantColor
+};
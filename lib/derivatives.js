@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// 衍生图尺寸：缩略图、卡片图、大图（长边像素）
+const DERIVATIVE_SIZES = {
+    thumb: 240,
+    card: 640,
+    full: 2048
+};
+
+// 每个尺寸生成的编码格式
+const DERIVATIVE_FORMATS = {
+    jpeg: { ext: 'jpg', options: { quality: 82, progressive: true, mozjpeg: true } },
+    webp: { ext: 'webp', options: { quality: 80 } },
+    avif: { ext: 'avif', options: { quality: 55, effort: 4 } }
+};
+
+const DERIVATIVES_DIR = './uploads/variants';
+
+// 为一幅画生成全部衍生图
+// 返回 { thumb: { width, height, jpeg, webp, avif }, card: {...}, full: {...} }，值为访问 URL
+async function generateDerivatives(sourcePath, paintingId) {
+    const outputDir = path.join(DERIVATIVES_DIR, paintingId);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const variants = {};
+    try {
+        for (const [sizeName, maxSize] of Object.entries(DERIVATIVE_SIZES)) {
+            const resized = sharp(sourcePath).resize(maxSize, maxSize, {
+                fit: 'inside',
+                withoutEnlargement: true
+            });
+            variants[sizeName] = {};
+
+            for (const [format, { ext, options }] of Object.entries(DERIVATIVE_FORMATS)) {
+                const filename = `${sizeName}.${ext}`;
+                const info = await resized.clone()
+                    .toFormat(format, options)
+                    .toFile(path.join(outputDir, filename));
+                variants[sizeName].width = info.width;
+                variants[sizeName].height = info.height;
+                variants[sizeName][format] = `/uploads/variants/${paintingId}/${filename}`;
+            }
+        }
+    } catch (error) {
+        removeDerivatives(paintingId);
+        throw error;
+    }
+
+    console.log(`衍生图生成完成: ${paintingId}`);
+    return variants;
+}
+
+// 删除一幅画的全部衍生图
+function removeDerivatives(paintingId) {
+    const outputDir = path.join(DERIVATIVES_DIR, paintingId);
+    if (fs.existsSync(outputDir)) {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    DERIVATIVE_SIZES,
+    DERIVATIVE_FORMATS,
+    DERIVATIVES_DIR,
+    generateDerivatives,
+    removeDerivatives
+};
@@ -0,0 +1,142 @@
+const sharp = require('sharp');
+const trash = require('./trash');
+const { LIMITS } = require('./metadata');
+
+// 重复画作检测：同一幅画可能从手机拍一次、扫描仪再扫一次
+// 完全相同的文件用原图的 SHA-256 判断，上传时直接拒绝（除非选择允许重复）
+// 相似的图片用感知哈希（dHash）判断：缩小成 9×8 的灰度图，比较每行相邻像素的明暗，得到 64 位指纹
+// 两个指纹不同的位数越少越相似，相似度 = 1 - 不同位数 / 64
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT;
+
+// 相似度不低于这个值的两幅画会被提示为疑似重复
+const MIN_SIMILARITY = parseFloat(process.env.DUPLICATE_MIN_SIMILARITY) || 0.85;
+
+// 十六进制数字中 1 的个数
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+// 计算图片的感知哈希，返回 16 位十六进制字符串；读取失败时返回 null
+// 先拉伸对比度，同一幅画在不同光线下拍摄也能得到相近的指纹
+async function computePerceptualHash(imagePath) {
+    let data;
+    try {
+        data = await sharp(imagePath)
+            .greyscale()
+            .normalise()
+            .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+            .raw()
+            .toBuffer();
+    } catch (error) {
+        console.error('计算感知哈希出错:', error.message);
+        return null;
+    }
+
+    let hex = '';
+    let nibble = 0;
+    let bit = 0;
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const offset = y * HASH_WIDTH + x;
+            nibble = (nibble << 1) | (data[offset] > data[offset + 1] ? 1 : 0);
+            if (++bit % 4 === 0) {
+                hex += nibble.toString(16);
+                nibble = 0;
+            }
+        }
+    }
+    return hex;
+}
+
+// 两个感知哈希不同的位数
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+    }
+    return distance;
+}
+
+// 比较两幅画的 { originalChecksum, perceptualHash }
+// 返回 { similarity, exact }，exact 表示原图完全相同；不够相似时返回 null
+function compareImages(a, b) {
+    if (a.originalChecksum && a.originalChecksum === b.originalChecksum) {
+        return { similarity: 1, exact: true };
+    }
+    if (!a.perceptualHash || !b.perceptualHash) {
+        return null;
+    }
+    const similarity = Math.round((1 - hammingDistance(a.perceptualHash, b.perceptualHash) / HASH_BITS) * 100) / 100;
+    return similarity >= MIN_SIMILARITY ? { similarity, exact: false } : null;
+}
+
+// 与这幅画相似的其他画作（不含回收站中的），最相似的在前
+function findSimilar(storage, painting) {
+    return storage.listImageHashes()
+        .filter(other => other.id !== painting.id)
+        .map(other => ({ id: other.id, ...compareImages(painting, other) }))
+        .filter(match => match.similarity)
+        .sort((a, b) => b.similarity - a.similarity)
+        .map(match => {
+            const other = storage.getPainting(match.id);
+            return { id: match.id, title: other.title, similarity: match.similarity, exact: match.exact };
+        });
+}
+
+// 所有疑似重复的画作对（跳过已确认不重复的），最相似的在前
+// 返回 [{ paintings: [a, b], similarity, exact }]
+function findDuplicatePairs(storage) {
+    const dismissed = new Set(storage.listDismissedPairs().map(pair => pair.join(':')));
+    const images = storage.listImageHashes();
+    const pairs = [];
+    for (let i = 0; i < images.length; i++) {
+        for (let j = i + 1; j < images.length; j++) {
+            const match = compareImages(images[i], images[j]);
+            if (!match) {
+                continue;
+            }
+            const ids = [images[i].id, images[j].id].sort();
+            if (!dismissed.has(ids.join(':'))) {
+                pairs.push({ ids, ...match });
+            }
+        }
+    }
+    return pairs
+        .sort((a, b) => b.similarity - a.similarity)
+        .map(({ ids, similarity, exact }) => ({
+            paintings: ids.map(id => storage.getPainting(id)),
+            similarity,
+            exact
+        }));
+}
+
+// 合并两幅重复的画作：保留 keep，把 remove 的标签、相册以及 keep 缺少的标题、描述、材料和年龄合并过来，
+// 然后把 remove 移到回收站（保留期内仍可恢复）。返回 { painting, removed }
+function mergePaintings(storage, keep, remove) {
+    const changes = {
+        tags: [...new Set([...keep.tags, ...remove.tags])].slice(0, LIMITS.tags),
+        albumIds: [...new Set([...keep.albumIds, ...remove.albumIds])]
+    };
+    ['title', 'description', 'medium', 'ageMonths'].forEach(field => {
+        const empty = value => value === null || value === undefined || value === '';
+        if (empty(keep[field]) && !empty(remove[field])) {
+            changes[field] = remove[field];
+        }
+    });
+
+    return storage.transaction(() => ({
+        painting: storage.updatePainting(keep.id, changes),
+        removed: trash.moveToTrash(storage, remove.id)
+    }));
+}
+
+module.exports = {
+    MIN_SIMILARITY,
+    computePerceptualHash,
+    hammingDistance,
+    compareImages,
+    findSimilar,
+    findDuplicatePairs,
+    mergePaintings
+};
@@ -0,0 +1,68 @@
+const exifr = require('exifr');
+
+// EXIF 中的时间是拍摄地的当地时间（"2024:03:05 14:30:00"），时区在单独的 OffsetTime* 字段中（"+08:00"）
+const EXIF_DATE_PATTERN = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/;
+const EXIF_OFFSET_PATTERN = /^[+-]\d{2}:\d{2}$/;
+
+// 把 EXIF 时间转换为 ISO 时间：有时区时换算成 UTC；没有时区时保留当地的日期和时间（按 UTC 记录，不按服务器时区换算），
+// 与手动填写的日期一样，拍摄日期不会因为服务器所在的时区而变成前一天或后一天
+function parseExifDate(value, offset) {
+    const match = EXIF_DATE_PATTERN.exec(typeof value === 'string' ? value.trim() : '');
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hour, minute, second] = match;
+    const zone = typeof offset === 'string' && EXIF_OFFSET_PATTERN.test(offset.trim()) ? offset.trim() : 'Z';
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// 读取照片的拍摄信息（支持 JPEG、HEIC、TIFF、PNG 等）
+// 返回 { capturedAt, orientation, cameraModel }，读取失败或没有 EXIF 时各字段为 null
+async function readCaptureMetadata(filePath) {
+    const result = {
+        capturedAt: null,
+        orientation: null,
+        cameraModel: null
+    };
+
+    try {
+        const exif = await exifr.parse(filePath, {
+            pick: [
+                'DateTimeOriginal', 'CreateDate', 'OffsetTimeOriginal', 'OffsetTimeDigitized', 'OffsetTime',
+                'Make', 'Model', 'Orientation'
+            ],
+            translateValues: false,
+            // 时间保留原始文本，由 parseExifDate 按 OffsetTime* 处理时区
+            reviveValues: false
+        });
+        if (!exif) {
+            return result;
+        }
+
+        result.capturedAt = parseExifDate(exif.DateTimeOriginal, exif.OffsetTimeOriginal || exif.OffsetTime)
+            || parseExifDate(exif.CreateDate, exif.OffsetTimeDigitized || exif.OffsetTime);
+
+        if (exif.Orientation) {
+            result.orientation = exif.Orientation;
+        }
+
+        // 型号里通常已经带了厂商名（例如 Canon），没有时再补上
+        const make = String(exif.Make || '').trim();
+        const model = String(exif.Model || '').trim();
+        if (model) {
+            result.cameraModel = make && !model.toLowerCase().startsWith(make.toLowerCase())
+                ? `${make} ${model}`
+                : model;
+        }
+    } catch (error) {
+        console.error('读取 EXIF 出错:', error.message);
+    }
+
+    return result;
+}
+
+module.exports = {
+    parseExifDate,
+    readCaptureMetadata
+};
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+
+// 文件操作的公共函数
+
+// 移动文件，跨磁盘（例如原图库或备份目录在其他分区）时改为复制后删除
+function moveFile(from, to) {
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    try {
+        fs.renameSync(from, to);
+    } catch (error) {
+        if (error.code !== 'EXDEV') {
+            throw error;
+        }
+        fs.copyFileSync(from, to);
+        fs.unlinkSync(from);
+    }
+}
+
+module.exports = {
+    moveFile
+};
@@ -0,0 +1,346 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// HEIF/HEIC 解码链：按顺序尝试各个解码器，前一个失败时自动换下一个
+// 每个解码器提供：
+//   name                 名称（用于日志和 HEIF_DECODERS 环境变量）
+//   isAvailable()        当前环境是否可用
+//   decode(inputPath)    返回 { image: sharp 实例, cleanup?: 清理函数 }
+
+// HEVC 编码的 HEIF 品牌（AVIF 也是 HEIF 容器，但 sharp 可以直接处理，不在此列）
+const HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs', 'mif1', 'msf1'];
+
+// 读取 ftyp 盒子中的主品牌和兼容品牌，不是 ISO BMFF 文件时返回 null
+function readFtypBrands(buffer) {
+    if (buffer.length < 16 || buffer.toString('ascii', 4, 8) !== 'ftyp') {
+        return null;
+    }
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [buffer.toString('ascii', 8, 12)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+        brands.push(buffer.toString('ascii', offset, offset + 4));
+    }
+    return brands.map(brand => brand.replace(/\0/g, ' ').trim());
+}
+
+// 根据文件头判断是否为 HEIC（不依赖扩展名，能识别改了扩展名的 iPhone 照片）
+function isHeicBuffer(buffer) {
+    const brands = readFtypBrands(buffer);
+    if (!brands) {
+        return false;
+    }
+    // mif1 也用于 AVIF，只有兼容品牌中没有 avif 时才当作 HEIC
+    if (brands.includes('avif') || brands.includes('avis')) {
+        return false;
+    }
+    return brands.some(brand => HEIC_BRANDS.includes(brand));
+}
+
+// 最多读取的 meta 盒子大小，正常的 HEIC 只有几 KB 到几十 KB
+const MAX_META_BYTES = 16 * 1024 * 1024;
+
+// 读取 offset 处的盒子头，返回 { type, contentStart, end }，数据不够或格式不对时返回 null
+// end 是外层范围的结束位置（可以超出 buffer），大小为 0 的盒子一直延续到这里
+function readBoxHeader(buffer, offset, end) {
+    const limit = Math.min(buffer.length, end);
+    if (offset + 8 > limit) {
+        return null;
+    }
+    let size = buffer.readUInt32BE(offset);
+    let contentStart = offset + 8;
+    if (size === 1) {
+        if (offset + 16 > limit) {
+            return null;
+        }
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        contentStart = offset + 16;
+    } else if (size === 0) {
+        size = end - offset;
+    }
+    if (size < contentStart - offset) {
+        return null;
+    }
+    return { type: buffer.toString('ascii', offset + 4, offset + 8), contentStart, end: offset + size };
+}
+
+// 列出 [start, end) 范围内的盒子，遇到超出范围的盒子时停止
+function listBoxes(buffer, start, end) {
+    const boxes = [];
+    for (let offset = start; offset < end;) {
+        const box = readBoxHeader(buffer, offset, end);
+        if (!box || box.end > end) {
+            break;
+        }
+        boxes.push(box);
+        offset = box.end;
+    }
+    return boxes;
+}
+
+// pitm：主图的 item id
+function readPrimaryItemId(buffer, pitm) {
+    const version = buffer[pitm.contentStart];
+    const offset = pitm.contentStart + 4;
+    if (offset + (version === 0 ? 2 : 4) > pitm.end) {
+        return null;
+    }
+    return version === 0 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+}
+
+// ipma：每个 item 关联的属性序号（从 1 开始，对应 ipco 中的第几个盒子）
+function readPropertyAssociations(buffer, ipma) {
+    const associations = new Map();
+    const version = buffer[ipma.contentStart];
+    const wideIndex = (buffer[ipma.contentStart + 3] & 1) === 1;
+    const idSize = version === 0 ? 2 : 4;
+    let offset = ipma.contentStart + 4;
+    if (offset + 4 > ipma.end) {
+        return associations;
+    }
+    const entryCount = buffer.readUInt32BE(offset);
+    offset += 4;
+
+    for (let entry = 0; entry < entryCount && offset + idSize + 1 <= ipma.end; entry++) {
+        const itemId = idSize === 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+        const count = buffer[offset + idSize];
+        offset += idSize + 1;
+
+        const indexes = associations.get(itemId) || [];
+        for (let i = 0; i < count && offset + (wideIndex ? 2 : 1) <= ipma.end; i++) {
+            // 最高位是 essential 标志
+            indexes.push(wideIndex ? buffer.readUInt16BE(offset) & 0x7fff : buffer[offset] & 0x7f);
+            offset += wideIndex ? 2 : 1;
+        }
+        associations.set(itemId, indexes);
+    }
+    return associations;
+}
+
+// 在 meta 盒子中找到主图（pitm）通过 ipma 关联的 ispe（图片尺寸）属性
+// 缩略图、网格分块、透明通道等其他图片的尺寸不影响结果
+function readMetaDimensions(buffer, meta) {
+    // meta 是 FullBox，子盒子前有 4 字节的版本和标志
+    const children = listBoxes(buffer, meta.contentStart + 4, meta.end);
+    const pitm = children.find(box => box.type === 'pitm');
+    const iprp = children.find(box => box.type === 'iprp');
+    if (!pitm || !iprp) {
+        return null;
+    }
+    const primaryId = readPrimaryItemId(buffer, pitm);
+
+    const iprpChildren = listBoxes(buffer, iprp.contentStart, iprp.end);
+    const ipco = iprpChildren.find(box => box.type === 'ipco');
+    if (!ipco) {
+        return null;
+    }
+    const properties = listBoxes(buffer, ipco.contentStart, ipco.end);
+
+    // 一个 iprp 中可以有多个 ipma
+    for (const ipma of iprpChildren.filter(box => box.type === 'ipma')) {
+        const indexes = readPropertyAssociations(buffer, ipma).get(primaryId) || [];
+        for (const index of indexes) {
+            const property = properties[index - 1];
+            if (property && property.type === 'ispe' && property.contentStart + 12 <= property.end) {
+                return {
+                    width: buffer.readUInt32BE(property.contentStart + 4),
+                    height: buffer.readUInt32BE(property.contentStart + 8)
+                };
+            }
+        }
+    }
+    return null;
+}
+
+// 不解码像素读取 HEIF 主图的宽高，用于解码前检查尺寸，读不到时返回 null
+// 逐个读取顶层盒子的头部，只把 meta 盒子读进内存，mdat 在 meta 前面的大文件也能读到
+function readHeifDimensions(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const fileSize = fs.fstatSync(fd).size;
+        const header = Buffer.alloc(16);
+        let position = 0;
+        while (position < fileSize) {
+            const bytesRead = fs.readSync(fd, header, 0, header.length, position);
+            const box = readBoxHeader(header.subarray(0, bytesRead), 0, fileSize - position);
+            if (!box || position + box.end > fileSize) {
+                return null;
+            }
+            if (box.type === 'meta') {
+                if (box.end > MAX_META_BYTES) {
+                    return null;
+                }
+                const meta = Buffer.alloc(box.end);
+                fs.readSync(fd, meta, 0, meta.length, position);
+                return readMetaDimensions(meta, box);
+            }
+            position += box.end;
+        }
+        return null;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// 把 libheif 解码出的 RGBA 数据包装成 sharp 实例
+function rgbaToSharp({ data, width, height }) {
+    return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+        raw: { width, height, channels: 4 }
+    });
+}
+
+// 解码器 1：libheif WebAssembly 版本（纯 JS，Linux/macOS/Windows 都可用）
+// 多图容器（连拍、带深度图等）中选择主图，10 位和带透明通道的图片会转换为 8 位 RGBA
+const libheifDecoder = {
+    name: 'libheif',
+    isAvailable() {
+        try {
+            require.resolve('libheif-js/wasm-bundle');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+    async decode(inputPath) {
+        const libheif = require('libheif-js/wasm-bundle');
+        await libheif.ready;
+
+        const decoder = new libheif.HeifDecoder();
+        const images = decoder.decode(fs.readFileSync(inputPath));
+        try {
+            if (!images.length) {
+                throw new Error('HEIF 文件中没有图片');
+            }
+            // libheif-js 封装的 is_primary() 引用了不存在的全局函数，这里直接调用模块上的接口
+            const primary = images.find(image => libheif.heif_image_handle_is_primary_image(image.handle)) || images[0];
+            if (images.length > 1) {
+                console.log(`HEIF 容器包含 ${images.length} 张图片，使用主图`);
+            }
+
+            const width = primary.get_width();
+            const height = primary.get_height();
+            const displayData = await new Promise((resolve, reject) => {
+                primary.display({ data: new Uint8ClampedArray(width * height * 4), width, height }, result => {
+                    if (!result) {
+                        return reject(new Error('libheif 解码失败'));
+                    }
+                    resolve(result);
+                });
+            });
+            return { image: rgbaToSharp(displayData) };
+        } finally {
+            images.forEach(image => image.free());
+            decoder.decoder.delete();
+        }
+    }
+};
+
+// 解码器 2：heic-decode（同样基于 libheif，取容器中的第一张图片）
+const heicDecodeDecoder = {
+    name: 'heic-decode',
+    isAvailable() {
+        try {
+            require.resolve('heic-decode');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+    async decode(inputPath) {
+        const decode = require('heic-decode');
+        const decoded = await decode({ buffer: fs.readFileSync(inputPath) });
+        return { image: rgbaToSharp(decoded) };
+    }
+};
+
+// 解码器 3：sharp 自带的 HEIF 支持（需要 libvips 编译了 HEVC 解码，预编译版本通常只支持 AVIF）
+const sharpDecoder = {
+    name: 'sharp',
+    isAvailable() {
+        return Boolean(sharp.format.heif && sharp.format.heif.input.file);
+    },
+    async decode(inputPath) {
+        const image = sharp(inputPath);
+        // 读取元数据以尽早发现不支持的编码
+        await image.metadata();
+        return { image };
+    }
+};
+
+// 解码器 4：macOS 系统工具 sips
+const sipsDecoder = {
+    name: 'sips',
+    isAvailable() {
+        return process.platform === 'darwin';
+    },
+    async decode(inputPath) {
+        const { execFile } = require('child_process');
+        const util = require('util');
+        const execFilePromise = util.promisify(execFile);
+
+        // 参数逐个传给 sips，不经过 shell，文件名中的特殊字符不会被解释
+        const tempPath = path.join(path.dirname(inputPath), `${path.basename(inputPath)}.sips.jpg`);
+        await execFilePromise('sips', ['-s', 'format', 'jpeg', inputPath, '--out', tempPath]);
+
+        return {
+            image: sharp(tempPath).rotate(),
+            cleanup() {
+                if (fs.existsSync(tempPath)) {
+                    fs.unlinkSync(tempPath);
+                }
+            }
+        };
+    }
+};
+
+const HEIF_DECODERS = [libheifDecoder, heicDecodeDecoder, sharpDecoder, sipsDecoder];
+
+// 注册额外的解码器，默认加在最后
+function registerHeifDecoder(decoder, { first = false } = {}) {
+    if (first) {
+        HEIF_DECODERS.unshift(decoder);
+    } else {
+        HEIF_DECODERS.push(decoder);
+    }
+}
+
+// 当前使用的解码链，可以用 HEIF_DECODERS=libheif,sips 指定顺序
+function getDecoderChain() {
+    const configured = (process.env.HEIF_DECODERS || '').split(',').map(name => name.trim()).filter(Boolean);
+    const chain = configured.length > 0
+        ? configured.map(name => HEIF_DECODERS.find(decoder => decoder.name === name)).filter(Boolean)
+        : HEIF_DECODERS;
+    return chain.filter(decoder => decoder.isAvailable());
+}
+
+// 依次尝试解码器，把解码结果交给 encode(image) 写出
+// 返回成功的解码器名称，全部失败时抛出错误
+async function convertHeif(inputPath, encode) {
+    const chain = getDecoderChain();
+    for (const decoder of chain) {
+        let result = null;
+        try {
+            console.log(`使用 ${decoder.name} 解码 HEIF...`);
+            result = await decoder.decode(inputPath);
+            await encode(result.image);
+            return decoder.name;
+        } catch (error) {
+            console.error(`${decoder.name} 解码失败:`, error.message);
+        } finally {
+            if (result && result.cleanup) {
+                result.cleanup();
+            }
+        }
+    }
+    throw new Error(`无法转换 HEIF 文件（已尝试: ${chain.map(d => d.name).join(', ') || '无可用解码器'}）`);
+}
+
+module.exports = {
+    HEIF_DECODERS,
+    readFtypBrands,
+    isHeicBuffer,
+    readHeifDimensions,
+    registerHeifDecoder,
+    getDecoderChain,
+    convertHeif
+};
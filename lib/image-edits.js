@@ -0,0 +1,255 @@
+const sharp = require('sharp');
+
+// 图片编辑：旋转、裁剪、透视校正、亮度和白平衡
+// 编辑只保存为参数（画作的 edits 字段），每次都从原图重新生成公开的图片，原图始终不变
+//
+// edits = {
+//   rotate: 0 | 90 | 180 | 270      顺时针旋转
+//   angle: -45 ~ 45                  微调角度（与 rotate 一起旋转，画布扩大，空白处铺白色）
+//   perspective: [{ x, y } × 4]      旋转后画面中纸张的四个角（左上、右上、右下、左下），拉正为矩形
+//   crop: { left, top, width, height }   裁剪范围（旋转和透视校正之后的画面）
+//   brightness: 0.5 ~ 1.5            亮度倍数
+//   temperature: -100 ~ 100          色温，正数偏暖（红），负数偏冷（蓝）
+//   tint: -100 ~ 100                 色调，正数偏品红，负数偏绿
+// }
+// 坐标都是相对于当时画面宽高的比例（0 ~ 1），与预览和输出的分辨率无关
+
+const DEFAULT_EDITS = {
+    rotate: 0,
+    angle: 0,
+    perspective: null,
+    crop: null,
+    brightness: 1,
+    temperature: 0,
+    tint: 0
+};
+
+const LIMITS = {
+    angle: 45,
+    brightness: [0.5, 1.5],
+    color: 100,
+    // 裁剪和透视校正后的画面至少保留原来的 5%
+    minSize: 0.05
+};
+
+// 编辑时的最大边长：足够输出 2048 的大图，又不会让透视校正占用太多内存
+const MAX_WORKING_SIZE = 4096;
+
+// 色温、色调每 100 对应的通道增益
+const COLOR_STRENGTH = 0.2;
+
+function isFraction(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+function readNumber(data, name, min, max, label, errors) {
+    if (data[name] === undefined || data[name] === null) {
+        return DEFAULT_EDITS[name];
+    }
+    const value = Number(data[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+        errors.push(`${label}必须在 ${min} 到 ${max} 之间`);
+        return DEFAULT_EDITS[name];
+    }
+    return value;
+}
+
+// 四边形的面积（有向），用于判断四个角是否按顺序围成凸四边形
+function cross(o, a, b) {
+    return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+function readPerspective(input, errors) {
+    if (!Array.isArray(input) || input.length !== 4 ||
+        !input.every(point => point && isFraction(point.x) && isFraction(point.y))) {
+        errors.push('透视校正需要四个角的坐标（0 到 1 之间）');
+        return null;
+    }
+    const points = input.map(({ x, y }) => ({ x, y }));
+    const turns = points.map((point, i) => cross(point, points[(i + 1) % 4], points[(i + 2) % 4]));
+    if (!turns.every(turn => turn > 0)) {
+        errors.push('透视校正的四个角必须按左上、右上、右下、左下的顺序围成四边形');
+        return null;
+    }
+    const area = (cross(points[0], points[1], points[2]) + cross(points[0], points[2], points[3])) / 2;
+    if (area < LIMITS.minSize) {
+        errors.push('透视校正的范围太小');
+        return null;
+    }
+    return points;
+}
+
+function readCrop(input, errors) {
+    const { left, top, width, height } = input || {};
+    if (![left, top, width, height].every(isFraction) || left + width > 1.0001 || top + height > 1.0001) {
+        errors.push('裁剪范围无效');
+        return null;
+    }
+    if (width < LIMITS.minSize || height < LIMITS.minSize) {
+        errors.push('裁剪范围太小');
+        return null;
+    }
+    return { left, top, width: Math.min(width, 1 - left), height: Math.min(height, 1 - top) };
+}
+
+// 校验编辑参数，返回 { value, errors }；value 为 null 表示没有任何编辑（恢复原图）
+function validateEdits(input) {
+    const errors = [];
+    if (input === null || input === undefined) {
+        return { value: null, errors };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { value: null, errors: ['编辑参数格式无效'] };
+    }
+
+    const value = { ...DEFAULT_EDITS };
+    if (input.rotate !== undefined && input.rotate !== null) {
+        value.rotate = Number(input.rotate);
+        if (![0, 90, 180, 270].includes(value.rotate)) {
+            errors.push('旋转角度只能是 0、90、180 或 270');
+        }
+    }
+    value.angle = readNumber(input, 'angle', -LIMITS.angle, LIMITS.angle, '微调角度', errors);
+    value.brightness = readNumber(input, 'brightness', ...LIMITS.brightness, '亮度', errors);
+    value.temperature = readNumber(input, 'temperature', -LIMITS.color, LIMITS.color, '色温', errors);
+    value.tint = readNumber(input, 'tint', -LIMITS.color, LIMITS.color, '色调', errors);
+    if (input.perspective) {
+        value.perspective = readPerspective(input.perspective, errors);
+    }
+    if (input.crop) {
+        value.crop = readCrop(input.crop, errors);
+    }
+
+    const changed = Object.keys(DEFAULT_EDITS).some(key => value[key] !== DEFAULT_EDITS[key]);
+    return { value: changed ? value : null, errors };
+}
+
+// 解 8 元线性方程组（高斯消元），求把输出矩形映射回原画面的单应矩阵
+function solveHomography(from, to) {
+    const rows = [];
+    from.forEach((p, i) => {
+        const q = to[i];
+        rows.push([p.x, p.y, 1, 0, 0, 0, -p.x * q.x, -p.y * q.x, q.x]);
+        rows.push([0, 0, 0, p.x, p.y, 1, -p.x * q.y, -p.y * q.y, q.y]);
+    });
+    for (let col = 0; col < 8; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < 8; row++) {
+            if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) {
+                pivot = row;
+            }
+        }
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+        for (let row = 0; row < 8; row++) {
+            if (row !== col) {
+                const factor = rows[row][col] / rows[col][col];
+                for (let k = col; k < 9; k++) {
+                    rows[row][k] -= factor * rows[col][k];
+                }
+            }
+        }
+    }
+    return rows.map((row, i) => row[8] / row[i]).concat(1);
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// 透视校正：把四边形区域拉正为矩形，双线性插值，超出画面的部分为白色
+// raw 为 3 通道像素，corners 为像素坐标
+function warpPerspective({ data, info }, corners) {
+    const [tl, tr, br, bl] = corners;
+    const width = Math.max(1, Math.round(Math.max(distance(tl, tr), distance(bl, br))));
+    const height = Math.max(1, Math.round(Math.max(distance(tl, bl), distance(tr, br))));
+    const h = solveHomography(
+        [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }],
+        corners
+    );
+
+    const output = Buffer.alloc(width * height * 3, 255);
+    const maxX = info.width - 1;
+    const maxY = info.height - 1;
+    for (let v = 0; v < height; v++) {
+        for (let u = 0; u < width; u++) {
+            const cu = u + 0.5;
+            const cv = v + 0.5;
+            const w = h[6] * cu + h[7] * cv + h[8];
+            const x = (h[0] * cu + h[1] * cv + h[2]) / w - 0.5;
+            const y = (h[3] * cu + h[4] * cv + h[5]) / w - 0.5;
+            if (x < 0 || y < 0 || x > maxX || y > maxY) {
+                continue;
+            }
+            const x0 = Math.floor(x);
+            const y0 = Math.floor(y);
+            const x1 = Math.min(x0 + 1, maxX);
+            const y1 = Math.min(y0 + 1, maxY);
+            const fx = x - x0;
+            const fy = y - y0;
+            const out = (v * width + u) * 3;
+            for (let c = 0; c < 3; c++) {
+                const top = data[(y0 * info.width + x0) * 3 + c] * (1 - fx) + data[(y0 * info.width + x1) * 3 + c] * fx;
+                const bottom = data[(y1 * info.width + x0) * 3 + c] * (1 - fx) + data[(y1 * info.width + x1) * 3 + c] * fx;
+                output[out + c] = Math.round(top * (1 - fy) + bottom * fy);
+            }
+        }
+    }
+    return { data: output, info: { width, height, channels: 3 } };
+}
+
+function toRaw(image) {
+    return image.raw().toBuffer({ resolveWithObject: true });
+}
+
+function fromRaw({ data, info }) {
+    return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+}
+
+// 对已经摆正方向的 sharp 图片应用编辑，返回新的 sharp 图片；edits 为空时原样返回
+// 每一步都先输出像素再进行下一步，保证旋转、透视校正和裁剪按顺序进行
+async function applyEdits(image, edits) {
+    if (!edits) {
+        return image;
+    }
+
+    let raw = await toRaw(image
+        .resize(MAX_WORKING_SIZE, MAX_WORKING_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .removeAlpha());
+
+    const angle = edits.rotate + edits.angle;
+    if (angle % 360 !== 0) {
+        raw = await toRaw(fromRaw(raw).rotate(angle, { background: '#ffffff' }));
+    }
+
+    if (edits.perspective) {
+        const corners = edits.perspective.map(({ x, y }) => ({ x: x * raw.info.width, y: y * raw.info.height }));
+        raw = warpPerspective(raw, corners);
+    }
+
+    if (edits.crop) {
+        const { left, top, width, height } = edits.crop;
+        const region = {
+            left: Math.round(left * raw.info.width),
+            top: Math.round(top * raw.info.height),
+            width: Math.max(1, Math.round(width * raw.info.width)),
+            height: Math.max(1, Math.round(height * raw.info.height))
+        };
+        region.width = Math.min(region.width, raw.info.width - region.left);
+        region.height = Math.min(region.height, raw.info.height - region.top);
+        raw = await toRaw(fromRaw(raw).extract(region));
+    }
+
+    // 亮度和白平衡：每个通道乘以不同的倍数
+    const warm = edits.temperature / LIMITS.color * COLOR_STRENGTH;
+    const magenta = edits.tint / LIMITS.color * COLOR_STRENGTH;
+    const gains = [1 + warm, 1 - magenta, 1 - warm].map(gain => gain * edits.brightness);
+    const result = fromRaw(raw);
+    return gains.every(gain => gain === 1) ? result : result.linear(gains, [0, 0, 0]);
+}
+
+module.exports = {
+    DEFAULT_EDITS,
+    validateEdits,
+    applyEdits
+};
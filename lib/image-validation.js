@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const heif = require('./heif');
+const { readBmpHeader } = require('./bmp');
+
+// 上传图片的内容校验：根据文件头识别真实格式，拒绝伪装类型的文件和尺寸过大的图片
+// 校验不解码像素，只读取文件头和图片尺寸
+
+// 解码前允许的最大像素数和单边长度，防止很小的文件解压出巨大的图片（解压炸弹）
+const MAX_INPUT_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS, 10) || 100 * 1000 * 1000;
+const MAX_IMAGE_DIMENSION = 30000;
+
+// 读取的文件头长度（HEIF 的尺寸信息在 meta 盒子里，可能离文件开头较远）
+const HEADER_BYTES = 1024 * 1024;
+
+// 扩展名和 MIME 类型声明的格式
+const EXTENSION_TYPES = {
+    '.jpg': 'jpeg',
+    '.jpeg': 'jpeg',
+    '.png': 'png',
+    '.gif': 'gif',
+    '.webp': 'webp',
+    '.heic': 'heif',
+    '.heif': 'heif',
+    '.avif': 'heif',
+    '.bmp': 'bmp'
+};
+
+const MIME_TYPES = {
+    'image/jpeg': 'jpeg',
+    'image/jpg': 'jpeg',
+    'image/pjpeg': 'jpeg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/heic': 'heif',
+    'image/heif': 'heif',
+    'image/heic-sequence': 'heif',
+    'image/heif-sequence': 'heif',
+    'image/x-heic': 'heif',
+    'image/x-heif': 'heif',
+    'image/avif': 'heif',
+    'image/bmp': 'bmp',
+    'image/x-bmp': 'bmp',
+    'image/x-ms-bmp': 'bmp'
+};
+
+// 不说明具体格式的 MIME 类型（分块上传、部分浏览器上传 HEIC 时会出现）
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+// 错误代码：前端根据代码显示提示，message 为默认的中文说明
+const UPLOAD_ERRORS = {
+    UNSUPPORTED_TYPE: { status: 415, message: '不支持的文件格式，只能上传 JPEG、PNG、GIF、WebP、HEIC 或 BMP 图片' },
+    TYPE_MISMATCH: { status: 415, message: '文件内容与扩展名或文件类型不符' },
+    INVALID_IMAGE: { status: 422, message: '图片文件已损坏或无法读取' },
+    IMAGE_TOO_LARGE: { status: 413, message: `图片尺寸过大（最多 ${Math.round(MAX_INPUT_PIXELS / 1000000)} 百万像素）` },
+    FILE_TOO_LARGE: { status: 413, message: '文件太大' },
+    CONVERSION_FAILED: { status: 422, message: '图片处理失败' },
+    DUPLICATE: { status: 409, message: '这幅画已经上传过了' }
+};
+
+// 创建带错误代码的错误，路由中用 error.status 和 error.code 返回给前端
+function createUploadError(code, message) {
+    const error = new Error(message || UPLOAD_ERRORS[code].message);
+    error.code = code;
+    error.status = UPLOAD_ERRORS[code].status;
+    return error;
+}
+
+// 根据文件头识别图片格式，返回 jpeg / png / gif / webp / heic / avif / bmp，无法识别时返回 null
+function sniffImageType(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'jpeg';
+    }
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'png';
+    }
+    const ascii = buffer.toString('latin1', 0, Math.min(buffer.length, 16));
+    if (ascii.startsWith('GIF87a') || ascii.startsWith('GIF89a')) {
+        return 'gif';
+    }
+    if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') {
+        return 'webp';
+    }
+    if (readBmpHeader(buffer)) {
+        return 'bmp';
+    }
+    const brands = heif.readFtypBrands(buffer);
+    if (brands) {
+        if (heif.isHeicBuffer(buffer)) {
+            return 'heic';
+        }
+        if (brands.includes('avif') || brands.includes('avis')) {
+            return 'avif';
+        }
+    }
+    return null;
+}
+
+// HEIC 和 AVIF 都属于 HEIF 容器，扩展名和 MIME 类型不区分
+function typeFamily(type) {
+    return type === 'heic' || type === 'avif' ? 'heif' : type;
+}
+
+// 根据扩展名和 MIME 类型粗略判断是否可能是支持的图片（上传前的快速检查）
+function isSupportedImageName(filename, mimetype) {
+    const ext = path.extname(filename || '').toLowerCase();
+    return Boolean(EXTENSION_TYPES[ext] || MIME_TYPES[String(mimetype || '').toLowerCase()]);
+}
+
+// 扩展名或 MIME 类型声明的格式与真实格式是否不符
+function isTypeMismatch(type, filename, mimetype) {
+    const family = typeFamily(type);
+    const ext = path.extname(filename || '').toLowerCase();
+    if (ext && EXTENSION_TYPES[ext] !== family) {
+        return true;
+    }
+    const mime = String(mimetype || '').toLowerCase();
+    if (!GENERIC_MIME_TYPES.includes(mime) && MIME_TYPES[mime] !== family) {
+        return true;
+    }
+    return false;
+}
+
+function readHeader(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(HEADER_BYTES);
+        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// 不解码像素读取图片尺寸
+async function readDimensions(filePath, type, header) {
+    if (type === 'heic') {
+        return heif.readHeifDimensions(filePath);
+    }
+    if (type === 'bmp') {
+        const bmp = readBmpHeader(header);
+        return { width: bmp.width, height: Math.abs(bmp.height) };
+    }
+    try {
+        const metadata = await sharp(filePath, { limitInputPixels: false }).metadata();
+        return { width: metadata.width, height: metadata.height };
+    } catch (error) {
+        return null;
+    }
+}
+
+// 校验上传的图片文件，通过时返回 { type, width, height }，不通过时抛出带错误代码的错误
+async function validateImageFile(filePath, { originalName, mimeType } = {}) {
+    const header = readHeader(filePath);
+    const type = sniffImageType(header);
+    if (!type) {
+        throw createUploadError('UNSUPPORTED_TYPE');
+    }
+    if (isTypeMismatch(type, originalName, mimeType)) {
+        throw createUploadError('TYPE_MISMATCH',
+            `文件内容是 ${type.toUpperCase()} 图片，与文件名或文件类型不符`);
+    }
+
+    const dimensions = await readDimensions(filePath, type, header);
+    if (!dimensions || !(dimensions.width > 0) || !(dimensions.height > 0)) {
+        throw createUploadError('INVALID_IMAGE');
+    }
+    const { width, height } = dimensions;
+    if (width > MAX_IMAGE_DIMENSION || height > MAX_IMAGE_DIMENSION || width * height > MAX_INPUT_PIXELS) {
+        throw createUploadError('IMAGE_TOO_LARGE',
+            `图片尺寸过大（${width}×${height}），最多 ${Math.round(MAX_INPUT_PIXELS / 1000000)} 百万像素`);
+    }
+
+    return { type, width, height };
+}
+
+module.exports = {
+    MAX_INPUT_PIXELS,
+    UPLOAD_ERRORS,
+    createUploadError,
+    sniffImageType,
+    isSupportedImageName,
+    validateImageFile
+};
@@ -0,0 +1,143 @@
+const { MEDIUMS } = require('./metadata');
+
+// 画作列表的查询参数：过滤条件、全文搜索和分页游标
+// 游标记录上一页最后一幅画的日期和 id，翻页时接着往后查，新上传的画作不会让后面的页重复或遗漏
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+const MAX_QUERY_LENGTH = 50;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?Z$/;
+
+// 游标对前端是不透明的字符串
+function encodeCursor(painting) {
+    return Buffer.from(JSON.stringify([painting.date, painting.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [date, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof date === 'string' && typeof id === 'string') {
+            return { date, id };
+        }
+    } catch (error) {
+        // 按无效游标处理
+    }
+    return null;
+}
+
+function isValidDate(value) {
+    return DATE_PATTERN.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+function isValidTimestamp(value) {
+    return TIMESTAMP_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// 日期范围的边界：YYYY-MM-DD 表示整天（按 UTC），完整的 ISO 时间（时间线按月查询时使用）表示精确时刻
+// 返回与数据库中日期格式一致的字符串，格式无效时返回 null
+function readDateBound(value, endOfDay) {
+    if (isValidDate(value)) {
+        return endOfDay ? `${value}T23:59:59.999Z` : value;
+    }
+    if (isValidTimestamp(value)) {
+        return new Date(value).toISOString();
+    }
+    return null;
+}
+
+function readString(query, name) {
+    const value = query[name];
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// 解析 GET /api/paintings 的查询参数，返回 { value, errors }
+//   q            在标题、描述和标签中搜索，空格分隔的多个词需要同时匹配
+//   tag / album / medium   按标签、相册、绘画材料过滤
+//   from / to    创作日期范围（YYYY-MM-DD，包含当天；也可以是完整的 ISO 时间）
+//   order        asc 或 desc（默认，最新的在前）
+//   limit        每页数量，默认 24，最多 100
+//   cursor       上一页返回的 nextCursor
+function parseListQuery(query) {
+    const data = query || {};
+    const value = { filters: {}, order: 'desc', limit: DEFAULT_PAGE_SIZE, after: null };
+    const errors = [];
+
+    const q = readString(data, 'q');
+    if (q.length > MAX_QUERY_LENGTH) {
+        errors.push(`搜索内容不能超过 ${MAX_QUERY_LENGTH} 个字`);
+    } else if (q) {
+        value.filters.terms = [...new Set(q.split(/\s+/))];
+    }
+
+    ['tag', 'album'].forEach(name => {
+        const text = readString(data, name);
+        if (text) {
+            value.filters[name] = text;
+        }
+    });
+
+    const medium = readString(data, 'medium');
+    if (medium) {
+        if (Object.prototype.hasOwnProperty.call(MEDIUMS, medium)) {
+            value.filters.medium = medium;
+        } else {
+            errors.push('不支持的绘画材料');
+        }
+    }
+
+    // 日期以 ISO 字符串存储，直接按字符串比较范围（可以走日期索引）
+    const from = readString(data, 'from');
+    const to = readString(data, 'to');
+    if (from) {
+        value.filters.from = readDateBound(from, false);
+        if (!value.filters.from) {
+            errors.push('开始日期格式无效');
+        }
+    }
+    if (to) {
+        value.filters.to = readDateBound(to, true);
+        if (!value.filters.to) {
+            errors.push('结束日期格式无效');
+        }
+    }
+    if (value.filters.from && value.filters.to && value.filters.from > value.filters.to) {
+        errors.push('开始日期不能晚于结束日期');
+    }
+
+    const order = readString(data, 'order');
+    if (order === 'asc' || order === 'desc') {
+        value.order = order;
+    } else if (order) {
+        errors.push('排序方式只能是 asc 或 desc');
+    }
+
+    const limit = readString(data, 'limit');
+    if (limit) {
+        const size = Number(limit);
+        if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+            errors.push(`每页数量必须是 1 到 ${MAX_PAGE_SIZE} 之间的整数`);
+        } else {
+            value.limit = size;
+        }
+    }
+
+    const cursor = readString(data, 'cursor');
+    if (cursor) {
+        value.after = decodeCursor(cursor);
+        if (!value.after) {
+            errors.push('分页游标无效');
+        }
+    }
+
+    return { value, errors };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    encodeCursor,
+    readDateBound,
+    parseListQuery
+};
@@ -0,0 +1,187 @@
+// 画作元数据：标题、描述、标签、绘画材料、创作时年龄、所属相册
+// 以及相册信息的校验
+
+// 绘画材料
+const MEDIUMS = {
+    'crayon': '蜡笔',
+    'oil-pastel': '油画棒',
+    'watercolor': '水彩',
+    'colored-pencil': '彩色铅笔',
+    'pencil': '铅笔',
+    'marker': '马克笔',
+    'gouache': '水粉',
+    'acrylic': '丙烯',
+    'ink': '水墨',
+    'collage': '拼贴',
+    'digital': '电子绘画',
+    'other': '其他'
+};
+
+const LIMITS = {
+    title: 60,
+    description: 1000,
+    tag: 20,
+    tags: 20,
+    ageMonths: 18 * 12,
+    albumTitle: 40,
+    albumDescription: 500
+};
+
+// 相册 id 列表可以是数组，也可以是逗号分隔的字符串（表单提交）
+function parseIdList(input) {
+    const list = Array.isArray(input) ? input : String(input).split(',');
+    return [...new Set(list.map(id => String(id).trim()).filter(Boolean))];
+}
+
+// 标签可以是数组，也可以是用逗号、顿号或空格分隔的字符串
+function parseTags(input) {
+    const list = Array.isArray(input) ? input : String(input).split(/[,，、\s]+/);
+    const tags = [];
+    list.forEach(tag => {
+        const trimmed = String(tag).trim();
+        if (trimmed && !tags.includes(trimmed)) {
+            tags.push(trimmed);
+        }
+    });
+    return tags;
+}
+
+function validateText(value, field, label, errors) {
+    if (typeof value !== 'string') {
+        errors.push(`${label}必须是文本`);
+        return '';
+    }
+    const trimmed = value.trim();
+    if (trimmed.length > LIMITS[field]) {
+        errors.push(`${label}不能超过 ${LIMITS[field]} 个字`);
+    }
+    return trimmed;
+}
+
+// 校验画作元数据
+// partial 为 true 时只校验传入的字段（用于更新），否则为缺失字段补默认值（用于上传）
+// 返回 { value, errors }，errors 为空数组表示校验通过
+function validatePaintingMetadata(input, { partial = false } = {}) {
+    const data = input || {};
+    const value = {};
+    const errors = [];
+    const has = (field) => data[field] !== undefined;
+
+    if (has('title')) {
+        value.title = validateText(data.title, 'title', '标题', errors);
+    } else if (!partial) {
+        value.title = '';
+    }
+
+    if (has('description')) {
+        value.description = validateText(data.description, 'description', '描述', errors);
+    } else if (!partial) {
+        value.description = '';
+    }
+
+    if (has('tags')) {
+        const tags = parseTags(data.tags);
+        if (tags.length > LIMITS.tags) {
+            errors.push(`标签最多 ${LIMITS.tags} 个`);
+        }
+        if (tags.some(tag => tag.length > LIMITS.tag)) {
+            errors.push(`每个标签不能超过 ${LIMITS.tag} 个字`);
+        }
+        value.tags = tags;
+    } else if (!partial) {
+        value.tags = [];
+    }
+
+    if (has('medium')) {
+        if (data.medium === '' || data.medium === null) {
+            value.medium = null;
+        } else if (Object.prototype.hasOwnProperty.call(MEDIUMS, data.medium)) {
+            value.medium = data.medium;
+        } else {
+            errors.push('不支持的绘画材料');
+        }
+    } else if (!partial) {
+        value.medium = null;
+    }
+
+    if (has('ageMonths')) {
+        if (data.ageMonths === '' || data.ageMonths === null) {
+            value.ageMonths = null;
+        } else {
+            const months = Number(data.ageMonths);
+            if (!Number.isInteger(months) || months < 0 || months > LIMITS.ageMonths) {
+                errors.push('创作时年龄无效');
+            } else {
+                value.ageMonths = months;
+            }
+        }
+    } else if (!partial) {
+        value.ageMonths = null;
+    }
+
+    if (has('date')) {
+        if (typeof data.date !== 'string' || isNaN(new Date(data.date).getTime())) {
+            errors.push('日期格式无效');
+        } else {
+            value.date = new Date(data.date).toISOString();
+        }
+    }
+
+    // 相册是否存在由调用方检查
+    if (has('albumIds')) {
+        value.albumIds = parseIdList(data.albumIds);
+    }
+
+    return { value, errors };
+}
+
+// 校验相册信息，返回 { value, errors }
+// partial 为 true 时只校验传入的字段（用于更新）
+function validateAlbumInput(input, { partial = false } = {}) {
+    const data = input || {};
+    const value = {};
+    const errors = [];
+    const has = (field) => data[field] !== undefined;
+
+    if (has('title')) {
+        value.title = validateText(data.title, 'albumTitle', '相册名称', errors);
+        if (!value.title && typeof data.title === 'string') {
+            errors.push('相册名称不能为空');
+        }
+    } else if (!partial) {
+        errors.push('相册名称不能为空');
+    }
+
+    if (has('description')) {
+        value.description = validateText(data.description, 'albumDescription', '相册介绍', errors);
+    } else if (!partial) {
+        value.description = '';
+    }
+
+    // 封面是否在相册中由调用方检查，null 表示使用默认封面
+    if (has('coverPaintingId')) {
+        if (data.coverPaintingId === null || data.coverPaintingId === '') {
+            value.coverPaintingId = null;
+        } else if (typeof data.coverPaintingId === 'string') {
+            value.coverPaintingId = data.coverPaintingId;
+        } else {
+            errors.push('封面画作无效');
+        }
+    }
+
+    return { value, errors };
+}
+
+// 绘画材料列表（供前端下拉框使用）
+function listMediums() {
+    return Object.entries(MEDIUMS).map(([value, label]) => ({ value, label }));
+}
+
+module.exports = {
+    MEDIUMS,
+    LIMITS,
+    parseTags,
+    validatePaintingMetadata,
+    validateAlbumInput,
+    listMediums
+};
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { moveFile } = require('./files');
+
+// 原图库：保存上传时未经任何处理的原始文件（不通过静态目录公开）
+const ORIGINALS_DIR = process.env.ORIGINALS_DIR || './originals';
+
+// 计算文件的 SHA-256 校验值
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// 把原始文件保存到原图库，文件名为 画作id + 原扩展名
+// move 为 true 时移动文件，否则复制（原文件还要继续使用时）；已经算过校验值时通过 checksum 传入
+async function storeOriginal(sourcePath, paintingId, originalName, { move = false, checksum: knownChecksum = null } = {}) {
+    const ext = path.extname(originalName).toLowerCase();
+    const filename = paintingId + ext;
+    const targetPath = path.join(ORIGINALS_DIR, filename);
+
+    const checksum = knownChecksum || await hashFile(sourcePath);
+    if (move) {
+        moveFile(sourcePath, targetPath);
+    } else {
+        fs.copyFileSync(sourcePath, targetPath);
+    }
+
+    return {
+        file: filename,
+        checksum,
+        size: fs.statSync(targetPath).size
+    };
+}
+
+// 原图在磁盘上的路径，没有保存原图时返回 null
+function originalPath(painting) {
+    if (!painting.originalFile) {
+        return null;
+    }
+    return path.join(ORIGINALS_DIR, path.basename(painting.originalFile));
+}
+
+function removeOriginal(painting) {
+    const filePath = originalPath(painting);
+    if (filePath && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+    }
+}
+
+module.exports = {
+    ORIGINALS_DIR,
+    hashFile,
+    storeOriginal,
+    originalPath,
+    removeOriginal
+};
@@ -0,0 +1,96 @@
+const { v4: uuidv4 } = require('uuid');
+
+// 有并发上限的内存任务队列，用于图片转换等耗 CPU 的处理
+// 每个任务独立执行，一个任务失败不影响其他任务
+function createJobQueue({ concurrency = 2, retention = 60 * 60 * 1000 } = {}) {
+    const jobs = new Map();
+    const pending = [];
+    let running = 0;
+
+    // 清理已结束且超过保留时间的任务
+    function prune() {
+        const now = Date.now();
+        jobs.forEach((job, id) => {
+            if (job.finishedAt && now - new Date(job.finishedAt).getTime() > retention) {
+                jobs.delete(id);
+            }
+        });
+    }
+
+    function next() {
+        while (running < concurrency && pending.length > 0) {
+            const { job, task, resolve, reject } = pending.shift();
+            running++;
+            job.status = 'processing';
+            job.startedAt = new Date().toISOString();
+
+            Promise.resolve()
+                .then(task)
+                .then(result => {
+                    job.status = 'done';
+                    job.result = result;
+                    resolve(result);
+                }, error => {
+                    job.status = 'failed';
+                    job.error = error.message;
+                    job.errorCode = error.code || null;
+                    reject(error);
+                })
+                .finally(() => {
+                    job.finishedAt = new Date().toISOString();
+                    running--;
+                    next();
+                });
+        }
+    }
+
+    // 加入队列，返回 { job, promise }
+    // job 是可以直接返回给前端的状态对象，promise 在任务结束时完成
+    function enqueue(task, info = {}) {
+        prune();
+        const job = {
+            id: uuidv4(),
+            ...info,
+            status: 'queued',
+            error: null,
+            errorCode: null,
+            result: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+        jobs.set(job.id, job);
+
+        const promise = new Promise((resolve, reject) => {
+            pending.push({ job, task, resolve, reject });
+        });
+        // 调用方不等待结果时避免未处理的 rejection
+        promise.catch(() => {});
+
+        next();
+        return { job, promise };
+    }
+
+    function getJob(id) {
+        return jobs.get(id) || null;
+    }
+
+    function listJobs(filter = () => true) {
+        return Array.from(jobs.values()).filter(filter);
+    }
+
+    function getStatus() {
+        return { running, queued: pending.length, concurrency };
+    }
+
+    return {
+        enqueue,
+        getJob,
+        listJobs,
+        getStatus
+    };
+}
+
+module.exports = {
+    createJobQueue
+};
@@ -0,0 +1,294 @@
+const sharp = require('sharp');
+
+// 扫描增强：让拍照上传的画看起来像扫描仪扫出来的
+// 1. 把画面分成网格，每格取最亮的一部分像素作为纸张颜色，得到整张图的光照和偏色分布
+//    被大片颜色占满的网格看不到纸张，用周围网格的纸张颜色代替
+// 2. 找出纸张所在的区域（与纸张颜色接近的连续网格），再逐行逐列收紧边缘，裁掉周围的桌面
+// 3. 每个像素除以所在位置的纸张颜色：阴影、光照不均和偏色一起去掉，纸张变成白色
+// 4. 提高饱和度，让蜡笔、水彩的颜色更鲜艳
+
+// 处理方式：画作的 enhancement 字段
+const ENHANCEMENTS = {
+    scan: '扫描增强'
+};
+
+// 网格的格数（长边）
+const GRID_SIZE = 24;
+
+// 每格中亮度排在前 20% 的像素当作纸张
+const PAPER_PERCENTILE = 0.8;
+
+// 纸张亮度达到这个比例就认为是白色（去掉纸张纹理和轻微的噪点）
+const WHITE_POINT = 0.92;
+
+// 与纸张颜色的差别：亮度低于最亮纸张的 55%，或色度高于 0.18 的网格不算纸张
+const PAPER_MIN_LIGHTNESS = 0.55;
+const PAPER_MAX_CHROMA = 0.18;
+
+// 纸张区域太小时认为没有识别出纸张，不裁剪
+const MIN_PAPER_AREA = 0.3;
+
+// 去掉背景后各通道都不低于这个值的像素算作纸张；边缘一行（列）中纸张不到一半时裁掉
+const PAPER_PIXEL_MIN = 200;
+const EDGE_PAPER_RATIO = 0.5;
+
+const SATURATION = 1.35;
+
+const MAX_WORKING_SIZE = 4096;
+
+// 校验处理方式：空值表示不处理，返回 { value, error }
+function parseEnhancement(input) {
+    if (input === undefined || input === null || input === '' || input === 'none') {
+        return { value: null, error: null };
+    }
+    if (typeof input === 'string' && Object.prototype.hasOwnProperty.call(ENHANCEMENTS, input)) {
+        return { value: input, error: null };
+    }
+    return { value: null, error: '不支持的处理方式' };
+}
+
+function luminance(r, g, b) {
+    return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+// 每个网格的纸张颜色 [r, g, b]（0 ~ 255）
+function estimatePaper({ data, info }, columns, rows) {
+    const cellWidth = info.width / columns;
+    const cellHeight = info.height / rows;
+    const grid = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const x0 = Math.floor(column * cellWidth);
+            const x1 = Math.max(x0 + 1, Math.floor((column + 1) * cellWidth));
+            const y0 = Math.floor(row * cellHeight);
+            const y1 = Math.max(y0 + 1, Math.floor((row + 1) * cellHeight));
+            // 像素较多时隔几个取一个，结果差别不大
+            const step = Math.max(1, Math.floor(Math.sqrt((x1 - x0) * (y1 - y0) / 1024)));
+            const samples = [];
+            for (let y = y0; y < y1; y += step) {
+                for (let x = x0; x < x1; x += step) {
+                    const offset = (y * info.width + x) * 3;
+                    samples.push([data[offset], data[offset + 1], data[offset + 2]]);
+                }
+            }
+            samples.sort((a, b) => luminance(...a) - luminance(...b));
+            const bright = samples.slice(Math.floor(samples.length * PAPER_PERCENTILE));
+            const color = [0, 1, 2].map(c => bright.reduce((sum, sample) => sum + sample[c], 0) / bright.length);
+            grid.push(color);
+        }
+    }
+    return grid;
+}
+
+// 哪些网格能看到纸张：足够亮，并且颜色接近灰白
+function paperMask(grid) {
+    const lightness = grid.map(color => luminance(...color) / 255);
+    const brightest = Math.max(...lightness);
+    return grid.map((color, index) => {
+        const chroma = (Math.max(...color) - Math.min(...color)) / 255;
+        return lightness[index] >= brightest * PAPER_MIN_LIGHTNESS && chroma <= PAPER_MAX_CHROMA;
+    });
+}
+
+// 看不到纸张的网格逐圈用相邻网格的平均值填上；一格纸张都没有时返回 null
+function fillGrid(grid, mask, columns, rows) {
+    if (!mask.some(Boolean)) {
+        return null;
+    }
+    const filled = grid.map((color, index) => (mask[index] ? color : null));
+    while (filled.some(color => color === null)) {
+        const next = filled.map((color, index) => {
+            if (color) {
+                return color;
+            }
+            const column = index % columns;
+            const row = Math.floor(index / columns);
+            const neighbours = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+                .map(([dx, dy]) => [column + dx, row + dy])
+                .filter(([x, y]) => x >= 0 && x < columns && y >= 0 && y < rows)
+                .map(([x, y]) => filled[y * columns + x])
+                .filter(Boolean);
+            if (neighbours.length === 0) {
+                return null;
+            }
+            return [0, 1, 2].map(c => neighbours.reduce((sum, neighbour) => sum + neighbour[c], 0) / neighbours.length);
+        });
+        next.forEach((color, index) => {
+            filled[index] = color;
+        });
+    }
+    return filled;
+}
+
+// 3×3 平均，让光照的变化更平滑
+function smoothGrid(grid, columns, rows) {
+    return grid.map((_, index) => {
+        const column = index % columns;
+        const row = Math.floor(index / columns);
+        const total = [0, 0, 0];
+        let count = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const x = column + dx;
+                const y = row + dy;
+                if (x >= 0 && x < columns && y >= 0 && y < rows) {
+                    grid[y * columns + x].forEach((value, c) => {
+                        total[c] += value;
+                    });
+                    count++;
+                }
+            }
+        }
+        return total.map(value => value / count);
+    });
+}
+
+// 纸张所在的区域：从离画面中心最近的纸张网格出发，找出连续的纸张网格，返回边界（网格坐标）
+// 没有找到或者范围太小时返回 null
+function findPaperRegion(mask, columns, rows) {
+    let start = -1;
+    let nearest = Infinity;
+    mask.forEach((paper, index) => {
+        const distance = Math.hypot(index % columns - (columns - 1) / 2, Math.floor(index / columns) - (rows - 1) / 2);
+        if (paper && distance < nearest) {
+            start = index;
+            nearest = distance;
+        }
+    });
+    if (start < 0) {
+        return null;
+    }
+
+    const visited = new Set([start]);
+    const queue = [start];
+    const bounds = { left: columns, top: rows, right: -1, bottom: -1 };
+    while (queue.length > 0) {
+        const index = queue.shift();
+        const column = index % columns;
+        const row = Math.floor(index / columns);
+        bounds.left = Math.min(bounds.left, column);
+        bounds.right = Math.max(bounds.right, column);
+        bounds.top = Math.min(bounds.top, row);
+        bounds.bottom = Math.max(bounds.bottom, row);
+        [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+            const x = column + dx;
+            const y = row + dy;
+            const next = y * columns + x;
+            if (x >= 0 && x < columns && y >= 0 && y < rows && mask[next] && !visited.has(next)) {
+                visited.add(next);
+                queue.push(next);
+            }
+        });
+    }
+
+    const area = (bounds.right - bounds.left + 1) * (bounds.bottom - bounds.top + 1) / (columns * rows);
+    return area >= MIN_PAPER_AREA ? bounds : null;
+}
+
+function paperRatio(data, width, pixels) {
+    let paper = 0;
+    pixels.forEach(([x, y]) => {
+        const offset = (y * width + x) * 3;
+        if (data[offset] >= PAPER_PIXEL_MIN && data[offset + 1] >= PAPER_PIXEL_MIN && data[offset + 2] >= PAPER_PIXEL_MIN) {
+            paper++;
+        }
+    });
+    return paper / pixels.length;
+}
+
+function range(from, to) {
+    return Array.from({ length: Math.max(0, to - from) }, (_, i) => from + i);
+}
+
+// 网格边界会带上一部分桌面：从四边向内逐行逐列检查（已去掉背景的像素），纸张不到一半的行列裁掉
+// 每边最多收紧 limit 像素，box 为 { left, top, right, bottom }（right、bottom 不含）
+function tightenEdges(data, width, box, limit) {
+    const result = { ...box };
+    const column = x => range(result.top, result.bottom).map(y => [x, y]);
+    const row = y => range(result.left, result.right).map(x => [x, y]);
+    while (result.left < box.left + limit && paperRatio(data, width, column(result.left)) < EDGE_PAPER_RATIO) {
+        result.left++;
+    }
+    while (result.right > box.right - limit && paperRatio(data, width, column(result.right - 1)) < EDGE_PAPER_RATIO) {
+        result.right--;
+    }
+    while (result.top < box.top + limit && paperRatio(data, width, row(result.top)) < EDGE_PAPER_RATIO) {
+        result.top++;
+    }
+    while (result.bottom > box.bottom - limit && paperRatio(data, width, row(result.bottom - 1)) < EDGE_PAPER_RATIO) {
+        result.bottom--;
+    }
+    return result;
+}
+
+// 对 sharp 图片应用扫描增强，返回新的 sharp 图片
+async function applyScanEnhancement(image) {
+    const { data, info } = await image
+        .resize(MAX_WORKING_SIZE, MAX_WORKING_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const columns = info.width >= info.height ? GRID_SIZE : Math.max(1, Math.round(GRID_SIZE * info.width / info.height));
+    const rows = info.height > info.width ? GRID_SIZE : Math.max(1, Math.round(GRID_SIZE * info.height / info.width));
+    const grid = estimatePaper({ data, info }, columns, rows);
+    const mask = paperMask(grid);
+    const filled = fillGrid(grid, mask, columns, rows);
+    if (!filled) {
+        // 没有看到纸张（比如整幅画涂满了颜色），只提高饱和度
+        return sharp(data, { raw: info }).modulate({ saturation: SATURATION });
+    }
+    const paper = smoothGrid(filled, columns, rows);
+
+    // 按网格中心双线性插值出每个像素位置的纸张颜色，再除以它
+    const output = Buffer.alloc(data.length);
+    const cellWidth = info.width / columns;
+    const cellHeight = info.height / rows;
+    for (let y = 0; y < info.height; y++) {
+        const gy = Math.min(Math.max((y + 0.5) / cellHeight - 0.5, 0), rows - 1);
+        const row0 = Math.floor(gy);
+        const row1 = Math.min(row0 + 1, rows - 1);
+        const fy = gy - row0;
+        for (let x = 0; x < info.width; x++) {
+            const gx = Math.min(Math.max((x + 0.5) / cellWidth - 0.5, 0), columns - 1);
+            const column0 = Math.floor(gx);
+            const column1 = Math.min(column0 + 1, columns - 1);
+            const fx = gx - column0;
+            const offset = (y * info.width + x) * 3;
+            for (let c = 0; c < 3; c++) {
+                const top = paper[row0 * columns + column0][c] * (1 - fx) + paper[row0 * columns + column1][c] * fx;
+                const bottom = paper[row1 * columns + column0][c] * (1 - fx) + paper[row1 * columns + column1][c] * fx;
+                const background = Math.max(top * (1 - fy) + bottom * fy, 1);
+                output[offset + c] = Math.min(255, Math.round(data[offset + c] / background / WHITE_POINT * 255));
+            }
+        }
+    }
+
+    let result = sharp(output, { raw: { width: info.width, height: info.height, channels: 3 } });
+
+    const region = findPaperRegion(mask, columns, rows);
+    if (region) {
+        const box = tightenEdges(output, info.width, {
+            left: Math.round(region.left * cellWidth),
+            top: Math.round(region.top * cellHeight),
+            right: Math.min(Math.round((region.right + 1) * cellWidth), info.width),
+            bottom: Math.min(Math.round((region.bottom + 1) * cellHeight), info.height)
+        }, Math.round(Math.max(cellWidth, cellHeight) * 1.5));
+        if (box.right - box.left < info.width || box.bottom - box.top < info.height) {
+            const cropped = await result
+                .extract({ left: box.left, top: box.top, width: box.right - box.left, height: box.bottom - box.top })
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+            result = sharp(cropped.data, { raw: cropped.info });
+        }
+    }
+
+    return result.modulate({ saturation: SATURATION });
+}
+
+module.exports = {
+    ENHANCEMENTS,
+    parseEnhancement,
+    applyScanEnhancement
+};
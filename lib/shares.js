@@ -0,0 +1,196 @@
+const auth = require('./auth');
+const { DERIVATIVE_FORMATS } = require('./derivatives');
+
+// 分享链接：家长为一幅画或一个相册生成签名链接 /share/<令牌>，收到链接的人不用登录就能查看（只读）
+// 令牌里只有分享记录的 id，用会话密钥签名（令牌类型为 share，不能当作会话使用）；撤销链接就是删除记录，令牌随之失效
+// 每个链接可以设置有效期和访问密码，并记录打开次数
+
+const MAX_EXPIRY_DAYS = 365;
+const PASSWORD_MIN_LENGTH = 4;
+const PASSWORD_MAX_LENGTH = 100;
+
+// 输入密码后的解锁状态保存在 Cookie 中，最长 1 天
+const UNLOCK_COOKIE_PREFIX = 'yueyue_share_';
+const UNLOCK_MAX_AGE = 24 * 60 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 检查 POST /api/shares 的参数，返回 { value, errors }
+//   paintingId / albumId   要分享的画作或相册，二选一
+//   expiresInDays          有效天数（1 到 365），不填表示永久有效
+//   password               访问密码（至少 4 位），不填表示不需要密码
+function validateShareInput(input) {
+    const data = input || {};
+    const value = { paintingId: null, albumId: null, expiresAt: null, password: null };
+    const errors = [];
+
+    const paintingId = typeof data.paintingId === 'string' ? data.paintingId.trim() : '';
+    const albumId = typeof data.albumId === 'string' ? data.albumId.trim() : '';
+    if (!paintingId === !albumId) {
+        errors.push('请选择要分享的一幅画或一个相册');
+    } else {
+        value.paintingId = paintingId || null;
+        value.albumId = albumId || null;
+    }
+
+    if (data.expiresInDays !== undefined && data.expiresInDays !== null && data.expiresInDays !== '') {
+        const days = Number(data.expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+            errors.push(`有效天数必须是 1 到 ${MAX_EXPIRY_DAYS} 之间的整数`);
+        } else {
+            value.expiresAt = new Date(Date.now() + days * DAY).toISOString();
+        }
+    }
+
+    if (data.password !== undefined && data.password !== null && data.password !== '') {
+        if (typeof data.password !== 'string' ||
+            data.password.length < PASSWORD_MIN_LENGTH || data.password.length > PASSWORD_MAX_LENGTH) {
+            errors.push(`访问密码需为 ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} 位`);
+        } else {
+            value.password = data.password;
+        }
+    }
+
+    return { value, errors };
+}
+
+// 新建分享链接，返回保存后的记录
+function createShareLink(storage, { id, paintingId, albumId, expiresAt, password, createdBy }) {
+    return storage.insertShareLink({
+        id,
+        paintingId,
+        albumId,
+        expiresAt,
+        passwordHash: password ? auth.hashPassword(password) : null,
+        createdBy
+    });
+}
+
+function shareToken(link) {
+    return auth.signToken(auth.TOKEN_TYPES.SHARE, { share: link.id });
+}
+
+function isExpired(link) {
+    return Boolean(link.expiresAt) && link.expiresAt <= new Date().toISOString();
+}
+
+// 对外返回的分享记录（不含密码哈希），附带令牌、访问地址和是否过期
+function publicShareLink(link) {
+    const { passwordHash, ...rest } = link;
+    const token = shareToken(link);
+    return {
+        ...rest,
+        hasPassword: Boolean(passwordHash),
+        expired: isExpired(link),
+        token,
+        url: `/share/${token}`
+    };
+}
+
+// 根据令牌找到分享记录，返回 { link } 或 { status, error }
+// 签名无效或记录已删除（撤销）时为 404，过期时为 410
+function resolveShareToken(storage, token) {
+    const payload = auth.verifyToken(token, auth.TOKEN_TYPES.SHARE);
+    const link = payload && typeof payload.share === 'string' ? storage.getShareLink(payload.share) : null;
+    if (!link) {
+        return { status: 404, error: '分享链接不存在或已被撤销' };
+    }
+    if (isExpired(link)) {
+        return { status: 410, error: '分享链接已过期' };
+    }
+    return { link };
+}
+
+function unlockCookieName(link) {
+    return UNLOCK_COOKIE_PREFIX + link.id;
+}
+
+// 不需要密码，或者已经输入过正确的密码
+function isUnlocked(req, link) {
+    if (!link.passwordHash) {
+        return true;
+    }
+    const payload = auth.verifyToken(auth.parseCookies(req.headers.cookie)[unlockCookieName(link)], auth.TOKEN_TYPES.SHARE_UNLOCK);
+    return Boolean(payload) && payload.unlock === link.id;
+}
+
+function checkSharePassword(link, password) {
+    return typeof password === 'string' && auth.verifyPassword(password, link.passwordHash);
+}
+
+// 密码正确后写入解锁 Cookie（不超过链接本身的有效期）
+function setUnlockCookie(req, res, link) {
+    let maxAge = UNLOCK_MAX_AGE;
+    if (link.expiresAt) {
+        maxAge = Math.min(maxAge, Date.parse(link.expiresAt) - Date.now());
+    }
+    res.cookie(unlockCookieName(link), auth.signToken(auth.TOKEN_TYPES.SHARE_UNLOCK, { unlock: link.id, exp: Date.now() + maxAge }), {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        maxAge,
+        path: '/'
+    });
+}
+
+// 分享内容中的全部画作（相册的封面也算在内）
+function sharedPaintings(content) {
+    if (content.type === 'painting') {
+        return [content.painting];
+    }
+    return content.album.cover ? [...content.paintings, content.album.cover] : content.paintings;
+}
+
+// 去掉地址中的版本号（编辑或扫描增强后图片地址带有 ?v=...）
+function stripQuery(url) {
+    return url.split('?')[0];
+}
+
+// 画作的全部图片地址：展示用的 JPEG 和各尺寸的衍生图
+function paintingFileUrls(painting) {
+    const urls = [painting.imageUrl];
+    Object.values(painting.variants || {}).forEach(variant => {
+        Object.keys(DERIVATIVE_FORMATS).forEach(format => urls.push(variant[format]));
+    });
+    return urls.filter(url => typeof url === 'string');
+}
+
+// 把画作的图片地址 /uploads/... 换成经过分享链接的 /api/share/:token/files/...（版本号保留），
+// 这样私密画廊中没有登录的人也能看到分享的图片，链接撤销或过期后图片随之无法访问
+function withShareFileUrls(token, content) {
+    const prefix = `/api/share/${encodeURIComponent(token)}/files/`;
+    const rewrite = url => (typeof url === 'string' && url.startsWith('/uploads/') ? prefix + url.slice('/uploads/'.length) : url);
+    const rewritePainting = painting => ({
+        ...painting,
+        imageUrl: rewrite(painting.imageUrl),
+        variants: painting.variants && Object.fromEntries(Object.entries(painting.variants).map(([size, variant]) =>
+            [size, Object.fromEntries(Object.entries(variant).map(([key, value]) => [key, rewrite(value)]))]))
+    });
+
+    if (content.type === 'painting') {
+        return { ...content, painting: rewritePainting(content.painting) };
+    }
+    const album = { ...content.album, cover: content.album.cover && rewritePainting(content.album.cover) };
+    return { ...content, album, paintings: content.paintings.map(rewritePainting) };
+}
+
+// 分享页请求的图片文件（uploads 下的相对路径，不含版本号），属于分享的画作时返回该路径，否则返回 null
+function findSharedFile(content, file) {
+    const url = '/uploads/' + stripQuery(file);
+    const found = sharedPaintings(content).some(painting =>
+        paintingFileUrls(painting).some(fileUrl => stripQuery(fileUrl) === url));
+    return found ? stripQuery(file) : null;
+}
+
+module.exports = {
+    MAX_EXPIRY_DAYS,
+    validateShareInput,
+    createShareLink,
+    publicShareLink,
+    resolveShareToken,
+    isUnlocked,
+    checkSharePassword,
+    setUnlockCookie,
+    withShareFileUrls,
+    findSharedFile
+};
@@ -0,0 +1,397 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const backup = require('./backup');
+
+// 自动备份：定期把画廊快照保存到 BACKUP_DIR（例如挂载的 NAS 目录）
+// 文件按内容的 SHA-256 保存在 objects/ 下，内容没有变化的文件不会重复复制
+// 每个快照是 snapshots/<快照id>.json，格式与导出备份的 manifest.json 相同，另外记录状态和新增的数据量
+//   BACKUP_DIR/
+//   ├── objects/ab/abcdef...     文件内容
+//   └── snapshots/20250101T020000Z.json
+
+const BACKUP_DIR = process.env.BACKUP_DIR || null;
+const INTERVAL_HOURS = parseFloat(process.env.BACKUP_INTERVAL_HOURS) || 24;
+
+// 保留策略：每天、每周、每月各保留最新的一个快照；恢复前自动保存的快照另外保留 restoreDays 天
+const RETENTION = {
+    daily: parseInt(process.env.BACKUP_KEEP_DAILY, 10) || 7,
+    weekly: parseInt(process.env.BACKUP_KEEP_WEEKLY, 10) || 4,
+    monthly: parseInt(process.env.BACKUP_KEEP_MONTHLY, 10) || 12,
+    restoreDays: parseInt(process.env.BACKUP_KEEP_RESTORE_DAYS, 10) || 30
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 检查是否需要备份的间隔
+const CHECK_INTERVAL = 10 * 60 * 1000;
+
+const TEMP_DIR = './uploads/temp';
+const SNAPSHOT_ID_PATTERN = /^\d{8}T\d{6}Z(-\d+)?$/;
+
+// 正在进行的快照（同一时间只做一个）
+let currentRun = null;
+
+function createSnapshotError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function isEnabled() {
+    return Boolean(BACKUP_DIR);
+}
+
+function snapshotsDir() {
+    return path.join(BACKUP_DIR, 'snapshots');
+}
+
+function snapshotFile(id) {
+    return path.join(snapshotsDir(), `${id}.json`);
+}
+
+function objectPath(sha256) {
+    return path.join(BACKUP_DIR, 'objects', sha256.slice(0, 2), sha256);
+}
+
+function readSnapshot(id) {
+    if (!SNAPSHOT_ID_PATTERN.test(id) || !fs.existsSync(snapshotFile(id))) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(snapshotFile(id), 'utf8'));
+    } catch (error) {
+        console.error(`读取快照出错 (${id}):`, error.message);
+        return null;
+    }
+}
+
+// 先写临时文件再改名，避免中断时留下不完整的快照记录
+function writeSnapshot(snapshot) {
+    const file = snapshotFile(snapshot.id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(snapshot, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+// 全部快照（包括文件列表），按时间从新到旧
+function readAllSnapshots() {
+    if (!isEnabled() || !fs.existsSync(snapshotsDir())) {
+        return [];
+    }
+    return fs.readdirSync(snapshotsDir())
+        .filter(name => name.endsWith('.json'))
+        .map(name => readSnapshot(name.slice(0, -'.json'.length)))
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// 快照列表（不含文件列表）
+function listSnapshots() {
+    return readAllSnapshots().map(({ files, format, version, ...summary }) => summary);
+}
+
+// 按时间生成快照 id，例如 20250101T020000Z
+function newSnapshotId() {
+    const base = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    let id = base;
+    for (let n = 2; fs.existsSync(snapshotFile(id)); n++) {
+        id = `${base}-${n}`;
+    }
+    return id;
+}
+
+// 把文件复制进 objects/，边复制边计算 SHA-256，已有相同内容时丢弃副本
+async function storeObject(filePath) {
+    const tempPath = path.join(BACKUP_DIR, 'objects', `${uuidv4()}.tmp`);
+    const hash = crypto.createHash('sha256');
+    const input = fs.createReadStream(filePath).on('data', chunk => hash.update(chunk));
+    try {
+        await pipeline(input, fs.createWriteStream(tempPath));
+        const sha256 = hash.digest('hex');
+        const target = objectPath(sha256);
+        const size = fs.statSync(tempPath).size;
+        if (fs.existsSync(target)) {
+            fs.unlinkSync(tempPath);
+            return { sha256, size, added: false };
+        }
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.renameSync(tempPath, target);
+        return { sha256, size, added: true };
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
+
+function storeBuffer(buffer) {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const target = objectPath(sha256);
+    if (fs.existsSync(target)) {
+        return { sha256, size: buffer.length, added: false };
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(`${target}.tmp`, buffer);
+    fs.renameSync(`${target}.tmp`, target);
+    return { sha256, size: buffer.length, added: true };
+}
+
+// 保存一个快照，trigger 为 schedule（定时）、manual（手动）或 restore（恢复前自动保存）
+async function takeSnapshot(storage, trigger) {
+    fs.mkdirSync(snapshotsDir(), { recursive: true });
+    fs.mkdirSync(path.join(BACKUP_DIR, 'objects'), { recursive: true });
+
+    const snapshot = {
+        id: newSnapshotId(),
+        trigger,
+        status: 'running',
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        error: null
+    };
+    writeSnapshot(snapshot);
+
+    try {
+        // 上一个完整快照中大小和修改时间都没变的文件直接沿用，不再读取
+        const previous = readAllSnapshots().find(item => item.status === 'complete');
+        const known = new Map((previous ? previous.files : []).map(file => [file.path, file]));
+
+        const contents = backup.galleryContents(storage);
+        const files = [];
+        let newFiles = 0;
+        let newBytes = 0;
+        const record = (name, stored, mtimeMs) => {
+            files.push({ path: name, size: stored.size, sha256: stored.sha256, mtimeMs });
+            if (stored.added) {
+                newFiles++;
+                newBytes += stored.size;
+            }
+        };
+
+        contents.dataFiles.forEach(([name, buffer]) => record(name, storeBuffer(buffer)));
+        for (const name of contents.fileNames) {
+            const filePath = backup.diskPath(name);
+            // 备份过程中被删除的文件跳过
+            if (!fs.existsSync(filePath)) {
+                continue;
+            }
+            const { size, mtimeMs } = fs.statSync(filePath);
+            const last = known.get(name);
+            if (last && last.size === size && last.mtimeMs === mtimeMs && fs.existsSync(objectPath(last.sha256))) {
+                record(name, { size, sha256: last.sha256, added: false }, mtimeMs);
+            } else {
+                record(name, await storeObject(filePath), mtimeMs);
+            }
+        }
+
+        const manifest = backup.createManifest(contents, files);
+        Object.assign(snapshot, manifest, {
+            createdAt: snapshot.createdAt,
+            status: 'complete',
+            finishedAt: new Date().toISOString(),
+            newFiles,
+            newBytes,
+            totalBytes: files.reduce((total, file) => total + file.size, 0)
+        });
+        writeSnapshot(snapshot);
+        console.log(`💾 备份完成: ${snapshot.id}（新增 ${newFiles} 个文件）`);
+    } catch (error) {
+        snapshot.status = 'failed';
+        snapshot.finishedAt = new Date().toISOString();
+        snapshot.error = error.message;
+        writeSnapshot(snapshot);
+        throw error;
+    }
+
+    // 恢复前的快照不清理旧快照，以免正要恢复的快照被删除
+    if (trigger !== 'restore') {
+        applyRetention();
+    }
+    return snapshot;
+}
+
+// 开始一次快照，返回快照完成时的 promise；没有设置备份目录，或者已经有快照、导入或恢复在进行时直接抛出错误
+// 恢复前的快照由恢复自己占用画廊（见 restoreSnapshot），不再单独占用
+function startSnapshot(storage, trigger = 'manual') {
+    if (!isEnabled()) {
+        throw createSnapshotError('没有设置备份目录（BACKUP_DIR）', 400);
+    }
+    if (currentRun) {
+        throw createSnapshotError('正在备份，请稍后再试', 409);
+    }
+    const locked = trigger !== 'restore';
+    if (locked && !backup.beginGalleryOperation('snapshot')) {
+        throw createSnapshotError(backup.galleryBusyMessage(), 409);
+    }
+    currentRun = takeSnapshot(storage, trigger).finally(() => {
+        currentRun = null;
+        if (locked) {
+            backup.endGalleryOperation('snapshot');
+        }
+    });
+    return currentRun;
+}
+
+function isRunning() {
+    return Boolean(currentRun);
+}
+
+function dayKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+// 以周一为一周的开始
+function weekKey(date) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+    return dayKey(monday);
+}
+
+function monthKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}`;
+}
+
+// 按保留策略选出要保留的完整快照 id（每天、每周、每月最新的一个）
+// 恢复前保存的快照通常不是当天最新的，单独按时间保留，恢复错了在这段时间内都能回去
+function selectRetained(snapshots, retention = RETENTION, now = Date.now()) {
+    const complete = snapshots.filter(snapshot => snapshot.status === 'complete');
+    const keep = new Set();
+    complete
+        .filter(snapshot => snapshot.trigger === 'restore' &&
+            now - new Date(snapshot.createdAt).getTime() < retention.restoreDays * DAY)
+        .forEach(snapshot => keep.add(snapshot.id));
+    [[retention.daily, dayKey], [retention.weekly, weekKey], [retention.monthly, monthKey]].forEach(([count, keyOf]) => {
+        const periods = new Set();
+        for (const snapshot of complete) {
+            const key = keyOf(new Date(snapshot.createdAt));
+            if (periods.has(key)) {
+                continue;
+            }
+            if (periods.size >= count) {
+                break;
+            }
+            periods.add(key);
+            keep.add(snapshot.id);
+        }
+    });
+    return keep;
+}
+
+// 删除超出保留策略的快照和不再被引用的文件
+// 失败的快照保留到下一次成功备份为止，方便在管理后台查看原因
+function applyRetention() {
+    const snapshots = readAllSnapshots();
+    const keep = selectRetained(snapshots);
+    const latestComplete = snapshots.find(snapshot => snapshot.status === 'complete');
+
+    snapshots.forEach(snapshot => {
+        const expired = snapshot.status === 'complete'
+            ? !keep.has(snapshot.id)
+            : snapshot.status === 'failed' && latestComplete && snapshot.createdAt < latestComplete.createdAt;
+        if (expired) {
+            fs.rmSync(snapshotFile(snapshot.id), { force: true });
+        }
+    });
+
+    const referenced = new Set();
+    snapshots.filter(snapshot => keep.has(snapshot.id)).forEach(snapshot => {
+        snapshot.files.forEach(file => referenced.add(file.sha256));
+    });
+    const objectsDir = path.join(BACKUP_DIR, 'objects');
+    fs.readdirSync(objectsDir, { withFileTypes: true }).forEach(entry => {
+        const entryPath = path.join(objectsDir, entry.name);
+        if (!entry.isDirectory()) {
+            // 中断的复制留下的临时文件
+            fs.rmSync(entryPath, { force: true });
+            return;
+        }
+        fs.readdirSync(entryPath).forEach(name => {
+            if (!referenced.has(name)) {
+                fs.rmSync(path.join(entryPath, name), { force: true });
+            }
+        });
+    });
+}
+
+// 用快照替换整个画廊；恢复前先给当前的画廊保存一个快照，恢复错了还能回去
+async function restoreSnapshot(storage, id) {
+    const snapshot = readSnapshot(id);
+    if (!snapshot) {
+        throw createSnapshotError('快照不存在', 404);
+    }
+    if (snapshot.status !== 'complete') {
+        throw createSnapshotError('这个快照没有完成，不能用来恢复', 400);
+    }
+    if (!backup.beginGalleryOperation('restore')) {
+        throw createSnapshotError(backup.galleryBusyMessage(), 409);
+    }
+
+    const dir = path.join(TEMP_DIR, `restore-${uuidv4()}`);
+    try {
+        const safety = await startSnapshot(storage, 'restore');
+        snapshot.files.forEach(file => {
+            const source = objectPath(file.sha256);
+            if (!fs.existsSync(source)) {
+                throw createSnapshotError(`快照数据不完整，缺少: ${file.path}`, 400);
+            }
+            const target = path.join(dir, file.path);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(source, target);
+        });
+        const { id: snapshotId, trigger, status, finishedAt, error, ...manifest } = snapshot;
+        fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest));
+
+        const archive = await backup.readArchive(dir);
+        return {
+            ...backup.applyArchive(storage, archive, { mode: 'replace' }),
+            safetySnapshot: safety.id
+        };
+    } finally {
+        backup.removeArchiveDir(dir);
+        backup.endGalleryOperation('restore');
+    }
+}
+
+// 启动定时备份：距离上一个完整快照超过 BACKUP_INTERVAL_HOURS 时自动备份
+function startSchedule(storage) {
+    if (!isEnabled()) {
+        return;
+    }
+    fs.mkdirSync(snapshotsDir(), { recursive: true });
+
+    // 服务器在备份过程中停止时留下的记录
+    readAllSnapshots().filter(snapshot => snapshot.status === 'running').forEach(snapshot => {
+        writeSnapshot({ ...snapshot, status: 'failed', error: '服务器在备份过程中停止' });
+    });
+
+    const check = () => {
+        const latest = readAllSnapshots().find(snapshot => snapshot.status === 'complete');
+        if (currentRun || backup.galleryBusyMessage() || (latest && Date.now() - Date.parse(latest.createdAt) < INTERVAL_HOURS * 60 * 60 * 1000)) {
+            return;
+        }
+        startSnapshot(storage, 'schedule').catch(error => console.error('自动备份出错:', error.message));
+    };
+    check();
+    setInterval(check, CHECK_INTERVAL).unref();
+    console.log(`💾 自动备份: ${path.resolve(BACKUP_DIR)}（每 ${INTERVAL_HOURS} 小时）`);
+}
+
+// 管理后台显示的备份设置
+function getSettings() {
+    return {
+        enabled: isEnabled(),
+        directory: isEnabled() ? path.resolve(BACKUP_DIR) : null,
+        intervalHours: INTERVAL_HOURS,
+        retention: RETENTION,
+        running: isRunning()
+    };
+}
+
+module.exports = {
+    listSnapshots,
+    startSnapshot,
+    restoreSnapshot,
+    selectRetained,
+    startSchedule,
+    getSettings
+};
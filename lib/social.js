@@ -0,0 +1,467 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const timeline = require('./timeline');
+
+// 社交分享预览：把链接贴到微信、聊天软件时显示的标题、描述和图片
+// 页面由服务器插入 Open Graph 标签（og:title、og:description、og:image），
+// og:image 是用 sharp 合成的分享卡片：左边是画作，右边是标题、日期和孩子的名字
+
+// 卡片和预览中显示的孩子的名字
+const CHILD_NAME = (process.env.CHILD_NAME || '').trim() || '悦悦';
+const SITE_NAME = `${CHILD_NAME}的画廊`;
+
+// 网站的公开地址（例如 https://gallery.example.com），og:url 和 og:image 需要完整地址；
+// 请求中的 Host 可以被伪造，不用来拼地址，没有设置时预览中不带链接地址和卡片图片
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').trim().replace(/\/+$/, '');
+
+// 卡片和预览中的日期按这个时区显示（IANA 时区名），同一张卡片发给谁都显示同一天，与服务器所在的时区无关
+const DEFAULT_TIMEZONE = 'Asia/Shanghai';
+
+function parseTimezone(value) {
+    const timezone = String(value || '').trim();
+    if (!timezone) {
+        return DEFAULT_TIMEZONE;
+    }
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+    } catch (error) {
+        console.warn(`GALLERY_TIMEZONE 无效（应为 IANA 时区名，例如 Asia/Shanghai），使用 ${DEFAULT_TIMEZONE}: ${timezone}`);
+        return DEFAULT_TIMEZONE;
+    }
+}
+
+const GALLERY_TIMEZONE = parseTimezone(process.env.GALLERY_TIMEZONE);
+const dateFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: GALLERY_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+// 常见的中文字体文件（文件名），卡片上的文字需要其中之一，否则汉字会显示为方框
+const CJK_FONT_PATTERN = /(cjk|wqy|wenquanyi|pingfang|hiragino|sourcehan|source-han|droidsansfallback|notosanssc|notoserifsc|msyh|simhei|simsun|ukai|uming)/i;
+const FONT_DIRS = [
+    '/usr/share/fonts',
+    '/usr/local/share/fonts',
+    path.join(os.homedir(), '.fonts'),
+    path.join(os.homedir(), '.local/share/fonts'),
+    '/System/Library/Fonts',
+    '/Library/Fonts',
+    path.join(process.env.WINDIR || 'C:\\Windows', 'Fonts')
+];
+const FONT_DIR_MAX_DEPTH = 4;
+
+// 生成的卡片缓存在这里（不在备份中，删除后会自动重新生成）
+const SHARE_CARDS_DIR = './data/share-cards';
+
+// 卡片尺寸（大多数平台推荐的 1.91:1）和布局
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const CARD_PADDING = 40;
+const FRAME_SIZE = CARD_HEIGHT - CARD_PADDING * 2;
+const FRAME_INSET = 20;
+const TEXT_LEFT = CARD_PADDING * 2 + FRAME_SIZE;
+const TEXT_WIDTH = CARD_WIDTH - TEXT_LEFT - CARD_PADDING * 2;
+const NAME_FONT_SIZE = 40;
+const TITLE_FONT_SIZE = 60;
+const TITLE_LINE_HEIGHT = 78;
+const TITLE_MAX_LINES = 3;
+const SUBTITLE_FONT_SIZE = 34;
+const TEXT_GAP = 36;
+const FONT_FAMILY = "'PingFang SC', 'Hiragino Sans GB', 'Noto Sans CJK SC', 'Source Han Sans SC', " +
+    "'Microsoft YaHei', 'WenQuanYi Micro Hei', sans-serif";
+
+// 布局或样式改变时加 1，已经缓存的卡片会重新生成
+const CARD_VERSION = 2;
+
+const DESCRIPTION_MAX_LENGTH = 150;
+
+// 正在生成的卡片，同一张卡片同时被请求时只生成一次
+const pendingCards = new Map();
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 某个时刻在 GALLERY_TIMEZONE 中的年、月、日，以及该时区相对 UTC 的分钟数（东八区为 480）
+function zonedDate(isoDate) {
+    const time = new Date(isoDate).getTime();
+    const parts = Object.fromEntries(dateFormat.formatToParts(time).map(part => [part.type, Number(part.value)]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        timezoneOffset: Math.round((wallClock - Math.floor(time / 60000) * 60000) / 60000)
+    };
+}
+
+// 与页面上相同的日期格式，例如 "2024年03月05日"
+function formatDate(isoDate) {
+    const { year, month, day } = zonedDate(isoDate);
+    return `${year}年${String(month).padStart(2, '0')}月${String(day).padStart(2, '0')}日`;
+}
+
+function formatAge(ageMonths) {
+    const years = Math.floor(ageMonths / 12);
+    const months = ageMonths % 12;
+    if (years === 0) {
+        return `${months}个月`;
+    }
+    return months === 0 ? `${years}岁` : `${years}岁${months}个月`;
+}
+
+// 创作日期，知道年龄时加上年龄，例如 "2024年03月05日 · 4岁3个月"
+function paintingDateText(painting) {
+    const ageMonths = painting.ageMonths !== null && painting.ageMonths !== undefined
+        ? painting.ageMonths
+        : timeline.ageInMonths(timeline.CHILD_BIRTHDAY, painting.date, zonedDate(painting.date).timezoneOffset);
+    const date = formatDate(painting.date);
+    return ageMonths === null ? date : `${date} · ${formatAge(ageMonths)}`;
+}
+
+function truncate(text, maxLength) {
+    const chars = Array.from(text);
+    return chars.length > maxLength ? chars.slice(0, maxLength - 1).join('') + '…' : text;
+}
+
+// 页面的完整地址，没有设置 PUBLIC_URL 时为 null
+function absoluteUrl(pathname) {
+    return PUBLIC_URL ? PUBLIC_URL + pathname : null;
+}
+
+// 在字体目录中找中文字体，返回第一个找到的文件路径，没有时返回 null
+function findCjkFont(dirs = FONT_DIRS) {
+    const search = (dir, depth) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            return null;
+        }
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory() && depth < FONT_DIR_MAX_DEPTH) {
+                const found = search(entryPath, depth + 1);
+                if (found) {
+                    return found;
+                }
+            } else if (/\.(ttf|ttc|otf|otc)$/i.test(entry.name) && CJK_FONT_PATTERN.test(entry.name)) {
+                return entryPath;
+            }
+        }
+        return null;
+    };
+    for (const dir of dirs) {
+        const found = search(dir, 0);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+// 没有中文字体时卡片上不写文字（只有画作），避免整张卡片都是方框
+const CJK_FONT = findCjkFont();
+
+// 启动时检查预览的配置，有问题时在日志中提示
+function checkConfiguration() {
+    if (!PUBLIC_URL) {
+        console.warn('⚠️  没有设置 PUBLIC_URL，链接预览中不会有地址和分享卡片图片（见 README "设置孩子的名字和网站地址"）');
+    }
+    if (!CJK_FONT) {
+        console.warn('⚠️  没有找到中文字体，分享卡片上不会显示文字；请安装中文字体（例如 fonts-noto-cjk）后重启');
+    }
+}
+
+// 画作页 /painting/:id 的预览信息
+function paintingMeta(painting) {
+    const title = painting.title || '无题';
+    const dateText = paintingDateText(painting);
+    return {
+        type: 'article',
+        title,
+        pageTitle: `${title} - ${SITE_NAME}`,
+        description: truncate(painting.description ? `${dateText} · ${painting.description}` : `${CHILD_NAME}画于 ${dateText}`,
+            DESCRIPTION_MAX_LENGTH),
+        url: absoluteUrl(`/painting/${encodeURIComponent(painting.id)}`),
+        image: absoluteUrl(`/api/paintings/${encodeURIComponent(painting.id)}/share-card.jpg?v=${paintingCardKey(painting)}`)
+    };
+}
+
+// 相册页 /?album=:id 的预览信息
+function albumMeta(album) {
+    return {
+        type: 'website',
+        title: album.title,
+        pageTitle: `${album.title} - ${SITE_NAME}`,
+        description: truncate(album.description || `${CHILD_NAME}的相册，共 ${album.paintingCount} 幅画`, DESCRIPTION_MAX_LENGTH),
+        url: absoluteUrl(`/?album=${encodeURIComponent(album.id)}`),
+        image: absoluteUrl(`/api/albums/${encodeURIComponent(album.id)}/share-card.jpg?v=${albumCardKey(album)}`)
+    };
+}
+
+// 分享页 /share/:token 的预览信息：内容与画作页、相册页相同，地址和卡片图片都经过分享链接，私密画廊中也能显示
+//   content  { type: 'painting', painting } 或 { type: 'album', album }
+function shareMeta(token, content) {
+    const meta = content.type === 'painting' ? paintingMeta(content.painting) : albumMeta(content.album);
+    const key = content.type === 'painting' ? paintingCardKey(content.painting) : albumCardKey(content.album);
+    const sharePath = encodeURIComponent(token);
+    return {
+        ...meta,
+        url: absoluteUrl(`/share/${sharePath}`),
+        image: absoluteUrl(`/api/share/${sharePath}/share-card.jpg?v=${key}`)
+    };
+}
+
+// 画廊主页（以及找不到画作或相册时）的预览信息
+function galleryMeta() {
+    return {
+        type: 'website',
+        title: SITE_NAME,
+        pageTitle: SITE_NAME,
+        description: `${CHILD_NAME}的画作、相册和成长时间线`,
+        url: absoluteUrl('/'),
+        image: null
+    };
+}
+
+// 把预览信息写进页面：替换 <title>，并在后面加上 Open Graph 和 Twitter 卡片标签
+function renderPage(html, meta) {
+    const tags = [
+        ['name', 'description', meta.description],
+        ['property', 'og:site_name', SITE_NAME],
+        ['property', 'og:type', meta.type],
+        ['property', 'og:title', meta.title],
+        ['property', 'og:description', meta.description],
+        ['name', 'twitter:card', meta.image ? 'summary_large_image' : 'summary'],
+        ['name', 'twitter:title', meta.title],
+        ['name', 'twitter:description', meta.description]
+    ];
+    if (meta.url) {
+        tags.push(['property', 'og:url', meta.url]);
+    }
+    if (meta.image) {
+        tags.push(
+            ['property', 'og:image', meta.image],
+            ['property', 'og:image:width', String(CARD_WIDTH)],
+            ['property', 'og:image:height', String(CARD_HEIGHT)],
+            ['name', 'twitter:image', meta.image]
+        );
+    }
+    const head = [`<title>${escapeHtml(meta.pageTitle)}</title>`]
+        .concat(tags.map(([attribute, name, content]) =>
+            `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`
+        ))
+        .join('\n    ');
+    return html.replace(/<title>[^<]*<\/title>/, () => head);
+}
+
+// 卡片内容的摘要：图片、标题、日期或名字改变后地址和缓存文件都会变
+function cardKey(parts) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([CARD_VERSION, CHILD_NAME, Boolean(CJK_FONT), ...parts]))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+function paintingCardKey(painting) {
+    return cardKey([painting.imageUrl, painting.title, paintingDateText(painting)]);
+}
+
+function albumCardKey(album) {
+    return cardKey([album.cover ? album.cover.imageUrl : null, album.title, album.paintingCount]);
+}
+
+// 估算文字宽度（粗体）：汉字等全角字符按 1 个字号，其他字符按 0.65 个字号
+function textWidth(text, fontSize) {
+    return Array.from(text).reduce((width, char) =>
+        width + (/[\u2e80-\uffef]/.test(char) ? fontSize : fontSize * 0.65), 0);
+}
+
+// 按宽度折行（汉字逐字折行，英文单词不拆开，除非一个单词就超过一行），超过最多行数时最后一行以省略号结尾
+function wrapText(text, fontSize, maxWidth, maxLines) {
+    const tokens = text.match(/[\u2e80-\uffef]|[^\s\u2e80-\uffef]+|\s+/g) || [];
+    const pieces = tokens.flatMap(token =>
+        textWidth(token, fontSize) > maxWidth ? Array.from(token) : [token]
+    );
+    const lines = [];
+    let line = '';
+    for (const piece of pieces) {
+        if (line && textWidth(line + piece, fontSize) > maxWidth) {
+            lines.push(line.trimEnd());
+            line = piece.trimStart();
+        } else {
+            line += piece;
+        }
+    }
+    if (line) {
+        lines.push(line);
+    }
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        let last = lines[maxLines - 1];
+        while (last && textWidth(last + '…', fontSize) > maxWidth) {
+            last = Array.from(last).slice(0, -1).join('');
+        }
+        lines[maxLines - 1] = last + '…';
+    }
+    return lines;
+}
+
+// 相框的左边位置：有文字时在左边，没有中文字体（不写文字）时居中
+function frameLeft() {
+    return CJK_FONT ? CARD_PADDING : Math.round((CARD_WIDTH - FRAME_SIZE) / 2);
+}
+
+// 卡片上的文字（SVG 的 <text>），没有中文字体时为空
+function cardText({ title, subtitle }) {
+    if (!CJK_FONT) {
+        return [];
+    }
+    const titleLines = wrapText(title, TITLE_FONT_SIZE, TEXT_WIDTH, TITLE_MAX_LINES);
+    // 名字、标题和日期整体垂直居中，y 为每行文字的基线
+    const blockHeight = NAME_FONT_SIZE + TEXT_GAP + titleLines.length * TITLE_LINE_HEIGHT +
+        (subtitle ? TEXT_GAP + SUBTITLE_FONT_SIZE : 0);
+    let y = Math.round((CARD_HEIGHT - blockHeight) / 2) + NAME_FONT_SIZE;
+
+    const text = [];
+    text.push(`<text x="${TEXT_LEFT}" y="${y}" font-size="${NAME_FONT_SIZE}" font-weight="bold" fill="#FF69B4">${escapeHtml(`${CHILD_NAME}的画`)}</text>`);
+    y += TEXT_GAP + TITLE_FONT_SIZE;
+    titleLines.forEach((line, index) => {
+        text.push(`<text x="${TEXT_LEFT}" y="${y + index * TITLE_LINE_HEIGHT}" font-size="${TITLE_FONT_SIZE}" font-weight="bold" fill="#5A5A5A">${escapeHtml(line)}</text>`);
+    });
+    y += (titleLines.length - 1) * TITLE_LINE_HEIGHT + TEXT_GAP + SUBTITLE_FONT_SIZE;
+    if (subtitle) {
+        text.push(`<text x="${TEXT_LEFT}" y="${y}" font-size="${SUBTITLE_FONT_SIZE}" fill="#999999">${escapeHtml(subtitle)}</text>`);
+    }
+    return text;
+}
+
+// 卡片的背景、相框和文字（SVG）
+function cardSvg(content) {
+    const text = cardText(content);
+    return Buffer.from(`
+        <svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}">
+            <defs>
+                <filter id="shadow" x="-10%" y="-10%" width="120%" height="120%">
+                    <feDropShadow dx="0" dy="8" stdDeviation="12" flood-color="#000000" flood-opacity="0.12"/>
+                </filter>
+            </defs>
+            <rect width="100%" height="100%" fill="#FFF5F7"/>
+            <rect x="0" y="${CARD_HEIGHT - 16}" width="100%" height="16" fill="#FFB6C1"/>
+            <rect x="${frameLeft()}" y="${CARD_PADDING}" width="${FRAME_SIZE}" height="${FRAME_SIZE}" rx="24"
+                  fill="#FFFFFF" stroke="#FFE4E6" stroke-width="4" filter="url(#shadow)"/>
+            <g font-family="${FONT_FAMILY}">
+                ${text.join('\n                ')}
+            </g>
+        </svg>
+    `);
+}
+
+// 合成卡片：imagePath 为画作图片（可以为空），放在左边的相框里
+async function composeCard(outputPath, { imagePath, title, subtitle }) {
+    const layers = [{ input: cardSvg({ title, subtitle }), top: 0, left: 0 }];
+    if (imagePath && fs.existsSync(imagePath)) {
+        const inner = FRAME_SIZE - FRAME_INSET * 2;
+        const { data, info } = await sharp(imagePath)
+            .resize(inner, inner, { fit: 'inside' })
+            .toBuffer({ resolveWithObject: true });
+        layers.push({
+            input: data,
+            top: CARD_PADDING + FRAME_INSET + Math.round((inner - info.height) / 2),
+            left: frameLeft() + FRAME_INSET + Math.round((inner - info.width) / 2)
+        });
+    }
+
+    const tempPath = `${outputPath}.${process.pid}.tmp`;
+    try {
+        await sharp({ create: { width: CARD_WIDTH, height: CARD_HEIGHT, channels: 3, background: '#FFF5F7' } })
+            .composite(layers)
+            .jpeg({ quality: 85, progressive: true })
+            .toFile(tempPath);
+        fs.renameSync(tempPath, outputPath);
+    } finally {
+        if (fs.existsSync(tempPath)) {
+            fs.unlinkSync(tempPath);
+        }
+    }
+}
+
+function cardPrefix(kind, id) {
+    return `${kind}-${id}-`;
+}
+
+// 删除一幅画或一个相册的全部缓存卡片（exceptFile 除外）
+function removeShareCards(kind, id, exceptFile = null) {
+    if (!fs.existsSync(SHARE_CARDS_DIR)) {
+        return;
+    }
+    const prefix = cardPrefix(kind, id);
+    fs.readdirSync(SHARE_CARDS_DIR)
+        .filter(file => file.startsWith(prefix) && file !== exceptFile)
+        .forEach(file => fs.unlinkSync(path.join(SHARE_CARDS_DIR, file)));
+}
+
+// 返回卡片文件路径，还没有生成（或内容有变化）时先生成
+async function ensureCard(kind, id, key, content) {
+    const filename = `${cardPrefix(kind, id)}${key}.jpg`;
+    const outputPath = path.join(SHARE_CARDS_DIR, filename);
+    if (fs.existsSync(outputPath)) {
+        return outputPath;
+    }
+    if (!pendingCards.has(outputPath)) {
+        const task = (async () => {
+            fs.mkdirSync(SHARE_CARDS_DIR, { recursive: true });
+            await composeCard(outputPath, content);
+            removeShareCards(kind, id, filename);
+            return outputPath;
+        })().finally(() => pendingCards.delete(outputPath));
+        pendingCards.set(outputPath, task);
+    }
+    return pendingCards.get(outputPath);
+}
+
+function publishedImagePath(painting) {
+    return path.join('./uploads', painting.filename);
+}
+
+function paintingCard(painting) {
+    return ensureCard('painting', painting.id, paintingCardKey(painting), {
+        imagePath: publishedImagePath(painting),
+        title: painting.title || '无题',
+        subtitle: paintingDateText(painting)
+    });
+}
+
+function albumCard(album) {
+    return ensureCard('album', album.id, albumCardKey(album), {
+        imagePath: album.cover ? publishedImagePath(album.cover) : null,
+        title: album.title,
+        subtitle: `共 ${album.paintingCount} 幅画`
+    });
+}
+
+module.exports = {
+    CHILD_NAME,
+    paintingMeta,
+    albumMeta,
+    galleryMeta,
+    shareMeta,
+    renderPage,
+    checkConfiguration,
+    paintingCard,
+    albumCard,
+    removeShareCards
+};
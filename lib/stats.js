@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { MEDIUMS } = require('./metadata');
+const { COLOR_FAMILIES, colorFamily } = require('./colors');
+const { DERIVATIVES_DIR } = require('./derivatives');
+
+// 统计页的数据：按月、按年的数量，连续画画的天数，标签和材料分布，存储占用，主色调变化
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 目录中所有文件的总大小（字节），目录不存在时为 0
+function directorySize(dir) {
+    if (!fs.existsSync(dir)) {
+        return 0;
+    }
+    return fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return total + directorySize(entryPath);
+        }
+        return entry.isFile() ? total + fs.statSync(entryPath).size : total;
+    }, 0);
+}
+
+// 根据有画作的日期（YYYY-MM-DD，升序）计算连续画画的天数
+// longest 为最长的一段，current 为到今天（或昨天，今天还没画）为止的一段，没有时为 null
+function paintingStreaks(days, today) {
+    let longest = null;
+    let run = null;
+    days.forEach(day => {
+        const time = Date.parse(`${day}T00:00:00Z`);
+        if (run && time - Date.parse(`${run.end}T00:00:00Z`) === DAY) {
+            run.end = day;
+            run.days++;
+        } else {
+            run = { days: 1, start: day, end: day };
+        }
+        if (!longest || run.days > longest.days) {
+            longest = { ...run };
+        }
+    });
+
+    const sinceLast = run ? Date.parse(`${today}T00:00:00Z`) - Date.parse(`${run.end}T00:00:00Z`) : Infinity;
+    return {
+        longest,
+        current: sinceLast <= DAY ? run : null
+    };
+}
+
+// 按月汇总各色系的画作数量
+function colorTrends(monthlyColors) {
+    const months = [];
+    monthlyColors.forEach(({ month, color }) => {
+        const family = colorFamily(color);
+        if (!family) {
+            return;
+        }
+        let entry = months[months.length - 1];
+        if (!entry || entry.month !== month) {
+            entry = { month, families: {} };
+            months.push(entry);
+        }
+        entry.families[family] = (entry.families[family] || 0) + 1;
+    });
+    return months;
+}
+
+// 汇总统计数据，timezoneOffset 为浏览器所在时区相对 UTC 的分钟数（用来划分日期和月份）
+function collectStats(storage, { timezoneOffset = 0 } = {}) {
+    const basic = storage.getStats();
+
+    const byMonth = storage.getMonthlyCounts(timezoneOffset).map(({ month, count }) => ({ month, count }));
+    const byYear = [];
+    byMonth.forEach(({ month, count }) => {
+        const year = Number(month.slice(0, 4));
+        const last = byYear[byYear.length - 1];
+        if (last && last.year === year) {
+            last.count += count;
+        } else {
+            byYear.push({ year, count });
+        }
+    });
+
+    const today = new Date(Date.now() + timezoneOffset * 60000).toISOString().slice(0, 10);
+
+    const derivativesSize = directorySize(DERIVATIVES_DIR);
+    const trashSize = storage.getTrashStats().size;
+
+    return {
+        totalPaintings: basic.totalPaintings,
+        totalSize: basic.totalSize,
+        firstPainting: basic.firstPainting,
+        latestPainting: basic.latestPainting,
+        timezoneOffset,
+        byMonth,
+        byYear,
+        streaks: paintingStreaks(storage.getPaintingDays(timezoneOffset), today),
+        tags: storage.getTagCounts(),
+        mediums: storage.getMediumCounts().map(({ medium, count }) => ({
+            medium,
+            label: medium ? MEDIUMS[medium] || medium : '未选择',
+            count
+        })),
+        // published 为画廊展示的 JPEG，derivatives 为各尺寸的衍生图，originals 为原图库
+        // trash 为回收站中画作的图片和原图（衍生图计入 derivatives）
+        storage: {
+            published: basic.totalSize,
+            derivatives: derivativesSize,
+            originals: basic.originalsSize,
+            trash: trashSize,
+            total: basic.totalSize + derivativesSize + basic.originalsSize + trashSize
+        },
+        colors: {
+            families: COLOR_FAMILIES.map(({ key, label, color }) => ({ key, label, color })),
+            byMonth: colorTrends(storage.getMonthlyColors(timezoneOffset))
+        }
+    };
+}
+
+module.exports = {
+    directorySize,
+    paintingStreaks,
+    collectStats
+};
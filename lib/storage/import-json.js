@@ -0,0 +1,38 @@
+const fs = require('fs');
+
+const IMPORT_META_KEY = 'json_import';
+
+// 把旧版 data/paintings.json 中的画作导入存储层（只执行一次）
+// 已存在的画作 id 会被跳过，原 JSON 文件保留不动作为备份
+function importPaintingsJson(storage, file) {
+    if (storage.getMeta(IMPORT_META_KEY) || !fs.existsSync(file)) {
+        return 0;
+    }
+
+    const paintings = JSON.parse(fs.readFileSync(file, 'utf8'));
+    let imported = 0;
+
+    storage.transaction(() => {
+        paintings.forEach(painting => {
+            if (!painting.id || storage.getPainting(painting.id)) {
+                return;
+            }
+            storage.insertPainting({
+                ...painting,
+                tags: Array.isArray(painting.tags) ? painting.tags : [],
+                medium: painting.medium || null,
+                ageMonths: painting.ageMonths === undefined ? null : painting.ageMonths,
+                createdAt: painting.date
+            });
+            imported++;
+        });
+        storage.setMeta(IMPORT_META_KEY, new Date().toISOString());
+    });
+
+    console.log(`📥 已从 ${file} 导入 ${imported} 幅画作`);
+    return imported;
+}
+
+module.exports = {
+    importPaintingsJson
+};
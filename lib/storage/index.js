@@ -0,0 +1,54 @@
+const { createSqliteStorage } = require('./sqlite');
+
+// 存储层接口
+// 每种存储实现都需要提供以下同步方法：
+//   listPaintings({ from, to, tag, album, medium, terms, trash, order, after, limit })
+//                                            查询画作列表（默认按日期降序），terms 为搜索词，after/limit 用于分页
+//                                            trash 为 exclude（默认）、only 或 include，决定是否包含回收站中的画作
+//   countPaintings(filters)                  符合过滤条件的画作数量
+//   getPainting(id)                          获取单个画作（包括回收站中的，deletedAt 不为空），不存在时返回 null
+//   findPaintingByChecksum(checksum)         按原图的 SHA-256 查找画作，没有时返回 null
+//   insertPainting(painting)                 新增画作，返回保存后的记录
+//   updatePainting(id, changes)              更新画作，不存在时返回 null
+//   deletePainting(id)                       删除画作，返回是否删除成功
+//   listAlbums() / getAlbum(id)              查询相册（附带画作数量和封面画作）
+//   insertAlbum(album)                       新增相册，返回保存后的记录
+//   updateAlbum(id, changes)                 更新相册，不存在时返回 null
+//   deleteAlbum(id)                          删除相册（不删除其中的画作）
+//   addPaintingsToAlbum(albumId, paintingIds)      把画作加入相册
+//   removePaintingFromAlbum(albumId, paintingId)   把画作移出相册，返回是否移除成功
+//   albumHasPainting(albumId, paintingId)    画作是否在相册中
+//   getStats()                               总数、总大小、原图总大小、最早和最新日期（不含回收站）
+//   getTrashStats()                          回收站中的画作数量和占用空间
+//   getMonthlyCounts(timezoneOffset)         按月汇总画作数量、日期范围和手动填写的年龄范围
+//   getTagCounts() / getMediumCounts()       每个标签、每种绘画材料的画作数量
+//   getPaintingDays(timezoneOffset)          有画作的日期列表
+//   getMonthlyColors(timezoneOffset)         每个月各幅画作的主色调
+//   appendAudit(entry)                       追加一条操作记录（只能追加，不能修改和删除）
+//   listAudit({ action, actor, paintingId, from, to, before, limit })
+//                                            查询操作记录（最新的在前），before 为分页用的记录 id
+//   listImageHashes()                        不在回收站中的画作的 { id, originalChecksum, perceptualHash }
+//   dismissDuplicatePair(paintingId, otherId)      记录两幅画不是重复的
+//   listDismissedPairs()                     已确认不重复的画作对 [[id, id], ...]
+//   listShareLinks() / getShareLink(id)      查询分享链接（最新的在前），不存在时返回 null
+//   insertShareLink(link)                    新增分享链接，返回保存后的记录
+//   recordShareView(id)                      分享链接的访问次数加一
+//   deleteShareLink(id)                      删除（撤销）分享链接，返回是否删除成功
+//   getMeta(key) / setMeta(key, value)       存取内部状态（例如导入标记）
+//   transaction(fn)                          在事务中执行 fn
+//   close()                                  关闭存储
+const DRIVERS = {
+    sqlite: createSqliteStorage
+};
+
+function createStorage({ driver = 'sqlite', ...options } = {}) {
+    const factory = DRIVERS[driver];
+    if (!factory) {
+        throw new Error(`不支持的存储类型: ${driver}`);
+    }
+    return factory(options);
+}
+
+module.exports = {
+    createStorage
+};
@@ -0,0 +1,268 @@
+// SQLite 数据库结构迁移
+// 每个迁移有递增的版本号，当前版本记录在 PRAGMA user_version 中。
+// 新增字段或表时在末尾追加迁移，不要修改已经发布的迁移。
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: '画作和标签',
+        up(db) {
+            db.exec(`
+                CREATE TABLE paintings (
+                    id TEXT PRIMARY KEY,
+                    title TEXT NOT NULL DEFAULT '',
+                    description TEXT NOT NULL DEFAULT '',
+                    medium TEXT,
+                    age_months INTEGER,
+                    filename TEXT NOT NULL,
+                    original_name TEXT,
+                    image_url TEXT NOT NULL,
+                    date TEXT NOT NULL,
+                    size INTEGER NOT NULL DEFAULT 0,
+                    created_at TEXT NOT NULL
+                );
+                CREATE INDEX idx_paintings_date ON paintings (date);
+
+                CREATE TABLE painting_tags (
+                    painting_id TEXT NOT NULL REFERENCES paintings (id) ON DELETE CASCADE,
+                    tag TEXT NOT NULL,
+                    position INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (painting_id, tag)
+                );
+                CREATE INDEX idx_painting_tags_tag ON painting_tags (tag);
+
+                CREATE TABLE meta (
+                    key TEXT PRIMARY KEY,
+                    value TEXT
+                );
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: '衍生图',
+        up(db) {
+            db.exec(`
+                ALTER TABLE paintings ADD COLUMN width INTEGER;
+                ALTER TABLE paintings ADD COLUMN height INTEGER;
+                ALTER TABLE paintings ADD COLUMN variants TEXT;
+            `);
+        }
+    },
+    {
+        version: 3,
+        name: '原图库',
+        up(db) {
+            db.exec(`
+                ALTER TABLE paintings ADD COLUMN original_file TEXT;
+                ALTER TABLE paintings ADD COLUMN original_checksum TEXT;
+                ALTER TABLE paintings ADD COLUMN original_size INTEGER;
+                ALTER TABLE paintings ADD COLUMN original_mime_type TEXT;
+                CREATE INDEX idx_paintings_original_checksum ON paintings (original_checksum);
+            `);
+        }
+    },
+    {
+        version: 4,
+        name: '拍摄信息',
+        up(db) {
+            db.exec(`
+                ALTER TABLE paintings ADD COLUMN date_source TEXT;
+                ALTER TABLE paintings ADD COLUMN captured_at TEXT;
+                ALTER TABLE paintings ADD COLUMN camera_model TEXT;
+            `);
+        }
+    },
+    {
+        version: 5,
+        name: '相册',
+        up(db) {
+            db.exec(`
+                CREATE TABLE albums (
+                    id TEXT PRIMARY KEY,
+                    title TEXT NOT NULL,
+                    description TEXT NOT NULL DEFAULT '',
+                    cover_painting_id TEXT REFERENCES paintings (id) ON DELETE SET NULL,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                );
+
+                CREATE TABLE album_paintings (
+                    album_id TEXT NOT NULL REFERENCES albums (id) ON DELETE CASCADE,
+                    painting_id TEXT NOT NULL REFERENCES paintings (id) ON DELETE CASCADE,
+                    added_at TEXT NOT NULL,
+                    PRIMARY KEY (album_id, painting_id)
+                );
+                CREATE INDEX idx_album_paintings_painting ON album_paintings (painting_id);
+            `);
+        }
+    },
+    {
+        version: 6,
+        name: '分页和全文搜索',
+        up(db) {
+            // trigram 分词不依赖空格，中文标题和描述也能按片段搜索
+            // 搜索索引由触发器维护，rowid 与 paintings 表一致
+            db.exec(`
+                CREATE INDEX idx_paintings_date_id ON paintings (date, id);
+                CREATE INDEX idx_paintings_medium ON paintings (medium);
+
+                CREATE VIRTUAL TABLE paintings_fts USING fts5 (title, description, tags, tokenize = 'trigram');
+
+                INSERT INTO paintings_fts (rowid, title, description, tags)
+                SELECT p.rowid, p.title, p.description,
+                    COALESCE((SELECT group_concat(tag, ' ') FROM painting_tags WHERE painting_id = p.id), '')
+                FROM paintings p;
+
+                CREATE TRIGGER paintings_fts_insert AFTER INSERT ON paintings BEGIN
+                    INSERT INTO paintings_fts (rowid, title, description, tags)
+                    VALUES (new.rowid, new.title, new.description, '');
+                END;
+                CREATE TRIGGER paintings_fts_update AFTER UPDATE OF title, description ON paintings BEGIN
+                    UPDATE paintings_fts SET title = new.title, description = new.description
+                    WHERE rowid = new.rowid;
+                END;
+                CREATE TRIGGER paintings_fts_delete AFTER DELETE ON paintings BEGIN
+                    DELETE FROM paintings_fts WHERE rowid = old.rowid;
+                END;
+
+                CREATE TRIGGER painting_tags_fts_insert AFTER INSERT ON painting_tags BEGIN
+                    UPDATE paintings_fts
+                    SET tags = (SELECT group_concat(tag, ' ') FROM painting_tags WHERE painting_id = new.painting_id)
+                    WHERE rowid = (SELECT rowid FROM paintings WHERE id = new.painting_id);
+                END;
+                CREATE TRIGGER painting_tags_fts_delete AFTER DELETE ON painting_tags BEGIN
+                    UPDATE paintings_fts
+                    SET tags = COALESCE((SELECT group_concat(tag, ' ') FROM painting_tags WHERE painting_id = old.painting_id), '')
+                    WHERE rowid = (SELECT rowid FROM paintings WHERE id = old.painting_id);
+                END;
+            `);
+        }
+    },
+    {
+        version: 7,
+        name: '主色调',
+        up(db) {
+            db.exec(`
+                ALTER TABLE paintings ADD COLUMN dominant_color TEXT;
+            `);
+        }
+    },
+    {
+        version: 8,
+        name: '回收站',
+        up(db) {
+            db.exec(`
+                ALTER TABLE paintings ADD COLUMN deleted_at TEXT;
+                CREATE INDEX idx_paintings_deleted_at ON paintings (deleted_at);
+            `);
+        }
+    },
+    {
+        version: 9,
+        name: '操作记录',
+        up(db) {
+            // 操作记录只能追加，触发器禁止修改和删除
+            db.exec(`
+                CREATE TABLE audit_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    created_at TEXT NOT NULL,
+                    actor TEXT,
+                    action TEXT NOT NULL,
+                    painting_id TEXT,
+                    album_id TEXT,
+                    details TEXT
+                );
+                CREATE INDEX idx_audit_log_painting ON audit_log (painting_id);
+                CREATE INDEX idx_audit_log_action ON audit_log (action);
+                CREATE INDEX idx_audit_log_created_at ON audit_log (created_at);
+
+                CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log BEGIN
+                    SELECT RAISE(ABORT, 'audit_log is append-only');
+                END;
+                CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log BEGIN
+                    SELECT RAISE(ABORT, 'audit_log is append-only');
+                END;
+            `);
+        }
+    },
+    {
+        version: 10,
+        name: '重复画作检测',
+        up(db) {
+            // 感知哈希（dHash，16 位十六进制）；确认不是重复的画作成对记录，painting_id < other_id
+            db.exec(`
+                ALTER TABLE paintings ADD COLUMN perceptual_hash TEXT;
+
+                CREATE TABLE duplicate_dismissals (
+                    painting_id TEXT NOT NULL REFERENCES paintings (id) ON DELETE CASCADE,
+                    other_id TEXT NOT NULL REFERENCES paintings (id) ON DELETE CASCADE,
+                    created_at TEXT NOT NULL,
+                    PRIMARY KEY (painting_id, other_id)
+                );
+                CREATE INDEX idx_duplicate_dismissals_other ON duplicate_dismissals (other_id);
+            `);
+        }
+    },
+    {
+        version: 11,
+        name: '图片编辑',
+        up(db) {
+            // 裁剪、旋转、透视校正等编辑参数（JSON），公开的图片按参数从原图重新生成
+            db.exec('ALTER TABLE paintings ADD COLUMN edits TEXT');
+        }
+    },
+    {
+        version: 12,
+        name: '扫描增强',
+        up(db) {
+            // 图片处理方式（目前只有 scan：去掉纸张背景和光照不均，提高饱和度），NULL 表示不处理
+            db.exec('ALTER TABLE paintings ADD COLUMN enhancement TEXT');
+        }
+    },
+    {
+        version: 13,
+        name: '分享链接',
+        up(db) {
+            // 分享链接只对应一幅画或一个相册；撤销链接即删除记录，画作或相册被删除时链接一起删除
+            // expires_at 为空表示永久有效，password_hash 为空表示不需要密码
+            db.exec(`
+                CREATE TABLE share_links (
+                    id TEXT PRIMARY KEY,
+                    painting_id TEXT REFERENCES paintings (id) ON DELETE CASCADE,
+                    album_id TEXT REFERENCES albums (id) ON DELETE CASCADE,
+                    password_hash TEXT,
+                    expires_at TEXT,
+                    view_count INTEGER NOT NULL DEFAULT 0,
+                    last_viewed_at TEXT,
+                    created_by TEXT,
+                    created_at TEXT NOT NULL,
+                    CHECK ((painting_id IS NULL) <> (album_id IS NULL))
+                );
+                CREATE INDEX idx_share_links_painting ON share_links (painting_id);
+                CREATE INDEX idx_share_links_album ON share_links (album_id);
+            `);
+        }
+    }
+];
+
+// 执行尚未应用的迁移，每个迁移在独立事务中完成
+function runMigrations(db) {
+    const currentVersion = db.pragma('user_version', { simple: true });
+    const pending = MIGRATIONS.filter(m => m.version > currentVersion);
+
+    pending.forEach(migration => {
+        db.transaction(() => {
+            migration.up(db);
+            db.pragma(`user_version = ${migration.version}`);
+        })();
+        console.log(`🗄️  数据库迁移 v${migration.version}: ${migration.name}`);
+    });
+
+    return pending.length;
+}
+
+module.exports = {
+    MIGRATIONS,
+    runMigrations
+};
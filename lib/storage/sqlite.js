@@ -0,0 +1,641 @@
+const Database = require('better-sqlite3');
+const { runMigrations } = require('./migrations');
+
+// 画作字段与数据库列的对应关系（tags 单独存放在 painting_tags 表中）
+const PAINTING_COLUMNS = {
+    id: 'id',
+    title: 'title',
+    description: 'description',
+    medium: 'medium',
+    ageMonths: 'age_months',
+    filename: 'filename',
+    originalName: 'original_name',
+    imageUrl: 'image_url',
+    date: 'date',
+    dateSource: 'date_source',
+    capturedAt: 'captured_at',
+    cameraModel: 'camera_model',
+    dominantColor: 'dominant_color',
+    perceptualHash: 'perceptual_hash',
+    edits: 'edits',
+    enhancement: 'enhancement',
+    size: 'size',
+    width: 'width',
+    height: 'height',
+    variants: 'variants',
+    originalFile: 'original_file',
+    originalChecksum: 'original_checksum',
+    originalSize: 'original_size',
+    originalMimeType: 'original_mime_type',
+    createdAt: 'created_at',
+    deletedAt: 'deleted_at'
+};
+
+// 以 JSON 文本存储的字段
+const JSON_FIELDS = ['variants', 'edits'];
+
+const SELECT_PAINTING = `
+    SELECT p.*,
+        (SELECT json_group_array(tag) FROM (
+            SELECT tag FROM painting_tags WHERE painting_id = p.id ORDER BY position
+        )) AS tags_json,
+        (SELECT json_group_array(album_id) FROM album_paintings WHERE painting_id = p.id) AS albums_json
+    FROM paintings p
+`;
+
+// 相册字段与数据库列的对应关系
+const ALBUM_COLUMNS = {
+    id: 'id',
+    title: 'title',
+    description: 'description',
+    coverPaintingId: 'cover_painting_id',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+};
+
+// 没有指定封面（或封面在回收站中）时用相册中最新的一幅画作为封面，回收站中的画作不计入数量
+const SELECT_ALBUM = `
+    SELECT a.*,
+        (SELECT COUNT(*) FROM album_paintings ap
+            JOIN paintings p ON p.id = ap.painting_id
+            WHERE ap.album_id = a.id AND p.deleted_at IS NULL) AS painting_count,
+        COALESCE((
+            SELECT id FROM paintings WHERE id = a.cover_painting_id AND deleted_at IS NULL
+        ), (
+            SELECT ap.painting_id FROM album_paintings ap
+            JOIN paintings p ON p.id = ap.painting_id
+            WHERE ap.album_id = a.id AND p.deleted_at IS NULL
+            ORDER BY p.date DESC LIMIT 1
+        )) AS cover_id
+    FROM albums a
+`;
+
+// 数据库行转换为画作对象
+function rowToPainting(row) {
+    const painting = {};
+    Object.entries(PAINTING_COLUMNS).forEach(([field, column]) => {
+        const value = row[column];
+        painting[field] = JSON_FIELDS.includes(field) && value !== null ? JSON.parse(value) : value;
+    });
+    painting.tags = JSON.parse(row.tags_json || '[]');
+    painting.albumIds = JSON.parse(row.albums_json || '[]');
+    return painting;
+}
+
+// 画作字段值转换为数据库参数
+function toColumnValue(field, value) {
+    if (value === undefined) {
+        return null;
+    }
+    return JSON_FIELDS.includes(field) && value !== null ? JSON.stringify(value) : value;
+}
+
+// 基于 SQLite 的存储实现（better-sqlite3，同步 API）
+function createSqliteStorage({ file }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    runMigrations(db);
+
+    const statements = {
+        get: db.prepare(`${SELECT_PAINTING} WHERE p.id = ?`),
+        getByChecksum: db.prepare(`${SELECT_PAINTING} WHERE p.original_checksum = ? LIMIT 1`),
+        insert: db.prepare(`
+            INSERT INTO paintings (${Object.values(PAINTING_COLUMNS).join(', ')})
+            VALUES (${Object.keys(PAINTING_COLUMNS).map(field => '@' + field).join(', ')})
+        `),
+        delete: db.prepare('DELETE FROM paintings WHERE id = ?'),
+        deleteTags: db.prepare('DELETE FROM painting_tags WHERE painting_id = ?'),
+        insertTag: db.prepare('INSERT OR IGNORE INTO painting_tags (painting_id, tag, position) VALUES (?, ?, ?)'),
+        getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+        setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+        getAlbum: db.prepare(`${SELECT_ALBUM} WHERE a.id = ?`),
+        listAlbums: db.prepare(`${SELECT_ALBUM} ORDER BY a.created_at DESC`),
+        insertAlbum: db.prepare(`
+            INSERT INTO albums (${Object.values(ALBUM_COLUMNS).join(', ')})
+            VALUES (${Object.keys(ALBUM_COLUMNS).map(field => '@' + field).join(', ')})
+        `),
+        deleteAlbum: db.prepare('DELETE FROM albums WHERE id = ?'),
+        addToAlbum: db.prepare('INSERT OR IGNORE INTO album_paintings (album_id, painting_id, added_at) VALUES (?, ?, ?)'),
+        removeFromAlbum: db.prepare('DELETE FROM album_paintings WHERE album_id = ? AND painting_id = ?'),
+        clearAlbumCover: db.prepare('UPDATE albums SET cover_painting_id = NULL WHERE id = ? AND cover_painting_id = ?'),
+        albumHasPainting: db.prepare('SELECT 1 FROM album_paintings WHERE album_id = ? AND painting_id = ?'),
+        paintingAlbums: db.prepare('SELECT album_id FROM album_paintings WHERE painting_id = ?'),
+        monthlyCounts: db.prepare(`
+            SELECT strftime('%Y-%m', date, @shift) AS month,
+                COUNT(*) AS count,
+                MIN(date) AS firstDate,
+                MAX(date) AS lastDate,
+                MIN(age_months) AS minAgeMonths,
+                MAX(age_months) AS maxAgeMonths
+            FROM paintings
+            WHERE deleted_at IS NULL
+            GROUP BY month
+            ORDER BY month
+        `),
+        stats: db.prepare(`
+            SELECT COUNT(*) AS totalPaintings,
+                COALESCE(SUM(size), 0) AS totalSize,
+                COALESCE(SUM(original_size), 0) AS originalsSize,
+                MIN(date) AS firstPainting,
+                MAX(date) AS latestPainting
+            FROM paintings
+            WHERE deleted_at IS NULL
+        `),
+        trashStats: db.prepare(`
+            SELECT COUNT(*) AS count, COALESCE(SUM(size), 0) + COALESCE(SUM(original_size), 0) AS size
+            FROM paintings WHERE deleted_at IS NOT NULL
+        `),
+        tagCounts: db.prepare(`
+            SELECT tag, COUNT(*) AS count FROM painting_tags
+            JOIN paintings p ON p.id = painting_id
+            WHERE p.deleted_at IS NULL
+            GROUP BY tag ORDER BY count DESC, tag
+        `),
+        mediumCounts: db.prepare(`
+            SELECT medium, COUNT(*) AS count FROM paintings
+            WHERE deleted_at IS NULL
+            GROUP BY medium ORDER BY count DESC
+        `),
+        paintingDays: db.prepare(`
+            SELECT DISTINCT date(date, @shift) AS day FROM paintings
+            WHERE deleted_at IS NULL ORDER BY day
+        `),
+        insertAudit: db.prepare(`
+            INSERT INTO audit_log (created_at, actor, action, painting_id, album_id, details)
+            VALUES (@createdAt, @actor, @action, @paintingId, @albumId, @details)
+        `),
+        imageHashes: db.prepare(`
+            SELECT id, original_checksum, perceptual_hash FROM paintings
+            WHERE deleted_at IS NULL AND (original_checksum IS NOT NULL OR perceptual_hash IS NOT NULL)
+        `),
+        insertDismissal: db.prepare(`
+            INSERT OR IGNORE INTO duplicate_dismissals (painting_id, other_id, created_at) VALUES (?, ?, ?)
+        `),
+        listDismissals: db.prepare('SELECT painting_id, other_id FROM duplicate_dismissals'),
+        listShareLinks: db.prepare('SELECT * FROM share_links ORDER BY created_at DESC'),
+        getShareLink: db.prepare('SELECT * FROM share_links WHERE id = ?'),
+        insertShareLink: db.prepare(`
+            INSERT INTO share_links (id, painting_id, album_id, password_hash, expires_at, created_by, created_at)
+            VALUES (@id, @paintingId, @albumId, @passwordHash, @expiresAt, @createdBy, @createdAt)
+        `),
+        recordShareView: db.prepare(`
+            UPDATE share_links SET view_count = view_count + 1, last_viewed_at = ? WHERE id = ?
+        `),
+        deleteShareLink: db.prepare('DELETE FROM share_links WHERE id = ?'),
+        monthlyColors: db.prepare(`
+            SELECT strftime('%Y-%m', date, @shift) AS month, dominant_color AS color
+            FROM paintings WHERE dominant_color IS NOT NULL AND deleted_at IS NULL
+            ORDER BY month
+        `)
+    };
+
+    function setTags(paintingId, tags) {
+        statements.deleteTags.run(paintingId);
+        (tags || []).forEach((tag, index) => statements.insertTag.run(paintingId, tag, index));
+    }
+
+    // 把画作放入指定的相册（不在列表中的相册会移除这幅画）
+    function setPaintingAlbums(paintingId, albumIds) {
+        const now = new Date().toISOString();
+        statements.paintingAlbums.all(paintingId)
+            .filter(row => !albumIds.includes(row.album_id))
+            .forEach(row => removeFromAlbum(row.album_id, paintingId));
+        albumIds.forEach(albumId => statements.addToAlbum.run(albumId, paintingId, now));
+    }
+
+    function removeFromAlbum(albumId, paintingId) {
+        statements.clearAlbumCover.run(albumId, paintingId);
+        return statements.removeFromAlbum.run(albumId, paintingId).changes > 0;
+    }
+
+    // 在事务中执行同步函数，抛出异常时整体回滚
+    function transaction(fn) {
+        return db.transaction(fn)();
+    }
+
+    // 把过滤条件转换为 WHERE 子句：日期范围、标签、相册、绘画材料和搜索词
+    // trash 为 exclude（默认，不含回收站中的画作）、only（只查回收站）或 include（全部）
+    function buildFilter({ from, to, tag, album, medium, terms, trash = 'exclude' } = {}) {
+        const conditions = [];
+        const params = {};
+        if (trash === 'only') {
+            conditions.push('p.deleted_at IS NOT NULL');
+        } else if (trash !== 'include') {
+            conditions.push('p.deleted_at IS NULL');
+        }
+        if (from) {
+            conditions.push('p.date >= @from');
+            params.from = from;
+        }
+        if (to) {
+            conditions.push('p.date <= @to');
+            params.to = to;
+        }
+        if (tag) {
+            conditions.push('p.id IN (SELECT painting_id FROM painting_tags WHERE tag = @tag)');
+            params.tag = tag;
+        }
+        if (album) {
+            conditions.push('p.id IN (SELECT painting_id FROM album_paintings WHERE album_id = @album)');
+            params.album = album;
+        }
+        if (medium) {
+            conditions.push('p.medium = @medium');
+            params.medium = medium;
+        }
+        // trigram 索引只能匹配三个字以上的词，一两个字的词（中文里很常见）改用 LIKE 逐条匹配
+        (terms || []).forEach((term, index) => {
+            const name = `term${index}`;
+            if ([...term].length >= 3) {
+                conditions.push(`p.rowid IN (SELECT rowid FROM paintings_fts WHERE paintings_fts MATCH @${name})`);
+                params[name] = `"${term.replace(/"/g, '""')}"`;
+            } else {
+                conditions.push(`p.rowid IN (
+                    SELECT rowid FROM paintings_fts
+                    WHERE title LIKE @${name} ESCAPE '\\' OR description LIKE @${name} ESCAPE '\\' OR tags LIKE @${name} ESCAPE '\\'
+                )`);
+                params[name] = `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+            }
+        });
+        return { conditions, params };
+    }
+
+    // 查询画作列表（默认按日期降序，日期相同时按 id 排序保证顺序稳定）
+    // after 为上一页最后一幅画的 { date, id }，limit 为返回的最大数量，不传时返回全部
+    function listPaintings({ order = 'desc', after, limit, ...filters } = {}) {
+        const { conditions, params } = buildFilter(filters);
+        const direction = order === 'asc' ? 'ASC' : 'DESC';
+        if (after) {
+            const comparison = order === 'asc' ? '>' : '<';
+            conditions.push(`(p.date ${comparison} @afterDate OR (p.date = @afterDate AND p.id ${comparison} @afterId))`);
+            params.afterDate = after.date;
+            params.afterId = after.id;
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const limitClause = limit ? `LIMIT ${Number(limit)}` : '';
+        return db.prepare(`${SELECT_PAINTING} ${where} ORDER BY p.date ${direction}, p.id ${direction} ${limitClause}`)
+            .all(params)
+            .map(rowToPainting);
+    }
+
+    // 符合过滤条件的画作数量
+    function countPaintings(filters) {
+        const { conditions, params } = buildFilter(filters);
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return db.prepare(`SELECT COUNT(*) AS count FROM paintings p ${where}`).get(params).count;
+    }
+
+    function getPainting(id) {
+        const row = statements.get.get(id);
+        return row ? rowToPainting(row) : null;
+    }
+
+    // 按原图的 SHA-256 查找画作（判断是否重复），没有时返回 null
+    function findPaintingByChecksum(checksum) {
+        const row = statements.getByChecksum.get(checksum);
+        return row ? rowToPainting(row) : null;
+    }
+
+    function insertPainting(painting) {
+        return transaction(() => {
+            const record = {};
+            Object.keys(PAINTING_COLUMNS).forEach(field => {
+                record[field] = toColumnValue(field, painting[field]);
+            });
+            record.title = record.title || '';
+            record.description = record.description || '';
+            record.size = record.size || 0;
+            record.createdAt = record.createdAt || new Date().toISOString();
+            statements.insert.run(record);
+            setTags(painting.id, painting.tags);
+            if (painting.albumIds) {
+                setPaintingAlbums(painting.id, painting.albumIds);
+            }
+            return getPainting(painting.id);
+        });
+    }
+
+    // 更新画作字段，画作不存在时返回 null
+    function updatePainting(id, changes) {
+        return transaction(() => {
+            if (!statements.get.get(id)) {
+                return null;
+            }
+            const fields = Object.keys(changes).filter(field => field !== 'id' && PAINTING_COLUMNS[field]);
+            if (fields.length > 0) {
+                const assignments = fields.map(field => `${PAINTING_COLUMNS[field]} = @${field}`).join(', ');
+                const params = { id };
+                fields.forEach(field => {
+                    params[field] = toColumnValue(field, changes[field]);
+                });
+                db.prepare(`UPDATE paintings SET ${assignments} WHERE id = @id`).run(params);
+            }
+            if (changes.tags !== undefined) {
+                setTags(id, changes.tags);
+            }
+            if (changes.albumIds !== undefined) {
+                setPaintingAlbums(id, changes.albumIds);
+            }
+            return getPainting(id);
+        });
+    }
+
+    function deletePainting(id) {
+        return statements.delete.run(id).changes > 0;
+    }
+
+    // 数据库行转换为相册对象，cover 为封面画作（相册为空时为 null）
+    function rowToAlbum(row) {
+        const album = {};
+        Object.entries(ALBUM_COLUMNS).forEach(([field, column]) => {
+            album[field] = row[column];
+        });
+        album.paintingCount = row.painting_count;
+        album.cover = row.cover_id ? getPainting(row.cover_id) : null;
+        return album;
+    }
+
+    function listAlbums() {
+        return statements.listAlbums.all().map(rowToAlbum);
+    }
+
+    function getAlbum(id) {
+        const row = statements.getAlbum.get(id);
+        return row ? rowToAlbum(row) : null;
+    }
+
+    function insertAlbum(album) {
+        const now = new Date().toISOString();
+        statements.insertAlbum.run({
+            id: album.id,
+            title: album.title,
+            description: album.description || '',
+            coverPaintingId: album.coverPaintingId || null,
+            createdAt: album.createdAt || now,
+            updatedAt: album.updatedAt || now
+        });
+        return getAlbum(album.id);
+    }
+
+    // 更新相册字段，相册不存在时返回 null
+    function updateAlbum(id, changes) {
+        return transaction(() => {
+            if (!statements.getAlbum.get(id)) {
+                return null;
+            }
+            const fields = Object.keys(changes).filter(field => field !== 'id' && ALBUM_COLUMNS[field]);
+            const params = { id, updatedAt: new Date().toISOString() };
+            fields.forEach(field => {
+                params[field] = changes[field] === undefined ? null : changes[field];
+            });
+            const assignments = [...fields.filter(field => field !== 'updatedAt'), 'updatedAt']
+                .map(field => `${ALBUM_COLUMNS[field]} = @${field}`).join(', ');
+            db.prepare(`UPDATE albums SET ${assignments} WHERE id = @id`).run(params);
+            return getAlbum(id);
+        });
+    }
+
+    // 删除相册（画作本身不删除）
+    function deleteAlbum(id) {
+        return statements.deleteAlbum.run(id).changes > 0;
+    }
+
+    function addPaintingsToAlbum(albumId, paintingIds) {
+        const now = new Date().toISOString();
+        transaction(() => {
+            paintingIds.forEach(paintingId => statements.addToAlbum.run(albumId, paintingId, now));
+        });
+    }
+
+    // 把画作移出相册，返回是否移除成功；被移出的画作是封面时改用默认封面
+    function removePaintingFromAlbum(albumId, paintingId) {
+        return transaction(() => removeFromAlbum(albumId, paintingId));
+    }
+
+    function albumHasPainting(albumId, paintingId) {
+        return Boolean(statements.albumHasPainting.get(albumId, paintingId));
+    }
+
+    function getStats() {
+        return statements.stats.get();
+    }
+
+    // 回收站中的画作数量和占用的空间（画廊图片和原图）
+    function getTrashStats() {
+        return statements.trashStats.get();
+    }
+
+    // 按时区偏移（分钟，东八区为 480）换算日期的 SQLite 修饰符
+    function timezoneShift(timezoneOffset) {
+        return { shift: `${timezoneOffset >= 0 ? '+' : ''}${timezoneOffset} minutes` };
+    }
+
+    // 按月汇总画作数量（月份按 timezoneOffset 分钟的时区划分）
+    function getMonthlyCounts(timezoneOffset = 0) {
+        return statements.monthlyCounts.all(timezoneShift(timezoneOffset));
+    }
+
+    // 每个标签、每种绘画材料的画作数量（从多到少）
+    function getTagCounts() {
+        return statements.tagCounts.all();
+    }
+
+    function getMediumCounts() {
+        return statements.mediumCounts.all();
+    }
+
+    // 有画作的日期（YYYY-MM-DD，升序，按 timezoneOffset 分钟的时区划分）
+    function getPaintingDays(timezoneOffset = 0) {
+        return statements.paintingDays.all(timezoneShift(timezoneOffset)).map(row => row.day);
+    }
+
+    // 每个月各幅画作的主色调 [{ month, color }]
+    function getMonthlyColors(timezoneOffset = 0) {
+        return statements.monthlyColors.all(timezoneShift(timezoneOffset));
+    }
+
+    function rowToAudit(row) {
+        return {
+            id: row.id,
+            createdAt: row.created_at,
+            actor: row.actor,
+            action: row.action,
+            paintingId: row.painting_id,
+            albumId: row.album_id,
+            details: row.details ? JSON.parse(row.details) : null
+        };
+    }
+
+    // 追加一条操作记录，返回保存后的记录
+    function appendAudit({ actor, action, paintingId, albumId, details }) {
+        const entry = {
+            createdAt: new Date().toISOString(),
+            actor: actor || null,
+            action,
+            paintingId: paintingId || null,
+            albumId: albumId || null,
+            details: details ? JSON.stringify(details) : null
+        };
+        const { lastInsertRowid } = statements.insertAudit.run(entry);
+        return rowToAudit(db.prepare('SELECT * FROM audit_log WHERE id = ?').get(lastInsertRowid));
+    }
+
+    // 查询操作记录（最新的在前），before 为上一页最后一条记录的 id
+    function listAudit({ action, actor, paintingId, from, to, before, limit } = {}) {
+        const conditions = [];
+        const params = {};
+        if (action) {
+            conditions.push('action = @action');
+            params.action = action;
+        }
+        if (actor) {
+            conditions.push('actor = @actor');
+            params.actor = actor;
+        }
+        if (paintingId) {
+            conditions.push('painting_id = @paintingId');
+            params.paintingId = paintingId;
+        }
+        if (from) {
+            conditions.push('created_at >= @from');
+            params.from = from;
+        }
+        if (to) {
+            conditions.push('created_at <= @to');
+            params.to = to;
+        }
+        if (before) {
+            conditions.push('id < @before');
+            params.before = before;
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const limitClause = limit ? `LIMIT ${Number(limit)}` : '';
+        return db.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC ${limitClause}`)
+            .all(params)
+            .map(rowToAudit);
+    }
+
+    // 不在回收站中的画作的原图校验值和感知哈希（查找重复画作用）
+    function listImageHashes() {
+        return statements.imageHashes.all().map(row => ({
+            id: row.id,
+            originalChecksum: row.original_checksum,
+            perceptualHash: row.perceptual_hash
+        }));
+    }
+
+    // 记录两幅画不是重复的，以后不再提示
+    function dismissDuplicatePair(paintingId, otherId) {
+        const [first, second] = [paintingId, otherId].sort();
+        statements.insertDismissal.run(first, second, new Date().toISOString());
+    }
+
+    // 已确认不重复的画作对，返回 [[id, id], ...]，每对中较小的 id 在前
+    function listDismissedPairs() {
+        return statements.listDismissals.all().map(row => [row.painting_id, row.other_id]);
+    }
+
+    function rowToShareLink(row) {
+        return {
+            id: row.id,
+            paintingId: row.painting_id,
+            albumId: row.album_id,
+            passwordHash: row.password_hash,
+            expiresAt: row.expires_at,
+            viewCount: row.view_count,
+            lastViewedAt: row.last_viewed_at,
+            createdBy: row.created_by,
+            createdAt: row.created_at
+        };
+    }
+
+    // 分享链接列表（最新创建的在前）
+    function listShareLinks() {
+        return statements.listShareLinks.all().map(rowToShareLink);
+    }
+
+    function getShareLink(id) {
+        const row = statements.getShareLink.get(id);
+        return row ? rowToShareLink(row) : null;
+    }
+
+    function insertShareLink(link) {
+        statements.insertShareLink.run({
+            id: link.id,
+            paintingId: link.paintingId || null,
+            albumId: link.albumId || null,
+            passwordHash: link.passwordHash || null,
+            expiresAt: link.expiresAt || null,
+            createdBy: link.createdBy || null,
+            createdAt: link.createdAt || new Date().toISOString()
+        });
+        return getShareLink(link.id);
+    }
+
+    // 访问次数加一，同时记录最后访问时间
+    function recordShareView(id) {
+        statements.recordShareView.run(new Date().toISOString(), id);
+    }
+
+    function deleteShareLink(id) {
+        return statements.deleteShareLink.run(id).changes > 0;
+    }
+
+    function getMeta(key) {
+        const row = statements.getMeta.get(key);
+        return row ? row.value : null;
+    }
+
+    function setMeta(key, value) {
+        statements.setMeta.run(key, value);
+    }
+
+    function close() {
+        db.close();
+    }
+
+    return {
+        db,
+        transaction,
+        listPaintings,
+        countPaintings,
+        getPainting,
+        findPaintingByChecksum,
+        insertPainting,
+        updatePainting,
+        deletePainting,
+        listAlbums,
+        getAlbum,
+        insertAlbum,
+        updateAlbum,
+        deleteAlbum,
+        addPaintingsToAlbum,
+        removePaintingFromAlbum,
+        albumHasPainting,
+        getStats,
+        getTrashStats,
+        getMonthlyCounts,
+        getTagCounts,
+        getMediumCounts,
+        getPaintingDays,
+        getMonthlyColors,
+        appendAudit,
+        listAudit,
+        listImageHashes,
+        dismissDuplicatePair,
+        listDismissedPairs,
+        listShareLinks,
+        getShareLink,
+        insertShareLink,
+        recordShareView,
+        deleteShareLink,
+        getMeta,
+        setMeta,
+        close
+    };
+}
+
+module.exports = {
+    createSqliteStorage
+};
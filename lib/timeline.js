@@ -0,0 +1,111 @@
+// 时间线：按年、月汇总画作，并根据孩子的生日计算每个时期的年龄
+// 生日通过环境变量 CHILD_BIRTHDAY 配置（YYYY-MM-DD），没有配置时使用画作上手动填写的年龄
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// 时区偏移（分钟，东八区为 480）的允许范围
+const MAX_TIMEZONE_OFFSET = 14 * 60;
+
+function parseBirthday(value) {
+    const match = DATE_PATTERN.exec(String(value || '').trim());
+    if (!match) {
+        return null;
+    }
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    // 排除 2021-02-30 这样会被自动进位的日期
+    if (date.toISOString().slice(0, 10) !== match[0]) {
+        return null;
+    }
+    return match[0];
+}
+
+const CHILD_BIRTHDAY = parseBirthday(process.env.CHILD_BIRTHDAY);
+if (process.env.CHILD_BIRTHDAY && !CHILD_BIRTHDAY) {
+    console.warn(`CHILD_BIRTHDAY 格式无效（应为 YYYY-MM-DD）: ${process.env.CHILD_BIRTHDAY}`);
+}
+
+// 解析时区偏移参数，无效时返回 null
+function parseTimezoneOffset(value) {
+    if (value === undefined || value === '') {
+        return 0;
+    }
+    const offset = Number(value);
+    if (!Number.isInteger(offset) || Math.abs(offset) > MAX_TIMEZONE_OFFSET) {
+        return null;
+    }
+    return offset;
+}
+
+// 某个时刻在指定时区的年、月、日
+function localDateParts(isoDate, timezoneOffset) {
+    const shifted = new Date(new Date(isoDate).getTime() + timezoneOffset * 60000);
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate()
+    };
+}
+
+// 在 isoDate 这一天满多少个月，生日之前返回 null
+function ageInMonths(birthday, isoDate, timezoneOffset = 0) {
+    if (!birthday || !isoDate) {
+        return null;
+    }
+    const [birthYear, birthMonth, birthDay] = birthday.split('-').map(Number);
+    const { year, month, day } = localDateParts(isoDate, timezoneOffset);
+    const months = (year - birthYear) * 12 + (month - birthMonth) - (day < birthDay ? 1 : 0);
+    return months >= 0 ? months : null;
+}
+
+// 某个月（YYYY-MM）在指定时区的起止时刻，用于按月查询画作
+function monthRange(key, timezoneOffset = 0) {
+    const [year, month] = key.split('-').map(Number);
+    const start = Date.UTC(year, month - 1, 1) - timezoneOffset * 60000;
+    const end = Date.UTC(year, month, 1) - timezoneOffset * 60000 - 1;
+    return {
+        from: new Date(start).toISOString(),
+        to: new Date(end).toISOString()
+    };
+}
+
+// 把按月汇总的结果（{ month: 'YYYY-MM', count, firstDate, lastDate, minAgeMonths, maxAgeMonths }，按月份升序）
+// 整理成按年分组的时间线，每个时期带上年龄范围
+function buildTimeline(monthRows, { birthday = CHILD_BIRTHDAY, timezoneOffset = 0 } = {}) {
+    const years = [];
+    monthRows.forEach(row => {
+        const [year, month] = row.month.split('-').map(Number);
+        const ageFrom = birthday ? ageInMonths(birthday, row.firstDate, timezoneOffset) : row.minAgeMonths;
+        const ageTo = birthday ? ageInMonths(birthday, row.lastDate, timezoneOffset) : row.maxAgeMonths;
+
+        let group = years[years.length - 1];
+        if (!group || group.year !== year) {
+            group = { year, count: 0, ageMonthsFrom: null, ageMonthsTo: null, months: [] };
+            years.push(group);
+        }
+        group.count += row.count;
+        if (ageFrom !== null && group.ageMonthsFrom === null) {
+            group.ageMonthsFrom = ageFrom;
+        }
+        if (ageTo !== null) {
+            group.ageMonthsTo = ageTo;
+        }
+        group.months.push({
+            key: row.month,
+            month,
+            count: row.count,
+            ageMonthsFrom: ageFrom,
+            ageMonthsTo: ageTo,
+            ...monthRange(row.month, timezoneOffset)
+        });
+    });
+    return years;
+}
+
+module.exports = {
+    CHILD_BIRTHDAY,
+    parseBirthday,
+    parseTimezoneOffset,
+    ageInMonths,
+    monthRange,
+    buildTimeline
+};
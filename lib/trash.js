@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { removeDerivatives } = require('./derivatives');
+const originals = require('./originals');
+const { removeShareCards } = require('./social');
+const { recordAudit } = require('./audit');
+
+// 回收站：删除画作时只记录删除时间（deletedAt），图片文件保留，可以随时恢复
+// 超过 TRASH_RETENTION_DAYS 天的画作会被彻底删除（连同图片、衍生图和原图）
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 回收站中的画作会在什么时间被彻底删除
+function purgeAt(painting) {
+    return new Date(Date.parse(painting.deletedAt) + TRASH_RETENTION_DAYS * DAY).toISOString();
+}
+
+// 回收站中的画作，最近删除的在前
+function listTrash(storage) {
+    return storage.listPaintings({ trash: 'only' })
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+        .map(painting => ({ ...painting, purgeAt: purgeAt(painting) }));
+}
+
+// 移到回收站，返回更新后的画作
+function moveToTrash(storage, paintingId) {
+    return storage.updatePainting(paintingId, { deletedAt: new Date().toISOString() });
+}
+
+function restoreFromTrash(storage, paintingId) {
+    return storage.updatePainting(paintingId, { deletedAt: null });
+}
+
+// 彻底删除：先删除记录，再删除图片文件
+function purgePainting(storage, painting) {
+    if (!storage.deletePainting(painting.id)) {
+        return false;
+    }
+    const imagePath = path.join('./uploads', painting.filename);
+    if (fs.existsSync(imagePath)) {
+        fs.unlinkSync(imagePath);
+    }
+    removeDerivatives(painting.id);
+    removeShareCards('painting', painting.id);
+    originals.removeOriginal(painting);
+    return true;
+}
+
+// 彻底删除在回收站中超过保留天数的画作，返回删除的数量
+function purgeExpired(storage) {
+    const now = new Date().toISOString();
+    const expired = storage.listPaintings({ trash: 'only' }).filter(painting => purgeAt(painting) <= now);
+    expired.forEach(painting => {
+        try {
+            if (purgePainting(storage, painting)) {
+                recordAudit(storage, {
+                    action: 'painting.purge',
+                    paintingId: painting.id,
+                    details: { title: painting.title, automatic: true }
+                });
+            }
+        } catch (error) {
+            console.error(`清理回收站出错 (${painting.id}):`, error.message);
+        }
+    });
+    if (expired.length > 0) {
+        console.log(`🗑️  回收站自动清理: ${expired.length} 幅画作`);
+    }
+    return expired.length;
+}
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    purgeAt,
+    listTrash,
+    moveToTrash,
+    restoreFromTrash,
+    purgePainting,
+    purgeExpired
+};
@@ -1,17 +1,51 @@
 // 悦悦画廊管理后台 JavaScript
 
 let paintings = [];
+let currentUser = null;
+let needsSetup = false;
+let mediums = [];
+let albums = [];
+let snapshotPollTimer = null;
+let auditCursor = null;
+let editor = null;
+
+// 超过这个大小的文件使用分块上传，可在网络中断或刷新页面后继续
+const CHUNKED_UPLOAD_THRESHOLD = 4 * 1024 * 1024;
+const MAX_UPLOAD_SIZE = 200 * 1024 * 1024;
+const RESUMABLE_UPLOADS_KEY = 'yueyue-resumable-uploads';
+// 计算文件 SHA-256 时每次读取的字节数
+const HASH_READ_SIZE = 4 * 1024 * 1024;
+const ALLOWED_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.heif', '.avif', '.bmp'];
+
+// 服务器返回的上传错误代码对应的处理建议
+const UPLOAD_ERROR_HINTS = {
+    TYPE_MISMATCH: '文件可能被改过扩展名，请上传原始文件',
+    INVALID_IMAGE: '请重新导出图片后再上传',
+    IMAGE_TOO_LARGE: '请缩小图片尺寸后再上传',
+    FILE_TOO_LARGE: '请压缩图片后再上传',
+    CONVERSION_FAILED: '可以先转换为 JPEG 再上传',
+    DUPLICATE: '如果确实要再保存一份，请勾选"允许重复上传"'
+};
 
 // 页面加载时初始化
 document.addEventListener('DOMContentLoaded', function() {
-    loadPaintings();
     setupEventListeners();
+    checkAuth();
 });
 
 // 设置事件监听器
 function setupEventListeners() {
     const uploadForm = document.getElementById('upload-form');
     const fileInput = document.getElementById('painting-file');
+    const loginForm = document.getElementById('login-form');
+    const userForm = document.getElementById('user-form');
+    const albumForm = document.getElementById('album-form');
+    const shareForm = document.getElementById('share-form');
+    const importForm = document.getElementById('import-form');
+    const snapshotBtn = document.getElementById('snapshot-btn');
+    const emptyTrashBtn = document.getElementById('empty-trash-btn');
+    const auditFilterForm = document.getElementById('audit-filter-form');
+    const auditMoreBtn = document.getElementById('audit-more-btn');
     
     if (uploadForm) {
         uploadForm.addEventListener('submit', handleUpload);
@@ -20,13 +54,264 @@ function setupEventListeners() {
     if (fileInput) {
         fileInput.addEventListener('change', handleFilePreview);
     }
+    
+    if (loginForm) {
+        loginForm.addEventListener('submit', handleLogin);
+    }
+    
+    if (userForm) {
+        userForm.addEventListener('submit', handleCreateUser);
+    }
+    
+    if (albumForm) {
+        albumForm.addEventListener('submit', handleCreateAlbum);
+    }
+    
+    if (shareForm) {
+        shareForm.addEventListener('submit', handleCreateShare);
+    }
+    
+    if (importForm) {
+        importForm.addEventListener('submit', handleImport);
+    }
+    
+    if (snapshotBtn) {
+        snapshotBtn.addEventListener('click', startSnapshot);
+    }
+    
+    if (emptyTrashBtn) {
+        emptyTrashBtn.addEventListener('click', emptyTrash);
+    }
+    
+    if (auditFilterForm) {
+        auditFilterForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            loadAudit();
+        });
+    }
+    
+    if (auditMoreBtn) {
+        auditMoreBtn.addEventListener('click', () => loadAudit({ append: true }));
+    }
+    
+    setupImageEditor();
+}
+
+// 检查登录状态，只有家长账号才显示管理界面
+async function checkAuth() {
+    try {
+        const response = await fetch('/api/auth/me');
+        if (response.ok) {
+            const result = await response.json();
+            currentUser = result.user;
+            needsSetup = result.needsSetup;
+        }
+    } catch (error) {
+        console.error('获取登录状态出错:', error);
+    }
+    
+    if (currentUser && currentUser.role === 'admin') {
+        showAdmin();
+    } else {
+        showLogin();
+    }
+}
+
+// 显示登录界面
+function showLogin() {
+    const hint = document.getElementById('login-hint');
+    
+    document.getElementById('admin-main').classList.add('hidden');
+    document.getElementById('login-section').classList.remove('hidden');
+    document.getElementById('login-title').textContent = needsSetup ? '设置家长账号' : '家长登录';
+    
+    if (needsSetup) {
+        hint.textContent = '第一次使用，请设置家长账号的用户名和密码';
+    } else if (currentUser) {
+        hint.textContent = `当前账号 ${currentUser.username} 没有管理权限，请使用家长账号登录`;
+    } else {
+        hint.textContent = '';
+    }
+    
+    updateUserBar();
+}
+
+// 显示管理界面
+function showAdmin() {
+    document.getElementById('login-section').classList.add('hidden');
+    document.getElementById('admin-main').classList.remove('hidden');
+    updateUserBar();
+    loadMediums().then(loadAlbums).then(loadPaintings);
+    loadUsers();
+    loadDuplicates();
+    loadTrash();
+    loadShares();
+    loadSnapshots();
+    loadAudit();
+    checkResumableUploads();
+}
+
+function updateUserBar() {
+    document.getElementById('current-user').textContent = currentUser ? `👤 ${currentUser.username}` : '';
+    document.getElementById('logout-btn').classList.toggle('hidden', !currentUser);
+}
+
+// 接口返回 401/403 时回到登录界面
+function handleAuthError(response) {
+    if (response.status === 401 || response.status === 403) {
+        if (response.status === 401) {
+            currentUser = null;
+        }
+        showLogin();
+        return true;
+    }
+    return false;
+}
+
+// 处理登录（还没有账号时创建第一个家长账号）
+async function handleLogin(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const credentials = {
+        username: form.username.value.trim(),
+        password: form.password.value
+    };
+    
+    try {
+        const response = await fetch(needsSetup ? '/api/auth/setup' : '/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(credentials)
+        });
+        const result = await response.json();
+        
+        if (response.ok) {
+            currentUser = result.user;
+            needsSetup = false;
+            form.reset();
+            if (currentUser.role === 'admin') {
+                showAdmin();
+            } else {
+                showLogin();
+            }
+        } else {
+            showMessage(result.error || '登录失败', 'error', document.getElementById('login-section'));
+        }
+    } catch (error) {
+        console.error('登录出错:', error);
+        showMessage('登录失败：网络连接错误', 'error', document.getElementById('login-section'));
+    }
+}
+
+// 退出登录
+async function logout() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('退出登录出错:', error);
+    }
+    currentUser = null;
+    showLogin();
+}
+
+// 加载账号列表
+async function loadUsers() {
+    try {
+        const response = await fetch('/api/users');
+        if (handleAuthError(response)) {
+            return;
+        }
+        if (response.ok) {
+            displayUserList(await response.json());
+        }
+    } catch (error) {
+        console.error('加载账号时出错:', error);
+    }
+}
+
+// 显示账号列表
+function displayUserList(users) {
+    const listContainer = document.getElementById('user-list');
+    const roleNames = { admin: '家长', viewer: '观众' };
+    
+    listContainer.innerHTML = users.map(user => `
+        <div class="user-item">
+            <span>👤 ${escapeHtml(user.username)}</span>
+            <span class="user-role">${roleNames[user.role] || user.role}</span>
+            ${user.username === currentUser.username ? '' : `
+                <button class="delete-btn" onclick="deleteUser('${encodeURIComponent(user.username)}')">删除</button>
+            `}
+        </div>
+    `).join('');
+}
+
+// 创建账号
+async function handleCreateUser(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const newUser = {
+        username: form.username.value.trim(),
+        password: form.password.value,
+        role: form.elements.role.value
+    };
+    
+    try {
+        const response = await fetch('/api/users', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(newUser)
+        });
+        if (handleAuthError(response)) {
+            return;
+        }
+        
+        const result = await response.json();
+        if (response.ok) {
+            showMessage('账号创建成功', 'success', document.querySelector('.users-section'));
+            form.reset();
+            await loadUsers();
+        } else {
+            showMessage('创建失败：' + (result.error || '未知错误'), 'error', document.querySelector('.users-section'));
+        }
+    } catch (error) {
+        console.error('创建账号出错:', error);
+        showMessage('创建失败：网络连接错误', 'error', document.querySelector('.users-section'));
+    }
+}
+
+// 删除账号
+async function deleteUser(encodedUsername) {
+    const username = decodeURIComponent(encodedUsername);
+    if (!confirm(`确定要删除账号 ${username} 吗？`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/users/${encodedUsername}`, { method: 'DELETE' });
+        if (handleAuthError(response)) {
+            return;
+        }
+        
+        if (response.ok) {
+            await loadUsers();
+        } else {
+            const error = await response.json();
+            showMessage('删除失败：' + (error.error || '未知错误'), 'error', document.querySelector('.users-section'));
+        }
+    } catch (error) {
+        console.error('删除账号出错:', error);
+    }
 }
 
-// 处理文件预览
+// 处理文件预览（多选时预览第一张，并列出全部文件）
 function handleFilePreview(event) {
     const file = event.target.files[0];
     const preview = document.getElementById('preview-image');
     
+    renderUploadQueue(Array.from(event.target.files));
+    
     if (file) {
         const fileName = file.name.toLowerCase();
         const isValidImage = file.type.startsWith('image/') || 
@@ -55,16 +340,232 @@ function handleFilePreview(event) {
     }
 }
 
-// 加载所有画作
-async function loadPaintings() {
+// 加载绘画材料列表，填充上传表单的下拉框
+async function loadMediums() {
+    if (mediums.length > 0) {
+        return;
+    }
+    try {
+        const response = await fetch('/api/mediums');
+        if (response.ok) {
+            mediums = await response.json();
+            document.querySelectorAll('.medium-select').forEach(select => {
+                select.insertAdjacentHTML('beforeend', mediumOptions(''));
+            });
+        }
+    } catch (error) {
+        console.error('加载绘画材料出错:', error);
+    }
+}
+
+function mediumOptions(selected) {
+    return mediums.map(m =>
+        `<option value="${m.value}" ${m.value === selected ? 'selected' : ''}>${m.label}</option>`
+    ).join('');
+}
+
+function mediumLabel(value) {
+    const medium = mediums.find(m => m.value === value);
+    return medium ? medium.label : value;
+}
+
+// 加载相册列表，填充上传表单的相册下拉框
+async function loadAlbums() {
+    try {
+        const response = await fetch('/api/albums');
+        if (response.ok) {
+            albums = await response.json();
+            displayAlbumAdminList();
+            document.querySelectorAll('.album-select').forEach(select => {
+                const selected = select.value;
+                select.innerHTML = '<option value="">不放入相册</option>' + albums.map(album =>
+                    `<option value="${album.id}">${escapeHtml(album.title)}</option>`
+                ).join('');
+                select.value = albums.some(album => album.id === selected) ? selected : '';
+            });
+        }
+    } catch (error) {
+        console.error('加载相册出错:', error);
+    }
+}
+
+// 显示相册管理列表
+function displayAlbumAdminList() {
+    const listContainer = document.getElementById('album-admin-list');
+    if (albums.length === 0) {
+        listContainer.innerHTML = '<p class="form-hint">还没有相册，可以按"幼儿园小班""暑假"这样建几个</p>';
+        return;
+    }
+    
+    listContainer.innerHTML = albums.map(album => `
+        <div class="user-item album-item" id="album-${album.id}">
+            ${album.cover ? pictureHtml(album.cover, { className: 'painting-thumb', sizes: '60px' }) : '<span class="album-thumb-empty">🖼️</span>'}
+            <span class="album-item-title">${escapeHtml(album.title)}</span>
+            <span class="user-role">${album.paintingCount} 幅画</span>
+            <a class="edit-btn" href="/?album=${encodeURIComponent(album.id)}" target="_blank">查看</a>
+            <button class="edit-btn" onclick="toggleAlbumEdit('${album.id}')">编辑</button>
+            <button class="edit-btn" onclick="startShare('album', '${album.id}')">分享</button>
+            <button class="delete-btn" onclick="deleteAlbum('${album.id}')">删除</button>
+            <form class="painting-edit hidden" onsubmit="saveAlbum(event, '${album.id}')"></form>
+        </div>
+    `).join('');
+}
+
+function albumTitle(albumId) {
+    const album = albums.find(a => a.id === albumId);
+    return album ? album.title : '';
+}
+
+// 新建相册
+async function handleCreateAlbum(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const section = document.querySelector('.albums-section');
+    try {
+        const response = await fetch('/api/albums', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                title: form.elements.title.value,
+                description: form.elements.description.value
+            })
+        });
+        if (handleAuthError(response)) {
+            return;
+        }
+        
+        const result = await response.json();
+        if (response.ok) {
+            showMessage('相册创建成功', 'success', section);
+            form.reset();
+            await loadAlbums();
+            displayPaintingList(paintings);
+        } else {
+            showMessage('创建失败：' + (result.error || '未知错误'), 'error', section);
+        }
+    } catch (error) {
+        console.error('创建相册出错:', error);
+        showMessage('创建失败：网络连接错误', 'error', section);
+    }
+}
+
+// 展开或收起相册的编辑表单，封面从相册中的画作里选
+function toggleAlbumEdit(albumId) {
+    const album = albums.find(a => a.id === albumId);
+    const form = document.querySelector(`#album-${albumId} .painting-edit`);
+    if (!album || !form) {
+        return;
+    }
+    
+    if (!form.classList.contains('hidden')) {
+        form.classList.add('hidden');
+        return;
+    }
+    
+    const albumPaintings = paintings.filter(painting => (painting.albumIds || []).includes(albumId));
+    form.innerHTML = `
+        <input type="text" name="title" class="text-input" maxlength="40" placeholder="相册名称" value="${escapeHtml(album.title)}" required>
+        <input type="text" name="description" class="text-input" maxlength="500" placeholder="介绍" value="${escapeHtml(album.description || '')}">
+        <select name="coverPaintingId" class="text-input">
+            <option value="">封面：自动使用最新的一幅</option>
+            ${albumPaintings.map(painting => `
+                <option value="${painting.id}" ${painting.id === album.coverPaintingId ? 'selected' : ''}>
+                    封面：${escapeHtml(painting.title || '无题')}（${formatDate(painting.date)}）
+                </option>
+            `).join('')}
+        </select>
+        <div class="form-buttons">
+            <button type="submit" class="submit-btn">保存</button>
+            <button type="button" class="cancel-btn" onclick="toggleAlbumEdit('${album.id}')">取消</button>
+        </div>
+    `;
+    form.classList.remove('hidden');
+}
+
+// 保存相册信息
+async function saveAlbum(event, albumId) {
+    event.preventDefault();
+    
+    const fields = event.target.elements;
+    const section = document.querySelector('.albums-section');
     try {
-        const response = await fetch('/api/paintings');
+        const response = await fetch(`/api/albums/${albumId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                title: fields.title.value,
+                description: fields.description.value,
+                coverPaintingId: fields.coverPaintingId.value || null
+            })
+        });
+        if (handleAuthError(response)) {
+            return;
+        }
+        
         if (response.ok) {
-            paintings = await response.json();
+            showMessage('相册已保存', 'success', section);
+            await loadAlbums();
             displayPaintingList(paintings);
         } else {
-            console.error('无法加载画作列表');
+            const error = await response.json();
+            showMessage('保存失败：' + (error.error || '未知错误'), 'error', section);
+        }
+    } catch (error) {
+        console.error('保存相册出错:', error);
+        showMessage('保存失败：网络连接错误', 'error', section);
+    }
+}
+
+// 删除相册（画作保留）
+async function deleteAlbum(albumId) {
+    if (!confirm(`确定要删除相册"${albumTitle(albumId)}"吗？相册中的画作不会被删除。`)) {
+        return;
+    }
+    
+    const section = document.querySelector('.albums-section');
+    try {
+        const response = await fetch(`/api/albums/${albumId}`, { method: 'DELETE' });
+        if (handleAuthError(response)) {
+            return;
+        }
+        
+        if (response.ok) {
+            showMessage('相册已删除', 'success', section);
+            await loadAlbums();
+            await loadPaintings();
+            loadShares();
+        } else {
+            const error = await response.json();
+            showMessage('删除失败：' + (error.error || '未知错误'), 'error', section);
         }
+    } catch (error) {
+        console.error('删除相册出错:', error);
+    }
+}
+
+// 加载所有画作（管理列表需要全部画作，按每页最大数量逐页读取）
+async function loadPaintings() {
+    try {
+        const allPaintings = [];
+        let cursor = null;
+        do {
+            const params = new URLSearchParams({ limit: '100' });
+            if (cursor) {
+                params.set('cursor', cursor);
+            }
+            const response = await fetch(`/api/paintings?${params}`);
+            if (!response.ok) {
+                console.error('无法加载画作列表');
+                return;
+            }
+            const result = await response.json();
+            allPaintings.push(...result.paintings);
+            cursor = result.nextCursor;
+        } while (cursor);
+        paintings = allPaintings;
+        displayPaintingList(paintings);
+        loadStats();
     } catch (error) {
         console.error('加载画作时出错:', error);
         // 如果无法连接服务器，显示示例数据
@@ -87,20 +588,147 @@ function displayPaintingList(paintingList) {
     }
     
     listContainer.innerHTML = paintingList.map(painting => `
-        <div class="painting-item">
-            <img src="${painting.imageUrl}" alt="悦悦的画作" class="painting-thumb">
+        <div class="painting-item" id="painting-${painting.id}">
+            ${pictureHtml(painting, { className: 'painting-thumb', sizes: '60px' })}
             <div class="painting-details">
-                <p style="font-size: 0.9em; color: #666;">${formatDate(painting.date)}</p>
+                <h4>${escapeHtml(painting.title || '无题')}</h4>
+                <p style="font-size: 0.9em; color: #666;">${formatDate(painting.date)}${dateSourceText(painting)}${paintingMetaText(painting)}</p>
+                ${painting.cameraModel ? `<p class="painting-camera">📷 ${escapeHtml(painting.cameraModel)}</p>` : ''}
+                ${(painting.tags || []).length > 0 ? `
+                    <div class="tag-list">${painting.tags.map(tag => `<span class="tag">#${escapeHtml(tag)}</span>`).join('')}</div>
+                ` : ''}
+                ${(painting.albumIds || []).length > 0 ? `
+                    <div class="tag-list">${painting.albumIds.map(albumId => `<span class="tag album-tag">📁 ${escapeHtml(albumTitle(albumId))}</span>`).join('')}</div>
+                ` : ''}
             </div>
             <div class="painting-actions">
-                <button class="delete-btn" onclick="deletePainting('${painting.id}')" 
-                        style="background: #ff6b6b; color: white; border: none; padding: 8px 15px; 
-                               border-radius: 15px; cursor: pointer; font-size: 0.9em;">删除</button>
+                <button class="edit-btn" onclick="toggleEdit('${painting.id}')">编辑</button>
+                <button class="edit-btn" onclick="openImageEditor('${painting.id}')">编辑图片</button>
+                <button class="edit-btn" onclick="toggleScanEnhancement('${painting.id}', this)" title="去掉纸张背景、阴影和光照不均，让颜色更鲜艳">
+                    ${painting.enhancement === 'scan' ? '取消扫描增强' : '扫描增强'}
+                </button>
+                ${painting.originalFile ? `
+                    <a class="edit-btn" href="/api/paintings/${painting.id}/original" title="下载未经处理的原始文件">原图</a>
+                ` : ''}
+                <button class="edit-btn" onclick="startShare('painting', '${painting.id}')">分享</button>
+                <button class="delete-btn" onclick="deletePainting('${painting.id}')">删除</button>
             </div>
+            <form class="painting-edit hidden" onsubmit="savePainting(event, '${painting.id}')"></form>
         </div>
     `).join('');
 }
 
+// 日期来源提示：拍摄时间或上传时间
+function dateSourceText(painting) {
+    const labels = { exif: '（拍摄时间）', upload: '（上传时间）' };
+    return labels[painting.dateSource] || '';
+}
+
+// 列表中显示的绘画材料和年龄
+function paintingMetaText(painting) {
+    const meta = [];
+    if (painting.medium) {
+        meta.push(mediumLabel(painting.medium));
+    }
+    if (painting.ageMonths !== null && painting.ageMonths !== undefined) {
+        meta.push(formatAge(painting.ageMonths));
+    }
+    return meta.map(text => ` · ${escapeHtml(text)}`).join('');
+}
+
+// 展开或收起画作的编辑表单
+function toggleEdit(paintingId) {
+    const painting = paintings.find(p => p.id === paintingId);
+    const form = document.querySelector(`#painting-${paintingId} .painting-edit`);
+    if (!painting || !form) {
+        return;
+    }
+    
+    if (!form.classList.contains('hidden')) {
+        form.classList.add('hidden');
+        return;
+    }
+    
+    const hasAge = painting.ageMonths !== null && painting.ageMonths !== undefined;
+    form.innerHTML = `
+        <input type="text" name="title" class="text-input" maxlength="60" placeholder="标题" value="${escapeHtml(painting.title || '')}">
+        <textarea name="description" class="text-input" maxlength="1000" rows="2" placeholder="描述">${escapeHtml(painting.description || '')}</textarea>
+        <div class="form-row">
+            <select name="medium" class="text-input">
+                <option value="">未选择材料</option>
+                ${mediumOptions(painting.medium)}
+            </select>
+            <input type="date" name="date" class="text-input" value="${toDateInputValue(painting.date)}">
+        </div>
+        <div class="age-inputs">
+            <input type="number" name="age-years" class="text-input" min="0" max="18" value="${hasAge ? Math.floor(painting.ageMonths / 12) : ''}"> 岁
+            <input type="number" name="age-months" class="text-input" min="0" max="11" value="${hasAge ? painting.ageMonths % 12 : ''}"> 个月
+        </div>
+        <input type="text" name="tags" class="text-input" placeholder="标签，用逗号分隔" value="${escapeHtml((painting.tags || []).join('，'))}">
+        ${albums.length > 0 ? `
+            <div class="album-checkboxes">
+                ${albums.map(album => `
+                    <label>
+                        <input type="checkbox" name="albumIds" value="${album.id}" ${(painting.albumIds || []).includes(album.id) ? 'checked' : ''}>
+                        ${escapeHtml(album.title)}
+                    </label>
+                `).join('')}
+            </div>
+        ` : ''}
+        <div class="form-buttons">
+            <button type="submit" class="submit-btn">保存</button>
+            <button type="button" class="cancel-btn" onclick="toggleEdit('${painting.id}')">取消</button>
+        </div>
+    `;
+    form.classList.remove('hidden');
+}
+
+// 保存画作信息
+async function savePainting(event, paintingId) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const painting = paintings.find(p => p.id === paintingId);
+    const fields = form.elements;
+    const changes = {
+        title: fields.title.value,
+        description: fields.description.value,
+        medium: fields.medium.value,
+        tags: fields.tags.value,
+        ageMonths: readAgeMonths(fields['age-years'].value, fields['age-months'].value),
+        albumIds: Array.from(form.querySelectorAll('input[name="albumIds"]:checked')).map(input => input.value)
+    };
+    
+    // 只有修改了日期才提交，避免丢失原来的时间
+    if (fields.date.value && fields.date.value !== toDateInputValue(painting.date)) {
+        changes.date = new Date(`${fields.date.value}T12:00:00`).toISOString();
+    }
+    
+    try {
+        const response = await fetch(`/api/paintings/${paintingId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+        
+        if (handleAuthError(response)) {
+            return;
+        }
+        
+        if (response.ok) {
+            showMessage('画作信息已保存', 'success');
+            await loadAlbums();
+            await loadPaintings();
+        } else {
+            const error = await response.json();
+            showMessage('保存失败：' + (error.error || '未知错误'), 'error');
+        }
+    } catch (error) {
+        console.error('保存出错:', error);
+        showMessage('保存失败：网络连接错误', 'error');
+    }
+}
+
 // 显示示例数据（当服务器未启动时）
 function displaySamplePaintingList() {
     const samplePaintings = [
@@ -119,46 +747,727 @@ function displaySamplePaintingList() {
     displayPaintingList(samplePaintings);
 }
 
-// 格式化日期
-function formatDate(dateString) {
-    const date = new Date(dateString);
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}年${month}月${day}日`;
+// 加载统计数据并画出统计图（图表用 SVG 和 CSS 在本地绘制，不依赖外部脚本）
+async function loadStats() {
+    try {
+        const timezoneOffset = -new Date().getTimezoneOffset();
+        const response = await fetch(`/api/stats?tz=${timezoneOffset}`);
+        if (!response.ok) {
+            console.error('无法加载统计数据');
+            return;
+        }
+        displayStats(await response.json());
+    } catch (error) {
+        console.error('加载统计数据出错:', error);
+    }
 }
 
-// 处理上传
-async function handleUpload(event) {
-    event.preventDefault();
+function displayStats(stats) {
+    const streakText = (streak) => streak
+        ? `${streak.days} 天<small>${formatDay(streak.start)} – ${formatDay(streak.end)}</small>`
+        : '—';
+    document.getElementById('stats-summary').innerHTML = [
+        { label: '画作总数', value: `${stats.totalPaintings} 幅` },
+        { label: '最长连续画画', value: streakText(stats.streaks.longest) },
+        { label: '当前连续画画', value: streakText(stats.streaks.current) },
+        { label: '总存储占用', value: formatSize(stats.storage.total) }
+    ].map(item => `
+        <div class="stats-number">
+            <span class="stats-number-label">${item.label}</span>
+            <span class="stats-number-value">${item.value}</span>
+        </div>
+    `).join('');
     
-    const form = event.target;
-    const formData = new FormData(form);
-    const submitBtn = form.querySelector('.submit-btn');
-    const originalText = submitBtn.textContent;
+    const months = fillMonths(stats.byMonth);
+    document.getElementById('stats-monthly').innerHTML = columnChartSvg(months.map(({ month, count }) => ({
+        label: monthLabel(month),
+        segments: [{ value: count, color: '#FF69B4', title: `${month}：${count} 幅` }]
+    })));
     
-    // 验证文件
-    const fileInput = document.getElementById('painting-file');
-    if (!fileInput.files[0]) {
-        showMessage('请选择要上传的图片文件', 'error');
+    document.getElementById('stats-yearly').innerHTML = barListHtml(stats.byYear.map(({ year, count }) => ({
+        label: `${year}年`,
+        value: count,
+        text: `${count} 幅`
+    })));
+    
+    const storageParts = [
+        { label: '画廊图片', value: stats.storage.published, color: '#FF69B4' },
+        { label: '衍生图', value: stats.storage.derivatives, color: '#87CEEB' },
+        { label: '原图库', value: stats.storage.originals, color: '#98FB98' },
+        { label: '回收站', value: stats.storage.trash, color: '#D3D3D3' }
+    ];
+    document.getElementById('stats-storage').innerHTML = barListHtml(storageParts.map(part => ({
+        ...part,
+        text: formatSize(part.value)
+    })));
+    
+    document.getElementById('stats-tags').innerHTML = stats.tags.length > 0
+        ? barListHtml(stats.tags.slice(0, 15).map(({ tag, count }) => ({ label: `#${tag}`, value: count, text: count })))
+        : '<p class="stats-empty">还没有标签</p>';
+    
+    document.getElementById('stats-mediums').innerHTML = barListHtml(stats.mediums.map(({ label, count }) => ({
+        label,
+        value: count,
+        text: count
+    })));
+    
+    // 主色调：每个月一根柱子，按色系分段
+    const families = stats.colors.families;
+    const colorMonths = fillMonths(stats.colors.byMonth);
+    document.getElementById('stats-colors').innerHTML = stats.colors.byMonth.length === 0
+        ? '<p class="stats-empty">还没有主色调数据</p>'
+        : columnChartSvg(colorMonths.map(({ month, families: counts = {} }) => ({
+            label: monthLabel(month),
+            segments: families.filter(family => counts[family.key]).map(family => ({
+                value: counts[family.key],
+                color: family.color,
+                title: `${month} ${family.label}：${counts[family.key]} 幅`
+            }))
+        }))) + `
+            <div class="stats-legend">
+                ${families.map(family => `<span><i style="background: ${family.color}"></i>${family.label}</span>`).join('')}
+            </div>
+        `;
+}
+
+// 补上没有画作的月份，让柱状图的时间轴连续
+function fillMonths(rows) {
+    if (rows.length === 0) {
+        return [];
+    }
+    const byMonth = Object.fromEntries(rows.map(row => [row.month, row]));
+    const [startYear, startMonth] = rows[0].month.split('-').map(Number);
+    const [endYear, endMonth] = rows[rows.length - 1].month.split('-').map(Number);
+    const months = [];
+    for (let index = startYear * 12 + startMonth - 1; index <= endYear * 12 + endMonth - 1; index++) {
+        const month = `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+        months.push(byMonth[month] || { month, count: 0 });
+    }
+    return months;
+}
+
+// 柱状图横轴标签：每年一月和第一根柱子显示年份
+function monthLabel(month) {
+    const [year, monthNumber] = month.split('-');
+    return { month: `${Number(monthNumber)}月`, year: monthNumber === '01' ? year : null, fullYear: year };
+}
+
+// 堆叠柱状图（SVG），columns 为 [{ label, segments: [{ value, color, title }] }]
+function columnChartSvg(columns) {
+    if (columns.length === 0) {
+        return '<p class="stats-empty">还没有画作</p>';
+    }
+    const barWidth = 18;
+    const gap = 8;
+    const chartHeight = 150;
+    const labelHeight = 36;
+    const left = 30;
+    const width = left + columns.length * (barWidth + gap);
+    const max = Math.max(1, ...columns.map(column => column.segments.reduce((sum, segment) => sum + segment.value, 0)));
+    
+    const bars = columns.map((column, index) => {
+        const x = left + index * (barWidth + gap);
+        let y = chartHeight;
+        const rects = column.segments.map(segment => {
+            const height = segment.value / max * (chartHeight - 10);
+            y -= height;
+            return `<rect x="${x}" y="${y.toFixed(1)}" width="${barWidth}" height="${height.toFixed(1)}" rx="3" fill="${segment.color}"><title>${escapeHtml(segment.title)}</title></rect>`;
+        }).join('');
+        const year = column.label.year || (index === 0 ? column.label.fullYear : null);
+        return `
+            ${rects}
+            <text x="${x + barWidth / 2}" y="${chartHeight + 14}" class="stats-axis" text-anchor="middle">${column.label.month}</text>
+            ${year ? `<text x="${x}" y="${chartHeight + 30}" class="stats-axis stats-axis-year">${year}</text>` : ''}
+        `;
+    }).join('');
+    
+    return `
+        <svg class="stats-svg" width="${width}" height="${chartHeight + labelHeight}" role="img">
+            <line x1="${left - 4}" y1="${chartHeight}" x2="${width}" y2="${chartHeight}" class="stats-baseline"/>
+            <text x="0" y="14" class="stats-axis">${max}</text>
+            <text x="0" y="${chartHeight}" class="stats-axis">0</text>
+            ${bars}
+        </svg>
+    `;
+}
+
+// 横向条形图（HTML），items 为 [{ label, value, text, color }]
+function barListHtml(items) {
+    const max = Math.max(1, ...items.map(item => item.value));
+    return `
+        <div class="stats-bars">
+            ${items.map(item => `
+                <div class="stats-bar-row">
+                    <span class="stats-bar-label">${escapeHtml(item.label)}</span>
+                    <span class="stats-bar-track">
+                        <span class="stats-bar" style="width: ${(item.value / max * 100).toFixed(1)}%; ${item.color ? `background: ${item.color};` : ''}"></span>
+                    </span>
+                    <span class="stats-bar-value">${escapeHtml(String(item.text))}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// 文件大小，例如 "12.3 MB"
+function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+// YYYY-MM-DD 格式化为 "2025年7月15日"
+function formatDay(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return `${year}年${month}月${date}日`;
+}
+
+// 导入备份压缩包，替换模式需要再次确认
+async function handleImport(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const file = form.archive.files[0];
+    const mode = form.elements.mode.value;
+    if (!file) {
+        return;
+    }
+    if (mode === 'replace' && !confirm('替换会删除画廊中现有的全部画作和相册，换成备份中的内容，确定要继续吗？')) {
+        return;
+    }
+    
+    const section = document.querySelector('.backup-section');
+    const progress = document.getElementById('import-progress');
+    const fill = progress.querySelector('.progress-fill');
+    const status = document.getElementById('import-status');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    progress.classList.remove('hidden');
+    fill.style.width = '0%';
+    status.textContent = '正在上传备份文件...';
+    
+    try {
+        const result = await uploadFileWithProgress(`/api/import?mode=${mode}`, file, percent => {
+            fill.style.width = `${percent}%`;
+            status.textContent = percent < 100 ? `正在上传备份文件 ${percent}%` : '正在校验并导入...';
+        });
+        status.textContent = importResultText(result);
+        form.reset();
+        await loadAlbums();
+        await loadPaintings();
+    } catch (error) {
+        if (error.status === 401 || error.status === 403) {
+            handleAuthError(error);
+            return;
+        }
+        progress.classList.add('hidden');
+        showMessage('导入失败：' + error.message, 'error', section);
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// 导入结果说明，跳过的画作按原因分别计数
+function importResultText(result) {
+    const reasons = { id: '已存在', checksum: '与现有画作重复', filename: '文件名冲突' };
+    const counts = {};
+    result.skipped.forEach(({ reason }) => {
+        counts[reason] = (counts[reason] || 0) + 1;
+    });
+    const parts = [`导入完成：新增 ${result.imported} 幅画作`];
+    Object.entries(counts).forEach(([reason, count]) => {
+        parts.push(`跳过 ${count} 幅${reasons[reason] || ''}的画作`);
+    });
+    if (result.albums.imported > 0) {
+        parts.push(`新增 ${result.albums.imported} 个相册`);
+    }
+    if (result.albums.merged > 0) {
+        parts.push(`合并 ${result.albums.merged} 个相册`);
+    }
+    return parts.join('，');
+}
+
+// 加载自动备份的设置和快照列表，有快照正在进行时每 3 秒刷新一次
+async function loadSnapshots() {
+    clearTimeout(snapshotPollTimer);
+    try {
+        const response = await fetch('/api/snapshots');
+        if (handleAuthError(response)) {
+            return;
+        }
+        if (response.ok) {
+            const data = await response.json();
+            displaySnapshots(data);
+            if (data.running) {
+                snapshotPollTimer = setTimeout(loadSnapshots, 3000);
+            }
+        }
+    } catch (error) {
+        console.error('加载快照列表出错:', error);
+    }
+}
+
+// 显示自动备份设置和快照列表
+function displaySnapshots(data) {
+    const settings = document.getElementById('snapshot-settings');
+    const button = document.getElementById('snapshot-btn');
+    const list = document.getElementById('snapshot-list');
+    
+    if (!data.enabled) {
+        settings.textContent = '还没有开启自动备份。启动服务器时设置 BACKUP_DIR 环境变量（例如挂载的 NAS 目录）即可开启。';
+        button.classList.add('hidden');
+        list.innerHTML = '';
         return;
     }
     
-    // 验证文件大小 (限制为 10MB)
-    if (fileInput.files[0].size > 10 * 1024 * 1024) {
-        showMessage('图片文件不能超过 10MB', 'error');
+    const { daily, weekly, monthly, restoreDays } = data.retention;
+    settings.textContent = `每 ${data.intervalHours} 小时备份一次到 ${data.directory}，` +
+        `保留最近 ${daily} 天、${weekly} 周、${monthly} 个月各一个快照，恢复前保存的快照保留 ${restoreDays} 天。` +
+        '内容没有变化的图片不会重复保存。';
+    button.classList.remove('hidden');
+    button.disabled = data.running;
+    button.textContent = data.running ? '正在备份...' : '立即备份';
+    
+    const triggerNames = { schedule: '定时', manual: '手动', restore: '恢复前' };
+    const statusNames = { running: '⏳ 进行中', complete: '✅ 完成', failed: '❌ 失败' };
+    if (data.snapshots.length === 0) {
+        list.innerHTML = '<div class="user-item">还没有快照</div>';
+        return;
+    }
+    list.innerHTML = data.snapshots.map(snapshot => `
+        <div class="user-item">
+            <span>${formatDateTime(snapshot.createdAt)}</span>
+            <span class="user-role">
+                ${triggerNames[snapshot.trigger] || ''} · ${statusNames[snapshot.status] || snapshot.status}
+                ${snapshot.status === 'complete'
+                    ? ` · ${snapshot.counts.paintings} 幅画作 · 共 ${formatSize(snapshot.totalBytes)}，新增 ${formatSize(snapshot.newBytes)}`
+                    : ''}
+                ${snapshot.error ? ` · ${escapeHtml(snapshot.error)}` : ''}
+            </span>
+            ${snapshot.status === 'complete' ? `
+                <button class="edit-btn" onclick="restoreSnapshot('${snapshot.id}')">恢复</button>
+            ` : ''}
+        </div>
+    `).join('');
+}
+
+// 立即备份
+async function startSnapshot() {
+    const section = document.querySelector('.backup-section');
+    try {
+        const response = await fetch('/api/snapshots', { method: 'POST' });
+        if (handleAuthError(response)) {
+            return;
+        }
+        if (!response.ok) {
+            const error = await response.json();
+            showMessage('备份失败：' + (error.error || '未知错误'), 'error', section);
+        }
+        await loadSnapshots();
+    } catch (error) {
+        console.error('开始备份出错:', error);
+        showMessage('备份失败：网络连接错误', 'error', section);
+    }
+}
+
+// 用快照替换整个画廊
+async function restoreSnapshot(snapshotId) {
+    if (!confirm('恢复会用这个快照替换画廊中现有的全部画作和相册（恢复前会自动给现在的画廊保存一个快照），确定要继续吗？')) {
         return;
     }
     
-    // 验证文件类型 (支持标准图片格式和 HEIF)
-    const file = fileInput.files[0];
+    const section = document.querySelector('.backup-section');
+    try {
+        const response = await fetch(`/api/snapshots/${snapshotId}/restore`, { method: 'POST' });
+        if (handleAuthError(response)) {
+            return;
+        }
+        const result = await response.json();
+        if (response.ok) {
+            showMessage(`恢复完成：共 ${result.imported} 幅画作`, 'success', section);
+            await loadAlbums();
+            await loadPaintings();
+        } else {
+            showMessage('恢复失败：' + (result.error || '未知错误'), 'error', section);
+        }
+        await loadSnapshots();
+    } catch (error) {
+        console.error('恢复快照出错:', error);
+        showMessage('恢复失败：网络连接错误', 'error', section);
+    }
+}
+
+// 格式化日期和时间，例如 "2025年01月01日 02:00"
+function formatDateTime(dateString) {
+    const date = new Date(dateString);
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${formatDate(dateString)} ${hours}:${minutes}`;
+}
+
+// 日期输入框使用的 yyyy-mm-dd 格式
+function toDateInputValue(dateString) {
+    const date = new Date(dateString);
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+// 格式化年龄（月数），例如 "4岁3个月"
+function formatAge(ageMonths) {
+    const years = Math.floor(ageMonths / 12);
+    const months = ageMonths % 12;
+    if (years === 0) {
+        return `${months}个月`;
+    }
+    return months === 0 ? `${years}岁` : `${years}岁${months}个月`;
+}
+
+// 把表单中的"岁"和"个月"合并成月数，都没填时返回空字符串
+function readAgeMonths(years, months) {
+    if (years === '' && months === '') {
+        return '';
+    }
+    return String((Number(years) || 0) * 12 + (Number(months) || 0));
+}
+
+// 检查单个文件，返回错误提示或 null
+function validateUploadFile(file) {
+    // 验证文件大小 (大文件分块上传，最大 200MB)
+    if (file.size > MAX_UPLOAD_SIZE) {
+        return '图片文件不能超过 200MB';
+    }
+    
+    // 验证文件类型（服务器还会根据文件内容再检查一次）
     const fileName = file.name.toLowerCase();
-    const isValidImage = file.type.startsWith('image/') || 
-                        fileName.endsWith('.heic') || 
-                        fileName.endsWith('.heif');
+    const isValidImage = ALLOWED_IMAGE_EXTENSIONS.some(ext => fileName.endsWith(ext));
     
     if (!isValidImage) {
-        showMessage('请选择有效的图片文件（支持 JPG、PNG、HEIC 格式）', 'error');
+        return '请选择有效的图片文件（支持 JPG、PNG、GIF、WebP、HEIC、BMP 格式）';
+    }
+    return null;
+}
+
+// 上传失败的提示文字，服务器返回错误代码时附上处理建议和代码
+function uploadErrorText(message, code) {
+    if (!code) {
+        return '❌ ' + message;
+    }
+    const hint = UPLOAD_ERROR_HINTS[code];
+    return `❌ ${message}${hint ? '，' + hint : ''} [${code}]`;
+}
+
+// 显示待上传文件列表，每个文件一行进度条
+function renderUploadQueue(files) {
+    const queue = document.getElementById('upload-queue');
+    queue.innerHTML = files.map((file, index) => `
+        <div class="upload-item" id="upload-item-${index}">
+            <div class="upload-item-header">
+                <span class="upload-item-name">${escapeHtml(file.name)}</span>
+                <span class="upload-item-status">等待上传</span>
+            </div>
+            <div class="progress-bar"><div class="progress-fill"></div></div>
+        </div>
+    `).join('');
+}
+
+// 更新某个文件的进度和状态，state 为 done / failed 时改变颜色
+function setUploadItem(index, { progress, status, state }) {
+    const item = document.getElementById(`upload-item-${index}`);
+    if (!item) {
+        return;
+    }
+    if (progress !== undefined) {
+        item.querySelector('.progress-fill').style.width = `${progress}%`;
+    }
+    if (status !== undefined) {
+        item.querySelector('.upload-item-status').textContent = status;
+    }
+    if (state) {
+        item.classList.remove('done', 'failed', 'warning');
+        item.classList.add(state);
+    }
+}
+
+// 用 XMLHttpRequest 上传单个文件，以便显示上传进度
+// body 可以是 FormData，也可以直接是文件（导入备份时请求体就是压缩包）
+function uploadFileWithProgress(url, body, onProgress) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', url);
+        
+        xhr.upload.addEventListener('progress', (e) => {
+            if (e.lengthComputable) {
+                onProgress(Math.round(e.loaded / e.total * 100));
+            }
+        });
+        
+        xhr.addEventListener('load', () => {
+            let result = {};
+            try {
+                result = JSON.parse(xhr.responseText);
+            } catch (error) {
+                // 非 JSON 响应按未知错误处理
+            }
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve(result);
+            } else {
+                const error = new Error(result.error || '未知错误');
+                error.status = xhr.status;
+                error.code = result.code;
+                reject(error);
+            }
+        });
+        
+        xhr.addEventListener('error', () => reject(new Error('网络连接错误')));
+        xhr.send(body);
+    });
+}
+
+// 未完成的分块上传记录在 localStorage 中：文件指纹 -> 上传会话 id
+function loadResumableUploads() {
+    try {
+        return JSON.parse(localStorage.getItem(RESUMABLE_UPLOADS_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveResumableUploads(uploads) {
+    localStorage.setItem(RESUMABLE_UPLOADS_KEY, JSON.stringify(uploads));
+}
+
+// 刷新页面后 File 对象会丢失，用文件名、大小和修改时间识别同一个文件
+function fileFingerprint(file) {
+    return `${file.name}:${file.size}:${file.lastModified}`;
+}
+
+// 计算文件的 SHA-256：每次只读取一段（见 sha256.js），大文件也不会一次全部读进内存
+async function sha256Hex(file) {
+    const hash = createSha256();
+    for (let start = 0; start < file.size; start += HASH_READ_SIZE) {
+        hash.update(new Uint8Array(await file.slice(start, start + HASH_READ_SIZE).arrayBuffer()));
+    }
+    return hash.hex();
+}
+
+// 检查上次没有完成的分块上传，提示重新选择相同文件继续
+async function checkResumableUploads() {
+    const uploads = loadResumableUploads();
+    const pending = {};
+    
+    for (const [fingerprint, uploadId] of Object.entries(uploads)) {
+        try {
+            const response = await fetch(`/api/uploads/chunked/${uploadId}`);
+            if (response.ok) {
+                pending[fingerprint] = uploadId;
+            }
+        } catch (error) {
+            // 网络错误时保留记录，下次再检查
+            pending[fingerprint] = uploadId;
+        }
+    }
+    saveResumableUploads(pending);
+    
+    const names = Object.keys(pending).map(fingerprint => fingerprint.split(':')[0]);
+    if (names.length > 0) {
+        showMessage(`有 ${names.length} 个未完成的上传（${names.join('、')}），重新选择相同的文件即可从中断处继续`, 'success');
+    }
+}
+
+// 带重试的分块上传，网络错误或分块校验失败时等待后重试
+async function putChunk(uploadId, index, chunk, attempts = 5) {
+    const checksum = createSha256().update(chunk).hex();
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const response = await fetch(`/api/uploads/chunked/${uploadId}/chunks/${index}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-SHA256': checksum },
+                body: chunk
+            });
+            if (response.ok) {
+                return;
+            }
+            const result = await response.json().catch(() => ({}));
+            const error = new Error(result.error || '分块上传失败');
+            error.status = response.status;
+            error.fatal = response.status < 500 && result.code !== 'CHUNK_CHECKSUM';
+            throw error;
+        } catch (error) {
+            if (error.fatal || attempt >= attempts) {
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        }
+    }
+}
+
+// 分块上传一个文件：已经上传过的分块会跳过，完成后返回处理任务 id
+async function uploadFileChunked(batchId, file, fields, onProgress) {
+    const fingerprint = fileFingerprint(file);
+    const uploads = loadResumableUploads();
+    let session = null;
+    
+    // 找到之前没有完成的会话就继续上传
+    if (uploads[fingerprint]) {
+        const response = await fetch(`/api/uploads/chunked/${uploads[fingerprint]}`);
+        if (response.ok) {
+            session = await response.json();
+        }
+    }
+    
+    if (!session) {
+        const response = await fetch('/api/uploads/chunked', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                filename: file.name,
+                size: file.size,
+                mimeType: file.type,
+                sha256: await sha256Hex(file),
+                metadata: Object.fromEntries(fields.entries())
+            })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            const error = new Error(result.error || '无法开始上传');
+            error.status = response.status;
+            error.code = result.code;
+            throw error;
+        }
+        session = result;
+        saveResumableUploads({ ...loadResumableUploads(), [fingerprint]: session.id });
+    }
+    
+    const received = new Set(session.receivedChunks);
+    onProgress(Math.round(received.size / session.totalChunks * 100));
+    
+    for (let index = 0; index < session.totalChunks; index++) {
+        if (received.has(index)) {
+            continue;
+        }
+        const start = index * session.chunkSize;
+        const chunk = new Uint8Array(await file.slice(start, start + session.chunkSize).arrayBuffer());
+        await putChunk(session.id, index, chunk);
+        received.add(index);
+        onProgress(Math.round(received.size / session.totalChunks * 100));
+    }
+    
+    const response = await fetch(`/api/uploads/chunked/${session.id}/complete`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ batchId })
+    });
+    const result = await response.json();
+    
+    // 分块不全时保留记录以便续传，其他情况会话都已结束
+    if (response.status !== 409) {
+        const remaining = loadResumableUploads();
+        delete remaining[fingerprint];
+        saveResumableUploads(remaining);
+    }
+    
+    if (!response.ok) {
+        const error = new Error(result.error || '上传失败');
+        error.status = response.status;
+        error.code = result.code;
+        throw error;
+    }
+    return result;
+}
+
+// 轮询批次状态，直到所有文件处理完成
+async function pollUploadBatch(batchId, jobIndexes) {
+    const statusText = {
+        queued: '排队处理中',
+        processing: '处理中…',
+        done: '✅ 完成'
+    };
+    
+    while (true) {
+        const response = await fetch(`/api/uploads/batches/${batchId}`);
+        if (handleAuthError(response)) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error('无法获取处理进度');
+        }
+        
+        const batch = await response.json();
+        batch.jobs.forEach(job => {
+            const index = jobIndexes[job.id];
+            if (job.status === 'failed') {
+                setUploadItem(index, { status: uploadErrorText(job.error || '处理失败', job.code), state: 'failed' });
+            } else if (job.status === 'done' && job.similar.length > 0) {
+                const match = job.similar[0];
+                setUploadItem(index, {
+                    status: `✅ 完成 · ⚠️ 与《${match.title || '无题'}》${match.exact ? '完全相同' : `相似度 ${Math.round(match.similarity * 100)}%`}`,
+                    state: 'warning'
+                });
+            } else {
+                setUploadItem(index, {
+                    status: statusText[job.status],
+                    state: job.status === 'done' ? 'done' : undefined
+                });
+            }
+        });
+        
+        if (batch.finished) {
+            return batch;
+        }
+        await new Promise(resolve => setTimeout(resolve, 1500));
+    }
+}
+
+// 处理上传：支持一次选择多张，逐个上传并显示每张的进度
+async function handleUpload(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const submitBtn = form.querySelector('.submit-btn');
+    const originalText = submitBtn.textContent;
+    
+    // 所有文件共用表单中的画作信息，年龄以月数提交
+    const fields = new FormData(form);
+    fields.delete('painting');
+    fields.delete('age-years');
+    fields.delete('age-months');
+    fields.set('ageMonths', readAgeMonths(form['age-years'].value, form['age-months'].value));
+    
+    // 手动填写的日期按当天中午提交，避免时区导致日期偏移
+    if (fields.get('date')) {
+        fields.set('date', new Date(`${fields.get('date')}T12:00:00`).toISOString());
+    } else {
+        fields.delete('date');
+    }
+    
+    // 验证文件
+    const fileInput = document.getElementById('painting-file');
+    const files = Array.from(fileInput.files);
+    if (files.length === 0) {
+        showMessage('请选择要上传的图片文件', 'error');
+        return;
+    }
+    
+    renderUploadQueue(files);
+    const validFiles = [];
+    files.forEach((file, index) => {
+        const problem = validateUploadFile(file);
+        if (problem) {
+            setUploadItem(index, { status: '❌ ' + problem, state: 'failed' });
+        } else {
+            validFiles.push({ file, index });
+        }
+    });
+    
+    if (validFiles.length === 0) {
+        showMessage('没有可以上传的图片文件', 'error');
         return;
     }
     
@@ -167,38 +1476,75 @@ async function handleUpload(event) {
     submitBtn.disabled = true;
     
     try {
-        const response = await fetch('/api/upload', {
-            method: 'POST',
-            body: formData
-        });
+        const batchResponse = await fetch('/api/uploads/batches', { method: 'POST' });
+        if (handleAuthError(batchResponse)) {
+            return;
+        }
+        if (!batchResponse.ok) {
+            throw new Error('无法创建上传批次');
+        }
+        const batch = await batchResponse.json();
         
-        if (response.ok) {
-            const result = await response.json();
-            showMessage('画作上传成功！', 'success');
+        // 逐个上传文件，服务器收到后立即排队处理
+        const jobIndexes = {};
+        for (const { file, index } of validFiles) {
+            const formData = new FormData();
+            fields.forEach((value, key) => formData.append(key, value));
+            formData.append('painting', file);
             
-            // 重新加载画作列表
-            await loadPaintings();
+            const onProgress = progress => {
+                setUploadItem(index, { progress, status: `上传中 ${progress}%` });
+            };
             
-            // 重置表单
-            form.reset();
-            document.getElementById('preview-image').classList.add('hidden');
+            try {
+                // 大文件分块上传，小文件直接上传
+                const result = file.size > CHUNKED_UPLOAD_THRESHOLD
+                    ? await uploadFileChunked(batch.id, file, fields, onProgress)
+                    : await uploadFileWithProgress(`/api/uploads/batches/${batch.id}/files`, formData, onProgress);
+                jobIndexes[result.jobId] = index;
+                setUploadItem(index, { progress: 100, status: '排队处理中' });
+            } catch (error) {
+                if (error.status === 401 || error.status === 403) {
+                    handleAuthError(error);
+                    return;
+                }
+                setUploadItem(index, { status: uploadErrorText(error.message, error.code), state: 'failed' });
+            }
+        }
+        
+        const result = await pollUploadBatch(batch.id, jobIndexes);
+        if (!result) {
+            return;
+        }
+        
+        const failedCount = files.length - result.done;
+        if (failedCount === 0) {
+            showMessage(`${result.done} 幅画作上传成功！`, 'success');
         } else {
-            const error = await response.json();
-            showMessage('上传失败：' + (error.message || '未知错误'), 'error');
+            showMessage(`${result.done} 幅上传成功，${failedCount} 幅失败`, result.done > 0 ? 'success' : 'error');
         }
+        
+        // 重新加载画作列表
+        await loadAlbums();
+        await loadPaintings();
+        loadDuplicates();
+        
+        // 重置表单（保留上传结果列表）
+        form.reset();
+        document.getElementById('preview-image').classList.add('hidden');
     } catch (error) {
         console.error('上传出错:', error);
-        showMessage('上传失败：网络连接错误', 'error');
+        showMessage('上传失败：' + (error.message || '网络连接错误'), 'error');
+    } finally {
+        // 恢复按钮状态
+        submitBtn.textContent = originalText;
+        submitBtn.disabled = false;
     }
-    
-    // 恢复按钮状态
-    submitBtn.textContent = originalText;
-    submitBtn.disabled = false;
 }
 
-// 删除画作
+// 删除画作（移到回收站，在保留期内可以恢复）
 async function deletePainting(paintingId) {
-    if (!confirm('确定要删除这幅画作吗？此操作无法撤销。')) {
+    if (!confirm('确定要把这幅画作移到回收站吗？')) {
         return;
     }
     
@@ -207,12 +1553,20 @@ async function deletePainting(paintingId) {
             method: 'DELETE'
         });
         
+        if (handleAuthError(response)) {
+            return;
+        }
+        
         if (response.ok) {
-            showMessage('画作删除成功', 'success');
+            showMessage('画作已移到回收站，可以在回收站中恢复', 'success');
+            await loadAlbums();
             await loadPaintings();
+            await loadTrash();
+            loadDuplicates();
+            loadShares();
         } else {
             const error = await response.json();
-            showMessage('删除失败：' + (error.message || '未知错误'), 'error');
+            showMessage('删除失败：' + (error.error || '未知错误'), 'error');
         }
     } catch (error) {
         console.error('删除出错:', error);
@@ -220,8 +1574,916 @@ async function deletePainting(paintingId) {
     }
 }
 
-// 显示消息
-function showMessage(text, type) {
+// 对已有的画作应用或取消扫描增强，服务器从原图重新生成图片
+async function toggleScanEnhancement(paintingId, button) {
+    const painting = paintings.find(item => item.id === paintingId);
+    const enhancement = painting && painting.enhancement === 'scan' ? null : 'scan';
+    const originalText = button.textContent;
+    button.disabled = true;
+    button.innerHTML = '<span class="loading"></span> 处理中...';
+    
+    try {
+        const response = await fetch(`/api/paintings/${paintingId}/enhancement`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enhancement })
+        });
+        
+        if (handleAuthError(response)) {
+            return;
+        }
+        
+        const result = await response.json();
+        if (response.ok) {
+            showMessage(result.message, 'success', document.querySelector('.manage-section'));
+            await loadPaintings();
+            loadDuplicates();
+        } else {
+            showMessage('处理失败：' + (result.error || '未知错误'), 'error', document.querySelector('.manage-section'));
+            button.textContent = originalText;
+            button.disabled = false;
+        }
+    } catch (error) {
+        console.error('扫描增强出错:', error);
+        showMessage('处理失败：网络连接错误', 'error', document.querySelector('.manage-section'));
+        button.textContent = originalText;
+        button.disabled = false;
+    }
+}
+
+// 图片编辑器：在未经编辑的原图上裁剪、旋转、透视校正，调整亮度和白平衡
+// 编辑参数发给服务器，由服务器从原图重新生成公开的图片（坐标均为画面宽高的比例，见 lib/image-edits.js）
+const EDITOR_MAX_WIDTH = 640;
+const EDITOR_MAX_HEIGHT = 520;
+const EDITOR_HANDLE_RADIUS = 9;
+const EDITOR_MIN_SIZE = 0.05;
+
+const EDITOR_MODE_HINTS = {
+    crop: '拖动四个角选择要保留的范围。',
+    perspective: '把四个角拖到纸张的四个角上，保存后纸张会被拉正为矩形。'
+};
+
+function setupImageEditor() {
+    const canvas = document.getElementById('editor-canvas');
+    if (!canvas) {
+        return;
+    }
+    
+    document.getElementById('editor-close').addEventListener('click', closeImageEditor);
+    document.getElementById('editor-rotate-left').addEventListener('click', () => rotateEditor(-90));
+    document.getElementById('editor-rotate-right').addEventListener('click', () => rotateEditor(90));
+    document.getElementById('editor-angle').addEventListener('input', (e) => {
+        editor.angle = Number(e.target.value);
+        resetEditorPoints();
+        renderEditor({ rebuild: true });
+    });
+    document.querySelectorAll('input[name="editor-mode"]').forEach(input => {
+        input.addEventListener('change', (e) => {
+            editor.mode = e.target.value;
+            resetEditorPoints();
+            renderEditor();
+        });
+    });
+    ['brightness', 'temperature', 'tint'].forEach(name => {
+        document.getElementById(`editor-${name}`).addEventListener('input', (e) => {
+            editor[name] = Number(e.target.value);
+            renderEditor({ rebuild: true });
+        });
+    });
+    document.getElementById('editor-reset').addEventListener('click', () => {
+        Object.assign(editor, { rotate: 0, angle: 0, mode: 'crop', brightness: 100, temperature: 0, tint: 0 });
+        resetEditorPoints();
+        syncEditorControls();
+        renderEditor({ rebuild: true });
+    });
+    document.getElementById('editor-preview-btn').addEventListener('click', previewImageEdits);
+    document.getElementById('editor-save').addEventListener('click', saveImageEdits);
+    
+    canvas.addEventListener('pointerdown', startEditorDrag);
+    canvas.addEventListener('pointermove', moveEditorDrag);
+    canvas.addEventListener('pointerup', endEditorDrag);
+    canvas.addEventListener('pointercancel', endEditorDrag);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && editor) {
+            closeImageEditor();
+        }
+    });
+}
+
+// 打开编辑器：读取未经编辑的原图，按保存过的参数恢复编辑状态
+async function openImageEditor(paintingId) {
+    const painting = paintings.find(item => item.id === paintingId);
+    if (!painting) {
+        return;
+    }
+    const edits = painting.edits || {};
+    editor = {
+        painting,
+        image: null,
+        base: null,
+        rotate: edits.rotate || 0,
+        angle: edits.angle || 0,
+        mode: edits.perspective ? 'perspective' : 'crop',
+        points: null,
+        brightness: Math.round((edits.brightness || 1) * 100),
+        temperature: edits.temperature || 0,
+        tint: edits.tint || 0,
+        dragging: null,
+        previewUrl: null
+    };
+    if (edits.perspective) {
+        editor.points = edits.perspective.map(({ x, y }) => ({ x, y }));
+    } else if (edits.crop) {
+        const { left, top, width, height } = edits.crop;
+        editor.points = rectPoints(left, top, left + width, top + height);
+    } else {
+        resetEditorPoints();
+    }
+    
+    syncEditorControls();
+    showEditorPreview(null);
+    document.getElementById('image-editor').classList.remove('hidden');
+    setEditorStatus('正在读取原图…');
+    setEditorBusy(true);
+    
+    const image = new Image();
+    image.onload = () => {
+        if (!editor || editor.painting !== painting) {
+            return;
+        }
+        editor.image = image;
+        setEditorStatus('');
+        setEditorBusy(false);
+        renderEditor({ rebuild: true });
+    };
+    image.onerror = () => setEditorStatus('❌ 读取原图失败');
+    image.src = `/api/paintings/${paintingId}/edit-source`;
+}
+
+function closeImageEditor() {
+    document.getElementById('image-editor').classList.add('hidden');
+    showEditorPreview(null);
+    editor = null;
+}
+
+function rectPoints(left, top, right, bottom) {
+    return [
+        { x: left, y: top },
+        { x: right, y: top },
+        { x: right, y: bottom },
+        { x: left, y: bottom }
+    ];
+}
+
+// 旋转后画面变了，框选范围恢复为整个画面
+function resetEditorPoints() {
+    editor.points = rectPoints(0, 0, 1, 1);
+}
+
+function rotateEditor(degrees) {
+    editor.rotate = (editor.rotate + degrees + 360) % 360;
+    resetEditorPoints();
+    renderEditor({ rebuild: true });
+}
+
+function syncEditorControls() {
+    document.getElementById('editor-angle').value = editor.angle;
+    document.getElementById('editor-brightness').value = editor.brightness;
+    document.getElementById('editor-temperature').value = editor.temperature;
+    document.getElementById('editor-tint').value = editor.tint;
+    document.querySelectorAll('input[name="editor-mode"]').forEach(input => {
+        input.checked = input.value === editor.mode;
+    });
+}
+
+function setEditorStatus(text) {
+    document.getElementById('editor-status').textContent = text;
+}
+
+function setEditorBusy(busy) {
+    ['editor-preview-btn', 'editor-save', 'editor-reset'].forEach(id => {
+        document.getElementById(id).disabled = busy;
+    });
+}
+
+// 显示服务器生成的预览图；url 为 null 时回到编辑画面
+function showEditorPreview(url) {
+    if (editor && editor.previewUrl) {
+        URL.revokeObjectURL(editor.previewUrl);
+        editor.previewUrl = null;
+    }
+    const preview = document.getElementById('editor-preview');
+    preview.classList.toggle('hidden', !url);
+    document.getElementById('editor-canvas').classList.toggle('hidden', Boolean(url));
+    document.getElementById('editor-preview-btn').textContent = url ? '返回编辑' : '预览效果';
+    if (url) {
+        preview.src = url;
+        editor.previewUrl = url;
+    }
+}
+
+// 旋转后的画面大小（与服务器一样，画布扩大到能放下整张图）
+function rotatedSize(width, height, degrees) {
+    const radians = degrees * Math.PI / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    return { width: width * cos + height * sin, height: width * sin + height * cos };
+}
+
+// 画出旋转并调整过颜色的图片（rebuild 时重新生成），再画上框选范围
+function renderEditor({ rebuild = false } = {}) {
+    if (!editor || !editor.image) {
+        return;
+    }
+    showEditorPreview(null);
+    document.getElementById('editor-angle-value').textContent = `${editor.angle}°`;
+    document.getElementById('editor-mode-hint').textContent = EDITOR_MODE_HINTS[editor.mode];
+    
+    const canvas = document.getElementById('editor-canvas');
+    if (rebuild || !editor.base) {
+        const degrees = editor.rotate + editor.angle;
+        const frame = rotatedSize(editor.image.naturalWidth, editor.image.naturalHeight, degrees);
+        const scale = Math.min(EDITOR_MAX_WIDTH / frame.width, EDITOR_MAX_HEIGHT / frame.height, 1);
+        const base = document.createElement('canvas');
+        base.width = Math.round(frame.width * scale);
+        base.height = Math.round(frame.height * scale);
+        
+        const context = base.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, base.width, base.height);
+        context.translate(base.width / 2, base.height / 2);
+        context.rotate(degrees * Math.PI / 180);
+        context.scale(scale, scale);
+        context.drawImage(editor.image, -editor.image.naturalWidth / 2, -editor.image.naturalHeight / 2);
+        applyEditorColors(context, base.width, base.height);
+        
+        editor.base = base;
+        canvas.width = base.width;
+        canvas.height = base.height;
+    }
+    
+    const context = canvas.getContext('2d');
+    context.drawImage(editor.base, 0, 0);
+    
+    // 框选范围以外的部分调暗
+    const points = editor.points.map(({ x, y }) => ({ x: x * canvas.width, y: y * canvas.height }));
+    context.save();
+    context.beginPath();
+    context.rect(0, 0, canvas.width, canvas.height);
+    context.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach(({ x, y }) => context.lineTo(x, y));
+    context.closePath();
+    context.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    context.fill('evenodd');
+    
+    context.beginPath();
+    context.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach(({ x, y }) => context.lineTo(x, y));
+    context.closePath();
+    context.strokeStyle = '#FF69B4';
+    context.lineWidth = 2;
+    context.stroke();
+    
+    points.forEach(({ x, y }) => {
+        context.beginPath();
+        context.arc(x, y, EDITOR_HANDLE_RADIUS, 0, Math.PI * 2);
+        context.fillStyle = '#ffffff';
+        context.fill();
+        context.stroke();
+    });
+    context.restore();
+}
+
+// 亮度和白平衡的预览：与服务器相同，每个通道乘以不同的倍数
+function applyEditorColors(context, width, height) {
+    const brightness = editor.brightness / 100;
+    const warm = editor.temperature / 100 * 0.2;
+    const magenta = editor.tint / 100 * 0.2;
+    const gains = [1 + warm, 1 - magenta, 1 - warm].map(gain => gain * brightness);
+    if (gains.every(gain => gain === 1)) {
+        return;
+    }
+    const imageData = context.getImageData(0, 0, width, height);
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = data[i] * gains[0];
+        data[i + 1] = data[i + 1] * gains[1];
+        data[i + 2] = data[i + 2] * gains[2];
+    }
+    context.putImageData(imageData, 0, 0);
+}
+
+// 鼠标或触摸位置，换算为画面宽高的比例
+function editorPointer(event) {
+    const canvas = document.getElementById('editor-canvas');
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+        y: Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height)),
+        scale: canvas.width / rect.width
+    };
+}
+
+function startEditorDrag(event) {
+    if (!editor || !editor.image) {
+        return;
+    }
+    const canvas = document.getElementById('editor-canvas');
+    const pointer = editorPointer(event);
+    const reach = EDITOR_HANDLE_RADIUS * 2 / pointer.scale;
+    let nearest = null;
+    editor.points.forEach((point, index) => {
+        const distance = Math.hypot((point.x - pointer.x) * canvas.width, (point.y - pointer.y) * canvas.height) / pointer.scale;
+        if (distance <= reach && (!nearest || distance < nearest.distance)) {
+            nearest = { index, distance };
+        }
+    });
+    if (nearest) {
+        editor.dragging = nearest.index;
+        canvas.setPointerCapture(event.pointerId);
+    }
+}
+
+// 裁剪时拖动一个角会同时移动相邻的两条边，透视校正时四个角各自移动
+function moveEditorDrag(event) {
+    if (!editor || editor.dragging === null) {
+        return;
+    }
+    const { x, y } = editorPointer(event);
+    const index = editor.dragging;
+    if (editor.mode === 'perspective') {
+        editor.points[index] = { x, y };
+    } else {
+        const [topLeft, , bottomRight] = editor.points;
+        let left = topLeft.x;
+        let top = topLeft.y;
+        let right = bottomRight.x;
+        let bottom = bottomRight.y;
+        if (index === 0 || index === 3) {
+            left = Math.min(x, right - EDITOR_MIN_SIZE);
+        } else {
+            right = Math.max(x, left + EDITOR_MIN_SIZE);
+        }
+        if (index === 0 || index === 1) {
+            top = Math.min(y, bottom - EDITOR_MIN_SIZE);
+        } else {
+            bottom = Math.max(y, top + EDITOR_MIN_SIZE);
+        }
+        editor.points = rectPoints(left, top, right, bottom);
+    }
+    renderEditor();
+}
+
+function endEditorDrag() {
+    if (editor) {
+        editor.dragging = null;
+    }
+}
+
+// 当前的编辑参数，没有任何改动时返回 null（恢复原图）
+function currentImageEdits() {
+    const round = value => Math.round(value * 10000) / 10000;
+    const points = editor.points.map(({ x, y }) => ({ x: round(x), y: round(y) }));
+    const fullFrame = points.every((point, index) => {
+        const corner = rectPoints(0, 0, 1, 1)[index];
+        return point.x === corner.x && point.y === corner.y;
+    });
+    
+    const edits = {
+        rotate: editor.rotate,
+        angle: editor.angle,
+        brightness: editor.brightness / 100,
+        temperature: editor.temperature,
+        tint: editor.tint
+    };
+    if (!fullFrame && editor.mode === 'perspective') {
+        edits.perspective = points;
+    } else if (!fullFrame) {
+        edits.crop = {
+            left: points[0].x,
+            top: points[0].y,
+            width: round(points[2].x - points[0].x),
+            height: round(points[2].y - points[0].y)
+        };
+    }
+    
+    const unchanged = !edits.perspective && !edits.crop && edits.rotate === 0 && edits.angle === 0 &&
+        edits.brightness === 1 && edits.temperature === 0 && edits.tint === 0;
+    return unchanged ? null : edits;
+}
+
+// 由服务器按编辑参数从原图生成预览，与保存后的效果完全一致
+async function previewImageEdits() {
+    if (editor.previewUrl) {
+        showEditorPreview(null);
+        return;
+    }
+    setEditorBusy(true);
+    setEditorStatus('正在生成预览…');
+    try {
+        const response = await fetch(`/api/paintings/${editor.painting.id}/edits/preview`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ edits: currentImageEdits() })
+        });
+        if (handleAuthError(response)) {
+            return;
+        }
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            setEditorStatus('❌ 预览失败：' + (result.error || '未知错误'));
+            return;
+        }
+        const blob = await response.blob();
+        if (editor) {
+            showEditorPreview(URL.createObjectURL(blob));
+            setEditorStatus('');
+        }
+    } catch (error) {
+        console.error('预览编辑效果出错:', error);
+        setEditorStatus('❌ 预览失败：网络连接错误');
+    } finally {
+        if (editor) {
+            setEditorBusy(false);
+        }
+    }
+}
+
+async function saveImageEdits() {
+    const edits = currentImageEdits();
+    setEditorBusy(true);
+    setEditorStatus('正在保存，重新生成图片…');
+    try {
+        const response = await fetch(`/api/paintings/${editor.painting.id}/edits`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ edits })
+        });
+        if (handleAuthError(response)) {
+            return;
+        }
+        const result = await response.json();
+        if (!response.ok) {
+            setEditorStatus('❌ 保存失败：' + (result.error || '未知错误'));
+            setEditorBusy(false);
+            return;
+        }
+        closeImageEditor();
+        showMessage(result.message, 'success', document.querySelector('.manage-section'));
+        await loadPaintings();
+        loadDuplicates();
+    } catch (error) {
+        console.error('保存图片编辑出错:', error);
+        setEditorStatus('❌ 保存失败：网络连接错误');
+        setEditorBusy(false);
+    }
+}
+
+// 加载疑似重复的画作
+async function loadDuplicates() {
+    try {
+        const response = await fetch('/api/duplicates');
+        if (handleAuthError(response)) {
+            return;
+        }
+        if (response.ok) {
+            displayDuplicates(await response.json());
+        }
+    } catch (error) {
+        console.error('加载重复画作出错:', error);
+    }
+}
+
+// 每一对疑似重复的画作并排显示，可以选择保留其中一幅（另一幅的标签和相册合并过来），或者两幅都保留
+function displayDuplicates({ minSimilarity, pairs }) {
+    const list = document.getElementById('duplicate-list');
+    document.getElementById('duplicates-hint').textContent =
+        `原图完全相同或相似度在 ${Math.round(minSimilarity * 100)}% 以上的画作会列在这里（例如同一幅画拍照和扫描各上传了一次）。`;
+    
+    if (pairs.length === 0) {
+        list.innerHTML = '<p class="stats-empty">没有发现重复的画作</p>';
+        return;
+    }
+    
+    const paintingHtml = (painting, other) => `
+        <div class="duplicate-painting">
+            ${pictureHtml(painting, { className: 'painting-thumb', sizes: '300px' })}
+            <div class="painting-details">
+                <h4>${escapeHtml(painting.title || '无题')}</h4>
+                <p>${formatDate(painting.date)} · ${painting.width}×${painting.height} · ${formatSize(painting.originalSize || painting.size)}</p>
+            </div>
+            <button class="edit-btn" onclick="mergeDuplicate('${painting.id}', '${other.id}')">保留这幅</button>
+        </div>
+    `;
+    
+    list.innerHTML = pairs.map(({ paintings: [first, second], similarity, exact }) => `
+        <div class="duplicate-pair">
+            <div class="duplicate-score">${exact ? '原图完全相同' : `相似度 ${Math.round(similarity * 100)}%`}</div>
+            <div class="duplicate-paintings">
+                ${paintingHtml(first, second)}
+                ${paintingHtml(second, first)}
+            </div>
+            <div class="duplicate-actions">
+                <button class="edit-btn" onclick="dismissDuplicate('${first.id}', '${second.id}')">不是重复，都保留</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// 保留 keepId，另一幅的标签和相册并入后移到回收站
+async function mergeDuplicate(keepId, removeId) {
+    if (!confirm('保留这幅画，另一幅的标签和相册会合并过来，然后移到回收站。确定吗？')) {
+        return;
+    }
+    await sendDuplicateAction('/api/duplicates/merge', { keepId, removeId });
+}
+
+async function dismissDuplicate(firstId, secondId) {
+    await sendDuplicateAction('/api/duplicates/dismiss', { paintingIds: [firstId, secondId] });
+}
+
+async function sendDuplicateAction(url, body) {
+    const section = document.querySelector('.duplicates-section');
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (handleAuthError(response)) {
+            return;
+        }
+        const result = await response.json();
+        if (response.ok) {
+            showMessage(result.message, 'success', section);
+            await loadDuplicates();
+            await loadAlbums();
+            await loadPaintings();
+            loadTrash();
+        } else {
+            showMessage('操作失败：' + (result.error || '未知错误'), 'error', section);
+        }
+    } catch (error) {
+        console.error('处理重复画作出错:', error);
+        showMessage('操作失败：网络连接错误', 'error', section);
+    }
+}
+
+// 加载回收站
+async function loadTrash() {
+    try {
+        const response = await fetch('/api/trash');
+        if (handleAuthError(response)) {
+            return;
+        }
+        if (response.ok) {
+            displayTrash(await response.json());
+        }
+    } catch (error) {
+        console.error('加载回收站出错:', error);
+    }
+}
+
+// 显示回收站中的画作和剩余的保留天数
+function displayTrash({ retentionDays, paintings: trashed }) {
+    const listContainer = document.getElementById('trash-list');
+    document.getElementById('trash-hint').textContent =
+        `删除的画作会在回收站中保留 ${retentionDays} 天，之后连同图片一起彻底删除。`;
+    document.getElementById('empty-trash-btn').classList.toggle('hidden', trashed.length === 0);
+    
+    if (trashed.length === 0) {
+        listContainer.innerHTML = '<p class="stats-empty">回收站是空的</p>';
+        return;
+    }
+    
+    listContainer.innerHTML = trashed.map(painting => {
+        const daysLeft = Math.max(0, Math.ceil((Date.parse(painting.purgeAt) - Date.now()) / (24 * 60 * 60 * 1000)));
+        return `
+            <div class="painting-item trash-item">
+                ${pictureHtml(painting, { className: 'painting-thumb', sizes: '60px' })}
+                <div class="painting-details">
+                    <h4>${escapeHtml(painting.title || '无题')}</h4>
+                    <p>${formatDateTime(painting.deletedAt)} 删除 · ${daysLeft} 天后彻底删除</p>
+                </div>
+                <div class="painting-actions">
+                    <button class="edit-btn" onclick="restorePainting('${painting.id}')">恢复</button>
+                    <button class="delete-btn" onclick="purgePainting('${painting.id}')">彻底删除</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// 从回收站恢复画作
+async function restorePainting(paintingId) {
+    const section = document.querySelector('.trash-section');
+    try {
+        const response = await fetch(`/api/trash/${paintingId}/restore`, { method: 'POST' });
+        if (handleAuthError(response)) {
+            return;
+        }
+        if (response.ok) {
+            showMessage('画作已恢复', 'success', section);
+            await loadAlbums();
+            await loadPaintings();
+            await loadTrash();
+            loadDuplicates();
+            loadShares();
+        } else {
+            const error = await response.json();
+            showMessage('恢复失败：' + (error.error || '未知错误'), 'error', section);
+        }
+    } catch (error) {
+        console.error('恢复画作出错:', error);
+        showMessage('恢复失败：网络连接错误', 'error', section);
+    }
+}
+
+// 彻底删除回收站中的一幅画
+async function purgePainting(paintingId) {
+    if (!confirm('彻底删除后无法恢复，确定要删除这幅画作吗？')) {
+        return;
+    }
+    await sendTrashDelete(`/api/trash/${paintingId}`);
+}
+
+// 清空回收站
+async function emptyTrash() {
+    if (!confirm('确定要清空回收站吗？其中的画作会被彻底删除，无法恢复。')) {
+        return;
+    }
+    await sendTrashDelete('/api/trash');
+}
+
+async function sendTrashDelete(url) {
+    const section = document.querySelector('.trash-section');
+    try {
+        const response = await fetch(url, { method: 'DELETE' });
+        if (handleAuthError(response)) {
+            return;
+        }
+        const result = await response.json();
+        if (response.ok) {
+            showMessage(result.message, 'success', section);
+            await loadTrash();
+            loadShares();
+            loadStats();
+        } else {
+            showMessage('删除失败：' + (result.error || '未知错误'), 'error', section);
+        }
+    } catch (error) {
+        console.error('彻底删除出错:', error);
+        showMessage('删除失败：网络连接错误', 'error', section);
+    }
+}
+
+// 要分享的画作或相册 { type: 'painting' | 'album', id }
+let shareTarget = null;
+
+// 加载分享链接列表
+async function loadShares() {
+    try {
+        const response = await fetch('/api/shares');
+        if (handleAuthError(response)) {
+            return;
+        }
+        if (response.ok) {
+            displayShares(await response.json());
+        }
+    } catch (error) {
+        console.error('加载分享链接出错:', error);
+    }
+}
+
+// 显示分享链接：分享的内容、有效期、是否有密码、打开次数
+function displayShares(shares) {
+    const listContainer = document.getElementById('share-list');
+    if (shares.length === 0) {
+        listContainer.innerHTML = '<p class="stats-empty">还没有分享链接</p>';
+        return;
+    }
+    
+    listContainer.innerHTML = shares.map(share => {
+        const thumb = share.painting || share.album.cover;
+        const title = share.painting
+            ? `🖼️ ${escapeHtml(share.painting.title || '无题')}${share.painting.deletedAt ? '（已在回收站中）' : ''}`
+            : `📁 ${escapeHtml(share.album.title)}`;
+        const expiry = share.expiresAt
+            ? `${share.expired ? '已于' : '有效期至'} ${formatDateTime(share.expiresAt)}${share.expired ? ' 过期' : ''}`
+            : '永久有效';
+        return `
+            <div class="user-item share-item${share.expired ? ' expired' : ''}">
+                ${thumb ? pictureHtml(thumb, { className: 'painting-thumb', sizes: '60px' }) : '<span class="album-thumb-empty">🖼️</span>'}
+                <span class="album-item-title">${title}</span>
+                <span class="user-role">
+                    ${expiry}${share.hasPassword ? ' · 🔒 有密码' : ''} · 打开 ${share.viewCount} 次${share.lastViewedAt ? `（最近 ${formatDateTime(share.lastViewedAt)}）` : ''}
+                </span>
+                ${share.expired ? '' : `<button class="edit-btn" onclick="copyShareLink('${share.url}')">复制链接</button>`}
+                <button class="delete-btn" onclick="revokeShare('${share.id}')">撤销</button>
+            </div>
+        `;
+    }).join('');
+}
+
+// 选择要分享的画作或相册，显示分享表单
+function startShare(type, id) {
+    const title = type === 'album'
+        ? `📁 ${albumTitle(id)}`
+        : `🖼️ ${(paintings.find(p => p.id === id) || {}).title || '无题'}`;
+    shareTarget = { type, id };
+    const form = document.getElementById('share-form');
+    document.getElementById('share-target').textContent = `分享 ${title}`;
+    form.classList.remove('hidden');
+    form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function cancelShare() {
+    shareTarget = null;
+    const form = document.getElementById('share-form');
+    form.reset();
+    form.classList.add('hidden');
+}
+
+// 生成分享链接，成功后复制到剪贴板
+async function handleCreateShare(event) {
+    event.preventDefault();
+    if (!shareTarget) {
+        return;
+    }
+    
+    const form = event.target;
+    const section = document.querySelector('.shares-section');
+    const body = {
+        [shareTarget.type === 'album' ? 'albumId' : 'paintingId']: shareTarget.id,
+        expiresInDays: form.expiresInDays.value ? Number(form.expiresInDays.value) : null,
+        password: form.password.value || null
+    };
+    try {
+        const response = await fetch('/api/shares', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (handleAuthError(response)) {
+            return;
+        }
+        
+        const result = await response.json();
+        if (response.ok) {
+            cancelShare();
+            await loadShares();
+            await copyShareLink(result.share.url);
+        } else {
+            showMessage('创建失败：' + (result.error || '未知错误'), 'error', section);
+        }
+    } catch (error) {
+        console.error('创建分享链接出错:', error);
+        showMessage('创建失败：网络连接错误', 'error', section);
+    }
+}
+
+async function copyShareLink(path) {
+    const url = new URL(path, window.location.origin).href;
+    const section = document.querySelector('.shares-section');
+    try {
+        await navigator.clipboard.writeText(url);
+        showMessage('分享链接已复制，可以直接粘贴发给家人', 'success', section);
+    } catch (error) {
+        // 不支持剪贴板（例如非 HTTPS）时让用户手动复制
+        window.prompt('复制下面的链接发给家人：', url);
+    }
+}
+
+// 撤销分享链接，已经发出去的链接立即失效
+async function revokeShare(shareId) {
+    if (!confirm('撤销后这个链接就打不开了，确定要撤销吗？')) {
+        return;
+    }
+    
+    const section = document.querySelector('.shares-section');
+    try {
+        const response = await fetch(`/api/shares/${shareId}`, { method: 'DELETE' });
+        if (handleAuthError(response)) {
+            return;
+        }
+        const result = await response.json();
+        if (response.ok) {
+            showMessage(result.message, 'success', section);
+            await loadShares();
+        } else {
+            showMessage('撤销失败：' + (result.error || '未知错误'), 'error', section);
+        }
+    } catch (error) {
+        console.error('撤销分享链接出错:', error);
+        showMessage('撤销失败：网络连接错误', 'error', section);
+    }
+}
+
+// 操作记录中字段的显示名称
+const AUDIT_FIELD_NAMES = {
+    title: '标题',
+    description: '描述',
+    tags: '标签',
+    medium: '绘画材料',
+    ageMonths: '年龄（月）',
+    date: '日期',
+    albumIds: '相册',
+    coverPaintingId: '封面',
+    edits: '图片编辑',
+    enhancement: '图片处理'
+};
+
+// 加载操作记录，append 为 true 时接着上一页加载
+async function loadAudit({ append = false } = {}) {
+    const form = document.getElementById('audit-filter-form');
+    const params = new URLSearchParams();
+    const action = form.elements.action.value;
+    const actor = form.elements.actor.value.trim();
+    if (action) {
+        params.set('action', action);
+    }
+    if (actor) {
+        params.set('actor', actor);
+    }
+    if (append && auditCursor) {
+        params.set('before', auditCursor);
+    }
+    
+    try {
+        const response = await fetch(`/api/audit?${params}`);
+        if (handleAuthError(response)) {
+            return;
+        }
+        const result = await response.json();
+        if (!response.ok) {
+            showMessage('加载操作记录失败：' + (result.error || '未知错误'), 'error', document.querySelector('.audit-section'));
+            return;
+        }
+        fillAuditActions(result.actions);
+        displayAudit(result.entries, result.actions, append);
+        auditCursor = result.nextCursor;
+        document.getElementById('audit-more-btn').classList.toggle('hidden', !auditCursor);
+    } catch (error) {
+        console.error('加载操作记录出错:', error);
+    }
+}
+
+// 第一次加载时填充操作类型下拉框
+function fillAuditActions(actions) {
+    const select = document.getElementById('audit-filter-form').elements.action;
+    if (select.options.length > 1) {
+        return;
+    }
+    Object.entries(actions).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+}
+
+function displayAudit(entries, actions, append) {
+    const list = document.getElementById('audit-list');
+    const html = entries.map(entry => {
+        const details = entry.details || {};
+        const subject = details.title || details.username || '';
+        return `
+            <div class="user-item audit-item">
+                <span>${formatDateTime(entry.createdAt)} · ${escapeHtml(entry.actor || '系统')}</span>
+                <span class="user-role">
+                    ${escapeHtml(actions[entry.action] || entry.action)}${subject ? `：${escapeHtml(subject)}` : ''}
+                    ${details.automatic ? '（自动清理）' : ''}
+                </span>
+                ${details.changes ? `<div class="audit-changes">${auditChangesHtml(details.changes)}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+    
+    if (append) {
+        list.insertAdjacentHTML('beforeend', html);
+    } else {
+        list.innerHTML = html || '<div class="user-item">没有符合条件的记录</div>';
+    }
+}
+
+// 修改前后的值，例如「标题：小猫 → 小花猫」
+function auditChangesHtml(changes) {
+    const formatValue = (value) => {
+        if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return '（空）';
+        }
+        if (Array.isArray(value)) {
+            return escapeHtml(value.join('、'));
+        }
+        return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    };
+    return Object.entries(changes).map(([field, { from, to }]) =>
+        `${escapeHtml(AUDIT_FIELD_NAMES[field] || field)}：${formatValue(from)} → ${formatValue(to)}`
+    ).join('<br>');
+}
+
+// 显示消息（默认显示在上传区域中）
+function showMessage(text, type, container) {
     const existingMessage = document.querySelector('.message');
     if (existingMessage) {
         existingMessage.remove();
@@ -231,7 +2493,7 @@ function showMessage(text, type) {
     message.className = `message ${type}`;
     message.textContent = text;
     
-    const uploadSection = document.querySelector('.upload-section');
+    const uploadSection = container || document.querySelector('.upload-section');
     if (uploadSection) {
         uploadSection.insertBefore(message, uploadSection.firstChild.nextSibling);
     }
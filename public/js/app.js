@@ -1,10 +1,53 @@
 // 悦悦画廊主页面 JavaScript
 
 let paintings = [];
+let currentUser = null;
+let needsSetup = false;
+// 私密画廊（服务器设置了 GALLERY_PRIVATE）：没有登录时看不到画作，打开页面就显示登录框
+let privateGallery = false;
+let mediumLabels = {};
+let albums = [];
+let currentAlbum = null;
+let nextCursor = null;
+let loadingMore = false;
+// 每次重新查询加 1，丢弃过滤条件改变之前发出的请求的结果
+let listVersion = 0;
+
+// 地址中可以带的过滤条件（相册单独处理）
+const FILTER_PARAMS = ['q', 'tag', 'medium', 'from', 'to'];
+
+// 孩子的生日（由服务器的 CHILD_BIRTHDAY 配置，用来计算创作时的年龄）
+let childBirthday = null;
+let timelineObservers = [];
+
+// 画廊当前显示的是哪个地址的内容（?album=...&q=...），打开、关闭画作时地址的查询部分不变，画廊不用重新加载
+let renderedSearch = null;
+// 画廊页的标题，关闭画作后恢复（直接打开画作链接时页面标题是这幅画的标题，不能用作画廊的标题）
+let galleryTitle = '悦悦的画廊';
+
+// 画作详情中正在显示的画作；每次打开加 1，丢弃之前还没返回的请求
+let modalPainting = null;
+let modalVersion = 0;
+
+// 单幅画作的地址：/painting/画作id（查询部分保留画廊的相册和过滤条件）
+const PAINTING_PATH = /^\/painting\/([^/]+)\/?$/;
+
+// 画作详情中图片的缩放和平移（双指缩放、滚轮缩放、双击放大，放大后拖动）
+const MAX_ZOOM = 5;
+const DOUBLE_TAP_ZOOM = 2.5;
+const DOUBLE_TAP_DELAY = 300;
+// 没有放大时左右滑动超过这个距离切换上一幅、下一幅
+const SWIPE_DISTANCE = 60;
+const zoom = { scale: 1, x: 0, y: 0, pointers: new Map(), gesture: null, lastTap: 0 };
+
+// 瀑布流每列的显示宽度，与 style.css 中的断点一致
+const GALLERY_IMAGE_SIZES = '(max-width: 480px) 100vw, (max-width: 768px) 50vw, (max-width: 1024px) 33vw, 300px';
 
 // 页面加载时初始化
 document.addEventListener('DOMContentLoaded', function() {
-    loadPaintings();
+    loadCurrentUser();
+    loadMediums();
+    showCurrentView();
     setupEventListeners();
 });
 
@@ -15,6 +58,31 @@ function setupEventListeners() {
         uploadForm.addEventListener('submit', handleUpload);
     }
     
+    const loginForm = document.getElementById('login-form');
+    if (loginForm) {
+        loginForm.addEventListener('submit', handleLogin);
+    }
+    
+    const searchForm = document.getElementById('search-form');
+    if (searchForm) {
+        searchForm.addEventListener('submit', handleSearch);
+    }
+    
+    // 浏览器前进后退时切换全部画作、相册和搜索结果
+    window.addEventListener('popstate', showCurrentView);
+    
+    // 无限滚动：“加载更多”按钮接近屏幕时自动加载下一页
+    if ('IntersectionObserver' in window) {
+        const observer = new IntersectionObserver(entries => {
+            if (entries[0].isIntersecting) {
+                loadMorePaintings();
+            }
+        }, { rootMargin: '600px' });
+        observer.observe(document.getElementById('load-more'));
+    }
+    
+    setupModalZoom();
+    
     // 点击画廊外部关闭模态框
     document.addEventListener('click', function(e) {
         if (e.target.classList.contains('modal')) {
@@ -24,24 +92,478 @@ function setupEventListeners() {
     
     // 键盘事件
     document.addEventListener('keydown', function(e) {
+        if (modalPainting && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+            showAdjacentPainting(e.key === 'ArrowLeft' ? -1 : 1);
+            return;
+        }
         if (e.key === 'Escape') {
             closeModal();
             if (!document.getElementById('admin-panel').classList.contains('hidden')) {
                 toggleAdmin();
             }
+            if (!document.getElementById('login-panel').classList.contains('hidden')) {
+                toggleLogin();
+            }
+        }
+    });
+}
+
+// 获取当前登录状态
+async function loadCurrentUser() {
+    try {
+        const response = await fetch('/api/auth/me');
+        if (response.ok) {
+            const result = await response.json();
+            currentUser = result.user;
+            needsSetup = result.needsSetup;
+            privateGallery = result.privateGallery;
+        }
+    } catch (error) {
+        console.error('获取登录状态出错:', error);
+    }
+    updateAuthUI();
+    if (privateGallery && !currentUser) {
+        toggleLogin();
+    }
+}
+
+function isAdmin() {
+    return currentUser && currentUser.role === 'admin';
+}
+
+// 根据登录状态切换头部按钮：家长显示"管理"，观众不显示管理入口
+function updateAuthUI() {
+    const adminBtn = document.getElementById('admin-btn');
+    const logoutBtn = document.getElementById('logout-btn');
+    
+    if (isAdmin()) {
+        adminBtn.textContent = '管理';
+        adminBtn.classList.remove('hidden');
+    } else if (currentUser) {
+        adminBtn.classList.add('hidden');
+    } else {
+        adminBtn.textContent = '登录';
+        adminBtn.classList.remove('hidden');
+    }
+    
+    logoutBtn.classList.toggle('hidden', !currentUser);
+    
+    document.getElementById('login-title').textContent = needsSetup ? '设置家长账号' : '家长登录';
+}
+
+// 切换登录面板
+function toggleLogin() {
+    const loginPanel = document.getElementById('login-panel');
+    if (loginPanel.classList.contains('hidden')) {
+        loginPanel.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+        document.getElementById('login-username').focus();
+    } else {
+        loginPanel.classList.add('hidden');
+        document.body.style.overflow = '';
+        document.getElementById('login-form').reset();
+    }
+}
+
+// 处理登录（还没有账号时创建第一个家长账号）
+async function handleLogin(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const credentials = {
+        username: form.username.value.trim(),
+        password: form.password.value
+    };
+    
+    try {
+        const response = await fetch(needsSetup ? '/api/auth/setup' : '/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(credentials)
+        });
+        const result = await response.json();
+        
+        if (response.ok) {
+            // 私密画廊登录前没有加载到画作，登录后重新加载页面
+            if (privateGallery && !currentUser) {
+                window.location.reload();
+                return;
+            }
+            currentUser = result.user;
+            needsSetup = false;
+            updateAuthUI();
+            toggleLogin();
+            if (isAdmin()) {
+                toggleAdmin();
+            }
+        } else {
+            showMessage(result.error || '登录失败', 'error', form.parentElement);
+        }
+    } catch (error) {
+        console.error('登录出错:', error);
+        showMessage('登录失败：网络连接错误', 'error', form.parentElement);
+    }
+}
+
+// 退出登录
+async function logout() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('退出登录出错:', error);
+    }
+    if (privateGallery) {
+        window.location.reload();
+        return;
+    }
+    currentUser = null;
+    updateAuthUI();
+}
+
+// 加载绘画材料列表，填充上传表单的下拉框
+async function loadMediums() {
+    try {
+        const response = await fetch('/api/mediums');
+        if (response.ok) {
+            const mediums = await response.json();
+            mediumLabels = Object.fromEntries(mediums.map(m => [m.value, m.label]));
+            document.querySelectorAll('.medium-select').forEach(select => {
+                select.insertAdjacentHTML('beforeend', mediums.map(m =>
+                    `<option value="${m.value}">${m.label}</option>`
+                ).join(''));
+            });
+            // 选项加载完之后才能选中地址中的绘画材料
+            fillSearchForm();
+        }
+    } catch (error) {
+        console.error('加载绘画材料出错:', error);
+    }
+}
+
+// 当前地址中的相册 id（?album=相册id），没有时返回 null
+function albumIdFromUrl() {
+    return new URLSearchParams(window.location.search).get('album');
+}
+
+// 当前地址中的过滤条件
+function filtersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const filters = {};
+    FILTER_PARAMS.forEach(name => {
+        if (params.get(name)) {
+            filters[name] = params.get(name);
+        }
+    });
+    return filters;
+}
+
+function hasActiveFilters() {
+    return Object.keys(filtersFromUrl()).length > 0;
+}
+
+// 当前视图：画廊（默认）或时间线（?view=timeline）
+function viewFromUrl() {
+    return new URLSearchParams(window.location.search).get('view') === 'timeline' ? 'timeline' : 'gallery';
+}
+
+// 在画廊和时间线之间切换（切换后回到全部画作）
+function switchView(view) {
+    const params = new URLSearchParams();
+    if (view === 'timeline') {
+        params.set('view', 'timeline');
+    }
+    navigateTo(params);
+    window.scrollTo(0, 0);
+}
+
+// 打开幻灯片，带上当前的相册和过滤条件（时间线页播放全部画作）
+function openSlideshow() {
+    const params = new URLSearchParams(viewFromUrl() === 'timeline' ? {} : filtersFromUrl());
+    const albumId = albumIdFromUrl();
+    if (albumId && viewFromUrl() !== 'timeline') {
+        params.set('album', albumId);
+    }
+    const query = params.toString();
+    window.location.href = query ? `/slideshow.html?${query}` : '/slideshow.html';
+}
+
+// 根据地址显示全部画作、某个相册、搜索结果或时间线；地址为 /painting/:id 时在上面打开这幅画
+async function showCurrentView() {
+    const paintingId = paintingIdFromUrl();
+    if (paintingId) {
+        showPainting(paintingId);
+    } else {
+        hideModal();
+    }
+    
+    // 只是打开或关闭画作时画廊不变，保留已经加载的页面和滚动位置
+    if (window.location.search === renderedSearch) {
+        return;
+    }
+    renderedSearch = window.location.search;
+    await renderView();
+    updateModalNav();
+}
+
+// 当前地址中的画作 id（/painting/画作id），不是单幅画作的地址时返回 null
+function paintingIdFromUrl() {
+    const match = window.location.pathname.match(PAINTING_PATH);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+// 画廊的地址（单幅画作的地址去掉 /painting/:id）
+function galleryUrl() {
+    const path = paintingIdFromUrl() ? '/' : window.location.pathname;
+    return path + window.location.search;
+}
+
+function setGalleryTitle(title) {
+    galleryTitle = title;
+    if (!modalPainting) {
+        document.title = title;
+    }
+}
+
+// 显示画廊视图
+async function renderView() {
+    const view = viewFromUrl();
+    document.getElementById('gallery-view').classList.toggle('hidden', view === 'timeline');
+    document.getElementById('timeline').classList.toggle('hidden', view !== 'timeline');
+    document.querySelectorAll('.view-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.view === view);
+    });
+    if (view === 'timeline') {
+        currentAlbum = null;
+        renderAlbumHeader();
+        setGalleryTitle('时间线 - 悦悦的画廊');
+        await loadTimeline();
+        await loadAlbums();
+        return;
+    }
+    
+    const albumId = albumIdFromUrl();
+    fillSearchForm();
+    if (albumId) {
+        await loadAlbum(albumId);
+    } else {
+        currentAlbum = null;
+        renderAlbumHeader();
+    }
+    await loadPaintings();
+    await loadAlbums();
+}
+
+// 改变地址并刷新画廊（不刷新页面）
+function navigateTo(params) {
+    const query = params.toString();
+    const path = paintingIdFromUrl() ? '/' : window.location.pathname;
+    history.pushState(null, '', query ? `${path}?${query}` : path);
+    showCurrentView();
+}
+
+// 把地址中的过滤条件填回搜索框
+function fillSearchForm() {
+    const form = document.getElementById('search-form');
+    const filters = filtersFromUrl();
+    ['q', 'medium', 'from', 'to'].forEach(name => {
+        form[name].value = filters[name] || '';
+    });
+}
+
+// 提交搜索：保留当前相册，替换其他过滤条件（标签条件也保留，用“清除条件”去掉）
+function handleSearch(event) {
+    event.preventDefault();
+    const form = event.target;
+    const params = new URLSearchParams(window.location.search);
+    ['q', 'medium', 'from', 'to'].forEach(name => {
+        const value = form[name].value.trim();
+        if (value) {
+            params.set(name, value);
+        } else {
+            params.delete(name);
         }
     });
+    navigateTo(params);
+}
+
+// 点击画作详情中的标签，查看带这个标签的所有画作
+function searchByTag(tag) {
+    hideModal();
+    const params = new URLSearchParams(window.location.search);
+    params.set('tag', tag);
+    navigateTo(params);
+    window.scrollTo(0, 0);
+}
+
+// 清除所有过滤条件（留在当前相册）
+function clearSearch() {
+    const params = new URLSearchParams();
+    const albumId = albumIdFromUrl();
+    if (albumId) {
+        params.set('album', albumId);
+    }
+    navigateTo(params);
+}
+
+// 显示搜索结果数量和当前的过滤条件
+function renderSearchSummary(total) {
+    const summary = document.getElementById('search-summary');
+    const filters = filtersFromUrl();
+    summary.classList.toggle('hidden', !hasActiveFilters());
+    
+    const conditions = [];
+    if (filters.q) {
+        conditions.push(`“${filters.q}”`);
+    }
+    if (filters.tag) {
+        conditions.push(`#${filters.tag}`);
+    }
+    if (filters.medium) {
+        conditions.push(mediumLabels[filters.medium] || filters.medium);
+    }
+    if (filters.from || filters.to) {
+        conditions.push(`${filters.from || '最早'} 至 ${filters.to || '现在'}`);
+    }
+    document.getElementById('search-summary-text').textContent =
+        `找到 ${total} 幅画 · ${conditions.join(' · ')}`;
+}
+
+// 站内切换相册时只更新地址不刷新页面，按住 Ctrl/⌘ 等键点击时交给浏览器在新标签页打开
+function handleAlbumLink(event, albumId) {
+    if (event.ctrlKey || event.metaKey || event.shiftKey || event.button === 1) {
+        return true;
+    }
+    event.preventDefault();
+    openAlbum(albumId);
+    return false;
+}
+
+function openAlbum(albumId) {
+    const params = new URLSearchParams();
+    if (albumId) {
+        params.set('album', albumId);
+    }
+    navigateTo(params);
+    window.scrollTo(0, 0);
 }
 
-// 加载所有画作
+// 加载相册列表，显示在全部画作上方，并填充上传表单的相册下拉框（在相册页上传时默认放入当前相册）
+async function loadAlbums() {
+    try {
+        const response = await fetch('/api/albums');
+        if (response.ok) {
+            albums = await response.json();
+            displayAlbums(albums);
+            document.querySelectorAll('.album-select').forEach(select => {
+                select.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+                select.insertAdjacentHTML('beforeend', albums.map(album =>
+                    `<option value="${album.id}" ${currentAlbum && currentAlbum.id === album.id ? 'selected' : ''}>${escapeHtml(album.title)}</option>`
+                ).join(''));
+            });
+        }
+    } catch (error) {
+        console.error('加载相册出错:', error);
+    }
+}
+
+// 显示相册卡片（封面、名称、画作数量）
+function displayAlbums(albumList) {
+    const list = document.getElementById('album-list');
+    list.classList.toggle('hidden', albumList.length === 0 || currentAlbum !== null || hasActiveFilters());
+    list.innerHTML = albumList.map(album => `
+        <a class="album-card" href="/?album=${encodeURIComponent(album.id)}" onclick="return handleAlbumLink(event, '${album.id}')">
+            <div class="album-cover">
+                ${album.cover ? pictureHtml(album.cover, {
+                    className: 'album-cover-image',
+                    alt: album.title,
+                    sizes: '200px'
+                }) : '<span class="album-cover-empty">🖼️</span>'}
+            </div>
+            <p class="album-name">${escapeHtml(album.title)}</p>
+            <p class="album-count">${album.paintingCount} 幅画</p>
+        </a>
+    `).join('');
+}
+
+// 加载相册信息（其中的画作和全部画作一样分页加载）
+async function loadAlbum(albumId) {
+    try {
+        const response = await fetch(`/api/albums/${encodeURIComponent(albumId)}`);
+        if (response.ok) {
+            currentAlbum = await response.json();
+        } else {
+            currentAlbum = { id: albumId, title: '相册不存在', description: '这个相册可能已经被删除了', missing: true };
+        }
+        document.getElementById('album-list').classList.add('hidden');
+        renderAlbumHeader();
+    } catch (error) {
+        console.error('加载相册时出错:', error);
+    }
+}
+
+// 相册页显示相册名称和介绍，全部画作页隐藏
+function renderAlbumHeader() {
+    const header = document.getElementById('album-header');
+    header.classList.toggle('hidden', !currentAlbum);
+    if (!currentAlbum) {
+        setGalleryTitle('悦悦的画廊');
+        return;
+    }
+    document.getElementById('album-title').textContent = currentAlbum.title;
+    const description = document.getElementById('album-description');
+    description.textContent = currentAlbum.description || '';
+    description.classList.toggle('hidden', !currentAlbum.description);
+    setGalleryTitle(`${currentAlbum.title} - 悦悦的画廊`);
+}
+
+// 复制当前相册的链接，方便发给家人
+async function copyAlbumLink() {
+    const url = window.location.href;
+    try {
+        await navigator.clipboard.writeText(url);
+        showMessage('相册链接已复制', 'success', document.getElementById('album-header'));
+    } catch (error) {
+        // 不支持剪贴板（例如非 HTTPS）时让用户手动复制
+        window.prompt('复制下面的链接发给家人：', url);
+    }
+}
+
+// 当前相册和过滤条件对应的画作列表地址，cursor 为下一页的游标
+function paintingsUrl(cursor) {
+    const params = new URLSearchParams(filtersFromUrl());
+    if (currentAlbum) {
+        params.set('album', currentAlbum.id);
+    }
+    if (cursor) {
+        params.set('cursor', cursor);
+    }
+    return `/api/paintings?${params}`;
+}
+
+// 加载第一页画作（之后的页面滚动时加载）
 async function loadPaintings() {
+    const version = ++listVersion;
+    nextCursor = null;
+    updateLoadMore();
     try {
-        const response = await fetch('/api/paintings');
+        const response = await fetch(paintingsUrl());
+        if (version !== listVersion) {
+            return;
+        }
         if (response.ok) {
-            paintings = await response.json();
+            const result = await response.json();
+            paintings = result.paintings;
+            nextCursor = result.nextCursor;
             displayPaintings(paintings);
+            renderSearchSummary(result.total);
+            updateLoadMore();
+            fillScreen();
         } else {
-            console.error('无法加载画作列表');
+            const error = await response.json();
+            console.error('无法加载画作列表:', error.error);
+            paintings = [];
+            displayPaintings(paintings);
+            renderSearchSummary(0);
         }
     } catch (error) {
         console.error('加载画作时出错:', error);
@@ -50,29 +572,264 @@ async function loadPaintings() {
     }
 }
 
+// 加载下一页并追加到画廊末尾
+async function loadMorePaintings() {
+    if (!nextCursor || loadingMore) {
+        return;
+    }
+    const version = listVersion;
+    loadingMore = true;
+    updateLoadMore();
+    try {
+        const response = await fetch(paintingsUrl(nextCursor));
+        if (response.ok && version === listVersion) {
+            const result = await response.json();
+            paintings = paintings.concat(result.paintings);
+            nextCursor = result.nextCursor;
+            document.getElementById('gallery').insertAdjacentHTML('beforeend',
+                result.paintings.map(painting => paintingCardHtml(painting)).join(''));
+        }
+    } catch (error) {
+        console.error('加载更多画作时出错:', error);
+    }
+    loadingMore = false;
+    updateLoadMore();
+    if (version === listVersion) {
+        fillScreen();
+    }
+}
+
+// 还有下一页时显示“加载更多”按钮
+function updateLoadMore() {
+    const button = document.getElementById('load-more');
+    button.classList.toggle('hidden', !nextCursor);
+    button.disabled = loadingMore;
+    button.textContent = loadingMore ? '加载中...' : '加载更多';
+}
+
+// 画作不够填满屏幕时滚动事件不会触发，主动加载下一页
+function fillScreen() {
+    const button = document.getElementById('load-more');
+    if (nextCursor && 'IntersectionObserver' in window &&
+        button.getBoundingClientRect().top < window.innerHeight + 600) {
+        loadMorePaintings();
+    }
+}
+
 // 显示画作列表
 function displayPaintings(paintingList) {
     const gallery = document.getElementById('gallery');
     
+    if (paintingList.length === 0 && hasActiveFilters()) {
+        gallery.innerHTML = `
+            <div style="grid-column: 1 / -1; text-align: center; padding: 60px 20px;">
+                <h3 style="color: #666; font-size: 1.3em;">没有找到符合条件的画作</h3>
+            </div>
+        `;
+        return;
+    }
+    
+    if (paintingList.length === 0 && currentAlbum) {
+        gallery.innerHTML = `
+            <div style="grid-column: 1 / -1; text-align: center; padding: 60px 20px;">
+                <h3 style="color: #666; font-size: 1.3em;">${currentAlbum.missing ? '' : '这个相册还没有画作'}</h3>
+            </div>
+        `;
+        return;
+    }
+    
     if (paintingList.length === 0) {
         gallery.innerHTML = `
             <div style="grid-column: 1 / -1; text-align: center; padding: 60px 20px;">
                 <h2 style="color: #FF69B4; font-size: 2em; margin-bottom: 20px;">🎨</h2>
                 <h3 style="color: #666; font-size: 1.3em; margin-bottom: 15px;">还没有画作哦</h3>
-                <p style="color: #999; font-size: 1.1em;">快点击"管理"按钮上传悦悦的第一幅画吧！</p>
+                <p style="color: #999; font-size: 1.1em;">快登录后点击"管理"按钮上传悦悦的第一幅画吧！</p>
             </div>
         `;
         return;
     }
     
-    gallery.innerHTML = paintingList.map(painting => `
-        <div class="painting-card" onclick="openModal('${painting.id}')">
-            <img src="${painting.imageUrl}" alt="悦悦的画作" class="painting-image">
+    gallery.innerHTML = paintingList.map(painting => paintingCardHtml(painting)).join('');
+}
+
+// 画作卡片，showAge 为 true 时在日期后面显示创作时的年龄（时间线中使用）
+function paintingCardHtml(painting, { showAge = false } = {}) {
+    const ageMonths = showAge ? paintingAgeMonths(painting) : null;
+    return `
+        <div class="painting-card" data-id="${painting.id}" onclick="openModal('${painting.id}')">
+            ${pictureHtml(painting, {
+                className: 'painting-image',
+                alt: painting.title || '悦悦的画作',
+                sizes: GALLERY_IMAGE_SIZES
+            })}
             <div class="painting-info">
-                <p class="painting-date">${formatDate(painting.date)}</p>
+                ${painting.title ? `<p class="painting-title">${escapeHtml(painting.title)}</p>` : ''}
+                <p class="painting-date">${formatDate(painting.date)}${ageMonths !== null ? ` · ${formatAge(ageMonths)}` : ''}</p>
             </div>
         </div>
+    `;
+}
+
+// 加载时间线：先加载各时期的汇总，每个月的画作在滚动到附近时再加载
+async function loadTimeline() {
+    const periods = document.getElementById('timeline-periods');
+    // 浏览器所在时区相对 UTC 的分钟数，按当地日期划分月份
+    const timezoneOffset = -new Date().getTimezoneOffset();
+    try {
+        const response = await fetch(`/api/timeline?tz=${timezoneOffset}`);
+        if (!response.ok) {
+            console.error('无法加载时间线');
+            return;
+        }
+        const result = await response.json();
+        childBirthday = result.birthday;
+        paintings = [];
+        renderTimeline(result.years);
+    } catch (error) {
+        console.error('加载时间线时出错:', error);
+        periods.innerHTML = '';
+    }
+}
+
+// 显示时间线：顶部是按年的跳转导航，每年下面是月份跳转和每个月的画作
+function renderTimeline(years) {
+    const nav = document.getElementById('timeline-nav');
+    const periods = document.getElementById('timeline-periods');
+    
+    if (years.length === 0) {
+        nav.innerHTML = '';
+        periods.innerHTML = `
+            <div style="text-align: center; padding: 60px 20px;">
+                <h3 style="color: #666; font-size: 1.3em;">还没有画作哦</h3>
+            </div>
+        `;
+        return;
+    }
+    
+    nav.innerHTML = years.map(year => `
+        <a href="#year-${year.year}" class="timeline-nav-link" data-year="${year.year}"
+           onclick="return jumpToPeriod(event, 'year-${year.year}')">${year.year}</a>
+    `).join('');
+    
+    periods.innerHTML = years.map(year => `
+        <section class="timeline-year" id="year-${year.year}" data-year="${year.year}">
+            <h2 class="timeline-year-title">
+                ${year.year}年
+                <span class="timeline-age">${formatAgeRange(year.ageMonthsFrom, year.ageMonthsTo)}</span>
+                <span class="timeline-count">${year.count} 幅</span>
+            </h2>
+            <div class="timeline-months">
+                ${year.months.map(month => `
+                    <a href="#month-${month.key}" class="timeline-month-link"
+                       onclick="return jumpToPeriod(event, 'month-${month.key}')">${month.month}月</a>
+                `).join('')}
+            </div>
+            ${year.months.map(month => `
+                <section class="timeline-month" id="month-${month.key}" data-from="${month.from}" data-to="${month.to}">
+                    <h3 class="timeline-month-title">
+                        ${year.year}年${month.month}月
+                        <span class="timeline-age">${formatAgeRange(month.ageMonthsFrom, month.ageMonthsTo)}</span>
+                        <span class="timeline-count">${month.count} 幅</span>
+                    </h3>
+                    <div class="gallery timeline-gallery">
+                        <p class="timeline-placeholder">加载中...</p>
+                    </div>
+                </section>
+            `).join('')}
+        </section>
     `).join('');
+    
+    observeTimeline();
+}
+
+// 月份接近屏幕时加载其中的画作；同时在导航中标出当前所在的年份
+function observeTimeline() {
+    timelineObservers.forEach(observer => observer.disconnect());
+    timelineObservers = [];
+    const sections = document.querySelectorAll('.timeline-month');
+    if (!('IntersectionObserver' in window)) {
+        sections.forEach(loadTimelineMonth);
+        return;
+    }
+    const monthObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                monthObserver.unobserve(entry.target);
+                loadTimelineMonth(entry.target);
+            }
+        });
+    }, { rootMargin: '800px 0px' });
+    sections.forEach(section => monthObserver.observe(section));
+    
+    const yearObserver = new IntersectionObserver(entries => {
+        entries.filter(entry => entry.isIntersecting).forEach(entry => {
+            document.querySelectorAll('.timeline-nav-link').forEach(link => {
+                link.classList.toggle('active', link.dataset.year === entry.target.dataset.year);
+            });
+        });
+    }, { rootMargin: '-30% 0px -60% 0px' });
+    document.querySelectorAll('.timeline-year').forEach(section => yearObserver.observe(section));
+    timelineObservers = [monthObserver, yearObserver];
+}
+
+// 加载一个月的全部画作（按日期先后排列）
+async function loadTimelineMonth(section) {
+    const gallery = section.querySelector('.timeline-gallery');
+    const monthPaintings = [];
+    let cursor = null;
+    try {
+        do {
+            const params = new URLSearchParams({
+                from: section.dataset.from,
+                to: section.dataset.to,
+                order: 'asc',
+                limit: '100'
+            });
+            if (cursor) {
+                params.set('cursor', cursor);
+            }
+            const response = await fetch(`/api/paintings?${params}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const result = await response.json();
+            monthPaintings.push(...result.paintings);
+            cursor = result.nextCursor;
+        } while (cursor);
+    } catch (error) {
+        console.error('加载时间线画作时出错:', error);
+        gallery.innerHTML = '<p class="timeline-placeholder">加载失败，请刷新页面重试</p>';
+        return;
+    }
+    
+    // 模态框按 id 在 paintings 中查找画作
+    paintings = paintings.concat(monthPaintings);
+    gallery.innerHTML = monthPaintings.map(painting => paintingCardHtml(painting, { showAge: true })).join('');
+}
+
+// 跳转到某一年或某个月（不改变地址，避免触发前进后退的视图切换）
+function jumpToPeriod(event, id) {
+    event.preventDefault();
+    const target = document.getElementById(id);
+    if (target) {
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    return false;
+}
+
+// 创作时的年龄（月数）：优先使用手动填写的年龄，没有时根据生日和创作日期计算
+function paintingAgeMonths(painting) {
+    if (painting.ageMonths !== null && painting.ageMonths !== undefined) {
+        return painting.ageMonths;
+    }
+    if (!childBirthday) {
+        return null;
+    }
+    const [birthYear, birthMonth, birthDay] = childBirthday.split('-').map(Number);
+    const date = new Date(painting.date);
+    const months = (date.getFullYear() - birthYear) * 12 + (date.getMonth() + 1 - birthMonth)
+        - (date.getDate() < birthDay ? 1 : 0);
+    return months >= 0 ? months : null;
 }
 
 // 显示示例数据（当服务器未启动时）
@@ -98,48 +855,397 @@ function displaySamplePaintings() {
     displayPaintings(samplePaintings);
 }
 
-// 格式化日期
-function formatDate(dateString) {
-    const date = new Date(dateString);
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}年${month}月${day}日`;
+// 格式化年龄（月数），例如 "4岁3个月"
+function formatAge(ageMonths) {
+    if (ageMonths === null || ageMonths === undefined) {
+        return '';
+    }
+    const years = Math.floor(ageMonths / 12);
+    const months = ageMonths % 12;
+    if (years === 0) {
+        return `${months}个月`;
+    }
+    return months === 0 ? `${years}岁` : `${years}岁${months}个月`;
+}
+
+// 一个时期的年龄范围，例如 "4岁3个月 – 4岁5个月"
+function formatAgeRange(fromMonths, toMonths) {
+    if (fromMonths === null || toMonths === null || fromMonths === toMonths) {
+        return formatAge(fromMonths !== null ? fromMonths : toMonths);
+    }
+    return `${formatAge(fromMonths)} – ${formatAge(toMonths)}`;
+}
+
+// 把表单中的"岁"和"个月"合并成月数，都没填时返回空字符串
+function readAgeMonths(years, months) {
+    if (years === '' && months === '') {
+        return '';
+    }
+    return String((Number(years) || 0) * 12 + (Number(months) || 0));
 }
 
-// 打开画作详情模态框
+// 打开画作详情（点击画作卡片）：地址变为 /painting/:id，浏览器后退即可关闭
 function openModal(paintingId) {
-    const painting = paintings.find(p => p.id === paintingId);
+    const url = `/painting/${encodeURIComponent(paintingId)}${window.location.search}`;
+    if (paintingIdFromUrl()) {
+        history.replaceState(history.state, '', url);
+    } else {
+        history.pushState({ fromGallery: true }, '', url);
+    }
+    showPainting(paintingId);
+}
+
+// 显示一幅画：已经加载的画作直接显示，直接访问链接时从服务器读取
+async function showPainting(paintingId) {
+    const version = ++modalVersion;
+    let painting = paintings.find(p => p.id === paintingId) ||
+        (modalPainting && modalPainting.id === paintingId ? modalPainting : null);
     if (!painting) {
-        console.error('找不到指定的画作');
-        return;
+        try {
+            const response = await fetch(`/api/paintings/${encodeURIComponent(paintingId)}`);
+            if (version !== modalVersion) {
+                return;
+            }
+            if (!response.ok) {
+                showMessage('找不到这幅画，可能已经被删除了', 'error');
+                history.replaceState(null, '', galleryUrl());
+                showCurrentView();
+                return;
+            }
+            painting = await response.json();
+        } catch (error) {
+            console.error('加载画作时出错:', error);
+            return;
+        }
     }
-    
+    if (version === modalVersion) {
+        renderModal(painting);
+    }
+}
+
+// 在模态框中显示画作的图片和信息
+function renderModal(painting) {
     const modal = document.getElementById('painting-modal');
-    const modalImage = document.getElementById('modal-image');
+    const modalPicture = document.getElementById('modal-picture');
     const modalTitle = document.getElementById('modal-title');
     const modalDescription = document.getElementById('modal-description');
     const modalDate = document.getElementById('modal-date');
     
-    modalImage.src = painting.imageUrl;
-    modalImage.alt = '悦悦的画作';
+    const modalMeta = document.getElementById('modal-meta');
+    const modalTags = document.getElementById('modal-tags');
+    
+    modalPainting = painting;
+    modalPicture.innerHTML = pictureHtml(painting, {
+        alt: painting.title || '悦悦的画作',
+        sizes: '90vw',
+        lazy: false
+    });
+    resetZoom();
+    modalTitle.textContent = painting.title || '';
+    modalTitle.classList.toggle('hidden', !painting.title);
+    modalDescription.textContent = painting.description || '';
+    modalDescription.classList.toggle('hidden', !painting.description);
     modalDate.textContent = `创作于 ${formatDate(painting.date)}`;
     
+    // 绘画材料和创作时年龄
+    const meta = [];
+    if (painting.medium) {
+        meta.push(`🖍️ ${mediumLabels[painting.medium] || painting.medium}`);
+    }
+    const ageMonths = paintingAgeMonths(painting);
+    if (ageMonths !== null) {
+        meta.push(`🎂 ${formatAge(ageMonths)}时画的`);
+    }
+    modalMeta.textContent = meta.join(' · ');
+    modalMeta.classList.toggle('hidden', meta.length === 0);
+    
+    const tags = painting.tags || [];
+    modalTags.innerHTML = tags.map(tag =>
+        `<button type="button" class="tag tag-link" data-tag="${escapeHtml(tag)}" onclick="searchByTag(this.dataset.tag)" title="查看带这个标签的画作">#${escapeHtml(tag)}</button>`
+    ).join('');
+    modalTags.classList.toggle('hidden', tags.length === 0);
+    
+    document.title = `${painting.title || '无题'} - 悦悦的画廊`;
     modal.classList.remove('hidden');
     document.body.style.overflow = 'hidden';
+    updateModalNav();
+    preloadNeighbours();
 }
 
-// 关闭模态框
+// 关闭画作详情：从画廊打开的后退一步，直接访问链接打开的换成画廊的地址
 function closeModal() {
+    if (!paintingIdFromUrl()) {
+        hideModal();
+    } else if (history.state && history.state.fromGallery) {
+        history.back();
+    } else {
+        history.replaceState(null, '', galleryUrl());
+        showCurrentView();
+    }
+}
+
+// 隐藏模态框（不改变地址）
+function hideModal() {
+    modalVersion++;
+    modalPainting = null;
     const modal = document.getElementById('painting-modal');
     modal.classList.add('hidden');
     document.body.style.overflow = '';
+    document.title = galleryTitle;
+}
+
+// 当前视图中画作卡片的顺序（画廊或时间线），上一幅、下一幅按这个顺序
+function visiblePaintingIds() {
+    const container = document.getElementById(viewFromUrl() === 'timeline' ? 'timeline' : 'gallery');
+    return Array.from(container.querySelectorAll('.painting-card')).map(card => card.dataset.id);
+}
+
+// 画廊还有下一页时，最后一幅的"下一幅"会先加载下一页
+function canLoadMore() {
+    return viewFromUrl() !== 'timeline' && Boolean(nextCursor);
+}
+
+// 上一幅、下一幅按钮：第一幅、最后一幅时不可用，画作不在当前视图中时隐藏
+function updateModalNav() {
+    if (!modalPainting) {
+        return;
+    }
+    const ids = visiblePaintingIds();
+    const index = ids.indexOf(modalPainting.id);
+    const prev = document.getElementById('modal-prev');
+    const next = document.getElementById('modal-next');
+    prev.classList.toggle('hidden', index < 0);
+    next.classList.toggle('hidden', index < 0);
+    prev.disabled = index <= 0;
+    next.disabled = index >= ids.length - 1 && !canLoadMore();
+}
+
+// 切换到上一幅（step 为 -1）或下一幅（1），地址跟着改变但不增加历史记录，后退仍然回到画廊
+async function showAdjacentPainting(step) {
+    if (!modalPainting) {
+        return;
+    }
+    let ids = visiblePaintingIds();
+    let index = ids.indexOf(modalPainting.id);
+    if (index < 0) {
+        return;
+    }
+    if (index + step >= ids.length && canLoadMore()) {
+        await loadMorePaintings();
+        ids = visiblePaintingIds();
+        index = ids.indexOf(modalPainting.id);
+    }
+    const target = ids[index + step];
+    if (target) {
+        history.replaceState(history.state, '', `/painting/${encodeURIComponent(target)}${window.location.search}`);
+        showPainting(target);
+    }
+}
+
+// 提前下载前后两幅的图片，切换时不用等
+function preloadNeighbours() {
+    const ids = visiblePaintingIds();
+    const index = ids.indexOf(modalPainting.id);
+    if (index < 0) {
+        return;
+    }
+    [ids[index - 1], ids[index + 1]].forEach(id => {
+        const painting = id && paintings.find(p => p.id === id);
+        if (!painting) {
+            return;
+        }
+        const holder = document.createElement('div');
+        holder.innerHTML = pictureHtml(painting, { sizes: '90vw', lazy: false });
+        const img = holder.querySelector('img');
+        const image = new Image();
+        if (img.srcset) {
+            image.sizes = img.sizes;
+            image.srcset = img.srcset;
+        }
+        image.src = img.src;
+    });
+}
+
+// 图片的缩放和平移：双指缩放、滚轮缩放、双击（双击触屏）放大或还原，放大后拖动；没有放大时左右滑动切换画作
+function setupModalZoom() {
+    const picture = document.getElementById('modal-picture');
+    picture.addEventListener('pointerdown', handleZoomPointerDown);
+    picture.addEventListener('pointermove', handleZoomPointerMove);
+    picture.addEventListener('pointerup', handleZoomPointerUp);
+    picture.addEventListener('pointercancel', handleZoomPointerUp);
+    picture.addEventListener('wheel', handleZoomWheel, { passive: false });
+    // 图片不能被拖出去
+    picture.addEventListener('dragstart', event => event.preventDefault());
+}
+
+function zoomImage() {
+    return document.querySelector('#modal-picture img');
+}
+
+// 图片未经缩放时的中心点（屏幕坐标）和尺寸
+function zoomFrame() {
+    const rect = zoomImage().getBoundingClientRect();
+    return {
+        centerX: rect.left + rect.width / 2 - zoom.x,
+        centerY: rect.top + rect.height / 2 - zoom.y,
+        width: rect.width / zoom.scale,
+        height: rect.height / zoom.scale
+    };
+}
+
+// 缩放到 scale，并让屏幕上 (clientX, clientY) 处的内容保持不动
+function zoomAt(scale, clientX, clientY, frame = zoomFrame()) {
+    const next = Math.min(Math.max(scale, 1), MAX_ZOOM);
+    const vx = clientX - frame.centerX;
+    const vy = clientY - frame.centerY;
+    zoom.x = vx - (vx - zoom.x) * (next / zoom.scale);
+    zoom.y = vy - (vy - zoom.y) * (next / zoom.scale);
+    zoom.scale = next;
+    applyZoom(frame);
+}
+
+// 限制平移范围（图片边缘不离开显示区域），更新图片的 transform
+function applyZoom(frame = zoomFrame()) {
+    const maxX = frame.width * (zoom.scale - 1) / 2;
+    const maxY = frame.height * (zoom.scale - 1) / 2;
+    zoom.x = Math.min(Math.max(zoom.x, -maxX), maxX);
+    zoom.y = Math.min(Math.max(zoom.y, -maxY), maxY);
+    const img = zoomImage();
+    img.style.transform = zoom.scale === 1 ? '' : `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`;
+    document.getElementById('modal-picture').classList.toggle('zoomed', zoom.scale > 1);
+}
+
+// 放大后换用更大的图片（sizes 变大时浏览器从 srcset 中挑选更大的尺寸，已经下载的不会重复下载）
+function loadZoomedImage() {
+    const width = Math.ceil(90 * zoom.scale);
+    document.querySelectorAll('#modal-picture source, #modal-picture img').forEach(element => {
+        const current = parseInt(element.getAttribute('sizes'), 10) || 90;
+        if (element.getAttribute('srcset') && width > current) {
+            element.setAttribute('sizes', `${width}vw`);
+        }
+    });
+}
+
+function resetZoom() {
+    zoom.scale = 1;
+    zoom.x = 0;
+    zoom.y = 0;
+    zoom.pointers.clear();
+    zoom.gesture = null;
+    document.getElementById('modal-picture').classList.remove('zoomed');
+}
+
+// 记录手势开始时的状态：手指（或鼠标）的中心点、两指间的距离
+function startZoomGesture() {
+    const points = Array.from(zoom.pointers.values());
+    const centerX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const centerY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    zoom.gesture = {
+        centerX,
+        centerY,
+        startX: centerX,
+        startY: centerY,
+        distance: points.length > 1 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) : 0,
+        scale: zoom.scale,
+        moved: false,
+        pointerCount: points.length
+    };
+}
+
+function handleZoomPointerDown(event) {
+    if (!zoomImage() || zoom.pointers.size >= 2) {
+        return;
+    }
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    zoom.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    startZoomGesture();
+}
+
+function handleZoomPointerMove(event) {
+    if (!zoom.pointers.has(event.pointerId) || !zoom.gesture) {
+        return;
+    }
+    zoom.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    const points = Array.from(zoom.pointers.values());
+    const gesture = zoom.gesture;
+    const centerX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const centerY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    if (Math.hypot(centerX - gesture.startX, centerY - gesture.startY) > 10) {
+        gesture.moved = true;
+    }
+    
+    if (points.length === 2) {
+        // 双指：按距离变化缩放，同时跟随中心点移动
+        const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+        const frame = zoomFrame();
+        zoom.x += centerX - gesture.centerX;
+        zoom.y += centerY - gesture.centerY;
+        zoomAt(gesture.scale * distance / gesture.distance, centerX, centerY, frame);
+        gesture.moved = true;
+    } else if (zoom.scale > 1) {
+        // 放大后单指（或鼠标）拖动
+        zoom.x += centerX - gesture.centerX;
+        zoom.y += centerY - gesture.centerY;
+        applyZoom();
+    }
+    gesture.centerX = centerX;
+    gesture.centerY = centerY;
+}
+
+function handleZoomPointerUp(event) {
+    if (!zoom.pointers.has(event.pointerId)) {
+        return;
+    }
+    const gesture = zoom.gesture;
+    zoom.pointers.delete(event.pointerId);
+    
+    if (gesture && gesture.pointerCount === 1 && zoom.pointers.size === 0) {
+        const dx = event.clientX - gesture.startX;
+        const dy = event.clientY - gesture.startY;
+        if (!gesture.moved) {
+            // 双击：放大到双击的位置，已经放大时还原
+            const now = Date.now();
+            if (now - zoom.lastTap < DOUBLE_TAP_DELAY) {
+                zoom.lastTap = 0;
+                zoomAt(zoom.scale > 1 ? 1 : DOUBLE_TAP_ZOOM, event.clientX, event.clientY);
+            } else {
+                zoom.lastTap = now;
+            }
+        } else if (zoom.scale === 1 && Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+            showAdjacentPainting(dx < 0 ? 1 : -1);
+        }
+    }
+    
+    loadZoomedImage();
+    // 两指松开一指后，剩下的一指从当前位置继续拖动
+    if (zoom.pointers.size > 0) {
+        startZoomGesture();
+        zoom.gesture.pointerCount = 2;
+    } else {
+        zoom.gesture = null;
+    }
+}
+
+// 滚轮缩放（触控板双指缩放在浏览器中也是带 Ctrl 的滚轮事件）
+function handleZoomWheel(event) {
+    if (!zoomImage()) {
+        return;
+    }
+    event.preventDefault();
+    zoomAt(zoom.scale * Math.exp(-event.deltaY * 0.002), event.clientX, event.clientY);
+    loadZoomedImage();
 }
 
 // 切换管理员面板
 function toggleAdmin() {
     const adminPanel = document.getElementById('admin-panel');
     if (adminPanel.classList.contains('hidden')) {
+        // 未登录时先显示登录面板
+        if (!isAdmin()) {
+            toggleLogin();
+            return;
+        }
         adminPanel.classList.remove('hidden');
         document.body.style.overflow = 'hidden';
     } else {
@@ -162,6 +1268,21 @@ async function handleUpload(event) {
     const submitBtn = form.querySelector('.submit-btn');
     const originalText = submitBtn.textContent;
     
+    // 年龄以月数提交
+    if (!formData.get('albumIds')) {
+        formData.delete('albumIds');
+    }
+    formData.delete('age-years');
+    formData.delete('age-months');
+    formData.set('ageMonths', readAgeMonths(form['age-years'].value, form['age-months'].value));
+    
+    // 手动填写的日期按当天中午提交，避免时区导致日期偏移
+    if (formData.get('date')) {
+        formData.set('date', new Date(`${formData.get('date')}T12:00:00`).toISOString());
+    } else {
+        formData.delete('date');
+    }
+    
     // 显示加载状态
     submitBtn.innerHTML = '<span class="loading"></span> 上传中...';
     submitBtn.disabled = true;
@@ -177,16 +1298,22 @@ async function handleUpload(event) {
             showMessage('画作上传成功！', 'success');
             
             // 重新加载画作列表
-            await loadPaintings();
+            await showCurrentView();
             
             // 关闭管理员面板
             toggleAdmin();
             
             // 重置表单
             form.reset();
+        } else if (response.status === 401 || response.status === 403) {
+            // 会话过期或权限不足，回到登录面板
+            currentUser = null;
+            updateAuthUI();
+            toggleAdmin();
+            toggleLogin();
         } else {
             const error = await response.json();
-            showMessage('上传失败：' + (error.message || '未知错误'), 'error');
+            showMessage('上传失败：' + (error.error || '未知错误') + (error.code ? ` [${error.code}]` : ''), 'error');
         }
     } catch (error) {
         console.error('上传出错:', error);
@@ -198,8 +1325,8 @@ async function handleUpload(event) {
     submitBtn.disabled = false;
 }
 
-// 显示消息
-function showMessage(text, type) {
+// 显示消息（默认显示在上传面板中）
+function showMessage(text, type, container) {
     const existingMessage = document.querySelector('.message');
     if (existingMessage) {
         existingMessage.remove();
@@ -209,7 +1336,7 @@ function showMessage(text, type) {
     message.className = `message ${type}`;
     message.textContent = text;
     
-    const adminContent = document.querySelector('.admin-content');
+    const adminContent = container || document.querySelector('.admin-content');
     if (adminContent) {
         adminContent.insertBefore(message, adminContent.firstChild);
     }
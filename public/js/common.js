@@ -0,0 +1,53 @@
+// 悦悦画廊各页面共用的函数（画廊、管理后台、幻灯片、分享页都在自己的脚本之前加载这个文件）
+
+// 格式化日期
+function formatDate(dateString) {
+    const date = new Date(dateString);
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}年${month}月${day}日`;
+}
+
+// 生成 <picture>：按屏幕宽度挑选合适尺寸，浏览器支持时优先 AVIF/WebP
+// 旧画作还没有衍生图时直接使用原图
+// fallbackSize 为不支持 srcset 的浏览器使用的尺寸（幻灯片全屏显示，用 full）
+function pictureHtml(painting, { className = '', alt = '悦悦的画作', sizes = '100vw', lazy = true, fallbackSize = 'card' } = {}) {
+    const loading = lazy ? 'loading="lazy"' : '';
+    const variants = painting.variants;
+    if (!variants) {
+        return `<img src="${painting.imageUrl}" alt="${escapeHtml(alt)}" class="${className}" ${loading}>`;
+    }
+
+    // 小图不会被放大，多个尺寸可能宽度相同，只保留一个
+    const widths = [];
+    const uniqueVariants = Object.values(variants).filter(variant => {
+        if (widths.includes(variant.width)) {
+            return false;
+        }
+        widths.push(variant.width);
+        return true;
+    });
+    const srcset = (format) => uniqueVariants.map(variant => `${variant[format]} ${variant.width}w`).join(', ');
+    const fallback = variants[fallbackSize];
+
+    return `
+        <picture>
+            <source type="image/avif" srcset="${srcset('avif')}" sizes="${sizes}">
+            <source type="image/webp" srcset="${srcset('webp')}" sizes="${sizes}">
+            <img src="${fallback.jpeg}" srcset="${srcset('jpeg')}" sizes="${sizes}"
+                 width="${fallback.width}" height="${fallback.height}"
+                 alt="${escapeHtml(alt)}" class="${className}" ${loading}>
+        </picture>
+    `;
+}
+
+// 转义 HTML 特殊字符
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,218 @@
+// 悦悦画廊分享页：通过分享链接查看一幅画或一个相册（只读，不需要登录）
+
+const SHARE_PATH = /^\/share\/([^/]+)\/?$/;
+
+const GALLERY_IMAGE_SIZES = '(max-width: 480px) 100vw, (max-width: 768px) 50vw, (max-width: 1024px) 33vw, 300px';
+
+// 相册中的画作和当前在大图中显示的位置
+let paintings = [];
+let modalIndex = -1;
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('share-password-form').addEventListener('submit', handleUnlock);
+    document.addEventListener('keydown', handleKeydown);
+    document.getElementById('painting-modal').addEventListener('click', event => {
+        if (event.target.id === 'painting-modal') {
+            closeModal();
+        }
+    });
+    loadShare();
+});
+
+function shareToken() {
+    const match = window.location.pathname.match(SHARE_PATH);
+    return match ? match[1] : '';
+}
+
+function shareApiUrl(suffix = '') {
+    return `/api/share/${encodeURIComponent(shareToken())}${suffix}`;
+}
+
+// 读取分享的内容；需要密码时显示密码框
+async function loadShare() {
+    try {
+        const response = await fetch(shareApiUrl());
+        const result = await response.json();
+        if (response.status === 401 && result.passwordRequired) {
+            showSection('share-password');
+            document.querySelector('#share-password-form input[name="password"]').focus();
+            return;
+        }
+        if (!response.ok) {
+            showError(result.error || '无法打开分享链接');
+            return;
+        }
+        if (result.type === 'album') {
+            renderAlbum(result.album, result.paintings);
+        } else {
+            renderPainting(result.painting);
+        }
+        renderExpiry(result.expiresAt);
+    } catch (error) {
+        console.error('加载分享内容时出错:', error);
+        showError('网络错误，请稍后再试');
+    }
+}
+
+// 提交访问密码，正确后重新加载内容
+async function handleUnlock(event) {
+    event.preventDefault();
+    const form = event.target;
+    const section = document.getElementById('share-password');
+    try {
+        const response = await fetch(shareApiUrl('/unlock'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: form.password.value })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showMessage(result.error || '密码错误', 'error', section);
+            form.password.select();
+            return;
+        }
+        form.reset();
+        loadShare();
+    } catch (error) {
+        console.error('验证密码时出错:', error);
+        showMessage('网络错误，请稍后再试', 'error', section);
+    }
+}
+
+// 只显示页面中的一部分（错误提示、密码框、单幅画或相册）
+function showSection(id) {
+    ['share-error', 'share-password', 'share-painting', 'share-album'].forEach(sectionId => {
+        document.getElementById(sectionId).classList.toggle('hidden', sectionId !== id);
+    });
+}
+
+function showError(text) {
+    document.getElementById('share-error-text').textContent = text;
+    showSection('share-error');
+}
+
+function renderPainting(painting) {
+    document.getElementById('share-picture').innerHTML = pictureHtml(painting, {
+        alt: painting.title || '悦悦的画作',
+        sizes: '90vw',
+        lazy: false
+    });
+    fillPaintingInfo(painting, {
+        title: document.getElementById('share-title'),
+        description: document.getElementById('share-description'),
+        date: document.getElementById('share-date')
+    });
+    document.title = `${painting.title || '无题'} - 悦悦的画廊`;
+    showSection('share-painting');
+}
+
+function renderAlbum(album, albumPaintings) {
+    paintings = albumPaintings;
+    document.getElementById('share-album-title').textContent = album.title;
+    const description = document.getElementById('share-album-description');
+    description.textContent = album.description || '';
+    description.classList.toggle('hidden', !album.description);
+
+    const gallery = document.getElementById('share-gallery');
+    if (paintings.length === 0) {
+        gallery.innerHTML = `
+            <div style="grid-column: 1 / -1; text-align: center; padding: 60px 20px;">
+                <h3 style="color: #666; font-size: 1.3em;">这个相册还没有画作</h3>
+            </div>
+        `;
+    } else {
+        gallery.innerHTML = paintings.map((painting, index) => `
+            <div class="painting-card" onclick="openModal(${index})">
+                ${pictureHtml(painting, {
+                    className: 'painting-image',
+                    alt: painting.title || '悦悦的画作',
+                    sizes: GALLERY_IMAGE_SIZES
+                })}
+                <div class="painting-info">
+                    ${painting.title ? `<p class="painting-title">${escapeHtml(painting.title)}</p>` : ''}
+                    <p class="painting-date">${formatDate(painting.date)}</p>
+                </div>
+            </div>
+        `).join('');
+    }
+    document.title = `${album.title} - 悦悦的画廊`;
+    showSection('share-album');
+}
+
+function renderExpiry(expiresAt) {
+    const expiry = document.getElementById('share-expiry');
+    expiry.textContent = expiresAt ? `这个链接的有效期到 ${formatDate(expiresAt)}` : '';
+    expiry.classList.toggle('hidden', !expiresAt);
+}
+
+// 标题、描述和创作日期，没有标题或描述时隐藏对应的元素
+function fillPaintingInfo(painting, elements) {
+    elements.title.textContent = painting.title || '';
+    elements.title.classList.toggle('hidden', !painting.title);
+    elements.description.textContent = painting.description || '';
+    elements.description.classList.toggle('hidden', !painting.description);
+    elements.date.textContent = `创作于 ${formatDate(painting.date)}`;
+}
+
+// 相册中的大图
+function openModal(index) {
+    modalIndex = index;
+    const painting = paintings[index];
+    document.getElementById('modal-picture').innerHTML = pictureHtml(painting, {
+        alt: painting.title || '悦悦的画作',
+        sizes: '90vw',
+        lazy: false
+    });
+    fillPaintingInfo(painting, {
+        title: document.getElementById('modal-title'),
+        description: document.getElementById('modal-description'),
+        date: document.getElementById('modal-date')
+    });
+    document.querySelector('.modal-prev').disabled = index === 0;
+    document.querySelector('.modal-next').disabled = index === paintings.length - 1;
+    document.getElementById('painting-modal').classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+}
+
+function closeModal() {
+    modalIndex = -1;
+    document.getElementById('painting-modal').classList.add('hidden');
+    document.body.style.overflow = '';
+}
+
+function showAdjacentPainting(step) {
+    const index = modalIndex + step;
+    if (modalIndex !== -1 && index >= 0 && index < paintings.length) {
+        openModal(index);
+    }
+}
+
+function handleKeydown(event) {
+    if (modalIndex === -1) {
+        return;
+    }
+    if (event.key === 'Escape') {
+        closeModal();
+    } else if (event.key === 'ArrowLeft') {
+        showAdjacentPainting(-1);
+    } else if (event.key === 'ArrowRight') {
+        showAdjacentPainting(1);
+    }
+}
+
+// 显示消息
+function showMessage(text, type, container) {
+    const existingMessage = document.querySelector('.message');
+    if (existingMessage) {
+        existingMessage.remove();
+    }
+
+    const message = document.createElement('div');
+    message.className = `message ${type}`;
+    message.textContent = text;
+    container.insertBefore(message, container.firstChild);
+
+    setTimeout(() => {
+        message.remove();
+    }, 3000);
+}
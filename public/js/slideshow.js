@@ -0,0 +1,484 @@
+// 悦悦画廊幻灯片：把旧平板或电视当作电子相框
+
+// 设置的默认值，设置保存在地址中，收藏或添加到主屏幕后打开还是同样的设置
+const DEFAULT_SETTINGS = {
+    interval: 10,
+    transition: 'fade',
+    order: 'shuffle',
+    album: '',
+    tag: '',
+    caption: false
+};
+
+const TRANSITIONS = ['fade', 'slide', 'zoom', 'none'];
+const ORDERS = ['shuffle', 'asc', 'desc'];
+
+// 每张停留的秒数范围（地址中可以写下拉框以外的值）
+const MIN_INTERVAL = 3;
+const MAX_INTERVAL = 3600;
+
+// 与画廊相同的过滤条件（搜索结果页打开幻灯片时带过来），标签可以在设置中修改
+const FILTER_PARAMS = ['q', 'tag', 'medium', 'from', 'to'];
+
+// 多久检查一次新上传的画作
+const REFRESH_INTERVAL = 60 * 1000;
+
+// 没有操作多久后隐藏控制栏和鼠标
+const CONTROLS_HIDE_DELAY = 3000;
+
+// 切换动画的时长，与 style.css 中的 .slide 动画一致
+const TRANSITION_DURATION = 1000;
+
+// 等待下一张图片加载的最长时间，超时也照样切换
+const IMAGE_LOAD_TIMEOUT = 15000;
+
+let settings = { ...DEFAULT_SETTINGS };
+// 播放顺序（画作对象）和当前位置
+let playlist = [];
+let position = -1;
+let playing = true;
+let slideTimer = null;
+let hideTimer = null;
+let wakeLock = null;
+// 每次重新加载加 1，丢弃设置改变之前发出的请求的结果
+let loadVersion = 0;
+
+document.addEventListener('DOMContentLoaded', function() {
+    settings = readSettings();
+    fillSettingsForm();
+    setupEventListeners();
+    showControls();
+    requestWakeLock();
+    loadAlbums();
+    loadPlaylist();
+    setInterval(refreshPlaylist, REFRESH_INTERVAL);
+});
+
+function setupEventListeners() {
+    document.getElementById('slideshow-settings').addEventListener('change', handleSettingsChange);
+    document.getElementById('slideshow-settings').addEventListener('submit', event => event.preventDefault());
+    // 移动鼠标、触摸或按键时显示控制栏
+    ['mousemove', 'pointerdown', 'keydown'].forEach(type => {
+        document.addEventListener(type, showControls);
+    });
+
+    document.addEventListener('keydown', function(e) {
+        if (e.target.matches('input, select')) {
+            return;
+        }
+        if (e.key === 'ArrowRight') {
+            showNext();
+        } else if (e.key === 'ArrowLeft') {
+            showPrevious();
+        } else if (e.key === ' ') {
+            e.preventDefault();
+            togglePlay();
+        } else if (e.key === 'f' || e.key === 'F') {
+            toggleFullscreen();
+        } else if (e.key === 'Escape') {
+            document.getElementById('slideshow-settings').classList.add('hidden');
+        }
+    });
+
+    // 有的浏览器要在用户点击之后才允许屏幕常亮；切到后台时系统会释放，回来时重新申请
+    document.addEventListener('pointerdown', function() {
+        if (playing) {
+            requestWakeLock();
+        }
+    });
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'visible' && playing) {
+            requestWakeLock();
+        }
+    });
+}
+
+// 从地址读取设置，无效的值使用默认值
+function readSettings() {
+    const params = new URLSearchParams(window.location.search);
+    const interval = Number(params.get('interval'));
+    return {
+        interval: Number.isInteger(interval) && interval >= MIN_INTERVAL && interval <= MAX_INTERVAL
+            ? interval : DEFAULT_SETTINGS.interval,
+        transition: TRANSITIONS.includes(params.get('transition')) ? params.get('transition') : DEFAULT_SETTINGS.transition,
+        order: ORDERS.includes(params.get('order')) ? params.get('order') : DEFAULT_SETTINGS.order,
+        album: params.get('album') || '',
+        tag: params.get('tag') || '',
+        caption: params.get('caption') === '1'
+    };
+}
+
+// 把设置写回地址（不刷新页面），只写和默认值不同的
+function writeSettings() {
+    const params = new URLSearchParams(window.location.search);
+    Object.keys(DEFAULT_SETTINGS).forEach(name => {
+        const value = name === 'caption' ? (settings.caption ? '1' : '') : String(settings[name]);
+        if (value && value !== String(DEFAULT_SETTINGS[name])) {
+            params.set(name, value);
+        } else {
+            params.delete(name);
+        }
+    });
+    const query = params.toString();
+    history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+}
+
+function fillSettingsForm() {
+    const form = document.getElementById('slideshow-settings');
+    // 地址中写了下拉框里没有的停留时间时补上这一项
+    if (!form.interval.querySelector(`option[value="${settings.interval}"]`)) {
+        form.interval.insertAdjacentHTML('beforeend', `<option value="${settings.interval}">${settings.interval} 秒</option>`);
+    }
+    form.interval.value = String(settings.interval);
+    form.transition.value = settings.transition;
+    form.order.value = settings.order;
+    form.album.value = settings.album;
+    form.tag.value = settings.tag;
+    form.caption.checked = settings.caption;
+    document.getElementById('slideshow-stage').dataset.transition = settings.transition;
+}
+
+// 修改设置：相册、标签或顺序变了重新加载画作，其他设置立即生效
+function handleSettingsChange() {
+    const form = document.getElementById('slideshow-settings');
+    const previous = settings;
+    settings = {
+        interval: Number(form.interval.value),
+        transition: form.transition.value,
+        order: form.order.value,
+        album: form.album.value,
+        tag: form.tag.value.trim(),
+        caption: form.caption.checked
+    };
+    writeSettings();
+    document.getElementById('slideshow-stage').dataset.transition = settings.transition;
+
+    if (['album', 'tag', 'order'].some(name => settings[name] !== previous[name])) {
+        loadPlaylist();
+        return;
+    }
+    renderCaption();
+    scheduleNext();
+}
+
+// 加载相册列表，填充设置中的相册下拉框
+async function loadAlbums() {
+    try {
+        const response = await fetch('/api/albums');
+        if (response.ok) {
+            const albums = await response.json();
+            const select = document.getElementById('slideshow-settings').album;
+            select.insertAdjacentHTML('beforeend', albums.map(album =>
+                `<option value="${album.id}">${escapeHtml(album.title)}</option>`
+            ).join(''));
+            select.value = settings.album;
+        }
+    } catch (error) {
+        console.error('加载相册出错:', error);
+    }
+}
+
+// 按当前设置读取所有画作（分页读完）
+async function fetchAllPaintings() {
+    const params = new URLSearchParams();
+    const current = new URLSearchParams(window.location.search);
+    FILTER_PARAMS.forEach(name => {
+        if (current.get(name)) {
+            params.set(name, current.get(name));
+        }
+    });
+    if (settings.tag) {
+        params.set('tag', settings.tag);
+    } else {
+        params.delete('tag');
+    }
+    if (settings.album) {
+        params.set('album', settings.album);
+    }
+    params.set('order', settings.order === 'asc' ? 'asc' : 'desc');
+    params.set('limit', '100');
+
+    let list = [];
+    let cursor = null;
+    do {
+        if (cursor) {
+            params.set('cursor', cursor);
+        }
+        const response = await fetch(`/api/paintings?${params}`);
+        if (!response.ok) {
+            throw new Error((await response.json()).error || '无法加载画作列表');
+        }
+        const result = await response.json();
+        list = list.concat(result.paintings);
+        cursor = result.nextCursor;
+    } while (cursor);
+    return list;
+}
+
+// 打乱顺序（Fisher–Yates）
+function shuffle(list) {
+    const result = list.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// 重新加载画作并从头开始播放
+async function loadPlaylist() {
+    const version = ++loadVersion;
+    try {
+        const list = await fetchAllPaintings();
+        if (version !== loadVersion) {
+            return;
+        }
+        playlist = settings.order === 'shuffle' ? shuffle(list) : list;
+        position = -1;
+        showNext();
+    } catch (error) {
+        console.error('加载画作时出错:', error);
+        if (version === loadVersion && playlist.length === 0) {
+            showEmpty('无法连接服务器，稍后会自动重试');
+        }
+    }
+}
+
+// 定时检查画作的变化：新上传的画作插到当前这张之后马上播放，已删除的去掉，修改过的（例如编辑了图片）更新
+async function refreshPlaylist() {
+    const version = loadVersion;
+    let list;
+    try {
+        list = await fetchAllPaintings();
+    } catch (error) {
+        console.error('检查新画作时出错:', error);
+        return;
+    }
+    if (version !== loadVersion) {
+        return;
+    }
+
+    const latest = new Map(list.map(painting => [painting.id, painting]));
+    const current = playlist[position];
+    const kept = playlist.filter(painting => latest.has(painting.id)).map(painting => latest.get(painting.id));
+    const known = new Set(kept.map(painting => painting.id));
+    const added = list.filter(painting => !known.has(painting.id));
+
+    // 当前这张被删除时，从它原来的位置继续
+    let index = current ? kept.findIndex(painting => painting.id === current.id) : -1;
+    if (current && index < 0) {
+        index = playlist.slice(0, position).filter(painting => latest.has(painting.id)).length - 1;
+    }
+    kept.splice(index + 1, 0, ...added);
+    playlist = kept;
+    position = index;
+
+    if (!current || !latest.has(current.id) || (added.length > 0 && playing && !slideTimer)) {
+        // 之前没有画作、当前这张被删除，或者之前只有一张（没有在轮播）时直接切换
+        showNext();
+    }
+}
+
+function showNext() {
+    if (playlist.length === 0) {
+        showEmpty('还没有可以播放的画作');
+        return;
+    }
+    position++;
+    if (position >= playlist.length) {
+        position = 0;
+        // 随机顺序播完一轮后重新打乱，并避免连续两次出现同一张
+        if (settings.order === 'shuffle' && playlist.length > 1) {
+            const last = playlist[playlist.length - 1];
+            playlist = shuffle(playlist);
+            if (playlist[0].id === last.id) {
+                playlist.push(playlist.shift());
+            }
+        }
+    }
+    showSlide(playlist[position], 1);
+}
+
+function showPrevious() {
+    if (playlist.length === 0) {
+        return;
+    }
+    position = (position - 1 + playlist.length) % playlist.length;
+    showSlide(playlist[position], -1);
+}
+
+// 显示一幅画：等图片加载好再切换，避免过渡时出现空白；direction 为 1（下一张）或 -1（上一张）
+async function showSlide(painting, direction) {
+    clearTimeout(slideTimer);
+    slideTimer = null;
+    document.getElementById('slideshow-empty').classList.add('hidden');
+
+    const stage = document.getElementById('slideshow-stage');
+    const slide = document.createElement('div');
+    slide.className = 'slide';
+    slide.dataset.id = painting.id;
+    slide.innerHTML = pictureHtml(painting, {
+        className: 'slide-image',
+        alt: painting.title || '悦悦的画作',
+        lazy: false,
+        fallbackSize: 'full'
+    });
+    await waitForImage(slide.querySelector('img'));
+    if (!playlist[position] || playlist[position].id !== painting.id) {
+        // 等待加载时已经切到别的画作
+        return;
+    }
+
+    // 缓慢放大的时长等于停留时间
+    slide.style.setProperty('--slide-duration', `${settings.interval}s`);
+    slide.classList.add(direction < 0 ? 'slide-enter-back' : 'slide-enter');
+    stage.querySelectorAll('.slide:not(.slide-leave)').forEach(previous => {
+        previous.classList.add('slide-leave', direction < 0 ? 'slide-leave-back' : 'slide-leave-forward');
+        setTimeout(() => previous.remove(), settings.transition === 'none' ? 0 : TRANSITION_DURATION);
+    });
+    stage.appendChild(slide);
+
+    renderCaption();
+    document.getElementById('slideshow-position').textContent = `${position + 1} / ${playlist.length}`;
+    preloadNext();
+    scheduleNext();
+}
+
+// 图片加载完成（或失败、超时）
+function waitForImage(img) {
+    const image = new Image();
+    if (img.srcset) {
+        image.sizes = img.sizes;
+        image.srcset = img.srcset;
+    }
+    image.src = img.src;
+    const loaded = image.decode ? image.decode() : new Promise((resolve, reject) => {
+        image.onload = resolve;
+        image.onerror = reject;
+    });
+    const timeout = new Promise(resolve => setTimeout(resolve, IMAGE_LOAD_TIMEOUT));
+    return Promise.race([loaded, timeout]).catch(() => {});
+}
+
+// 提前下载下一张，切换时不用等
+function preloadNext() {
+    const next = playlist[(position + 1) % playlist.length];
+    if (next && playlist.length > 1) {
+        const holder = document.createElement('div');
+        holder.innerHTML = pictureHtml(next, { lazy: false, fallbackSize: 'full' });
+        waitForImage(holder.querySelector('img'));
+    }
+}
+
+// 播放中并且不止一张时，停留时间到了切换下一张
+function scheduleNext() {
+    clearTimeout(slideTimer);
+    slideTimer = null;
+    if (playing && playlist.length > 1) {
+        slideTimer = setTimeout(showNext, settings.interval * 1000);
+    }
+}
+
+function togglePlay() {
+    playing = !playing;
+    const button = document.getElementById('slideshow-play');
+    button.textContent = playing ? '⏸' : '▶️';
+    button.title = playing ? '暂停（空格）' : '播放（空格）';
+    if (playing) {
+        requestWakeLock();
+        showNext();
+    } else {
+        clearTimeout(slideTimer);
+        slideTimer = null;
+        releaseWakeLock();
+    }
+}
+
+function showEmpty(text) {
+    document.getElementById('slideshow-stage').innerHTML = '';
+    document.getElementById('slideshow-caption').classList.add('hidden');
+    document.getElementById('slideshow-position').textContent = '';
+    const empty = document.getElementById('slideshow-empty');
+    empty.querySelector('p').textContent = text;
+    empty.classList.remove('hidden');
+}
+
+// 画作标题、日期和创作时年龄
+function renderCaption() {
+    const caption = document.getElementById('slideshow-caption');
+    const painting = playlist[position];
+    if (!settings.caption || !painting) {
+        caption.classList.add('hidden');
+        return;
+    }
+    const parts = [];
+    if (painting.title) {
+        parts.push(`<strong>${escapeHtml(painting.title)}</strong>`);
+    }
+    parts.push(formatDate(painting.date));
+    if (painting.ageMonths !== null && painting.ageMonths !== undefined) {
+        parts.push(`${formatAge(painting.ageMonths)}时画的`);
+    }
+    caption.innerHTML = parts.join(' · ');
+    caption.classList.remove('hidden');
+}
+
+// 显示控制栏，一段时间不操作后隐藏（打开设置时不隐藏）
+function showControls() {
+    document.body.classList.remove('slideshow-idle');
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(() => {
+        if (document.getElementById('slideshow-settings').classList.contains('hidden')) {
+            document.body.classList.add('slideshow-idle');
+        }
+    }, CONTROLS_HIDE_DELAY);
+}
+
+function toggleSettings() {
+    document.getElementById('slideshow-settings').classList.toggle('hidden');
+    showControls();
+}
+
+// 全屏需要用户点击触发，同时申请屏幕常亮
+function toggleFullscreen() {
+    if (document.fullscreenElement) {
+        document.exitFullscreen();
+    } else if (document.documentElement.requestFullscreen) {
+        document.documentElement.requestFullscreen().catch(error => {
+            console.warn('无法进入全屏:', error.message);
+        });
+    }
+    requestWakeLock();
+}
+
+// 保持屏幕常亮（Screen Wake Lock API，需要 HTTPS 或 localhost；不支持时由设备自己的设置决定）
+async function requestWakeLock() {
+    if (wakeLock || !('wakeLock' in navigator) || document.visibilityState !== 'visible') {
+        return;
+    }
+    try {
+        wakeLock = await navigator.wakeLock.request('screen');
+        wakeLock.addEventListener('release', () => {
+            wakeLock = null;
+        });
+    } catch (error) {
+        console.warn('无法保持屏幕常亮:', error.message);
+    }
+}
+
+function releaseWakeLock() {
+    if (wakeLock) {
+        wakeLock.release();
+        wakeLock = null;
+    }
+}
+
+// 格式化年龄（月数），例如 "4岁3个月"
+function formatAge(ageMonths) {
+    const years = Math.floor(ageMonths / 12);
+    const months = ageMonths % 12;
+    if (years === 0) {
+        return `${months}个月`;
+    }
+    return months === 0 ? `${years}岁` : `${years}岁${months}个月`;
+}
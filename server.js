@@ -4,7 +4,31 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const sharp = require('sharp');
-const { decode } = require('heic-decode');
+const auth = require('./lib/auth');
+const { validatePaintingMetadata, validateAlbumInput, listMediums } = require('./lib/metadata');
+const { parseListQuery, encodeCursor } = require('./lib/list-query');
+const timeline = require('./lib/timeline');
+const { extractDominantColor } = require('./lib/colors');
+const { collectStats } = require('./lib/stats');
+const backup = require('./lib/backup');
+const snapshots = require('./lib/snapshots');
+const trash = require('./lib/trash');
+const duplicates = require('./lib/duplicates');
+const imageEdits = require('./lib/image-edits');
+const scan = require('./lib/scan');
+const shares = require('./lib/shares');
+const social = require('./lib/social');
+const { AUDIT_ACTIONS, diffFields, recordAudit, parseAuditQuery } = require('./lib/audit');
+const { createStorage } = require('./lib/storage');
+const { importPaintingsJson } = require('./lib/storage/import-json');
+const { generateDerivatives, removeDerivatives, DERIVATIVE_FORMATS } = require('./lib/derivatives');
+const originals = require('./lib/originals');
+const { createJobQueue } = require('./lib/queue');
+const chunkedUpload = require('./lib/chunked-upload');
+const { readCaptureMetadata } = require('./lib/exif');
+const heif = require('./lib/heif');
+const { decodeBmp } = require('./lib/bmp');
+const imageValidation = require('./lib/image-validation');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,43 +44,36 @@ ensureDirectoryExists('./uploads');
 ensureDirectoryExists('./uploads/temp');
 ensureDirectoryExists('./data');
 ensureDirectoryExists('./public/images');
+ensureDirectoryExists(originals.ORIGINALS_DIR);
 
-// 静态文件服务
-app.use(express.static('public'));
-app.use('/uploads', express.static('uploads'));
+auth.ensureInitialAdmin();
+
+// 静态文件服务（分块上传的临时目录不对外公开）
+// 主页不由静态文件服务返回，而是由下面的路由插入社交分享预览标签
+app.use(express.static('public', { index: false }));
+
+// 识别当前登录账号（私密画廊的图片文件也要检查登录）
+app.use(auth.attachUser);
+
+app.use('/uploads/temp', (req, res) => res.status(404).json({ error: '找不到请求的资源' }));
+app.use('/uploads', auth.requireGalleryAccess, express.static('uploads'));
 
 // JSON 解析
 app.use(express.json());
 
-// 数据存储路径
+// 数据存储
+const DATABASE_FILE = process.env.DATABASE_FILE || './data/gallery.db';
+// 旧版 JSON 数据文件，首次启动时导入数据库
 const PAINTINGS_DATA_FILE = './data/paintings.json';
 
-// 读取画作数据
-function readPaintingsData() {
-    try {
-        if (fs.existsSync(PAINTINGS_DATA_FILE)) {
-            const data = fs.readFileSync(PAINTINGS_DATA_FILE, 'utf8');
-            return JSON.parse(data);
-        }
-    } catch (error) {
-        console.error('读取画作数据出错:', error);
-    }
-    return [];
-}
-
-// 写入画作数据
-function writePaintingsData(paintings) {
-    try {
-        fs.writeFileSync(PAINTINGS_DATA_FILE, JSON.stringify(paintings, null, 2));
-        return true;
-    } catch (error) {
-        console.error('写入画作数据出错:', error);
-        return false;
-    }
-}
+const storage = createStorage({
+    driver: process.env.STORAGE_DRIVER || 'sqlite',
+    file: DATABASE_FILE
+});
+importPaintingsJson(storage, PAINTINGS_DATA_FILE);
 
 // 配置文件上传
-const storage = multer.diskStorage({
+const uploadStorage = multer.diskStorage({
     destination: function (req, file, cb) {
         cb(null, 'uploads/');
     },
@@ -67,408 +84,1866 @@ const storage = multer.diskStorage({
     }
 });
 
-// HEIF/HEIC 文件类型检测 - 主要基于文件扩展名
-function isHeifFile(filename, mimetype) {
-    const ext = path.extname(filename).toLowerCase();
-    const isHeifExt = ext === '.heic' || ext === '.heif';
-    const isHeifMime = mimetype && (
-        mimetype === 'image/heic' || 
-        mimetype === 'image/heif' ||
-        mimetype === 'image/x-heic' ||
-        mimetype === 'image/x-heif'
-    );
-    
-    return isHeifExt || isHeifMime;
+// 单个文件大小上限（更大的文件走分块上传）
+const UPLOAD_FILE_SIZE_LIMIT = 10 * 1024 * 1024;
+
+// 是否是允许上传的图片 - 根据扩展名和 MIME 类型快速检查，文件内容在保存后再校验
+function isAllowedImageFile(filename, mimetype) {
+    return imageValidation.isSupportedImageName(filename, mimetype);
 }
 
 const upload = multer({
-    storage: storage,
+    storage: uploadStorage,
     limits: {
-        fileSize: 10 * 1024 * 1024 // 增加到 10MB 以支持 HEIF 文件
+        fileSize: UPLOAD_FILE_SIZE_LIMIT
     },
     fileFilter: function (req, file, cb) {
-        // 检查文件类型 - 支持标准图片格式和 HEIF/HEIC
-        const ext = path.extname(file.originalname).toLowerCase();
-        const isImageMime = file.mimetype.startsWith('image/');
-        const isHeicFile = ext === '.heic' || ext === '.heif';
-        
         console.log(`上传文件: ${file.originalname} (${file.mimetype})`);
         
-        if (isImageMime || isHeicFile) {
+        // 检查文件类型 - 支持 JPEG、PNG、GIF、WebP、HEIF/HEIC 和 BMP
+        if (isAllowedImageFile(file.originalname, file.mimetype)) {
             cb(null, true);
         } else {
             console.log('❌ 文件类型不支持');
-            cb(new Error('只允许上传图片文件！'), false);
+            cb(imageValidation.createUploadError('UNSUPPORTED_TYPE'), false);
         }
     }
 });
 
 // 图片转换和优化函数
-async function convertAndOptimizeImage(inputPath, outputPath, isHeifFile = false) {
+// 统一输出不带 EXIF（GPS 等信息不会公开）、最长边不超过 2048 的 JPEG
+// edits 为裁剪、旋转等编辑参数（见 lib/image-edits.js），在缩小之前按原图分辨率处理
+// enhancement 为 'scan' 时在编辑之后进行扫描增强（见 lib/scan.js）
+async function encodePublishedJpeg(image, outputPath, { edits = null, enhancement = null } = {}) {
+    let edited = await imageEdits.applyEdits(image, edits);
+    if (enhancement === 'scan') {
+        edited = await scan.applyScanEnhancement(edited);
+    }
+    return edited
+        .jpeg({ 
+            quality: 85,
+            progressive: true 
+        })
+        .resize(2048, 2048, { 
+            fit: 'inside',
+            withoutEnlargement: true 
+        })
+        .toFile(outputPath);
+}
+
+// imageType 为 lib/image-validation.js 根据文件头识别出的格式，options 传给 encodePublishedJpeg
+async function convertAndOptimizeImage(inputPath, outputPath, imageType, options = {}) {
     try {
-        console.log(`处理图片: ${path.basename(inputPath)}, HEIF: ${isHeifFile}`);
+        console.log(`处理图片: ${path.basename(inputPath)}, 格式: ${imageType}`);
         
-        if (isHeifFile) {
-            // 对于HEIC文件，使用heic-decode库进行转换
-            console.log('使用 heic-decode 转换 HEIC 文件...');
+        if (imageType === 'heic') {
+            // HEIC 依次尝试解码链中的各个解码器（见 lib/heif.js）
+            // libheif 解码时已按容器里的旋转信息摆正，不再按 EXIF 旋转；透明区域铺白底
+            const decoderName = await heif.convertHeif(inputPath, image =>
+                encodePublishedJpeg(image.flatten({ background: '#ffffff' }), outputPath, options)
+            );
             
-            const inputBuffer = fs.readFileSync(inputPath);
-            const { data, width, height } = await decode({ buffer: inputBuffer });
-            
-            // 将解码后的数据转换为Sharp可处理的格式
-            await sharp(Buffer.from(data), {
-                raw: {
-                    width,
-                    height,
-                    channels: 4 // RGBA
-                }
-            })
-            .jpeg({ 
-                quality: 85,
-                progressive: true 
-            })
-            .resize(2048, 2048, { 
-                fit: 'inside',
-                withoutEnlargement: true 
-            })
-            .toFile(outputPath);
+            console.log(`HEIC 转换完成（${decoderName}）: ${path.basename(outputPath)}`);
+        } else if (imageType === 'bmp') {
+            // sharp 不支持 BMP，先解码为像素数据
+            const { data, width, height } = decodeBmp(fs.readFileSync(inputPath));
+            await encodePublishedJpeg(sharp(data, { raw: { width, height, channels: 4 } }), outputPath, options);
             
-            console.log(`HEIC 转换完成: ${path.basename(outputPath)}`);
-            return true;
+            console.log(`BMP 转换完成: ${path.basename(outputPath)}`);
         } else {
             // 对于其他格式，直接使用Sharp处理
-            await sharp(inputPath)
-                .jpeg({ 
-                    quality: 85,
-                    progressive: true 
-                })
-                .resize(2048, 2048, { 
-                    fit: 'inside',
-                    withoutEnlargement: true 
-                })
-                .toFile(outputPath);
+            // rotate() 按 EXIF 方向自动摆正；像素数超过上限时 sharp 拒绝解码
+            const image = sharp(inputPath, { limitInputPixels: imageValidation.MAX_INPUT_PIXELS });
+            await encodePublishedJpeg(image.rotate(), outputPath, options);
                 
             console.log(`图片处理完成: ${path.basename(outputPath)}`);
-            return true;
         }
+        return true;
     } catch (error) {
-        console.error('图片处理出错:', error);
-        console.error('错误详情:', error.message);
-        
-        // 如果heic-decode失败，尝试使用系统工具
-        if (isHeifFile) {
-            console.log('heic-decode 失败，尝试使用系统工具转换 HEIF...');
-            return await convertHeifWithSystemTool(inputPath, outputPath);
-        }
-        
+        console.error('图片处理出错:', error.message);
         return false;
     }
 }
 
-// 使用系统工具转换 HEIF（备用方案）
-async function convertHeifWithSystemTool(inputPath, outputPath) {
+// 路由处理
+
+// 当前登录状态（没有任何账号时提示需要初始化管理员）
+app.get('/api/auth/me', (req, res) => {
+    res.json({
+        user: req.user,
+        needsSetup: auth.readUsersData().length === 0,
+        privateGallery: auth.GALLERY_PRIVATE
+    });
+});
+
+// 初始化第一个管理员账号（仅在还没有任何账号时可用）
+app.post('/api/auth/setup', (req, res) => {
     try {
-        const { exec } = require('child_process');
-        const util = require('util');
-        const execPromise = util.promisify(exec);
-        
-        // 检查是否有 sips 命令（macOS 系统工具）
-        try {
-            await execPromise('which sips');
-            console.log('使用 macOS sips 工具转换 HEIF...');
-            
-            // 使用 sips 转换 HEIF 到 JPEG
-            await execPromise(`sips -s format jpeg "${inputPath}" --out "${outputPath}"`);
-            
-            // 使用 Sharp 进一步优化
-            const tempPath = outputPath + '.temp';
-            await sharp(outputPath)
-                .jpeg({ 
-                    quality: 85,
-                    progressive: true 
-                })
-                .resize(2048, 2048, { 
-                    fit: 'inside',
-                    withoutEnlargement: true 
-                })
-                .toFile(tempPath);
-                
-            // 替换原文件
-            fs.renameSync(tempPath, outputPath);
-            
-            console.log('HEIF 转换成功（使用系统工具）');
-            return true;
-        } catch (sipsError) {
-            console.log('sips 工具不可用，尝试其他方法...');
+        if (auth.readUsersData().length > 0) {
+            return res.status(403).json({ error: '管理员账号已存在' });
         }
-        
-        // 如果没有系统工具，返回错误
-        console.error('无法转换 HEIF 文件：缺少必要的转换工具');
-        return false;
-        
+
+        const { username, password } = req.body || {};
+        const validationError = auth.validateUserInput({ username, password });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const user = auth.createUser({ username, password, role: auth.ROLES.ADMIN });
+        if (!user) {
+            return res.status(500).json({ error: '创建管理员账号失败' });
+        }
+
+        auth.setSessionCookie(req, res, user);
+        res.json({ success: true, user: auth.publicUser(user) });
+
     } catch (error) {
-        console.error('系统工具转换失败:', error);
-        return false;
+        console.error('初始化管理员出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 登录
+app.post('/api/auth/login', (req, res) => {
+    try {
+        if (auth.isLoginBlocked(req.ip)) {
+            return res.status(429).json({ error: '登录失败次数过多，请稍后再试' });
+        }
+
+        const { username, password } = req.body || {};
+        const user = auth.authenticate(username, password);
+        if (!user) {
+            auth.recordLoginFailure(req.ip);
+            return res.status(401).json({ error: '用户名或密码错误' });
+        }
+
+        auth.clearLoginFailures(req.ip);
+        auth.setSessionCookie(req, res, user);
+        console.log(`登录成功: ${user.username} (${user.role})`);
+        res.json({ success: true, user: auth.publicUser(user) });
+
+    } catch (error) {
+        console.error('登录出错:', error);
+        res.status(500).json({ error: '服务器错误' });
     }
+});
+
+// 退出登录
+app.post('/api/auth/logout', (req, res) => {
+    auth.clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+// 记录当前登录账号的操作
+function audit(req, action, fields = {}) {
+    return recordAudit(storage, { actor: req.user ? req.user.username : null, action, ...fields });
 }
 
-// 路由处理
+// 获取账号列表
+app.get('/api/users', auth.requireAdmin, (req, res) => {
+    res.json(auth.readUsersData().map(auth.publicUser));
+});
+
+// 创建账号
+app.post('/api/users', auth.requireAdmin, (req, res) => {
+    try {
+        const { username, password, role } = req.body || {};
+        const validationError = auth.validateUserInput({ username, password, role });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const user = auth.createUser({ username, password, role });
+        if (!user) {
+            return res.status(409).json({ error: '用户名已存在' });
+        }
+
+        audit(req, 'user.create', { details: { username: user.username, role: user.role } });
+        res.json({ success: true, user: auth.publicUser(user) });
+
+    } catch (error) {
+        console.error('创建账号出错:', error);
+        res.status(500).json({ error: '创建账号失败：' + error.message });
+    }
+});
+
+// 删除账号
+app.delete('/api/users/:username', auth.requireAdmin, (req, res) => {
+    try {
+        const { username } = req.params;
+        if (username === req.user.username) {
+            return res.status(400).json({ error: '不能删除当前登录的账号' });
+        }
+
+        if (auth.deleteUser(username)) {
+            audit(req, 'user.delete', { details: { username } });
+            res.json({ success: true, message: '账号删除成功' });
+        } else {
+            res.status(404).json({ error: '账号不存在' });
+        }
+
+    } catch (error) {
+        console.error('删除账号出错:', error);
+        res.status(500).json({ error: '删除账号失败：' + error.message });
+    }
+});
+
+// 获取绘画材料列表
+app.get('/api/mediums', auth.requireGalleryAccess, (req, res) => {
+    res.json(listMediums());
+});
 
 // 获取所有画作
-app.get('/api/paintings', (req, res) => {
+app.get('/api/paintings', auth.requireGalleryAccess, (req, res) => {
     try {
-        const paintings = readPaintingsData();
-        // 按日期降序排列（最新的在前面）
-        paintings.sort((a, b) => new Date(b.date) - new Date(a.date));
-        res.json(paintings);
+        // 按日期降序排列（最新的在前面），支持搜索、过滤和游标分页，参数说明见 lib/list-query.js
+        const { value: query, errors } = parseListQuery(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors[0], details: errors });
+        }
+        
+        // 多查一条用来判断是否还有下一页
+        const rows = storage.listPaintings({
+            ...query.filters,
+            order: query.order,
+            after: query.after,
+            limit: query.limit + 1
+        });
+        const page = rows.slice(0, query.limit);
+        res.json({
+            paintings: page,
+            nextCursor: rows.length > query.limit ? encodeCursor(page[page.length - 1]) : null,
+            total: storage.countPaintings(query.filters)
+        });
     } catch (error) {
         console.error('获取画作列表出错:', error);
         res.status(500).json({ error: '服务器错误' });
     }
 });
 
-// 上传新画作
-app.post('/api/upload', upload.single('painting'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: '请选择要上传的图片文件' });
-        }
+// 校验画作信息，并检查选择的相册是否存在
+function validatePaintingInput(input, options) {
+    const result = validatePaintingMetadata(input, options);
+    const albumIds = result.value.albumIds || [];
+    if (albumIds.some(albumId => !storage.getAlbum(albumId))) {
+        result.errors.push('选择的相册不存在');
+    }
+    return result;
+}
 
-        const originalPath = req.file.path;
-        const originalExt = path.extname(req.file.filename).toLowerCase();
-        let finalFilename = req.file.filename;
-        let finalPath = originalPath;
+// 已经上传过完全相同的文件时抛出 DUPLICATE 错误
+function checkExactDuplicate(checksum) {
+    const existing = checksum && storage.findPaintingByChecksum(checksum);
+    if (!existing) {
+        return;
+    }
+    const title = existing.title ? `《${existing.title}》` : '';
+    throw imageValidation.createUploadError('DUPLICATE', existing.deletedAt
+        ? `回收站中已有完全相同的画作${title}，可以从回收站恢复`
+        : `已经上传过完全相同的画作${title}`);
+}
+
+// 表单字段或 JSON 中的 allowDuplicate：勾选"允许重复上传"时跳过完全相同文件的检查
+function readAllowDuplicate(data) {
+    return Boolean(data) && (data.allowDuplicate === true || data.allowDuplicate === 'true');
+}
+
+// 表单字段或 JSON 中的 enhancement：图片处理方式，返回 { value, error }
+function readEnhancement(data) {
+    return scan.parseEnhancement(data ? data.enhancement : null);
+}
+
+// 处理一个已上传并通过内容校验的文件（file.imageType 为识别出的格式）：
+// 格式转换、生成衍生图、保存原图、写入数据库，失败时清理已生成的文件并抛出错误
+// 返回 { painting, similar }，similar 为疑似重复的其他画作
+// actor 为上传的账号，写入操作记录；allowDuplicate 为 true 时允许上传完全相同的文件
+// enhancement 为图片处理方式（'scan' 或 null）
+async function processUpload(file, metadata, { actor = null, allowDuplicate = false, enhancement = null } = {}) {
+    const paintingId = uuidv4();
+    const originalPath = file.path;
+    // 公开展示的图片统一转换为去掉 EXIF（包括 GPS）的 JPEG
+    const finalFilename = paintingId + '.jpg';
+    const finalPath = path.join('./uploads', finalFilename);
+    let original = null;
+
+    try {
+        console.log(`处理文件: ${file.originalname}, 格式: ${file.imageType}`);
         
-        // 简化的 HEIC 检测 - 直接检查文件扩展名
-        const originalNameExt = path.extname(req.file.originalname).toLowerCase();
-        const isHeicFile = originalNameExt === '.heic' || originalNameExt === '.heif' || 
-                          originalExt === '.heic' || originalExt === '.heif';
+        // 先检查是否上传过完全相同的文件，避免白白转换
+        const checksum = await originals.hashFile(originalPath);
+        if (!allowDuplicate) {
+            checkExactDuplicate(checksum);
+        }
         
-        console.log(`处理文件: ${req.file.originalname}, HEIC: ${isHeicFile}`);
+        // 读取拍摄时间、方向和相机型号
+        const capture = await readCaptureMetadata(originalPath);
+        if (capture.orientation && capture.orientation !== 1) {
+            console.log(`按 EXIF 方向摆正: ${file.originalname} (Orientation ${capture.orientation})`);
+        }
         
-        // 如果是 HEIC 文件，必须转换为 JPEG
-        if (isHeicFile) {
-            
-            console.log(`处理 HEIF 文件: ${req.file.originalname}`);
-            
-            // 生成新的 JPEG 文件名，确保替换大小写不敏感的扩展名
-            const baseFilename = path.basename(req.file.filename, path.extname(req.file.filename));
-            const jpegFilename = baseFilename + '.jpg';
-            const jpegPath = path.join('./uploads', jpegFilename);
-            
-            // 转换文件，传递 HEIF 标识
-            const conversionSuccess = await convertAndOptimizeImage(originalPath, jpegPath, true);
-            
-            if (conversionSuccess) {
-                // 删除原始文件
-                if (fs.existsSync(originalPath)) {
-                    fs.unlinkSync(originalPath);
-                }
-                
-                finalFilename = jpegFilename;
-                finalPath = jpegPath;
-                
-                console.log(`HEIF 转换成功: ${jpegFilename}`);
-            } else {
-                // 转换失败，删除原始文件
-                if (fs.existsSync(originalPath)) {
-                    fs.unlinkSync(originalPath);
-                }
-                return res.status(500).json({ error: 'HEIF 文件转换失败' });
-            }
-        } else {
-            // 对于其他格式的图片，进行优化
-            const optimizedFilename = req.file.filename.replace(/\.(png|gif|bmp|webp)$/i, '.jpg');
-            if (optimizedFilename !== req.file.filename) {
-                const optimizedPath = path.join('./uploads', optimizedFilename);
-                
-                const optimizationSuccess = await convertAndOptimizeImage(originalPath, optimizedPath);
-                
-                if (optimizationSuccess) {
-                    // 删除原始文件
-                    if (fs.existsSync(originalPath)) {
-                        fs.unlinkSync(originalPath);
-                    }
-                    
-                    finalFilename = optimizedFilename;
-                    finalPath = optimizedPath;
-                    
-                    console.log(`图片优化成功: ${optimizedFilename}`);
-                }
-            }
+        // 转换为 JPEG，摆正方向并优化
+        const conversionSuccess = await convertAndOptimizeImage(originalPath, finalPath, file.imageType, { enhancement });
+        if (!conversionSuccess) {
+            throw imageValidation.createUploadError('CONVERSION_FAILED',
+                file.imageType === 'heic' ? 'HEIF 文件转换失败' : '图片处理失败');
+        }
+        console.log(`图片优化成功: ${finalFilename}`);
+
+        // 生成缩略图、卡片图和大图（JPEG/WebP/AVIF）
+        let variants;
+        try {
+            variants = await generateDerivatives(finalPath, paintingId);
+        } catch (error) {
+            console.error('生成衍生图出错:', error);
+            throw new Error('生成缩略图失败');
+        }
+
+        // 主色调（统计页的颜色变化），计算失败时为 null
+        const dominantColor = await extractDominantColor(finalPath);
+
+        // 感知哈希（查找相似的画作），计算失败时为 null
+        const perceptualHash = await duplicates.computePerceptualHash(finalPath);
+
+        // 把未经处理的原始文件移入原图库
+        original = await originals.storeOriginal(originalPath, paintingId, file.originalname, {
+            move: true,
+            checksum
+        });
+
+        // 日期优先使用手动填写的，其次是照片拍摄时间，最后是上传时间
+        let date = new Date().toISOString();
+        let dateSource = 'upload';
+        if (metadata.date) {
+            date = metadata.date;
+            dateSource = 'manual';
+        } else if (capture.capturedAt) {
+            date = capture.capturedAt;
+            dateSource = 'exif';
         }
 
         // 创建新的画作记录
         const newPainting = {
-            id: uuidv4(),
+            id: paintingId,
+            title: metadata.title,
+            description: metadata.description,
+            tags: metadata.tags,
+            medium: metadata.medium,
+            ageMonths: metadata.ageMonths,
+            // 排队期间被删除的相册直接跳过
+            albumIds: (metadata.albumIds || []).filter(albumId => storage.getAlbum(albumId)),
             filename: finalFilename,
-            originalName: req.file.originalname,
+            originalName: file.originalname,
             imageUrl: `/uploads/${finalFilename}`,
-            date: new Date().toISOString(),
-            size: fs.statSync(finalPath).size
+            date,
+            dateSource,
+            capturedAt: capture.capturedAt,
+            cameraModel: capture.cameraModel,
+            size: fs.statSync(finalPath).size,
+            width: variants.full.width,
+            height: variants.full.height,
+            variants,
+            dominantColor,
+            perceptualHash,
+            enhancement,
+            originalFile: original.file,
+            originalChecksum: original.checksum,
+            originalSize: original.size,
+            originalMimeType: file.mimetype
         };
 
-        // 读取现有数据
-        const paintings = readPaintingsData();
-        
-        // 添加新画作
-        paintings.push(newPainting);
-        
         // 保存数据
-        if (writePaintingsData(paintings)) {
-            res.json({
-                success: true,
-                message: '画作上传成功！',
-                painting: newPainting
-            });
-        } else {
-            // 如果保存失败，删除已上传的文件
-            if (fs.existsSync(finalPath)) {
-                fs.unlinkSync(finalPath);
-            }
-            res.status(500).json({ error: '保存画作信息失败' });
+        let savedPainting;
+        try {
+            savedPainting = storage.insertPainting(newPainting);
+        } catch (error) {
+            console.error('保存画作信息出错:', error);
+            throw new Error('保存画作信息失败');
+        }
+        recordAudit(storage, {
+            actor,
+            action: 'painting.upload',
+            paintingId,
+            details: { title: savedPainting.title, originalName: file.originalname }
+        });
+
+        const similar = duplicates.findSimilar(storage, savedPainting);
+        if (similar.length > 0) {
+            console.log(`⚠️  疑似重复: ${file.originalname} 与 ${similar.map(match => match.id).join(', ')}`);
         }
+        return { painting: savedPainting, similar };
 
     } catch (error) {
-        console.error('上传画作出错:', error);
-        
-        // 清理已上传的文件
-        if (req.file && fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
+        // 清理已上传和已生成的文件
+        [originalPath, finalPath].forEach(filePath => {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        });
+        removeDerivatives(paintingId);
+        if (original) {
+            originals.removeOriginal({ originalFile: original.file });
         }
-        
-        res.status(500).json({ error: '上传失败：' + error.message });
+        throw error;
     }
-});
+}
+
+// 重新生成公开图片时使用的源文件 { path, type }：优先用原图库中的原始文件，
+// 没有原图（原图库之前上传的画作）时用当前公开的 JPEG
+async function readRenderSource(painting) {
+    const originalFile = originals.originalPath(painting);
+    if (originalFile && fs.existsSync(originalFile)) {
+        const { type } = await imageValidation.validateImageFile(originalFile);
+        return { path: originalFile, type };
+    }
+    return { path: path.join('./uploads', painting.filename), type: 'jpeg' };
+}
+
+// 没有原图的画作第一次编辑前，先把当前公开的图片存入原图库，保证以后总能回到编辑前的样子
+async function ensureOriginal(painting) {
+    const originalFile = originals.originalPath(painting);
+    if (originalFile && fs.existsSync(originalFile)) {
+        return painting;
+    }
+    const original = await originals.storeOriginal(path.join('./uploads', painting.filename), painting.id, painting.filename);
+    return storage.updatePainting(painting.id, {
+        originalFile: original.file,
+        originalChecksum: original.checksum,
+        originalSize: original.size,
+        originalMimeType: 'image/jpeg'
+    });
+}
+
+// 按处理参数从原图生成 JPEG 到 outputPath，失败时抛出错误
+async function renderFromOriginal(painting, outputPath, options) {
+    const source = await readRenderSource(painting);
+    if (!await convertAndOptimizeImage(source.path, outputPath, source.type, options)) {
+        throw imageValidation.createUploadError('CONVERSION_FAILED');
+    }
+}
+
+// 用新的处理参数（edits、enhancement）重新生成公开的图片、衍生图、主色调和感知哈希，返回更新后的画作
+// 先生成到临时文件，全部成功后才替换原来的图片；失败时保留原来的图片和衍生图
+async function rerenderPainting(painting, changes) {
+    const source = await ensureOriginal(painting);
+    const options = { edits: source.edits, enhancement: source.enhancement, ...changes };
+    const finalPath = path.join('./uploads', source.filename);
+    const tempPath = path.join('./uploads/temp', `edit-${uuidv4()}.jpg`);
 
-// 删除画作
-app.delete('/api/paintings/:id', (req, res) => {
     try {
-        const paintingId = req.params.id;
-        const paintings = readPaintingsData();
-        
-        // 查找要删除的画作
-        const paintingIndex = paintings.findIndex(p => p.id === paintingId);
-        
-        if (paintingIndex === -1) {
-            return res.status(404).json({ error: '画作不存在' });
-        }
-        
-        const painting = paintings[paintingIndex];
-        
-        // 删除图片文件
-        const imagePath = path.join('./uploads', painting.filename);
-        if (fs.existsSync(imagePath)) {
-            fs.unlinkSync(imagePath);
+        await renderFromOriginal(source, tempPath, options);
+        let variants;
+        try {
+            variants = await generateDerivatives(tempPath, source.id);
+        } catch (error) {
+            // 衍生图生成失败时按原来的图片重新生成
+            await generateDerivatives(finalPath, source.id);
+            throw error;
         }
-        
-        // 从数组中移除
-        paintings.splice(paintingIndex, 1);
-        
-        // 保存更新后的数据
-        if (writePaintingsData(paintings)) {
-            res.json({
-                success: true,
-                message: '画作删除成功'
+        const dominantColor = await extractDominantColor(tempPath);
+        const perceptualHash = await duplicates.computePerceptualHash(tempPath);
+        fs.renameSync(tempPath, finalPath);
+
+        // 文件名不变，地址加上版本号，浏览器不会继续显示缓存中的旧图
+        const version = `?v=${Date.now().toString(36)}`;
+        Object.values(variants).forEach(variant => {
+            Object.keys(DERIVATIVE_FORMATS).forEach(format => {
+                variant[format] += version;
             });
-        } else {
-            res.status(500).json({ error: '删除画作信息失败' });
-        }
+        });
 
-    } catch (error) {
-        console.error('删除画作出错:', error);
-        res.status(500).json({ error: '删除失败：' + error.message });
+        return storage.updatePainting(source.id, {
+            ...changes,
+            imageUrl: `/uploads/${source.filename}${version}`,
+            size: fs.statSync(finalPath).size,
+            width: variants.full.width,
+            height: variants.full.height,
+            variants,
+            dominantColor,
+            perceptualHash
+        });
+    } finally {
+        fs.rmSync(tempPath, { force: true });
     }
+}
+
+// 批量上传批次（内存中保存，超过一天的批次会被清理）
+const UPLOAD_BATCH_RETENTION = 24 * 60 * 60 * 1000;
+const uploadBatches = new Map();
+
+// 图片处理队列：限制同时进行的转换数量，避免一次上传很多张时占满 CPU 和内存
+// 已结束的任务与批次保留同样长的时间，批次的总数和进度不会因为任务被清理而变少
+const uploadQueue = createJobQueue({
+    concurrency: parseInt(process.env.UPLOAD_CONCURRENCY, 10) || 2,
+    retention: UPLOAD_BATCH_RETENTION
 });
 
-// 获取单个画作
-app.get('/api/paintings/:id', (req, res) => {
-    try {
-        const paintingId = req.params.id;
-        const paintings = readPaintingsData();
-        
-        const painting = paintings.find(p => p.id === paintingId);
-        
-        if (!painting) {
-            return res.status(404).json({ error: '画作不存在' });
+function pruneUploadBatches() {
+    const now = Date.now();
+    uploadBatches.forEach((batch, id) => {
+        if (now - new Date(batch.createdAt).getTime() > UPLOAD_BATCH_RETENTION) {
+            uploadBatches.delete(id);
         }
-        
-        res.json(painting);
+    });
+}
+
+// 批次状态：每个文件的处理进度和汇总
+function getBatchStatus(batch) {
+    const jobs = batch.jobIds.map(id => uploadQueue.getJob(id)).filter(Boolean);
+    return {
+        id: batch.id,
+        createdAt: batch.createdAt,
+        total: jobs.length,
+        done: jobs.filter(job => job.status === 'done').length,
+        failed: jobs.filter(job => job.status === 'failed').length,
+        finished: jobs.every(job => job.status === 'done' || job.status === 'failed'),
+        jobs: jobs.map(job => ({
+            id: job.id,
+            filename: job.filename,
+            status: job.status,
+            error: job.error,
+            code: job.errorCode,
+            painting: job.result ? job.result.painting : null,
+            similar: job.result ? job.result.similar : []
+        }))
+    };
+}
 
+// 根据文件头校验已保存的上传文件，通过后记下识别出的格式，不通过时删除文件并抛出带错误代码的错误
+async function validateUploadedFile(file) {
+    try {
+        const { type } = await imageValidation.validateImageFile(file.path, {
+            originalName: file.originalname,
+            mimeType: file.mimetype
+        });
+        file.imageType = type;
     } catch (error) {
-        console.error('获取画作出错:', error);
-        res.status(500).json({ error: '服务器错误' });
+        console.log(`❌ 文件校验未通过: ${file.originalname} (${error.code || error.message})`);
+        if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+        throw error;
     }
-});
+}
+
+// 上传失败的响应：带错误代码的错误按对应状态码返回，前端根据 code 显示提示
+function sendUploadError(res, error) {
+    if (error.code && imageValidation.UPLOAD_ERRORS[error.code]) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: '上传失败：' + error.message });
+}
 
-// 更新画作信息（已简化，主要用于日期修改等）
-app.put('/api/paintings/:id', (req, res) => {
+// 上传新画作（单张，处理完成后返回）
+app.post('/api/upload', auth.requireAdmin, upload.single('painting'), async (req, res) => {
     try {
-        const paintingId = req.params.id;
-        const { date } = req.body;
-        const paintings = readPaintingsData();
-        
-        const paintingIndex = paintings.findIndex(p => p.id === paintingId);
-        
-        if (paintingIndex === -1) {
-            return res.status(404).json({ error: '画作不存在' });
+        if (!req.file) {
+            return res.status(400).json({ error: '请选择要上传的图片文件' });
         }
-        
-        // 更新画作信息
-        if (date) {
-            paintings[paintingIndex].date = date;
+
+        // 校验表单中的画作信息
+        const { value: metadata, errors } = validatePaintingInput(req.body);
+        const enhancement = readEnhancement(req.body);
+        if (enhancement.error) {
+            errors.push(enhancement.error);
         }
-        
-        if (writePaintingsData(paintings)) {
-            res.json({
-                success: true,
-                message: '画作信息更新成功',
-                painting: paintings[paintingIndex]
-            });
-        } else {
-            res.status(500).json({ error: '更新画作信息失败' });
+        if (errors.length > 0) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: errors.join('；'), details: errors });
         }
 
+        await validateUploadedFile(req.file);
+
+        const options = {
+            actor: req.user.username,
+            allowDuplicate: readAllowDuplicate(req.body),
+            enhancement: enhancement.value
+        };
+        const { promise } = uploadQueue.enqueue(() => processUpload(req.file, metadata, options), {
+            filename: req.file.originalname
+        });
+        const { painting: savedPainting, similar } = await promise;
+
+        res.json({
+            success: true,
+            message: '画作上传成功！',
+            painting: savedPainting,
+            similar
+        });
+
     } catch (error) {
-        console.error('更新画作出错:', error);
-        res.status(500).json({ error: '更新失败：' + error.message });
+        console.error('上传画作出错:', error);
+        
+        // 清理已上传的文件
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        
+        sendUploadError(res, error);
     }
 });
 
-// 获取画廊统计信息
-app.get('/api/stats', (req, res) => {
+// 创建批量上传批次
+app.post('/api/uploads/batches', auth.requireAdmin, (req, res) => {
+    pruneUploadBatches();
+    const batch = {
+        id: uuidv4(),
+        createdAt: new Date().toISOString(),
+        createdBy: req.user.username,
+        jobIds: []
+    };
+    uploadBatches.set(batch.id, batch);
+    res.json(getBatchStatus(batch));
+});
+
+// 向批次中上传一个文件：文件保存后立即返回，转换在后台队列中进行
+app.post('/api/uploads/batches/:batchId/files', auth.requireAdmin, upload.single('painting'), async (req, res) => {
     try {
-        const paintings = readPaintingsData();
-        
-        const stats = {
-            totalPaintings: paintings.length,
-            totalSize: paintings.reduce((sum, painting) => sum + (painting.size || 0), 0),
-            firstPainting: paintings.length > 0 ? paintings.reduce((earliest, painting) => 
-                new Date(painting.date) < new Date(earliest.date) ? painting : earliest
-            ).date : null,
-            latestPainting: paintings.length > 0 ? paintings.reduce((latest, painting) => 
-                new Date(painting.date) > new Date(latest.date) ? painting : latest
-            ).date : null
+        const batch = uploadBatches.get(req.params.batchId);
+        if (!batch) {
+            if (req.file) {
+                fs.unlinkSync(req.file.path);
+            }
+            return res.status(404).json({ error: '上传批次不存在或已过期' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: '请选择要上传的图片文件' });
+        }
+
+        const { value: metadata, errors } = validatePaintingInput(req.body);
+        const enhancement = readEnhancement(req.body);
+        if (enhancement.error) {
+            errors.push(enhancement.error);
+        }
+        if (errors.length > 0) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: errors.join('；'), details: errors });
+        }
+
+        await validateUploadedFile(req.file);
+
+        const options = {
+            actor: req.user.username,
+            allowDuplicate: readAllowDuplicate(req.body),
+            enhancement: enhancement.value
         };
-        
-        res.json(stats);
+        const { job } = uploadQueue.enqueue(() => processUpload(req.file, metadata, options), {
+            batchId: batch.id,
+            filename: req.file.originalname
+        });
+        batch.jobIds.push(job.id);
+
+        res.status(202).json({ success: true, jobId: job.id, status: job.status });
 
     } catch (error) {
-        console.error('获取统计信息出错:', error);
-        res.status(500).json({ error: '服务器错误' });
+        console.error('批量上传出错:', error.message);
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        sendUploadError(res, error);
     }
 });
 
-// 错误处理中间件
-app.use((error, req, res, next) => {
-    if (error instanceof multer.MulterError) {
-        if (error.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({ error: '文件大小不能超过 5MB' });
-        }
+// 查询批次处理状态（前端轮询）
+app.get('/api/uploads/batches/:batchId', auth.requireAdmin, (req, res) => {
+    const batch = uploadBatches.get(req.params.batchId);
+    if (!batch) {
+        return res.status(404).json({ error: '上传批次不存在或已过期' });
     }
-    
-    console.error('服务器错误:', error);
-    res.status(500).json({ error: '服务器内部错误' });
+    res.json({ ...getBatchStatus(batch), queue: uploadQueue.getStatus() });
+});
+
+// 创建分块上传会话（大文件、网络不稳定时使用，可断点续传）
+app.post('/api/uploads/chunked', auth.requireAdmin, (req, res) => {
+    try {
+        const { filename, size, mimeType, sha256, metadata: rawMetadata } = req.body || {};
+        const validationError = chunkedUpload.validateSessionInput({ filename, size, sha256 });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (!isAllowedImageFile(filename, mimeType)) {
+            const error = imageValidation.createUploadError('UNSUPPORTED_TYPE');
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+
+        const { value: metadata, errors } = validatePaintingInput(rawMetadata);
+        const enhancement = readEnhancement(rawMetadata);
+        if (enhancement.error) {
+            errors.push(enhancement.error);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('；'), details: errors });
+        }
+
+        // 根据浏览器算出的 SHA-256，开始上传前就能发现完全相同的文件
+        const allowDuplicate = readAllowDuplicate(rawMetadata);
+        if (!allowDuplicate) {
+            checkExactDuplicate(sha256);
+        }
+
+        const session = chunkedUpload.createSession({
+            filename,
+            size,
+            mimeType,
+            sha256,
+            metadata,
+            allowDuplicate,
+            enhancement: enhancement.value,
+            createdBy: req.user.username
+        });
+        console.log(`开始分块上传: ${session.filename} (${session.totalChunks} 块)`);
+        res.json({ ...session, receivedChunks: [] });
+
+    } catch (error) {
+        if (error.code === 'DUPLICATE') {
+            return sendUploadError(res, error);
+        }
+        console.error('创建分块上传出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 查询分块上传进度（续传前获取已收到的分块）
+app.get('/api/uploads/chunked/:uploadId', auth.requireAdmin, (req, res) => {
+    const session = chunkedUpload.getSession(req.params.uploadId);
+    if (!session) {
+        return res.status(404).json({ error: '上传会话不存在或已过期' });
+    }
+    res.json(session);
+});
+
+// 上传一个分块（请求体为原始二进制数据，X-Chunk-SHA256 请求头为这个分块的 SHA-256）
+app.put('/api/uploads/chunked/:uploadId/chunks/:index',
+    auth.requireAdmin,
+    express.raw({ type: 'application/octet-stream', limit: chunkedUpload.CHUNK_SIZE + 1024 }),
+    (req, res) => {
+        try {
+            const session = chunkedUpload.getSession(req.params.uploadId);
+            if (!session) {
+                return res.status(404).json({ error: '上传会话不存在或已过期' });
+            }
+
+            if (chunkedUpload.isCompleting(session.id)) {
+                return res.status(409).json({ error: '文件正在合并，不能再上传分块' });
+            }
+            if (!chunkedUpload.verifyChunk(req.body, req.get('X-Chunk-SHA256'))) {
+                return res.status(422).json({ error: '分块校验失败，请重新上传这一块', code: 'CHUNK_CHECKSUM' });
+            }
+
+            const index = parseInt(req.params.index, 10);
+            const chunkError = chunkedUpload.writeChunk(session, index, req.body);
+            if (chunkError) {
+                return res.status(400).json({ error: chunkError });
+            }
+
+            res.json({ success: true, index });
+
+        } catch (error) {
+            console.error('保存分块出错:', error);
+            res.status(500).json({ error: '保存分块失败' });
+        }
+    }
+);
+
+// 完成分块上传：合并、校验，然后交给图片处理队列
+app.post('/api/uploads/chunked/:uploadId/complete', auth.requireAdmin, async (req, res) => {
+    let assembledPath = null;
+    let locked = false;
+    try {
+        const session = chunkedUpload.getSession(req.params.uploadId);
+        if (!session) {
+            return res.status(404).json({ error: '上传会话不存在或已过期' });
+        }
+        // 合并需要一段时间，重复提交的请求直接拒绝，避免同一个文件被合并和处理两次
+        locked = chunkedUpload.beginCompletion(session.id);
+        if (!locked) {
+            return res.status(409).json({ error: '文件正在合并，请稍候' });
+        }
+
+        if (session.receivedChunks.length !== session.totalChunks) {
+            const missingChunks = [];
+            for (let index = 0; index < session.totalChunks; index++) {
+                if (!session.receivedChunks.includes(index)) {
+                    missingChunks.push(index);
+                }
+            }
+            return res.status(409).json({ error: '还有分块没有上传', missingChunks });
+        }
+
+        // 合并到 uploads/ 下，之后的处理与普通上传相同
+        const filename = uuidv4() + path.extname(session.filename);
+        assembledPath = path.join('./uploads', filename);
+        const checksum = await chunkedUpload.assembleSession(session, assembledPath);
+
+        if (fs.statSync(assembledPath).size !== session.size || checksum !== session.sha256) {
+            fs.unlinkSync(assembledPath);
+            chunkedUpload.removeSession(session.id);
+            return res.status(422).json({ error: '文件校验失败，请重新上传' });
+        }
+
+        chunkedUpload.removeSession(session.id);
+        console.log(`分块上传完成: ${session.filename}`);
+
+        const file = {
+            path: assembledPath,
+            filename,
+            originalname: session.filename,
+            mimetype: session.mimeType
+        };
+        await validateUploadedFile(file);
+
+        const batch = uploadBatches.get(req.body && req.body.batchId);
+        const options = {
+            actor: session.createdBy,
+            allowDuplicate: session.allowDuplicate,
+            enhancement: session.enhancement || null
+        };
+        const { job } = uploadQueue.enqueue(() => processUpload(file, session.metadata, options), {
+            batchId: batch ? batch.id : null,
+            filename: session.filename
+        });
+        if (batch) {
+            batch.jobIds.push(job.id);
+        }
+
+        res.status(202).json({ success: true, jobId: job.id, status: job.status, checksum });
+
+    } catch (error) {
+        console.error('合并分块出错:', error);
+        if (assembledPath && fs.existsSync(assembledPath)) {
+            fs.unlinkSync(assembledPath);
+        }
+        if (error.code && imageValidation.UPLOAD_ERRORS[error.code]) {
+            return sendUploadError(res, error);
+        }
+        res.status(500).json({ error: '合并文件失败：' + error.message });
+    } finally {
+        if (locked) {
+            chunkedUpload.endCompletion(req.params.uploadId);
+        }
+    }
+});
+
+// 取消分块上传
+app.delete('/api/uploads/chunked/:uploadId', auth.requireAdmin, (req, res) => {
+    if (chunkedUpload.isCompleting(req.params.uploadId)) {
+        return res.status(409).json({ error: '文件正在合并，不能取消' });
+    }
+    chunkedUpload.removeSession(req.params.uploadId);
+    res.json({ success: true });
+});
+
+// 不在回收站中的画作，不存在或已删除时返回 null
+function getActivePainting(id) {
+    const painting = storage.getPainting(id);
+    return painting && !painting.deletedAt ? painting : null;
+}
+
+// 删除画作（移到回收站，图片文件保留，可以恢复）
+app.delete('/api/paintings/:id', auth.requireAdmin, (req, res) => {
+    try {
+        const paintingId = req.params.id;
+        
+        // 查找要删除的画作
+        if (!getActivePainting(paintingId)) {
+            return res.status(404).json({ error: '画作不存在' });
+        }
+        
+        const painting = trash.moveToTrash(storage, paintingId);
+        audit(req, 'painting.delete', { paintingId, details: { title: painting.title } });
+        
+        res.json({
+            success: true,
+            message: '画作已移到回收站',
+            purgeAt: trash.purgeAt(painting)
+        });
+
+    } catch (error) {
+        console.error('删除画作出错:', error);
+        res.status(500).json({ error: '删除失败：' + error.message });
+    }
+});
+
+// 回收站中的画作（附带彻底删除的时间）
+app.get('/api/trash', auth.requireAdmin, (req, res) => {
+    try {
+        res.json({
+            retentionDays: trash.TRASH_RETENTION_DAYS,
+            paintings: trash.listTrash(storage)
+        });
+    } catch (error) {
+        console.error('获取回收站出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 从回收站恢复画作
+app.post('/api/trash/:id/restore', auth.requireAdmin, (req, res) => {
+    try {
+        const painting = storage.getPainting(req.params.id);
+        if (!painting || !painting.deletedAt) {
+            return res.status(404).json({ error: '回收站中没有这幅画' });
+        }
+        const restored = trash.restoreFromTrash(storage, painting.id);
+        audit(req, 'painting.restore', { paintingId: painting.id, details: { title: painting.title } });
+        res.json({
+            success: true,
+            message: '画作已恢复',
+            painting: restored
+        });
+    } catch (error) {
+        console.error('恢复画作出错:', error);
+        res.status(500).json({ error: '恢复失败：' + error.message });
+    }
+});
+
+// 彻底删除回收站中的一幅画（连同图片文件，无法恢复）
+app.delete('/api/trash/:id', auth.requireAdmin, (req, res) => {
+    try {
+        const painting = storage.getPainting(req.params.id);
+        if (!painting || !painting.deletedAt) {
+            return res.status(404).json({ error: '回收站中没有这幅画' });
+        }
+        if (!trash.purgePainting(storage, painting)) {
+            return res.status(500).json({ error: '删除画作信息失败' });
+        }
+        audit(req, 'painting.purge', { paintingId: painting.id, details: { title: painting.title } });
+        res.json({ success: true, message: '画作已彻底删除' });
+    } catch (error) {
+        console.error('彻底删除画作出错:', error);
+        res.status(500).json({ error: '删除失败：' + error.message });
+    }
+});
+
+// 清空回收站
+app.delete('/api/trash', auth.requireAdmin, (req, res) => {
+    try {
+        const paintings = trash.listTrash(storage);
+        paintings.forEach(painting => {
+            trash.purgePainting(storage, painting);
+            audit(req, 'painting.purge', { paintingId: painting.id, details: { title: painting.title } });
+        });
+        res.json({ success: true, message: `已彻底删除 ${paintings.length} 幅画作`, purged: paintings.length });
+    } catch (error) {
+        console.error('清空回收站出错:', error);
+        res.status(500).json({ error: '清空失败：' + error.message });
+    }
+});
+
+// 疑似重复的画作对（原图完全相同或感知哈希相似），最相似的在前
+app.get('/api/duplicates', auth.requireAdmin, (req, res) => {
+    try {
+        res.json({
+            minSimilarity: duplicates.MIN_SIMILARITY,
+            pairs: duplicates.findDuplicatePairs(storage)
+        });
+    } catch (error) {
+        console.error('查找重复画作出错:', error);
+        res.status(500).json({ error: '查找重复画作失败' });
+    }
+});
+
+// 读取请求中的两幅画作 id，返回画作或错误信息
+function readDuplicatePair(firstId, secondId) {
+    if (typeof firstId !== 'string' || typeof secondId !== 'string' || !firstId || !secondId) {
+        return { error: '请指定两幅画作' };
+    }
+    if (firstId === secondId) {
+        return { error: '不能和自己合并' };
+    }
+    const paintings = [getActivePainting(firstId), getActivePainting(secondId)];
+    if (paintings.includes(null)) {
+        return { status: 404, error: '画作不存在' };
+    }
+    return { paintings };
+}
+
+// 合并重复的画作：保留 keepId，removeId 的标签和相册并入后移到回收站
+app.post('/api/duplicates/merge', auth.requireAdmin, (req, res) => {
+    try {
+        const { keepId, removeId } = req.body || {};
+        const { paintings, status, error } = readDuplicatePair(keepId, removeId);
+        if (error) {
+            return res.status(status || 400).json({ error });
+        }
+
+        const [keep, remove] = paintings;
+        const { painting, removed } = duplicates.mergePaintings(storage, keep, remove);
+        audit(req, 'painting.merge', {
+            paintingId: painting.id,
+            details: {
+                title: painting.title,
+                mergedId: removed.id,
+                mergedTitle: removed.title,
+                changes: diffFields(keep, painting, ['title', 'description', 'tags', 'medium', 'ageMonths', 'albumIds'])
+            }
+        });
+        res.json({
+            success: true,
+            message: '已合并，另一幅画已移到回收站',
+            painting,
+            removed: { id: removed.id, purgeAt: trash.purgeAt(removed) }
+        });
+    } catch (error) {
+        console.error('合并重复画作出错:', error);
+        res.status(500).json({ error: '合并失败：' + error.message });
+    }
+});
+
+// 两幅画都保留：以后不再提示为重复
+app.post('/api/duplicates/dismiss', auth.requireAdmin, (req, res) => {
+    try {
+        const ids = (req.body && req.body.paintingIds) || [];
+        const { paintings, status, error } = readDuplicatePair(ids[0], ids[1]);
+        if (error) {
+            return res.status(status || 400).json({ error });
+        }
+
+        storage.dismissDuplicatePair(paintings[0].id, paintings[1].id);
+        audit(req, 'duplicate.dismiss', {
+            paintingId: paintings[0].id,
+            details: { title: paintings[0].title, otherId: paintings[1].id, otherTitle: paintings[1].title }
+        });
+        res.json({ success: true, message: '已标记为不重复' });
+    } catch (error) {
+        console.error('标记不重复出错:', error);
+        res.status(500).json({ error: '操作失败：' + error.message });
+    }
+});
+
+// 操作记录（最新的在前，用 nextCursor 翻页）
+app.get('/api/audit', auth.requireAdmin, (req, res) => {
+    try {
+        const { value, errors } = parseAuditQuery(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('；'), details: errors });
+        }
+
+        // 多取一条判断是否还有下一页
+        const rows = storage.listAudit({ ...value.filters, before: value.before, limit: value.limit + 1 });
+        const entries = rows.slice(0, value.limit);
+        res.json({
+            entries,
+            nextCursor: rows.length > value.limit ? entries[entries.length - 1].id : null,
+            actions: AUDIT_ACTIONS
+        });
+    } catch (error) {
+        console.error('获取操作记录出错:', error);
+        res.status(500).json({ error: '获取操作记录失败' });
+    }
+});
+
+// 获取单个画作
+app.get('/api/paintings/:id', auth.requireGalleryAccess, (req, res) => {
+    try {
+        const painting = getActivePainting(req.params.id);
+        
+        if (!painting) {
+            return res.status(404).json({ error: '画作不存在' });
+        }
+        
+        res.json(painting);
+
+    } catch (error) {
+        console.error('获取画作出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 返回页面，并插入标题和 Open Graph 标签（见 lib/social.js），贴到聊天软件中时能显示预览
+function sendPage(res, status, page, meta) {
+    const html = fs.readFileSync(path.join(__dirname, 'public', page), 'utf8');
+    res.status(status).type('html').send(social.renderPage(html, meta));
+}
+
+// 私密画廊中没有登录的人能否看到画作和相册的预览（看不到时只显示画廊名称）
+function canViewGallery(req) {
+    return !auth.GALLERY_PRIVATE || Boolean(req.user);
+}
+
+// 主页；相册页 /?album=:id 的预览显示相册名称和封面
+app.get('/', (req, res) => {
+    try {
+        const album = typeof req.query.album === 'string' && canViewGallery(req) ? storage.getAlbum(req.query.album) : null;
+        sendPage(res, 200, 'index.html', album ? social.albumMeta(album) : social.galleryMeta());
+    } catch (error) {
+        console.error('返回主页出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 单幅画作的链接 /painting/:id：返回主页，由前端打开这幅画；画作不存在或在回收站中时状态码为 404（页面上显示提示）
+// 私密画廊中没有登录时不透露画作是否存在，由前端提示登录
+app.get('/painting/:id', (req, res) => {
+    try {
+        if (!canViewGallery(req)) {
+            return sendPage(res, 200, 'index.html', social.galleryMeta());
+        }
+        const painting = getActivePainting(req.params.id);
+        sendPage(res, painting ? 200 : 404, 'index.html',
+            painting ? social.paintingMeta(painting) : social.galleryMeta());
+    } catch (error) {
+        console.error('返回画作页面出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 画作的分享卡片（og:image）：左边是画作，右边是标题、日期和名字；标题、日期或图片改变后重新生成
+app.get('/api/paintings/:id/share-card.jpg', auth.requireGalleryAccess, async (req, res) => {
+    try {
+        const painting = getActivePainting(req.params.id);
+        if (!painting) {
+            return res.status(404).json({ error: '画作不存在' });
+        }
+        const file = await social.paintingCard(painting);
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.sendFile(path.resolve(file));
+    } catch (error) {
+        console.error('生成分享卡片出错:', error);
+        res.status(500).json({ error: '生成分享卡片失败' });
+    }
+});
+
+// 下载原始文件（仅家长账号）
+app.get('/api/paintings/:id/original', auth.requireAdmin, (req, res) => {
+    try {
+        const painting = storage.getPainting(req.params.id);
+        
+        if (!painting) {
+            return res.status(404).json({ error: '画作不存在' });
+        }
+        
+        const filePath = originals.originalPath(painting);
+        if (!filePath || !fs.existsSync(filePath)) {
+            return res.status(404).json({ error: '这幅画没有保存原始文件' });
+        }
+        
+        res.set('X-Content-SHA256', painting.originalChecksum);
+        res.download(path.resolve(filePath), painting.originalName || painting.originalFile);
+
+    } catch (error) {
+        console.error('下载原始文件出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 预览图的最长边
+const EDIT_PREVIEW_SIZE = 1024;
+
+// 在图片处理队列中从原图生成临时 JPEG，交给 send 使用后删除
+async function withRenderedImage(painting, options, send) {
+    const tempPath = path.join('./uploads/temp', `edit-${uuidv4()}.jpg`);
+    try {
+        const { promise } = uploadQueue.enqueue(() => renderFromOriginal(painting, tempPath, options), {
+            filename: painting.filename
+        });
+        await promise;
+        await send(tempPath);
+    } finally {
+        fs.rmSync(tempPath, { force: true });
+    }
+}
+
+// 编辑器使用的未经编辑的图片（已按 EXIF 摆正方向，HEIC 等格式转换为 JPEG）
+app.get('/api/paintings/:id/edit-source', auth.requireAdmin, async (req, res) => {
+    try {
+        const painting = getActivePainting(req.params.id);
+        if (!painting) {
+            return res.status(404).json({ error: '画作不存在' });
+        }
+
+        await withRenderedImage(painting, {}, async tempPath => {
+            const buffer = await sharp(tempPath)
+                .resize(EDIT_PREVIEW_SIZE * 2, EDIT_PREVIEW_SIZE * 2, { fit: 'inside', withoutEnlargement: true })
+                .jpeg({ quality: 85 })
+                .toBuffer();
+            res.set('Cache-Control', 'no-store').type('image/jpeg').send(buffer);
+        });
+    } catch (error) {
+        console.error('读取编辑原图出错:', error);
+        res.status(500).json({ error: '读取原图失败：' + error.message });
+    }
+});
+
+// 预览编辑效果（不保存），返回 JPEG
+app.post('/api/paintings/:id/edits/preview', auth.requireAdmin, async (req, res) => {
+    try {
+        const { value: edits, errors } = imageEdits.validateEdits(req.body && req.body.edits);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('；'), details: errors });
+        }
+        const painting = getActivePainting(req.params.id);
+        if (!painting) {
+            return res.status(404).json({ error: '画作不存在' });
+        }
+
+        // 按画作当前的处理方式预览，与保存后的效果一致
+        await withRenderedImage(painting, { edits, enhancement: painting.enhancement }, async tempPath => {
+            const buffer = await sharp(tempPath)
+                .resize(EDIT_PREVIEW_SIZE, EDIT_PREVIEW_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .jpeg({ quality: 80 })
+                .toBuffer();
+            res.set('Cache-Control', 'no-store').type('image/jpeg').send(buffer);
+        });
+    } catch (error) {
+        console.error('预览编辑效果出错:', error);
+        res.status(500).json({ error: '预览失败：' + error.message });
+    }
+});
+
+// 保存编辑参数并从原图重新生成公开的图片；edits 为 null 时恢复原图
+app.put('/api/paintings/:id/edits', auth.requireAdmin, async (req, res) => {
+    try {
+        const { value: edits, errors } = imageEdits.validateEdits(req.body && req.body.edits);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('；'), details: errors });
+        }
+        const before = getActivePainting(req.params.id);
+        if (!before) {
+            return res.status(404).json({ error: '画作不存在' });
+        }
+
+        const { promise } = uploadQueue.enqueue(() => rerenderPainting(before, { edits }), {
+            filename: before.filename
+        });
+        const painting = await promise;
+        audit(req, 'painting.edit-image', {
+            paintingId: painting.id,
+            details: { title: painting.title, changes: diffFields(before, painting, ['edits']) }
+        });
+        res.json({
+            success: true,
+            message: edits ? '图片已更新' : '已恢复原图',
+            painting
+        });
+    } catch (error) {
+        console.error('保存图片编辑出错:', error);
+        res.status(500).json({ error: '保存失败：' + error.message });
+    }
+});
+
+// 更改图片处理方式（例如对已有的画作进行扫描增强），从原图重新生成公开的图片
+// enhancement 为 null 时取消处理
+app.put('/api/paintings/:id/enhancement', auth.requireAdmin, async (req, res) => {
+    try {
+        const { value: enhancement, error } = readEnhancement(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const before = getActivePainting(req.params.id);
+        if (!before) {
+            return res.status(404).json({ error: '画作不存在' });
+        }
+
+        const { promise } = uploadQueue.enqueue(() => rerenderPainting(before, { enhancement }), {
+            filename: before.filename
+        });
+        const painting = await promise;
+        audit(req, 'painting.enhance', {
+            paintingId: painting.id,
+            details: { title: painting.title, changes: diffFields(before, painting, ['enhancement']) }
+        });
+        res.json({
+            success: true,
+            message: enhancement ? `已应用${scan.ENHANCEMENTS[enhancement]}` : '已取消图片处理',
+            painting
+        });
+    } catch (error) {
+        console.error('更改图片处理方式出错:', error);
+        res.status(500).json({ error: '处理失败：' + error.message });
+    }
+});
+
+// 更新画作信息（标题、描述、标签、绘画材料、年龄、日期）
+app.put('/api/paintings/:id', auth.requireAdmin, (req, res) => {
+    try {
+        const paintingId = req.params.id;
+        const { value: changes, errors } = validatePaintingInput(req.body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('；'), details: errors });
+        }
+
+        const before = getActivePainting(paintingId);
+        if (!before) {
+            return res.status(404).json({ error: '画作不存在' });
+        }
+
+        // 手动修改日期后不再标记为拍摄时间或上传时间
+        if (changes.date) {
+            changes.dateSource = 'manual';
+        }
+
+        const painting = storage.updatePainting(paintingId, changes);
+        
+        if (!painting) {
+            return res.status(404).json({ error: '画作不存在' });
+        }
+        
+        const diff = diffFields(before, painting, Object.keys(changes).filter(field => field !== 'dateSource'));
+        if (Object.keys(diff).length > 0) {
+            audit(req, 'painting.update', { paintingId, details: { title: painting.title, changes: diff } });
+        }
+        
+        res.json({
+            success: true,
+            message: '画作信息更新成功',
+            painting
+        });
+
+    } catch (error) {
+        console.error('更新画作出错:', error);
+        res.status(500).json({ error: '更新失败：' + error.message });
+    }
+});
+
+// 相册列表（附带画作数量和封面）
+app.get('/api/albums', auth.requireGalleryAccess, (req, res) => {
+    try {
+        res.json(storage.listAlbums());
+    } catch (error) {
+        console.error('获取相册列表出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 获取单个相册及其中的画作
+app.get('/api/albums/:id', auth.requireGalleryAccess, (req, res) => {
+    try {
+        const album = storage.getAlbum(req.params.id);
+        if (!album) {
+            return res.status(404).json({ error: '相册不存在' });
+        }
+        res.json({ ...album, paintings: storage.listPaintings({ album: album.id }) });
+    } catch (error) {
+        console.error('获取相册出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 相册的分享卡片（og:image）：封面、相册名称和画作数量
+app.get('/api/albums/:id/share-card.jpg', auth.requireGalleryAccess, async (req, res) => {
+    try {
+        const album = storage.getAlbum(req.params.id);
+        if (!album) {
+            return res.status(404).json({ error: '相册不存在' });
+        }
+        const file = await social.albumCard(album);
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.sendFile(path.resolve(file));
+    } catch (error) {
+        console.error('生成分享卡片出错:', error);
+        res.status(500).json({ error: '生成分享卡片失败' });
+    }
+});
+
+// 检查要加入相册的画作，返回画作 id 列表或错误信息
+function readPaintingIds(input) {
+    if (!Array.isArray(input) || input.some(id => typeof id !== 'string')) {
+        return { error: '画作列表格式无效' };
+    }
+    const paintingIds = [...new Set(input)];
+    if (paintingIds.some(id => !getActivePainting(id))) {
+        return { error: '画作不存在' };
+    }
+    return { paintingIds };
+}
+
+// 创建相册，可以同时放入画作
+app.post('/api/albums', auth.requireAdmin, (req, res) => {
+    try {
+        const { value, errors } = validateAlbumInput(req.body);
+        let paintingIds = [];
+        if (req.body && req.body.paintingIds !== undefined) {
+            const result = readPaintingIds(req.body.paintingIds);
+            if (result.error) {
+                errors.push(result.error);
+            } else {
+                paintingIds = result.paintingIds;
+            }
+        }
+        if (value.coverPaintingId && !paintingIds.includes(value.coverPaintingId)) {
+            errors.push('封面必须是相册中的画作');
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('；'), details: errors });
+        }
+
+        const album = storage.transaction(() => {
+            const id = uuidv4();
+            storage.insertAlbum({ ...value, id, coverPaintingId: null });
+            storage.addPaintingsToAlbum(id, paintingIds);
+            return value.coverPaintingId
+                ? storage.updateAlbum(id, { coverPaintingId: value.coverPaintingId })
+                : storage.getAlbum(id);
+        });
+
+        audit(req, 'album.create', { albumId: album.id, details: { title: album.title, paintingIds } });
+        res.status(201).json({ success: true, message: '相册创建成功', album });
+
+    } catch (error) {
+        console.error('创建相册出错:', error);
+        res.status(500).json({ error: '创建相册失败：' + error.message });
+    }
+});
+
+// 修改相册名称、介绍和封面
+app.put('/api/albums/:id', auth.requireAdmin, (req, res) => {
+    try {
+        const albumId = req.params.id;
+        const { value: changes, errors } = validateAlbumInput(req.body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('；'), details: errors });
+        }
+        const before = storage.getAlbum(albumId);
+        if (!before) {
+            return res.status(404).json({ error: '相册不存在' });
+        }
+        if (changes.coverPaintingId && !storage.albumHasPainting(albumId, changes.coverPaintingId)) {
+            return res.status(400).json({ error: '封面必须是相册中的画作' });
+        }
+
+        const album = storage.updateAlbum(albumId, changes);
+        const diff = diffFields(before, album, Object.keys(changes));
+        if (Object.keys(diff).length > 0) {
+            audit(req, 'album.update', { albumId, details: { title: album.title, changes: diff } });
+        }
+        res.json({ success: true, message: '相册已更新', album });
+
+    } catch (error) {
+        console.error('更新相册出错:', error);
+        res.status(500).json({ error: '更新失败：' + error.message });
+    }
+});
+
+// 删除相册（其中的画作保留）
+app.delete('/api/albums/:id', auth.requireAdmin, (req, res) => {
+    try {
+        const album = storage.getAlbum(req.params.id);
+        if (!album || !storage.deleteAlbum(album.id)) {
+            return res.status(404).json({ error: '相册不存在' });
+        }
+        social.removeShareCards('album', album.id);
+        audit(req, 'album.delete', { albumId: album.id, details: { title: album.title } });
+        res.json({ success: true, message: '相册已删除' });
+    } catch (error) {
+        console.error('删除相册出错:', error);
+        res.status(500).json({ error: '删除失败：' + error.message });
+    }
+});
+
+// 把画作加入相册（一幅画可以同时在多个相册中）
+app.post('/api/albums/:id/paintings', auth.requireAdmin, (req, res) => {
+    try {
+        const albumId = req.params.id;
+        if (!storage.getAlbum(albumId)) {
+            return res.status(404).json({ error: '相册不存在' });
+        }
+        const { paintingIds, error } = readPaintingIds(req.body && req.body.paintingIds);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        storage.addPaintingsToAlbum(albumId, paintingIds);
+        const album = storage.getAlbum(albumId);
+        audit(req, 'album.add-paintings', { albumId, details: { title: album.title, paintingIds } });
+        res.json({ success: true, album });
+
+    } catch (error) {
+        console.error('添加到相册出错:', error);
+        res.status(500).json({ error: '添加失败：' + error.message });
+    }
+});
+
+// 把画作移出相册（画作本身不删除）
+app.delete('/api/albums/:id/paintings/:paintingId', auth.requireAdmin, (req, res) => {
+    try {
+        const albumId = req.params.id;
+        if (!storage.getAlbum(albumId)) {
+            return res.status(404).json({ error: '相册不存在' });
+        }
+        if (!storage.removePaintingFromAlbum(albumId, req.params.paintingId)) {
+            return res.status(404).json({ error: '这幅画不在相册中' });
+        }
+        const album = storage.getAlbum(albumId);
+        audit(req, 'album.remove-painting', { albumId, paintingId: req.params.paintingId, details: { title: album.title } });
+        res.json({ success: true, album });
+
+    } catch (error) {
+        console.error('移出相册出错:', error);
+        res.status(500).json({ error: '移出失败：' + error.message });
+    }
+});
+
+// 分享链接附带分享的画作（可能已在回收站中）或相册，供管理页面显示
+function describeShareLink(link) {
+    return {
+        ...shares.publicShareLink(link),
+        painting: link.paintingId ? storage.getPainting(link.paintingId) : null,
+        album: link.albumId ? storage.getAlbum(link.albumId) : null
+    };
+}
+
+// 分享链接列表（仅家长账号）
+app.get('/api/shares', auth.requireAdmin, (req, res) => {
+    try {
+        res.json(storage.listShareLinks().map(describeShareLink));
+    } catch (error) {
+        console.error('获取分享链接出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 为一幅画或一个相册创建分享链接，可以设置有效天数和访问密码
+app.post('/api/shares', auth.requireAdmin, (req, res) => {
+    try {
+        const { value, errors } = shares.validateShareInput(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('；'), details: errors });
+        }
+        if (value.paintingId && !getActivePainting(value.paintingId)) {
+            return res.status(404).json({ error: '画作不存在' });
+        }
+        if (value.albumId && !storage.getAlbum(value.albumId)) {
+            return res.status(404).json({ error: '相册不存在' });
+        }
+
+        const link = shares.createShareLink(storage, {
+            ...value,
+            id: uuidv4(),
+            createdBy: req.user.username
+        });
+        const share = describeShareLink(link);
+        audit(req, 'share.create', {
+            paintingId: link.paintingId,
+            albumId: link.albumId,
+            details: {
+                title: (share.painting || share.album).title,
+                expiresAt: link.expiresAt,
+                hasPassword: share.hasPassword
+            }
+        });
+        res.status(201).json({ success: true, message: '分享链接已创建', share });
+
+    } catch (error) {
+        console.error('创建分享链接出错:', error);
+        res.status(500).json({ error: '创建分享链接失败：' + error.message });
+    }
+});
+
+// 撤销分享链接（删除后链接立即失效）
+app.delete('/api/shares/:id', auth.requireAdmin, (req, res) => {
+    try {
+        const link = storage.getShareLink(req.params.id);
+        if (!link || !storage.deleteShareLink(link.id)) {
+            return res.status(404).json({ error: '分享链接不存在' });
+        }
+        audit(req, 'share.revoke', {
+            paintingId: link.paintingId,
+            albumId: link.albumId,
+            details: { viewCount: link.viewCount }
+        });
+        res.json({ success: true, message: '分享链接已撤销' });
+    } catch (error) {
+        console.error('撤销分享链接出错:', error);
+        res.status(500).json({ error: '撤销失败：' + error.message });
+    }
+});
+
+// 分享链接指向的内容：{ type: 'painting', painting } 或 { type: 'album', album, paintings }
+// 画作已移到回收站或相册已删除时返回 null
+function readSharedContent(link) {
+    if (link.paintingId) {
+        const painting = getActivePainting(link.paintingId);
+        return painting ? { type: 'painting', painting } : null;
+    }
+    const album = storage.getAlbum(link.albumId);
+    return album ? { type: 'album', album, paintings: storage.listPaintings({ album: album.id }) } : null;
+}
+
+// 打开分享链接及其图片、卡片时共用：返回 { link, content } 或 { status, error, passwordRequired }
+function openShare(req) {
+    const { link, status, error } = shares.resolveShareToken(storage, req.params.token);
+    if (!link) {
+        return { status, error };
+    }
+    if (!shares.isUnlocked(req, link)) {
+        return { status: 401, error: '请输入访问密码', passwordRequired: true };
+    }
+    const content = readSharedContent(link);
+    if (!content) {
+        return { status: 404, error: '分享的内容已不存在' };
+    }
+    return { link, content };
+}
+
+// 打开分享链接（不需要登录）：需要密码时返回 401 和 passwordRequired，每次成功打开计一次访问
+// 图片地址经过分享链接（见 lib/shares.js 的 withShareFileUrls）
+app.get('/api/share/:token', (req, res) => {
+    try {
+        const { link, content, status, error, passwordRequired } = openShare(req);
+        if (!link) {
+            return res.status(status).json(passwordRequired ? { error, passwordRequired } : { error });
+        }
+
+        storage.recordShareView(link.id);
+        res.json({ ...shares.withShareFileUrls(req.params.token, content), expiresAt: link.expiresAt });
+
+    } catch (error) {
+        console.error('打开分享链接出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 分享内容的图片文件：只能取分享的画作自己的图片，有效期和访问密码与分享链接相同
+app.get('/api/share/:token/files/*', (req, res) => {
+    try {
+        const { link, content, status, error } = openShare(req);
+        if (!link) {
+            return res.status(status).json({ error });
+        }
+        const file = shares.findSharedFile(content, req.params[0]);
+        if (!file) {
+            return res.status(404).json({ error: '找不到请求的资源' });
+        }
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.sendFile(path.resolve('uploads', file));
+    } catch (error) {
+        console.error('读取分享图片出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 分享页的预览卡片（og:image），与画作、相册的卡片相同
+app.get('/api/share/:token/share-card.jpg', async (req, res) => {
+    try {
+        const { link, content, status, error } = openShare(req);
+        if (!link) {
+            return res.status(status).json({ error });
+        }
+        const file = content.type === 'painting'
+            ? await social.paintingCard(content.painting)
+            : await social.albumCard(content.album);
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.sendFile(path.resolve(file));
+    } catch (error) {
+        console.error('生成分享卡片出错:', error);
+        res.status(500).json({ error: '生成分享卡片失败' });
+    }
+});
+
+// 输入分享链接的访问密码，失败次数限制与登录相同
+app.post('/api/share/:token/unlock', (req, res) => {
+    try {
+        const { link, status, error } = shares.resolveShareToken(storage, req.params.token);
+        if (!link) {
+            return res.status(status).json({ error });
+        }
+        const limitKey = `share:${req.ip}`;
+        if (auth.isLoginBlocked(limitKey)) {
+            return res.status(429).json({ error: '密码错误次数过多，请稍后再试' });
+        }
+        if (link.passwordHash && !shares.checkSharePassword(link, (req.body || {}).password)) {
+            auth.recordLoginFailure(limitKey);
+            return res.status(401).json({ error: '密码错误', passwordRequired: true });
+        }
+
+        auth.clearLoginFailures(limitKey);
+        if (link.passwordHash) {
+            shares.setUnlockCookie(req, res, link);
+        }
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('验证分享密码出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 分享页面 /share/:token：只读的查看页，链接无效时状态码为 404，过期时为 410（页面上显示提示）
+// 不需要密码的链接在预览中显示分享的画作或相册，需要密码的只显示画廊名称
+app.get('/share/:token', (req, res) => {
+    try {
+        const { link, status } = shares.resolveShareToken(storage, req.params.token);
+        const content = link && !link.passwordHash ? readSharedContent(link) : null;
+        const meta = content ? social.shareMeta(req.params.token, content) : social.galleryMeta();
+        sendPage(res, status || 200, 'share.html', meta);
+    } catch (error) {
+        console.error('返回分享页面出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 获取画廊统计信息
+// 统计：总数、按月和按年的数量、连续画画的天数、标签和材料分布、存储占用、主色调变化
+// ?tz= 与时间线相同，为浏览器所在时区相对 UTC 的分钟数
+app.get('/api/stats', auth.requireGalleryAccess, (req, res) => {
+    try {
+        const timezoneOffset = timeline.parseTimezoneOffset(req.query.tz);
+        if (timezoneOffset === null) {
+            return res.status(400).json({ error: '时区参数无效' });
+        }
+        res.json(collectStats(storage, { timezoneOffset }));
+    } catch (error) {
+        console.error('获取统计信息出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 时间线：按年、月汇总画作数量和创作时的年龄
+// ?tz= 为浏览器所在时区相对 UTC 的分钟数（东八区为 480），用来按当地日期划分月份
+app.get('/api/timeline', auth.requireGalleryAccess, (req, res) => {
+    try {
+        const timezoneOffset = timeline.parseTimezoneOffset(req.query.tz);
+        if (timezoneOffset === null) {
+            return res.status(400).json({ error: '时区参数无效' });
+        }
+        res.json({
+            birthday: timeline.CHILD_BIRTHDAY,
+            timezoneOffset,
+            years: timeline.buildTimeline(storage.getMonthlyCounts(timezoneOffset), { timezoneOffset })
+        });
+    } catch (error) {
+        console.error('获取时间线出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 导出整个画廊（画作信息、相册、全部图片和校验清单），压缩包边生成边下载
+app.get('/api/export', auth.requireAdmin, async (req, res) => {
+    const filename = `yueyue-gallery-${new Date().toISOString().slice(0, 10)}.tar.gz`;
+    res.set({
+        'Content-Type': 'application/gzip',
+        'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    audit(req, 'gallery.export');
+    try {
+        await backup.exportGallery(storage, res);
+    } catch (error) {
+        // 已经开始发送时只能中断下载
+        console.error('导出画廊出错:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: '导出失败：' + error.message });
+        } else {
+            res.destroy();
+        }
+    }
+});
+
+// 导入备份：请求体就是导出的 .tar.gz 文件
+// ?mode=merge（默认）保留现有画作并跳过重复的，?mode=replace 用备份替换整个画廊
+app.post('/api/import', auth.requireAdmin, async (req, res) => {
+    const mode = req.query.mode || 'merge';
+    if (!backup.IMPORT_MODES.includes(mode)) {
+        return res.status(400).json({ error: '导入方式无效' });
+    }
+    const queueStatus = uploadQueue.getStatus();
+    if (queueStatus.running > 0 || queueStatus.queued > 0) {
+        return res.status(409).json({ error: '还有图片正在处理，请稍后再导入' });
+    }
+    // 导入期间不能同时进行另一次导入、快照或恢复
+    if (!backup.beginGalleryOperation('import')) {
+        return res.status(409).json({ error: backup.galleryBusyMessage() });
+    }
+
+    let dir = null;
+    try {
+        dir = await backup.extractArchive(req);
+        const archive = await backup.readArchive(dir);
+        const result = backup.applyArchive(storage, archive, { mode });
+        console.log(`导入备份完成 (${mode}): 新增 ${result.imported} 幅，跳过 ${result.skipped.length} 幅`);
+        // 备份中衍生图不全的画作重新生成
+        backfillDerivatives();
+        audit(req, 'gallery.import', {
+            details: { mode, imported: result.imported, skipped: result.skipped.length, albums: result.albums }
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('导入备份出错:', error);
+        res.status(500).json({ error: '导入失败：' + error.message });
+    } finally {
+        if (dir) {
+            backup.removeArchiveDir(dir);
+        }
+        backup.endGalleryOperation('import');
+    }
+});
+
+// 自动备份的设置和快照列表
+app.get('/api/snapshots', auth.requireAdmin, (req, res) => {
+    try {
+        res.json({
+            ...snapshots.getSettings(),
+            snapshots: snapshots.listSnapshots()
+        });
+    } catch (error) {
+        console.error('获取快照列表出错:', error);
+        res.status(500).json({ error: '服务器错误' });
+    }
+});
+
+// 立即备份（在后台进行，前端轮询快照列表查看进度）
+app.post('/api/snapshots', auth.requireAdmin, (req, res) => {
+    try {
+        snapshots.startSnapshot(storage, 'manual')
+            .catch(error => console.error('手动备份出错:', error.message));
+        res.status(202).json({ success: true, message: '已开始备份' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('开始备份出错:', error);
+        res.status(500).json({ error: '备份失败：' + error.message });
+    }
+});
+
+// 用快照替换整个画廊（恢复前会先给当前画廊保存一个快照）
+app.post('/api/snapshots/:id/restore', auth.requireAdmin, async (req, res) => {
+    const queueStatus = uploadQueue.getStatus();
+    if (queueStatus.running > 0 || queueStatus.queued > 0) {
+        return res.status(409).json({ error: '还有图片正在处理，请稍后再恢复' });
+    }
+    try {
+        const result = await snapshots.restoreSnapshot(storage, req.params.id);
+        console.log(`从快照恢复完成: ${req.params.id}（恢复前的快照: ${result.safetySnapshot}）`);
+        backfillDerivatives();
+        audit(req, 'gallery.restore', {
+            details: { snapshot: req.params.id, safetySnapshot: result.safetySnapshot, imported: result.imported }
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('从快照恢复出错:', error);
+        res.status(500).json({ error: '恢复失败：' + error.message });
+    }
+});
+
+// 错误处理中间件
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: '请求内容过大' });
+    }
+    
+    if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                error: `文件大小不能超过 ${UPLOAD_FILE_SIZE_LIMIT / 1024 / 1024}MB`,
+                code: 'FILE_TOO_LARGE'
+            });
+        }
+    }
+    
+    // 上传校验错误（例如 fileFilter 拒绝的文件类型）
+    if (error.code && imageValidation.UPLOAD_ERRORS[error.code]) {
+        return sendUploadError(res, error);
+    }
+    
+    console.error('服务器错误:', error);
+    res.status(500).json({ error: '服务器内部错误' });
 });
 
 // 404 处理
@@ -476,18 +1951,85 @@ app.use((req, res) => {
     res.status(404).json({ error: '找不到请求的资源' });
 });
 
+// 为还没有衍生图的旧画作补生成（启动后放入图片处理队列）
+function backfillDerivatives() {
+    const pending = storage.listPaintings().filter(painting => !painting.variants);
+    pending.forEach(painting => {
+        const imagePath = path.join('./uploads', painting.filename);
+        if (!fs.existsSync(imagePath)) {
+            console.error(`补生成衍生图失败，找不到图片: ${painting.filename}`);
+            return;
+        }
+        const { promise } = uploadQueue.enqueue(async () => {
+            const variants = await generateDerivatives(imagePath, painting.id);
+            storage.updatePainting(painting.id, {
+                variants,
+                width: variants.full.width,
+                height: variants.full.height
+            });
+        }, { filename: painting.filename });
+        promise.catch(error => console.error(`补生成衍生图出错 (${painting.id}):`, error.message));
+    });
+}
+
+// 为还没有主色调的旧画作补充计算（白纸一样没有颜色的画作每次启动都会重新计算，开销很小）
+function backfillDominantColors() {
+    const pending = storage.listPaintings().filter(painting => !painting.dominantColor);
+    pending.forEach(painting => {
+        const imagePath = path.join('./uploads', painting.filename);
+        if (!fs.existsSync(imagePath)) {
+            return;
+        }
+        const { promise } = uploadQueue.enqueue(async () => {
+            const dominantColor = await extractDominantColor(imagePath);
+            if (dominantColor) {
+                storage.updatePainting(painting.id, { dominantColor });
+            }
+        }, { filename: painting.filename });
+        promise.catch(error => console.error(`补充主色调出错 (${painting.id}):`, error.message));
+    });
+}
+
+// 为还没有感知哈希的旧画作补充计算（查找相似画作用）
+function backfillPerceptualHashes() {
+    const pending = storage.listPaintings({ trash: 'include' }).filter(painting => !painting.perceptualHash);
+    pending.forEach(painting => {
+        const imagePath = path.join('./uploads', painting.filename);
+        if (!fs.existsSync(imagePath)) {
+            return;
+        }
+        const { promise } = uploadQueue.enqueue(async () => {
+            const perceptualHash = await duplicates.computePerceptualHash(imagePath);
+            if (perceptualHash) {
+                storage.updatePainting(painting.id, { perceptualHash });
+            }
+        }, { filename: painting.filename });
+        promise.catch(error => console.error(`补充感知哈希出错 (${painting.id}):`, error.message));
+    });
+}
+
 // 启动服务器
 app.listen(PORT, () => {
     console.log(`🎨 悦悦画廊服务器已启动`);
     console.log(`🌐 访问地址: http://localhost:${PORT}`);
     console.log(`👩‍💼 管理后台: http://localhost:${PORT}/admin.html`);
-    console.log(`📂 数据存储: ${path.resolve(PAINTINGS_DATA_FILE)}`);
+    console.log(`📂 数据存储: ${path.resolve(DATABASE_FILE)}`);
     console.log(`🖼️  图片存储: ${path.resolve('./uploads')}`);
+    social.checkConfiguration();
+    backfillDerivatives();
+    backfillDominantColors();
+    backfillPerceptualHashes();
+    snapshots.startSchedule(storage);
+    chunkedUpload.pruneSessions();
+    setInterval(chunkedUpload.pruneSessions, 60 * 60 * 1000).unref();
+    trash.purgeExpired(storage);
+    setInterval(() => trash.purgeExpired(storage), 60 * 60 * 1000).unref();
 });
 
 // 优雅关闭
 process.on('SIGINT', () => {
     console.log('\n👋 正在关闭悦悦画廊服务器...');
+    storage.close();
     process.exit(0);
 });
 
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const backup = require('../lib/backup');
+
+const PAINTING = {
+    id: 'p1',
+    filename: 'p1.jpg',
+    imageUrl: '/uploads/p1.jpg',
+    title: '小猫',
+    description: '',
+    tags: ['动物'],
+    medium: 'crayon',
+    ageMonths: 50,
+    date: '2024-03-05T00:00:00.000Z',
+    size: 4,
+    width: 100,
+    height: 80
+};
+
+// 在临时目录中写出解压后的备份：files 为 { 路径: 内容 }，清单按内容计算大小和 SHA-256
+// manifest 中的字段可以用 manifestOverrides 覆盖
+function writeArchive(t, files, manifestOverrides = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const entries = Object.entries(files).map(([name, content]) => {
+        const data = Buffer.from(typeof content === 'string' ? content : JSON.stringify(content));
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), data);
+        return { path: name, size: data.length, sha256: crypto.createHash('sha256').update(data).digest('hex') };
+    });
+    fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({
+        format: backup.ARCHIVE_FORMAT,
+        version: 1,
+        files: entries,
+        ...manifestOverrides
+    }));
+    return dir;
+}
+
+function galleryFiles(paintings, extra = {}) {
+    return { 'data/paintings.json': paintings, 'data/albums.json': [], 'uploads/p1.jpg': 'jpeg', ...extra };
+}
+
+test('读取完整的备份，图片地址按文件名重新生成', async t => {
+    const dir = writeArchive(t, galleryFiles([{ ...PAINTING, imageUrl: 'javascript:alert(1)', extra: 'x' }]));
+    const { paintings, albums } = await backup.readArchive(dir);
+    assert.strictEqual(paintings.length, 1);
+    assert.strictEqual(paintings[0].imageUrl, '/uploads/p1.jpg');
+    assert.strictEqual(paintings[0].title, '小猫');
+    assert.strictEqual(paintings[0].extra, undefined);
+    // 备份中没有衍生图文件，导入后重新生成
+    assert.strictEqual(paintings[0].variants, null);
+    assert.deepStrictEqual(albums, []);
+});
+
+test('不是画廊备份或版本太新时拒绝', async t => {
+    await assert.rejects(backup.readArchive(writeArchive(t, galleryFiles([PAINTING]), { format: 'other' })),
+        { status: 400, message: '不是悦悦画廊的备份文件' });
+    await assert.rejects(backup.readArchive(writeArchive(t, galleryFiles([PAINTING]), { version: 99 })),
+        /不支持的备份版本/);
+});
+
+test('文件内容与清单不符、缺少文件或有多余文件时拒绝', async t => {
+    const tampered = writeArchive(t, galleryFiles([PAINTING]));
+    fs.writeFileSync(path.join(tampered, 'uploads/p1.jpg'), 'JPEG');
+    await assert.rejects(backup.readArchive(tampered), { message: '文件校验失败: uploads/p1.jpg' });
+
+    const missing = writeArchive(t, galleryFiles([PAINTING]));
+    fs.unlinkSync(path.join(missing, 'uploads/p1.jpg'));
+    await assert.rejects(backup.readArchive(missing), { message: '备份文件不完整，缺少: uploads/p1.jpg' });
+
+    const unlisted = writeArchive(t, galleryFiles([PAINTING]));
+    fs.writeFileSync(path.join(unlisted, 'uploads/extra.jpg'), 'x');
+    await assert.rejects(backup.readArchive(unlisted), { message: '文件不在清单中: uploads/extra.jpg' });
+});
+
+test('画作记录无效时拒绝整个备份', async t => {
+    const cases = [
+        [{ ...PAINTING, id: '../p1' }, /画作 id 无效/],
+        [{ ...PAINTING, filename: '../p1.jpg' }, /缺少图片文件/],
+        [{ ...PAINTING, filename: 'p2.jpg' }, /缺少图片文件/],
+        [{ ...PAINTING, date: 'soon' }, /日期无效/],
+        [{ ...PAINTING, title: '字'.repeat(61) }, /标题不能超过 60 个字/],
+        [{ ...PAINTING, medium: 'lava' }, /不支持的绘画材料/]
+    ];
+    for (const [painting, error] of cases) {
+        await assert.rejects(backup.readArchive(writeArchive(t, galleryFiles([painting]))), error);
+    }
+    await assert.rejects(backup.readArchive(writeArchive(t, galleryFiles([PAINTING, PAINTING]))), /画作重复/);
+    await assert.rejects(backup.readArchive(writeArchive(t, galleryFiles({ paintings: [] }))), /缺少画作信息/);
+});
+
+test('readPaintingRecord 丢弃格式不对的技术字段', () => {
+    const files = new Set(['uploads/p1.jpg']);
+    const { value } = backup.readPaintingRecord({
+        ...PAINTING,
+        dominantColor: 'red;',
+        perceptualHash: 'zz',
+        dateSource: 'magic',
+        size: -1
+    }, files);
+    assert.strictEqual(value.dominantColor, null);
+    assert.strictEqual(value.perceptualHash, null);
+    assert.strictEqual(value.dateSource, null);
+    assert.strictEqual(value.size, 0);
+    assert.deepStrictEqual(backup.readPaintingRecord(null, files), { error: '画作信息格式不正确' });
+    assert.match(backup.readPaintingRecord({ ...PAINTING, originalFile: 'p1.png' }, files).error, /缺少原始文件/);
+});
+
+test('导入、快照和恢复同一时间只能进行一个', t => {
+    t.after(() => backup.endGalleryOperation('import'));
+    assert.strictEqual(backup.galleryBusyMessage(), null);
+    assert.strictEqual(backup.beginGalleryOperation('import'), true);
+    assert.strictEqual(backup.beginGalleryOperation('snapshot'), false);
+    assert.strictEqual(backup.galleryBusyMessage(), '正在导入备份，请稍后再试');
+
+    // 只能结束自己开始的操作
+    backup.endGalleryOperation('snapshot');
+    assert.strictEqual(backup.beginGalleryOperation('restore'), false);
+    backup.endGalleryOperation('import');
+    assert.strictEqual(backup.beginGalleryOperation('restore'), true);
+    backup.endGalleryOperation('restore');
+    assert.strictEqual(backup.galleryBusyMessage(), null);
+});
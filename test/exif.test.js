@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const { parseExifDate, readCaptureMetadata } = require('../lib/exif');
+
+// 生成带 EXIF 的小 JPEG，exif 为 IFD2（Exif 子目录）中的字段
+async function photoWithExif(t, exif) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exif-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'photo.jpg');
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ffffff' } })
+        .jpeg()
+        .withExif({ IFD0: { Make: 'Apple', Model: 'iPhone 15' }, IFD2: exif })
+        .toFile(file);
+    return file;
+}
+
+test('parseExifDate 有时区时换算成 UTC', () => {
+    assert.strictEqual(parseExifDate('2024:03:05 23:30:00', '+08:00'), '2024-03-05T15:30:00.000Z');
+    assert.strictEqual(parseExifDate('2024:03:05 23:30:00', '-05:00'), '2024-03-06T04:30:00.000Z');
+});
+
+test('parseExifDate 没有时区时保留当地的日期和时间', () => {
+    assert.strictEqual(parseExifDate('2024:03:05 23:30:00'), '2024-03-05T23:30:00.000Z');
+    assert.strictEqual(parseExifDate('2024:03:05 23:30:00', 'garbage'), '2024-03-05T23:30:00.000Z');
+});
+
+test('parseExifDate 对无效的时间返回 null', () => {
+    ['', '0000:00:00 00:00:00', '2024:13:45 10:00:00', '    :  :     :  :  ', null].forEach(value => {
+        assert.strictEqual(parseExifDate(value), null, String(value));
+    });
+});
+
+test('readCaptureMetadata 使用 OffsetTimeOriginal', async t => {
+    const file = await photoWithExif(t, { DateTimeOriginal: '2024:03:05 23:30:00', OffsetTimeOriginal: '+08:00' });
+    const result = await readCaptureMetadata(file);
+    assert.strictEqual(result.capturedAt, '2024-03-05T15:30:00.000Z');
+    assert.strictEqual(result.cameraModel, 'Apple iPhone 15');
+});
+
+test('readCaptureMetadata 没有时区时不按服务器时区换算', async t => {
+    const file = await photoWithExif(t, { DateTimeOriginal: '2024:03:05 23:30:00' });
+    assert.strictEqual((await readCaptureMetadata(file)).capturedAt, '2024-03-05T23:30:00.000Z');
+});
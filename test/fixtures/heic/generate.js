@@ -0,0 +1,295 @@
+// 重新生成 HEIC 测试样本：用 ffmpeg（libx265）编码 HEVC 图片，再按 HEIF 规范组装容器
+// 用法：FFMPEG=/path/to/ffmpeg node test/fixtures/heic/generate.js
+// 生成的文件已经提交到仓库，运行测试不需要 ffmpeg
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FFMPEG = process.env.FFMPEG || 'ffmpeg';
+const OUTPUT_DIR = __dirname;
+
+// ---------- HEVC 编码 ----------
+
+// 生成渐变测试图（RGB），seed 不同时颜色不同
+function gradient(width, height, seed) {
+    const rgb = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 3;
+            rgb[i] = (x * 255 / width + seed * 60) & 0xff;
+            rgb[i + 1] = (y * 255 / height + seed * 30) & 0xff;
+            rgb[i + 2] = (128 + seed * 90) & 0xff;
+        }
+    }
+    return rgb;
+}
+
+// 把原始像素编码为一帧 HEVC，返回按类型分好的 NAL 单元
+function encodeHevc(pixels, { width, height, inputFormat = 'rgb24', pixelFormat = 'yuv420p' }) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'heic-fixture-'));
+    try {
+        const input = path.join(dir, 'input.raw');
+        const output = path.join(dir, 'output.hevc');
+        fs.writeFileSync(input, pixels);
+        execFileSync(FFMPEG, [
+            '-hide_banner', '-loglevel', 'error',
+            '-f', 'rawvideo', '-pix_fmt', inputFormat, '-s', `${width}x${height}`, '-i', input,
+            '-frames:v', '1', '-c:v', 'libx265', '-pix_fmt', pixelFormat,
+            '-x265-params', 'log-level=error:info=0:keyint=1', '-f', 'hevc', output
+        ]);
+        return splitNalUnits(fs.readFileSync(output));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// 按起始码拆分 Annex B 码流，只保留参数集和图像数据（去掉编码器写入的 SEI）
+function splitNalUnits(stream) {
+    const starts = [];
+    for (let i = 0; i + 3 <= stream.length; i++) {
+        if (stream[i] === 0 && stream[i + 1] === 0 && stream[i + 2] === 1) {
+            starts.push(i + 3);
+            i += 2;
+        }
+    }
+    const units = { vps: null, sps: null, pps: null, slices: [] };
+    starts.forEach((start, index) => {
+        let end = index + 1 < starts.length ? starts[index + 1] - 3 : stream.length;
+        while (end > start && stream[end - 1] === 0) {
+            end--;
+        }
+        const nal = stream.subarray(start, end);
+        const type = (nal[0] >> 1) & 0x3f;
+        if (type === 32) {
+            units.vps = nal;
+        } else if (type === 33) {
+            units.sps = nal;
+        } else if (type === 34) {
+            units.pps = nal;
+        } else if (type < 32) {
+            units.slices.push(nal);
+        }
+    });
+    return units;
+}
+
+// ---------- ISO BMFF 盒子 ----------
+
+function u8(value) {
+    return Buffer.from([value]);
+}
+
+function u16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value);
+    return buffer;
+}
+
+function u32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value);
+    return buffer;
+}
+
+function box(type, ...parts) {
+    const payload = Buffer.concat(parts);
+    return Buffer.concat([u32(8 + payload.length), Buffer.from(type, 'ascii'), payload]);
+}
+
+function fullBox(type, version, flags, ...parts) {
+    return box(type, u8(version), u8((flags >> 16) & 0xff), u16(flags & 0xffff), ...parts);
+}
+
+// 去掉 NAL 单元中的防竞争字节（00 00 03 中的 03）
+function unescapeNal(nal) {
+    const bytes = [];
+    for (let i = 0; i < nal.length; i++) {
+        if (i >= 2 && nal[i] === 3 && nal[i - 1] === 0 && nal[i - 2] === 0) {
+            continue;
+        }
+        bytes.push(nal[i]);
+    }
+    return Buffer.from(bytes);
+}
+
+// HEVCDecoderConfigurationRecord：档次、级别从 SPS 中复制，再附上参数集
+function hvcC(units, { chromaFormat = 1, bitDepth = 8 } = {}) {
+    const profileTierLevel = unescapeNal(units.sps).subarray(3, 15);
+    const arrays = [[32, units.vps], [33, units.sps], [34, units.pps]].map(([type, nal]) =>
+        Buffer.concat([u8(0x80 | type), u16(1), u16(nal.length), nal]));
+    return box('hvcC',
+        u8(1),
+        profileTierLevel,
+        u16(0xf000),
+        u8(0xfc),
+        u8(0xfc | chromaFormat),
+        u8(0xf8 | (bitDepth - 8)),
+        u8(0xf8 | (bitDepth - 8)),
+        u16(0),
+        u8(0x0f),
+        u8(arrays.length),
+        ...arrays);
+}
+
+function ispe(width, height) {
+    return fullBox('ispe', 0, 0, u32(width), u32(height));
+}
+
+// 组装 HEIF 文件
+//   items      [{ id, type, hidden, data, properties: [盒子] }]
+//   primaryId  主图
+//   references [{ type, from, to: [id] }]
+//   mdatFirst  把 mdat 放在 meta 前面（部分相机和编辑软件这样写）
+//   mdatExtra  mdat 末尾附加的、不属于任何图片的字节
+function buildHeif({ items, primaryId, references = [], mdatFirst = false, mdatExtra = Buffer.alloc(0) }) {
+    const ftyp = box('ftyp', Buffer.from('heic'), u32(0), Buffer.from('mif1heic'));
+
+    // 相同的属性盒子只保存一份
+    const properties = [];
+    const associations = items.map(item => item.properties.map(property => {
+        let index = properties.findIndex(existing => existing.equals(property));
+        if (index === -1) {
+            properties.push(property);
+            index = properties.length - 1;
+        }
+        return index + 1;
+    }));
+
+    const payloads = items.map(item => item.data);
+    const mdatPayload = Buffer.concat([...payloads, mdatExtra]);
+
+    function buildMeta(mdatDataStart) {
+        let offset = mdatDataStart;
+        const locations = items.map((item, index) => {
+            const location = Buffer.concat([u16(item.id), u16(0), u16(1), u32(offset), u32(payloads[index].length)]);
+            offset += payloads[index].length;
+            return location;
+        });
+        const infos = items.map(item => fullBox('infe', 2, item.hidden ? 1 : 0,
+            u16(item.id), u16(0), Buffer.from(item.type, 'ascii'), u8(0)));
+        const ipma = fullBox('ipma', 0, 0, u32(items.length), ...items.map((item, index) => Buffer.concat([
+            u16(item.id),
+            u8(associations[index].length),
+            ...associations[index].map(propertyIndex => u8(0x80 | propertyIndex))
+        ])));
+        const parts = [
+            fullBox('hdlr', 0, 0, u32(0), Buffer.from('pict'), u32(0), u32(0), u32(0), u8(0)),
+            fullBox('pitm', 0, 0, u16(primaryId)),
+            fullBox('iloc', 0, 0, u8(0x44), u8(0x00), u16(items.length), ...locations),
+            fullBox('iinf', 0, 0, u16(items.length), ...infos)
+        ];
+        if (references.length > 0) {
+            parts.push(fullBox('iref', 0, 0, ...references.map(reference =>
+                box(reference.type, u16(reference.from), u16(reference.to.length), ...reference.to.map(u16)))));
+        }
+        parts.push(box('iprp', box('ipco', ...properties), ipma));
+        return fullBox('meta', 0, 0, ...parts);
+    }
+
+    // meta 的长度与 mdat 的位置无关，先算一次得到长度，再用真实位置重新生成
+    if (mdatFirst) {
+        const mdat = box('mdat', mdatPayload);
+        return Buffer.concat([ftyp, mdat, buildMeta(ftyp.length + 8)]);
+    }
+    const metaLength = buildMeta(0).length;
+    const meta = buildMeta(ftyp.length + metaLength + 8);
+    return Buffer.concat([ftyp, meta, box('mdat', mdatPayload)]);
+}
+
+// 一张 HEVC 图片对应的图片项
+function hevcItem(id, units, { width, height, hidden = false, chromaFormat, bitDepth, extraProperties = [] }) {
+    const data = Buffer.concat(units.slices.map(nal => Buffer.concat([u32(nal.length), nal])));
+    return {
+        id,
+        type: 'hvc1',
+        hidden,
+        data,
+        properties: [hvcC(units, { chromaFormat, bitDepth }), ispe(width, height), ...extraProperties]
+    };
+}
+
+// ---------- 样本 ----------
+
+const fixtures = {
+    // 最常见的单张图片
+    'single.heic'() {
+        const units = encodeHevc(gradient(64, 48, 0), { width: 64, height: 48 });
+        return buildHeif({ items: [hevcItem(1, units, { width: 64, height: 48 })], primaryId: 1 });
+    },
+
+    // 多图容器：第一张是 32×24 的小图，主图是第二张 80×60
+    'multi-image.heic'() {
+        const small = encodeHevc(gradient(32, 24, 1), { width: 32, height: 24 });
+        const large = encodeHevc(gradient(80, 60, 2), { width: 80, height: 60 });
+        return buildHeif({
+            items: [hevcItem(1, small, { width: 32, height: 24 }), hevcItem(2, large, { width: 80, height: 60 })],
+            primaryId: 2
+        });
+    },
+
+    // 10 位色深（Main 10）
+    '10bit.heic'() {
+        const units = encodeHevc(gradient(64, 48, 3), { width: 64, height: 48, pixelFormat: 'yuv420p10le' });
+        return buildHeif({
+            items: [hevcItem(1, units, { width: 64, height: 48, bitDepth: 10 })],
+            primaryId: 1
+        });
+    },
+
+    // 带透明通道：透明度保存为辅助图片（auxl 引用主图）
+    'alpha.heic'() {
+        const color = encodeHevc(gradient(64, 48, 4), { width: 64, height: 48 });
+        const alphaPixels = Buffer.alloc(64 * 48);
+        for (let y = 0; y < 48; y++) {
+            for (let x = 0; x < 64; x++) {
+                alphaPixels[y * 64 + x] = x < 32 ? 255 : 0;
+            }
+        }
+        const alpha = encodeHevc(alphaPixels, { width: 64, height: 48, inputFormat: 'gray', pixelFormat: 'gray' });
+        const auxC = fullBox('auxC', 0, 0, Buffer.from('urn:mpeg:hevc:2015:auxid:1\0', 'ascii'));
+        return buildHeif({
+            items: [
+                hevcItem(1, color, { width: 64, height: 48 }),
+                hevcItem(2, alpha, { width: 64, height: 48, hidden: true, chromaFormat: 0, extraProperties: [auxC] })
+            ],
+            primaryId: 1,
+            references: [{ type: 'auxl', from: 2, to: [1] }]
+        });
+    },
+
+    // iPhone 的写法：主图是由 2×2 个 64×64 分块拼成的网格，输出尺寸 120×100
+    'grid.heic'() {
+        const tiles = [0, 1, 2, 3].map(seed => encodeHevc(gradient(64, 64, seed), { width: 64, height: 64 }));
+        const grid = {
+            id: 1,
+            type: 'grid',
+            hidden: false,
+            data: Buffer.concat([u8(0), u8(0), u8(1), u8(1), u16(120), u16(100)]),
+            properties: [ispe(120, 100)]
+        };
+        return buildHeif({
+            items: [grid, ...tiles.map((units, index) => hevcItem(index + 2, units, { width: 64, height: 64, hidden: true }))],
+            primaryId: 1,
+            references: [{ type: 'dimg', from: 1, to: [2, 3, 4, 5] }]
+        });
+    },
+
+    // mdat 在 meta 前面，而且图片数据后面有恰好像 ispe 盒子的字节（尺寸很大）
+    'mdat-first.heic'() {
+        const units = encodeHevc(gradient(64, 48, 5), { width: 64, height: 48 });
+        return buildHeif({
+            items: [hevcItem(1, units, { width: 64, height: 48 })],
+            primaryId: 1,
+            mdatFirst: true,
+            mdatExtra: Buffer.concat([Buffer.from('ispe'), u32(0), u32(60000), u32(60000)])
+        });
+    }
+};
+
+Object.entries(fixtures).forEach(([name, build]) => {
+    const data = build();
+    fs.writeFileSync(path.join(OUTPUT_DIR, name), data);
+    console.log(`${name}: ${data.length} 字节`);
+});
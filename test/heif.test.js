@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const heif = require('../lib/heif');
+const imageValidation = require('../lib/image-validation');
+
+// 样本由 fixtures/heic/generate.js 生成，说明见该文件
+const FIXTURES = path.join(__dirname, 'fixtures', 'heic');
+
+function fixture(name) {
+    return path.join(FIXTURES, name);
+}
+
+// 主图尺寸：多图容器取主图，网格取输出尺寸，不受分块和 mdat 中杂散字节影响
+const EXPECTED_SIZES = {
+    'single.heic': { width: 64, height: 48 },
+    'multi-image.heic': { width: 80, height: 60 },
+    '10bit.heic': { width: 64, height: 48 },
+    'alpha.heic': { width: 64, height: 48 },
+    'grid.heic': { width: 120, height: 100 },
+    'mdat-first.heic': { width: 64, height: 48 }
+};
+
+// 用指定的解码链转换，返回解码器名称和 RGBA 像素
+async function decodeWith(decoders, name) {
+    const previous = process.env.HEIF_DECODERS;
+    process.env.HEIF_DECODERS = decoders;
+    try {
+        let output = null;
+        const decoder = await heif.convertHeif(fixture(name), async image => {
+            output = await image.raw().toBuffer({ resolveWithObject: true });
+        });
+        return { decoder, ...output };
+    } finally {
+        if (previous === undefined) {
+            delete process.env.HEIF_DECODERS;
+        } else {
+            process.env.HEIF_DECODERS = previous;
+        }
+    }
+}
+
+test('所有样本都能按文件头识别为 HEIC', () => {
+    for (const name of Object.keys(EXPECTED_SIZES)) {
+        assert.ok(heif.isHeicBuffer(fs.readFileSync(fixture(name))), name);
+    }
+});
+
+test('readHeifDimensions 读取主图的尺寸', () => {
+    for (const [name, size] of Object.entries(EXPECTED_SIZES)) {
+        assert.deepStrictEqual(heif.readHeifDimensions(fixture(name)), size, name);
+    }
+});
+
+test('meta 盒子在文件 1MB 之后时也能读到尺寸', t => {
+    // 在 ftyp 后插入 2MB 的 free 盒子，内容是大量像 ispe 的字节
+    const original = fs.readFileSync(fixture('single.heic'));
+    const ftypLength = original.readUInt32BE(0);
+    const fake = Buffer.alloc(16);
+    fake.write('ispe', 0);
+    fake.writeUInt32BE(60000, 8);
+    fake.writeUInt32BE(60000, 12);
+    const padding = Buffer.concat(Array(128 * 1024).fill(fake));
+    const free = Buffer.alloc(8);
+    free.writeUInt32BE(8 + padding.length);
+    free.write('free', 4);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'heif-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'padded.heic');
+    fs.writeFileSync(file, Buffer.concat([original.subarray(0, ftypLength), free, padding, original.subarray(ftypLength)]));
+
+    assert.deepStrictEqual(heif.readHeifDimensions(file), { width: 64, height: 48 });
+});
+
+test('readHeifDimensions 对损坏的文件返回 null', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'heif-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'truncated.heic');
+    fs.writeFileSync(file, fs.readFileSync(fixture('single.heic')).subarray(0, 100));
+
+    assert.strictEqual(heif.readHeifDimensions(file), null);
+});
+
+test('上传校验不会因为 mdat 中的杂散字节误报尺寸过大', async () => {
+    const result = await imageValidation.validateImageFile(fixture('mdat-first.heic'), {
+        originalName: 'photo.heic',
+        mimeType: 'image/heic'
+    });
+    assert.deepStrictEqual(result, { type: 'heic', width: 64, height: 48 });
+});
+
+test('libheif 能解码所有样本，多图容器使用主图', async () => {
+    for (const [name, size] of Object.entries(EXPECTED_SIZES)) {
+        const { decoder, info } = await decodeWith('libheif', name);
+        assert.strictEqual(decoder, 'libheif', name);
+        assert.deepStrictEqual({ width: info.width, height: info.height }, size, name);
+    }
+});
+
+test('带透明通道的 HEIC 保留透明度', async () => {
+    const { data, info } = await decodeWith('libheif', 'alpha.heic');
+    const alphaAt = (x, y) => data[(y * info.width + x) * info.channels + 3];
+    assert.strictEqual(info.channels, 4);
+    assert.strictEqual(alphaAt(0, 0), 255);
+    assert.strictEqual(alphaAt(info.width - 1, info.height - 1), 0);
+});
+
+test('解码器失败时换下一个解码器', async t => {
+    heif.registerHeifDecoder({
+        name: 'broken',
+        isAvailable: () => true,
+        decode: async () => {
+            throw new Error('无法解码');
+        }
+    }, { first: true });
+    t.after(() => heif.HEIF_DECODERS.splice(heif.HEIF_DECODERS.findIndex(decoder => decoder.name === 'broken'), 1));
+
+    const { decoder, info } = await decodeWith('broken,heic-decode', 'single.heic');
+    assert.strictEqual(decoder, 'heic-decode');
+    assert.deepStrictEqual({ width: info.width, height: info.height }, EXPECTED_SIZES['single.heic']);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseListQuery, encodeCursor, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../lib/list-query');
+
+test('没有参数时使用默认排序和每页数量', () => {
+    assert.deepStrictEqual(parseListQuery({}), {
+        value: { filters: {}, order: 'desc', limit: DEFAULT_PAGE_SIZE, after: null },
+        errors: []
+    });
+    assert.deepStrictEqual(parseListQuery(undefined).errors, []);
+});
+
+test('搜索词按空格拆开并去重', () => {
+    const { value, errors } = parseListQuery({ q: '  小猫  太阳 小猫 ' });
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(value.filters.terms, ['小猫', '太阳']);
+    assert.strictEqual(parseListQuery({ q: '字'.repeat(51) }).errors.length, 1);
+});
+
+test('标签、相册和绘画材料过滤', () => {
+    const { value } = parseListQuery({ tag: ' 动物 ', album: 'a1', medium: 'crayon' });
+    assert.deepStrictEqual(value.filters, { tag: '动物', album: 'a1', medium: 'crayon' });
+    assert.deepStrictEqual(parseListQuery({ medium: 'plutonium' }).errors, ['不支持的绘画材料']);
+});
+
+test('日期范围包含结束日期当天，也接受完整的 ISO 时间', () => {
+    const { value, errors } = parseListQuery({ from: '2024-03-01', to: '2024-03-31' });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(value.filters.from, '2024-03-01');
+    assert.strictEqual(value.filters.to, '2024-03-31T23:59:59.999Z');
+
+    const exact = parseListQuery({ from: '2024-02-29T16:00:00Z', to: '2024-03-31T15:59:59.999Z' });
+    assert.deepStrictEqual(exact.errors, []);
+    assert.strictEqual(exact.value.filters.from, '2024-02-29T16:00:00.000Z');
+});
+
+test('无效的日期和颠倒的范围', () => {
+    assert.deepStrictEqual(parseListQuery({ from: '2024-13-45' }).errors, ['开始日期格式无效']);
+    assert.deepStrictEqual(parseListQuery({ to: '昨天' }).errors, ['结束日期格式无效']);
+    assert.deepStrictEqual(parseListQuery({ from: '2024-04-01', to: '2024-03-01' }).errors, ['开始日期不能晚于结束日期']);
+});
+
+test('排序方式和每页数量的范围', () => {
+    assert.strictEqual(parseListQuery({ order: 'asc' }).value.order, 'asc');
+    assert.strictEqual(parseListQuery({ order: 'random' }).errors.length, 1);
+    assert.strictEqual(parseListQuery({ limit: String(MAX_PAGE_SIZE) }).value.limit, MAX_PAGE_SIZE);
+    ['0', String(MAX_PAGE_SIZE + 1), '2.5', 'abc'].forEach(limit => {
+        assert.strictEqual(parseListQuery({ limit }).errors.length, 1, limit);
+    });
+});
+
+test('游标记录上一页最后一幅画的日期和 id', () => {
+    const cursor = encodeCursor({ date: '2024-03-05T00:00:00.000Z', id: 'p1' });
+    assert.deepStrictEqual(parseListQuery({ cursor }).value.after, { date: '2024-03-05T00:00:00.000Z', id: 'p1' });
+
+    const invalid = [
+        'not-base64!',
+        Buffer.from('{"date":1}').toString('base64url'),
+        Buffer.from('[1,2]').toString('base64url')
+    ];
+    invalid.forEach(value => {
+        assert.deepStrictEqual(parseListQuery({ cursor: value }).errors, ['分页游标无效'], value);
+    });
+});
+
+test('数组形式的参数（?tag=a&tag=b）按没有填写处理', () => {
+    const { value, errors } = parseListQuery({ tag: ['a', 'b'], q: ['x'] });
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(value.filters, {});
+});
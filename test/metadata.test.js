@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { validatePaintingMetadata, validateAlbumInput, parseTags } = require('../lib/metadata');
+
+test('上传时为缺少的字段补默认值', () => {
+    assert.deepStrictEqual(validatePaintingMetadata({}), {
+        value: { title: '', description: '', tags: [], medium: null, ageMonths: null },
+        errors: []
+    });
+});
+
+test('更新时只校验传入的字段', () => {
+    assert.deepStrictEqual(validatePaintingMetadata({ title: ' 小猫 ' }, { partial: true }), {
+        value: { title: '小猫' },
+        errors: []
+    });
+});
+
+test('标签可以是数组或分隔的字符串，去掉重复和空白', () => {
+    assert.deepStrictEqual(parseTags('动物，太阳、 动物  花'), ['动物', '太阳', '花']);
+    assert.deepStrictEqual(validatePaintingMetadata({ tags: [' a ', 'a', ''] }, { partial: true }).value.tags, ['a']);
+});
+
+test('超出长度和数量限制', () => {
+    const { errors } = validatePaintingMetadata({
+        title: '字'.repeat(61),
+        description: '字'.repeat(1001),
+        tags: Array.from({ length: 21 }, (_, index) => `t${index}`)
+    });
+    assert.deepStrictEqual(errors, ['标题不能超过 60 个字', '描述不能超过 1000 个字', '标签最多 20 个']);
+    assert.deepStrictEqual(validatePaintingMetadata({ tags: ['字'.repeat(21)] }).errors, ['每个标签不能超过 20 个字']);
+    assert.deepStrictEqual(validatePaintingMetadata({ title: 42 }).errors, ['标题必须是文本']);
+});
+
+test('绘画材料、年龄和日期', () => {
+    assert.strictEqual(validatePaintingMetadata({ medium: 'watercolor' }).value.medium, 'watercolor');
+    assert.strictEqual(validatePaintingMetadata({ medium: '' }).value.medium, null);
+    assert.deepStrictEqual(validatePaintingMetadata({ medium: 'lava' }).errors, ['不支持的绘画材料']);
+
+    assert.strictEqual(validatePaintingMetadata({ ageMonths: '51' }).value.ageMonths, 51);
+    ['-1', '2.5', String(18 * 12 + 1), 'abc'].forEach(ageMonths => {
+        assert.deepStrictEqual(validatePaintingMetadata({ ageMonths }).errors, ['创作时年龄无效'], ageMonths);
+    });
+
+    assert.strictEqual(validatePaintingMetadata({ date: '2024-03-05T08:00:00+08:00' }).value.date, '2024-03-05T00:00:00.000Z');
+    assert.deepStrictEqual(validatePaintingMetadata({ date: '不是日期' }).errors, ['日期格式无效']);
+    assert.deepStrictEqual(validatePaintingMetadata({ date: 20240305 }).errors, ['日期格式无效']);
+});
+
+test('相册名称必填', () => {
+    assert.ok(validateAlbumInput({ title: '  ' }).errors.length > 0);
+    assert.deepStrictEqual(validateAlbumInput({ title: ' 给爷爷 ' }).value.title, '给爷爷');
+});
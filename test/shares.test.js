@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// 令牌签名使用固定密钥，测试不读写 data/.session-secret
+process.env.SESSION_SECRET = 'test-secret';
+
+const auth = require('../lib/auth');
+const shares = require('../lib/shares');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 只有分享记录的内存存储
+function memoryStorage(links) {
+    return { getShareLink: id => links.find(link => link.id === id) || null };
+}
+
+function shareLink(fields = {}) {
+    return { id: 's1', paintingId: 'p1', albumId: null, expiresAt: null, passwordHash: null, ...fields };
+}
+
+// 只带 Cookie 请求头的请求
+function requestWithCookie(name, value) {
+    return { headers: { cookie: `${name}=${encodeURIComponent(value)}` } };
+}
+
+// 画作记录中的图片地址；version 为编辑或扫描增强后加上的版本号
+function painting(id, version = '') {
+    const variant = size => ({
+        width: 100,
+        height: 80,
+        jpeg: `/uploads/variants/${id}/${size}.jpg${version}`,
+        webp: `/uploads/variants/${id}/${size}.webp${version}`,
+        avif: `/uploads/variants/${id}/${size}.avif${version}`
+    });
+    return {
+        id,
+        filename: `${id}.jpg`,
+        imageUrl: `/uploads/${id}.jpg${version}`,
+        variants: { thumb: variant('thumb'), card: variant('card'), full: variant('full') }
+    };
+}
+
+test('validateShareInput 要求画作和相册二选一', () => {
+    assert.deepStrictEqual(shares.validateShareInput({}).errors, ['请选择要分享的一幅画或一个相册']);
+    assert.deepStrictEqual(shares.validateShareInput({ paintingId: 'p1', albumId: 'a1' }).errors,
+        ['请选择要分享的一幅画或一个相册']);
+    assert.deepStrictEqual(shares.validateShareInput({ albumId: ' a1 ' }), {
+        value: { paintingId: null, albumId: 'a1', expiresAt: null, password: null },
+        errors: []
+    });
+});
+
+test('validateShareInput 检查有效天数和密码', () => {
+    const before = Date.now();
+    const { value } = shares.validateShareInput({ paintingId: 'p1', expiresInDays: 7, password: 'nainai' });
+    const expiresAt = Date.parse(value.expiresAt);
+    assert.ok(expiresAt >= before + 7 * DAY && expiresAt <= Date.now() + 7 * DAY);
+    assert.strictEqual(value.password, 'nainai');
+
+    [0, 366, 1.5, 'abc'].forEach(expiresInDays => {
+        assert.strictEqual(shares.validateShareInput({ paintingId: 'p1', expiresInDays }).errors.length, 1, String(expiresInDays));
+    });
+    assert.strictEqual(shares.validateShareInput({ paintingId: 'p1', expiresInDays: '' }).value.expiresAt, null);
+    assert.deepStrictEqual(shares.validateShareInput({ paintingId: 'p1', password: 'abc' }).errors, ['访问密码需为 4-100 位']);
+    assert.deepStrictEqual(shares.validateShareInput({ paintingId: 'p1', password: 1234 }).errors, ['访问密码需为 4-100 位']);
+});
+
+test('resolveShareToken：有效、撤销、过期和伪造的令牌', () => {
+    const link = shareLink();
+    const { token } = shares.publicShareLink(link);
+    assert.deepStrictEqual(shares.resolveShareToken(memoryStorage([link]), token), { link });
+
+    // 撤销（记录已删除）
+    assert.strictEqual(shares.resolveShareToken(memoryStorage([]), token).status, 404);
+
+    const expired = shareLink({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+    assert.deepStrictEqual(shares.resolveShareToken(memoryStorage([expired]), token),
+        { status: 410, error: '分享链接已过期' });
+    assert.strictEqual(shares.publicShareLink(expired).expired, true);
+
+    const [body] = token.split('.');
+    assert.strictEqual(shares.resolveShareToken(memoryStorage([link]), `${body}.forged`).status, 404);
+    assert.strictEqual(shares.resolveShareToken(memoryStorage([link]), undefined).status, 404);
+});
+
+test('会话令牌和分享令牌不能互相替代', () => {
+    const link = shareLink({ id: 'mama' });
+    const sessionToken = auth.signToken(auth.TOKEN_TYPES.SESSION, { sub: 'mama', share: 'mama', exp: Date.now() + DAY });
+    assert.strictEqual(shares.resolveShareToken(memoryStorage([link]), sessionToken).status, 404);
+
+    const { token } = shares.publicShareLink(link);
+    assert.strictEqual(auth.verifyToken(token, auth.TOKEN_TYPES.SESSION), null);
+    assert.strictEqual(auth.verifyToken(token, auth.TOKEN_TYPES.SHARE).share, 'mama');
+});
+
+test('需要密码的链接只认对应链接的解锁 Cookie', () => {
+    const link = shareLink({ passwordHash: auth.hashPassword('nainai') });
+    assert.strictEqual(shares.isUnlocked({ headers: {} }, link), false);
+    assert.strictEqual(shares.checkSharePassword(link, 'nainai'), true);
+    assert.strictEqual(shares.checkSharePassword(link, 'wrong'), false);
+
+    const unlock = (id, exp = Date.now() + DAY) => auth.signToken(auth.TOKEN_TYPES.SHARE_UNLOCK, { unlock: id, exp });
+    assert.strictEqual(shares.isUnlocked(requestWithCookie('yueyue_share_s1', unlock('s1')), link), true);
+    assert.strictEqual(shares.isUnlocked(requestWithCookie('yueyue_share_s1', unlock('s2')), link), false);
+    assert.strictEqual(shares.isUnlocked(requestWithCookie('yueyue_share_s1', unlock('s1', Date.now() - 1)), link), false);
+    // 分享令牌本身不能当作解锁 Cookie
+    const { token } = shares.publicShareLink(link);
+    assert.strictEqual(shares.isUnlocked(requestWithCookie('yueyue_share_s1', token), link), false);
+    assert.strictEqual(shares.isUnlocked({ headers: {} }, shareLink()), true);
+});
+
+test('分享内容的图片地址改为经过分享链接的地址', () => {
+    const content = shares.withShareFileUrls('abc', { type: 'painting', painting: painting('p1') });
+    assert.strictEqual(content.painting.imageUrl, '/api/share/abc/files/p1.jpg');
+    assert.strictEqual(content.painting.variants.card.avif, '/api/share/abc/files/variants/p1/card.avif');
+});
+
+test('编辑过的画作（地址带版本号）也能通过分享链接读取图片', () => {
+    const content = { type: 'painting', painting: painting('p1', '?v=lq3k2') };
+    const rewritten = shares.withShareFileUrls('abc', content);
+    assert.strictEqual(rewritten.painting.imageUrl, '/api/share/abc/files/p1.jpg?v=lq3k2');
+
+    assert.strictEqual(shares.findSharedFile(content, 'p1.jpg'), 'p1.jpg');
+    assert.strictEqual(shares.findSharedFile(content, 'variants/p1/full.webp'), 'variants/p1/full.webp');
+});
+
+test('只能读取分享的画作自己的图片', () => {
+    const album = {
+        type: 'album',
+        album: { id: 'a1', cover: painting('cover') },
+        paintings: [painting('p1'), painting('p2', '?v=1')]
+    };
+    assert.strictEqual(shares.findSharedFile(album, 'p2.jpg'), 'p2.jpg');
+    assert.strictEqual(shares.findSharedFile(album, 'cover.jpg'), 'cover.jpg');
+    assert.strictEqual(shares.findSharedFile(album, 'p3.jpg'), null);
+    assert.strictEqual(shares.findSharedFile(album, '../data/gallery.db'), null);
+    assert.strictEqual(shares.findSharedFile({ type: 'painting', painting: painting('p1') }, 'p2.jpg'), null);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { selectRetained } = require('../lib/snapshots');
+
+const RETENTION = { daily: 2, weekly: 2, monthly: 2, restoreDays: 30 };
+const NOW = new Date(2025, 5, 20, 12, 0).getTime();
+
+// 按时间从新到旧的快照列表（与 readAllSnapshots 的顺序相同）
+function snapshot(id, createdAt, { status = 'complete', trigger = 'schedule' } = {}) {
+    return { id, createdAt: createdAt.toISOString(), status, trigger };
+}
+
+test('每天、每周、每月各保留最新的一个快照', () => {
+    const snapshots = [
+        snapshot('d20b', new Date(2025, 5, 20, 10)),
+        snapshot('d20a', new Date(2025, 5, 20, 2)),
+        snapshot('d19', new Date(2025, 5, 19, 2)),
+        snapshot('d18', new Date(2025, 5, 18, 2)),
+        snapshot('w10', new Date(2025, 5, 10, 2)),
+        snapshot('m5', new Date(2025, 4, 3, 2)),
+        snapshot('m4', new Date(2025, 3, 3, 2))
+    ];
+    const keep = selectRetained(snapshots, RETENTION, NOW);
+    // 每天：20 日、19 日；每周：本周（20 日）、上周（10 日）；每月：6 月（20 日）、5 月
+    assert.deepStrictEqual([...keep].sort(), ['d19', 'd20b', 'm5', 'w10']);
+});
+
+test('失败和进行中的快照不计入保留策略', () => {
+    const snapshots = [
+        snapshot('failed', new Date(2025, 5, 20, 10), { status: 'failed' }),
+        snapshot('running', new Date(2025, 5, 20, 9), { status: 'running' }),
+        snapshot('ok', new Date(2025, 5, 20, 2))
+    ];
+    assert.deepStrictEqual([...selectRetained(snapshots, RETENTION, NOW)], ['ok']);
+});
+
+test('恢复前保存的快照不是当天最新的也会保留', () => {
+    const snapshots = [
+        snapshot('after', new Date(2025, 5, 20, 10)),
+        snapshot('before-restore', new Date(2025, 5, 20, 9), { trigger: 'restore' }),
+        snapshot('old-restore', new Date(2025, 4, 1, 9), { trigger: 'restore' })
+    ];
+    const retention = { daily: 1, weekly: 1, monthly: 1, restoreDays: 30 };
+    const keep = selectRetained(snapshots, retention, NOW);
+    assert.ok(keep.has('before-restore'));
+    // 超过 restoreDays 之后按普通快照处理
+    assert.ok(!keep.has('old-restore'));
+    assert.ok(selectRetained(snapshots, { ...retention, restoreDays: 60 }, NOW).has('old-restore'));
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const timeline = require('../lib/timeline');
+
+test('parseBirthday 只接受真实存在的 YYYY-MM-DD', () => {
+    assert.strictEqual(timeline.parseBirthday(' 2021-03-15 '), '2021-03-15');
+    assert.strictEqual(timeline.parseBirthday('2020-02-29'), '2020-02-29');
+    ['2021-02-30', '2021-3-15', '2021/03/15', '', undefined].forEach(value => {
+        assert.strictEqual(timeline.parseBirthday(value), null, String(value));
+    });
+});
+
+test('parseTimezoneOffset 的范围', () => {
+    assert.strictEqual(timeline.parseTimezoneOffset(undefined), 0);
+    assert.strictEqual(timeline.parseTimezoneOffset('480'), 480);
+    assert.strictEqual(timeline.parseTimezoneOffset('-300'), -300);
+    ['841', '-841', '1.5', 'abc'].forEach(value => {
+        assert.strictEqual(timeline.parseTimezoneOffset(value), null, value);
+    });
+});
+
+test('ageInMonths 按生日当天计算满月数', () => {
+    const birthday = '2021-03-15';
+    assert.strictEqual(timeline.ageInMonths(birthday, '2021-03-15T00:00:00.000Z'), 0);
+    assert.strictEqual(timeline.ageInMonths(birthday, '2021-04-14T00:00:00.000Z'), 0);
+    assert.strictEqual(timeline.ageInMonths(birthday, '2021-04-15T00:00:00.000Z'), 1);
+    assert.strictEqual(timeline.ageInMonths(birthday, '2025-06-20T00:00:00.000Z'), 51);
+    assert.strictEqual(timeline.ageInMonths(birthday, '2021-03-14T00:00:00.000Z'), null);
+    assert.strictEqual(timeline.ageInMonths(null, '2025-06-20T00:00:00.000Z'), null);
+});
+
+test('ageInMonths 按当地日期计算', () => {
+    // UTC 4 月 14 日 20:00 在东八区已经是 4 月 15 日
+    assert.strictEqual(timeline.ageInMonths('2021-03-15', '2021-04-14T20:00:00.000Z', 0), 0);
+    assert.strictEqual(timeline.ageInMonths('2021-03-15', '2021-04-14T20:00:00.000Z', 480), 1);
+});
+
+test('monthRange 返回当地月份的起止时刻', () => {
+    assert.deepStrictEqual(timeline.monthRange('2024-02', 0), {
+        from: '2024-02-01T00:00:00.000Z',
+        to: '2024-02-29T23:59:59.999Z'
+    });
+    assert.deepStrictEqual(timeline.monthRange('2024-12', 480), {
+        from: '2024-11-30T16:00:00.000Z',
+        to: '2024-12-31T15:59:59.999Z'
+    });
+});
+
+test('buildTimeline 按年分组，并带上每个时期的年龄范围', () => {
+    const rows = [
+        { month: '2024-11', count: 2, firstDate: '2024-11-02T00:00:00.000Z', lastDate: '2024-11-20T00:00:00.000Z' },
+        { month: '2025-01', count: 1, firstDate: '2025-01-10T00:00:00.000Z', lastDate: '2025-01-10T00:00:00.000Z' },
+        { month: '2025-03', count: 3, firstDate: '2025-03-01T00:00:00.000Z', lastDate: '2025-03-30T00:00:00.000Z' }
+    ];
+    const years = timeline.buildTimeline(rows, { birthday: '2021-03-15' });
+
+    assert.deepStrictEqual(years.map(year => [year.year, year.count, year.ageMonthsFrom, year.ageMonthsTo]), [
+        [2024, 2, 43, 44],
+        [2025, 4, 45, 48]
+    ]);
+    assert.deepStrictEqual(years[1].months.map(month => [month.key, month.month, month.ageMonthsFrom, month.ageMonthsTo]), [
+        ['2025-01', 1, 45, 45],
+        ['2025-03', 3, 47, 48]
+    ]);
+    assert.strictEqual(years[0].months[0].from, '2024-11-01T00:00:00.000Z');
+});
+
+test('没有生日时使用画作上填写的年龄', () => {
+    const rows = [
+        { month: '2025-01', count: 2, firstDate: '2025-01-01T00:00:00.000Z', lastDate: '2025-01-31T00:00:00.000Z', minAgeMonths: null, maxAgeMonths: null },
+        { month: '2025-02', count: 1, firstDate: '2025-02-01T00:00:00.000Z', lastDate: '2025-02-01T00:00:00.000Z', minAgeMonths: 46, maxAgeMonths: 46 }
+    ];
+    const [year] = timeline.buildTimeline(rows, { birthday: null });
+    assert.strictEqual(year.ageMonthsFrom, 46);
+    assert.strictEqual(year.ageMonthsTo, 46);
+    assert.strictEqual(year.months[0].ageMonthsFrom, null);
+});